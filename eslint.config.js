@@ -35,4 +35,11 @@ export default [
       ],
     },
   },
+  {
+    // Backend Node (server/): globali Node al posto di quelle browser
+    files: ['server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
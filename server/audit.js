@@ -0,0 +1,336 @@
+/**
+ * AUDIT.JS - REGISTRO DELLE MODIFICHE
+ *
+ * Ogni scrittura riuscita su prodotti, ordini e utenti lascia una voce
+ * nella collezione auditLog di db.json:
+ *
+ * {
+ *   id, entity: 'products' | 'orders' | 'users', entityId,
+ *   action: 'create' | 'update' | 'delete' | 'restore' | 'purge' | 'revert',
+ *   source: 'bulk' | 'import' | 'category' | null, // Operazioni su più prodotti
+ *   actorId, actorName, createdAt,
+ *   changes: [{ field, before, after }],  // Solo i campi cambiati
+ *   snapshot                              // Solo prodotti: versione dopo la modifica
+ * }
+ *
+ * Il middleware non conosce le singole route: fotografa la collezione
+ * prima della richiesta e la confronta con quella dopo la risposta,
+ * così registra allo stesso modo json-server, cestino, bulk e import.
+ * Sulle route con un id (es. PATCH /products/3) confronta solo quel record.
+ *
+ * ROUTE:
+ * - GET  /audit                    voci più recenti prima, filtrabili per
+ *                                  entity, entityId, actorId e action (solo admin)
+ * - POST /products/:id/revert      riporta il prodotto alla versione di una voce:
+ *                                  { auditId, version: 'after' | 'before' }
+ *                                  (dopo o prima della modifica); lo stock resta quello attuale
+ *
+ * La collezione REST grezza /auditLog non è raggiungibile:
+ * il registro non si modifica a mano.
+ */
+
+// ===== IMPORTAZIONI =====
+import { hasVariants, productSkus, totalVariantStock } from '../src/utils/variants.js'
+import { isDeleted } from '../src/utils/visibility.js'
+import { findSkuOwner } from './variants.js'
+import { productVersion } from './concurrency.js'
+
+// ===== COSTANTI =====
+const AUDITED_COLLECTIONS = ['products', 'orders', 'users']
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+const IGNORED_FIELDS = ['updatedAt', 'version']      // Cambiano a ogni scrittura
+const SECRET_FIELDS = ['password', 'passwordHash']   // Registrati senza valori
+const MAX_ENTRIES = 5000                             // Le voci più vecchie vengono scartate
+const DEFAULT_PAGE_SIZE = 50
+
+// ===== HELPERS =====
+
+/**
+ * Copia profonda di valori JSON
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value ?? null))
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * DIFF RECORDS
+ *
+ * @param {Object|null} before - Record prima della modifica
+ * @param {Object|null} after - Record dopo la modifica
+ * @returns {Array} - [{ field, before, after }] dei campi cambiati
+ */
+export const diffRecords = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+
+  return [...fields]
+    .filter(field => field !== 'id' && !IGNORED_FIELDS.includes(field))
+    .filter(field => !isEqual(before?.[field], after?.[field]))
+    .map(field => SECRET_FIELDS.includes(field)
+      ? { field, redacted: true }
+      : { field, before: before?.[field] ?? null, after: after?.[field] ?? null })
+}
+
+/**
+ * Azione registrata per un record cambiato
+ */
+const actionFor = (before, after, path) => {
+  if (!before) return 'create'
+  if (!after) return 'purge'
+  if (!isDeleted(before) && isDeleted(after)) return 'delete'
+  if (isDeleted(before) && !isDeleted(after)) return 'restore'
+  if (path.endsWith('/revert')) return 'revert'
+  return 'update'
+}
+
+/**
+ * Operazione multipla da cui arriva la modifica
+ */
+const sourceFor = (path) => {
+  if (path === '/products/bulk') return 'bulk'
+  if (path === '/products/import') return 'import'
+  return null
+}
+
+/**
+ * Collezione e id dal path (es. "/products/3/restore" → ['products', '3']).
+ * In minuscolo come nel routing di Express: /Products/3 è la stessa route.
+ */
+const parseTarget = (path) => {
+  const [collection = '', id] = path.toLowerCase().split('/').filter(Boolean)
+  return { collection, id: /^\d+$/.test(id || '') ? id : null }
+}
+
+/**
+ * RECORD AUDIT
+ *
+ * Aggiunge una voce al registro. Non scrive su disco.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Object} entry - { entity, entityId, action, source, user, before, after }
+ * @returns {Object|null} - Voce registrata, null se non è cambiato nulla
+ */
+export const recordAudit = (db, { entity, entityId, action, source = null, user, before, after }) => {
+  const changes = diffRecords(before, after)
+  if (changes.length === 0) return null
+
+  const log = db.get('auditLog')
+  const last = log.maxBy('id').value()
+  const entry = {
+    id: (last?.id || 0) + 1,
+    entity,
+    entityId,
+    action,
+    source,
+    actorId: user?.id ?? null,
+    actorName: user?.name || user?.email || 'Sistema',
+    createdAt: new Date().toISOString(),
+    changes,
+    ...(entity === 'products' && { snapshot: clone(after || before) })
+  }
+
+  log.push(entry).value()
+
+  const overflow = log.size().value() - MAX_ENTRIES
+  if (overflow > 0) {
+    db.set('auditLog', log.drop(overflow).value()).value()
+  }
+
+  return entry
+}
+
+/**
+ * VERSION OF
+ *
+ * La versione "prima" si ricostruisce dalla fotografia togliendo le modifiche:
+ * serve per tornare allo stato precedente alla prima voce registrata.
+ *
+ * @param {Object} entry - Voce del registro di un prodotto
+ * @param {string} version - 'after' o 'before'
+ * @returns {Object} - Prodotto in quella versione
+ */
+const versionOf = (entry, version) => {
+  const product = clone(entry.snapshot)
+  if (version !== 'before') return product
+
+  entry.changes.forEach(({ field, before }) => {
+    if (before === null) {
+      delete product[field]
+    } else {
+      product[field] = clone(before)
+    }
+  })
+  return product
+}
+
+// ===== MIDDLEWARE =====
+
+/**
+ * AUDIT WRITES
+ *
+ * Va registrato dopo authenticate() e authorizeWrites() (registra solo
+ * le scritture permesse, con l'utente della richiesta) e prima delle
+ * route che modificano prodotti, ordini e utenti.
+ *
+ * @param {Object} db - Istanza lowdb del router json-server
+ * @returns {Function} - Middleware Express
+ */
+export const auditWrites = (db) => (req, res, next) => {
+  const { collection, id } = parseTarget(req.path)
+
+  if (!WRITE_METHODS.includes(req.method) || !AUDITED_COLLECTIONS.includes(collection)) {
+    return next()
+  }
+
+  const records = () => db.get(collection)
+    .filter(record => !id || String(record.id) === id)
+    .value() || []
+  const before = new Map(clone(records()).map(record => [String(record.id), record]))
+  const path = req.path.toLowerCase().replace(/\/$/, '')
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return
+
+    const after = new Map(records().map(record => [String(record.id), record]))
+    const ids = new Set([...before.keys(), ...after.keys()])
+    let recorded = 0
+
+    ids.forEach((recordId) => {
+      const previous = before.get(recordId) || null
+      const current = after.get(recordId) || null
+
+      const entry = recordAudit(db, {
+        entity: collection,
+        entityId: (current || previous).id,
+        action: actionFor(previous, current, path),
+        source: sourceFor(path),
+        user: req.user,
+        before: previous,
+        after: current
+      })
+      if (entry) recorded += 1
+    })
+
+    if (recorded > 0) {
+      db.write()
+    }
+  })
+
+  next()
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER AUDIT ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerAuditRoutes = (server, db) => {
+  // Collezione creata al primo avvio sui database esistenti
+  if (!db.has('auditLog').value()) {
+    db.set('auditLog', []).write()
+  }
+
+  /**
+   * Il registro si legge solo da GET /audit e non si modifica
+   */
+  server.use('/auditLog', (req, res) => {
+    res.status(403).json({ message: 'Il registro delle modifiche non è modificabile' })
+  })
+
+  /**
+   * GET /audit
+   * Voci del registro, le più recenti prima
+   */
+  server.get('/audit', (req, res) => {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({ message: 'Operazione riservata agli amministratori' })
+    }
+
+    const { entity, entityId, actorId, action } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1)
+    const limit = Math.min(200, Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE))
+
+    const log = db.get('auditLog').value()
+    const items = log
+      .filter(entry =>
+        (!entity || entry.entity === entity) &&
+        (!entityId || String(entry.entityId) === String(entityId)) &&
+        (!actorId || String(entry.actorId) === String(actorId)) &&
+        (!action || entry.action === action))
+      .reverse()
+
+    // Autori presenti nel registro, per il filtro della pagina attività
+    const actors = [...new Map(log
+      .filter(entry => entry.actorId !== null)
+      .map(entry => [entry.actorId, { id: entry.actorId, name: entry.actorName }])).values()]
+
+    res.json({
+      items: items.slice((page - 1) * limit, page * limit),
+      total: items.length,
+      page,
+      pageCount: Math.max(1, Math.ceil(items.length / limit)),
+      actors
+    })
+  })
+
+  /**
+   * POST /products/:id/revert
+   * Applica la versione salvata in una voce del registro.
+   * Lo stock (anche delle varianti) segue gli ordini, quindi resta quello attuale.
+   */
+  server.post('/products/:id/revert', (req, res) => {
+    const product = db.get('products').find(p => String(p.id) === req.params.id).value()
+
+    if (!product) {
+      return res.status(404).json({ message: 'Prodotto non trovato' })
+    }
+    if (isDeleted(product)) {
+      return res.status(409).json({ message: 'Il prodotto è nel cestino: ripristinalo prima di tornare a una versione precedente' })
+    }
+
+    const entry = db.get('auditLog').find({ id: Number(req.body?.auditId) }).value()
+    if (!entry || entry.entity !== 'products' || String(entry.entityId) !== String(product.id) ||
+        !entry.snapshot || entry.action === 'create' && req.body?.version === 'before') {
+      return res.status(404).json({ message: 'Versione non trovata nella cronologia del prodotto' })
+    }
+
+    const version = versionOf(entry, req.body?.version)
+    delete version.deletedAt
+
+    if (!db.get('categories').some({ slug: version.category }).value()) {
+      return res.status(409).json({ message: `La categoria "${version.category}" di questa versione non esiste più` })
+    }
+
+    const owner = findSkuOwner(db, productSkus(version), product.id)
+    if (owner) {
+      return res.status(409).json({ message: `Lo SKU ${owner.sku} è ora usato da "${owner.product.name}"` })
+    }
+
+    // ===== STOCK ATTUALE =====
+    // Le varianti non più presenti tornano senza pezzi
+    if (hasVariants(version)) {
+      version.variants = version.variants.map((variant) => {
+        const current = (product.variants || []).find(v => v.id === variant.id)
+        return { ...variant, stock: current ? current.stock : 0 }
+      })
+      version.stock = totalVariantStock(version.variants)
+    } else {
+      version.stock = hasVariants(product) ? 0 : product.stock
+    }
+
+    // Sostituisce il record intero: i campi aggiunti dopo la versione spariscono
+    const reverted = {
+      ...version,
+      id: product.id,
+      updatedAt: new Date().toISOString(),
+      version: productVersion(product) + 1
+    }
+    const products = db.get('products').value()
+    products[products.indexOf(product)] = reverted
+    db.write()
+
+    res.json(reverted)
+  })
+}
@@ -0,0 +1,303 @@
+/**
+ * AUTH.JS - AUTENTICAZIONE LATO SERVER
+ *
+ * Questo modulo contiene tutta la logica di autenticazione del backend:
+ * - Hash delle password con scrypt (modulo crypto nativo di Node)
+ * - Emissione e verifica di token firmati con scadenza (formato JWT HS256)
+ * - Route /auth/login, /auth/register e /auth/me
+ * - Middleware authenticate che popola req.user dal bearer token
+ * - Migrazione delle password in chiaro presenti in db.json
+ *
+ * PATTERN UTILIZZATI:
+ * - Nessuna dipendenza esterna: solo crypto di Node
+ * - Sanitizzazione: le risposte non contengono mai campi password
+ * - Confronto a tempo costante per hash e firme
+ */
+
+// ===== IMPORTAZIONI =====
+import crypto from 'node:crypto'
+
+// ===== CONFIGURAZIONE =====
+/**
+ * Segreto per la firma dei token e durata della sessione.
+ * In produzione AUTH_SECRET deve essere impostato tramite variabile d'ambiente.
+ */
+const AUTH_SECRET = process.env.AUTH_SECRET || 'coccibelli-dev-secret-da-cambiare'
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL) || 60 * 60 * 8 // 8 ore
+
+// Parametri scrypt
+const SALT_BYTES = 16
+const KEY_LENGTH = 64
+
+// ===== PASSWORD HASHING =====
+
+/**
+ * HASH PASSWORD
+ *
+ * Calcola l'hash scrypt di una password con salt casuale.
+ * Formato salvato: "scrypt$<salt hex>$<hash hex>"
+ *
+ * @param {string} password - Password in chiaro
+ * @returns {string} - Hash serializzato
+ */
+export const hashPassword = (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex')
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex')
+  return `scrypt$${salt}$${hash}`
+}
+
+/**
+ * VERIFY PASSWORD
+ *
+ * Confronta una password in chiaro con l'hash salvato.
+ *
+ * @param {string} password - Password in chiaro
+ * @param {string} storedHash - Hash serializzato da hashPassword
+ * @returns {boolean} - true se la password corrisponde
+ */
+export const verifyPassword = (password, storedHash) => {
+  const [scheme, salt, hash] = String(storedHash || '').split('$')
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false
+  }
+
+  const expected = Buffer.from(hash, 'hex')
+  const actual = crypto.scryptSync(String(password), salt, expected.length)
+  return crypto.timingSafeEqual(expected, actual)
+}
+
+// ===== TOKEN FIRMATI =====
+
+/**
+ * Codifica base64url di un oggetto JSON
+ *
+ * @param {Object} value - Oggetto da codificare
+ * @returns {string} - Stringa base64url
+ */
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+
+/**
+ * Firma HMAC-SHA256 di header e payload
+ *
+ * @param {string} data - "<header>.<payload>"
+ * @returns {string} - Firma base64url
+ */
+const sign = (data) => crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url')
+
+/**
+ * CREATE TOKEN
+ *
+ * Emette un token firmato (JWT HS256) con id, ruolo e scadenza.
+ *
+ * @param {Object} user - Utente autenticato
+ * @returns {string} - Token firmato
+ */
+export const createToken = (user) => {
+  const now = Math.floor(Date.now() / 1000)
+  const header = encodeSegment({ alg: 'HS256', typ: 'JWT' })
+  const payload = encodeSegment({
+    sub: user.id,
+    role: user.role,
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS
+  })
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`
+}
+
+/**
+ * VERIFY TOKEN
+ *
+ * Verifica firma e scadenza di un token.
+ *
+ * @param {string} token - Token da verificare
+ * @returns {Object|null} - Payload decodificato o null se non valido/scaduto
+ */
+export const verifyToken = (token) => {
+  const [header, payload, signature] = String(token || '').split('.')
+  if (!header || !payload || !signature) {
+    return null
+  }
+
+  // ===== CONTROLLO FIRMA =====
+  const expected = Buffer.from(sign(`${header}.${payload}`))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null
+  }
+
+  // ===== CONTROLLO SCADENZA =====
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString())
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+      return null
+    }
+    return claims
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Estrae il bearer token dall'header Authorization
+ *
+ * @param {Object} req - Richiesta Express
+ * @returns {string|null} - Token o null se assente
+ */
+export const getBearerToken = (req) => {
+  const header = req.headers.authorization || ''
+  const [scheme, token] = header.split(' ')
+  return scheme === 'Bearer' && token ? token : null
+}
+
+/**
+ * AUTHENTICATE MIDDLEWARE
+ *
+ * Se la richiesta contiene un bearer token valido, carica l'utente
+ * corrispondente dal database in req.user (ruolo sempre letto dal db,
+ * non dal token). Non rifiuta mai la richiesta: il controllo dei permessi
+ * è demandato ad authorization.js.
+ *
+ * @param {Object} db - Istanza lowdb del router json-server
+ * @returns {Function} - Middleware Express
+ */
+export const authenticate = (db) => (req, res, next) => {
+  const claims = verifyToken(getBearerToken(req))
+  const user = claims ? db.get('users').find({ id: claims.sub }).value() : null
+
+  req.user = user ? sanitizeUser(user) : null
+  next()
+}
+
+// ===== SANITIZZAZIONE =====
+
+/**
+ * SANITIZE USER
+ *
+ * Rimuove tutti i campi password da un record utente.
+ *
+ * @param {Object} user - Record utente dal database
+ * @returns {Object} - Utente senza password/passwordHash
+ */
+export const sanitizeUser = (user) => {
+  const sanitized = { ...user }
+  delete sanitized.password
+  delete sanitized.passwordHash
+  return sanitized
+}
+
+// ===== MIGRAZIONE =====
+
+/**
+ * MIGRATE PLAINTEXT PASSWORDS
+ *
+ * Converte in hash le password in chiaro ancora presenti nella
+ * collezione users (es. copie di db.json precedenti all'auth server).
+ *
+ * @param {Object} db - Istanza lowdb del router json-server
+ * @returns {number} - Numero di utenti migrati
+ */
+export const migratePlaintextPasswords = (db) => {
+  const users = db.get('users').filter((user) => user.password).value()
+
+  users.forEach((user) => {
+    db.get('users')
+      .find({ id: user.id })
+      .assign({ passwordHash: hashPassword(user.password) })
+      .unset('password')
+      .write()
+  })
+
+  return users.length
+}
+
+// ===== ROUTE AUTENTICAZIONE =====
+
+/**
+ * REGISTER AUTH ROUTES
+ *
+ * Registra le route di autenticazione sull'app Express di json-server.
+ * Gli errori sono restituiti come { message } con lo status HTTP appropriato.
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerAuthRoutes = (server, db) => {
+  /**
+   * POST /auth/login
+   * Verifica email e password e restituisce { user, token }
+   */
+  server.post('/auth/login', (req, res) => {
+    const { email, password } = req.body || {}
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email e password sono obbligatorie' })
+    }
+
+    const user = db.get('users').find({ email: String(email).trim().toLowerCase() }).value()
+
+    // Stesso messaggio per email inesistente e password errata
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ message: 'Email o password non validi' })
+    }
+
+    res.json({ user: sanitizeUser(user), token: createToken(user) })
+  })
+
+  /**
+   * POST /auth/register
+   * Crea un nuovo utente con ruolo 'user' e restituisce { user, token }
+   */
+  server.post('/auth/register', (req, res) => {
+    const { email, password, name } = req.body || {}
+
+    // ===== VALIDAZIONE INPUT =====
+    if (!email || !password || !name) {
+      return res.status(400).json({ message: 'Nome, email e password sono obbligatori' })
+    }
+
+    if (String(password).length < 6) {
+      return res.status(400).json({ message: 'La password deve contenere almeno 6 caratteri' })
+    }
+
+    const normalizedEmail = String(email).trim().toLowerCase()
+
+    // ===== CONTROLLO EMAIL ESISTENTE =====
+    if (db.get('users').find({ email: normalizedEmail }).value()) {
+      return res.status(409).json({ message: 'Questa email è già registrata' })
+    }
+
+    // ===== CREAZIONE UTENTE =====
+    // Il ruolo è sempre 'user': non viene mai letto dal body
+    const user = db.get('users')
+      .insert({
+        email: normalizedEmail,
+        name: String(name).trim(),
+        role: 'user',
+        passwordHash: hashPassword(String(password)),
+        createdAt: new Date().toISOString()
+      })
+      .write()
+
+    res.status(201).json({ user: sanitizeUser(user), token: createToken(user) })
+  })
+
+  /**
+   * GET /auth/me
+   * Restituisce l'utente associato al bearer token
+   */
+  server.get('/auth/me', (req, res) => {
+    const claims = verifyToken(getBearerToken(req))
+
+    if (!claims) {
+      return res.status(401).json({ message: 'Sessione scaduta o non valida' })
+    }
+
+    const user = db.get('users').find({ id: claims.sub }).value()
+
+    if (!user) {
+      return res.status(401).json({ message: 'Utente non trovato' })
+    }
+
+    res.json({ user: sanitizeUser(user) })
+  })
+}
@@ -0,0 +1,280 @@
+/**
+ * AUTHORIZATION.JS - CONTROLLO PERMESSI SU SCRITTURE E LETTURE
+ *
+ * Middleware che protegge tutte le route di scrittura (POST, PUT, PATCH, DELETE)
+ * delle collezioni json-server e le letture dei dati personali.
+ * Si appoggia a req.user popolato da authenticate() in auth.js.
+ *
+ * REGOLE:
+ * - products, categories, uploads, merchandising, collections: solo admin
+ * - orders: creazione per utenti autenticati (solo per sé stessi,
+ *   in attesa e non pagati), annullamento dei propri ordini non pagati,
+ *   ogni altra modifica ed eliminazione solo admin
+ * - users: creazione solo admin (i clienti usano /auth/register),
+ *   modifica del proprio profilo o admin, eliminazione solo admin
+ * - auth, checkout, payments: controllano da sé utente e permessi
+ * - qualsiasi altro percorso: scrittura negata
+ *
+ * LETTURE (le altre collezioni restano pubbliche):
+ * - orders: gli admin vedono tutto, i clienti solo i propri ordini
+ * - users: gli admin vedono tutti, i clienti solo il proprio profilo
+ * - db (dump completo di json-server): solo admin
+ *
+ * Il nome della collezione si confronta in minuscolo, come fanno
+ * Express e json-server nel routing (/Users e /users sono la stessa route).
+ *
+ * RISPOSTE:
+ * - 401 se manca un token valido
+ * - 403 se il ruolo non è sufficiente o la collezione non è scrivibile
+ * - 404 per l'ordine di un altro cliente (come se non esistesse)
+ */
+
+// ===== COSTANTI =====
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+
+// Route con controlli propri (utente del token, firma dei webhook)
+const SELF_AUTHORIZED_ROUTES = ['auth', 'checkout', 'payments']
+
+// Campi che nessuno può scrivere tramite le route REST
+const PROTECTED_USER_FIELDS = ['password', 'passwordHash']
+
+// Pagamenti che il cliente può ancora abbandonare annullando l'ordine
+// (con una verifica 3-D Secure in corso il gateway potrebbe ancora incassare)
+const CANCELLABLE_PAYMENT_STATUSES = ['unpaid', 'failed']
+
+// ===== HELPERS =====
+
+/**
+ * Risposta 401 - autenticazione mancante o scaduta
+ */
+const unauthorized = (res) =>
+  res.status(401).json({ message: 'Autenticazione richiesta: effettua il login' })
+
+/**
+ * Risposta 403 - permessi insufficienti
+ */
+const forbidden = (res, message = 'Operazione riservata agli amministratori') =>
+  res.status(403).json({ message })
+
+/**
+ * Estrae collezione e id dal path (es. "/products/3" → ["products", "3"])
+ *
+ * @param {string} path - Path della richiesta
+ * @returns {Array} - [collezione, id]
+ */
+const parsePath = (path) => path.split('/').filter(Boolean)
+
+// ===== REGOLE PER COLLEZIONE =====
+
+/**
+ * Ogni regola riceve (req, res, id, db) e restituisce true se la richiesta
+ * può proseguire; altrimenti ha già inviato la risposta di errore.
+ */
+const rules = {
+  /**
+   * PRODUCTS - catalogo modificabile solo dagli admin
+   */
+  products: (req, res) => {
+    if (req.user.role !== 'admin') {
+      forbidden(res)
+      return false
+    }
+    return true
+  },
+
+  /**
+   * CATEGORIES - come il catalogo, gestite solo dagli admin
+   */
+  categories: (req, res) => rules.products(req, res),
+
+  /**
+   * UPLOADS - le foto del catalogo le caricano solo gli admin
+   */
+  uploads: (req, res) => rules.products(req, res),
+
+  /**
+   * MERCHANDISING - le sezioni della home le sceglie il negozio
+   */
+  merchandising: (req, res) => rules.products(req, res),
+
+  /**
+   * COLLECTIONS - i racconti delle collezioni li scrive il negozio
+   */
+  collections: (req, res) => rules.products(req, res),
+
+  /**
+   * ORDERS - i clienti creano solo ordini propri, gli admin gestiscono tutto
+   */
+  orders: (req, res, id, db) => {
+    if (req.user.role === 'admin') {
+      return true
+    }
+
+    if (req.method === 'POST' && !id) {
+      // L'ordine viene sempre intestato all'utente del token e nasce
+      // in attesa e non pagato: lo stato del pagamento lo scrivono solo
+      // le route /payments, gli importi li ricalcola inventory.js
+      const body = { ...req.body }
+      delete body.payment
+      req.body = {
+        ...body,
+        userId: req.user.id,
+        status: 'pending',
+        paymentStatus: body.paymentMethod === 'bank_transfer' ? 'awaiting_transfer' : 'unpaid'
+      }
+      return true
+    }
+
+    if (req.method === 'PATCH' && id && req.body?.status === 'cancelled') {
+      // Il cliente può annullare un proprio ordine non ancora pagato
+      // (es. carrello cambiato o carta rifiutata): inventory.js ne
+      // rimette in stock i pezzi
+      const order = db.get('orders').find({ id: Number(id) }).value()
+      if (order?.userId === req.user.id && order.status === 'pending' &&
+          CANCELLABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+        req.body = { status: 'cancelled', updatedAt: new Date().toISOString() }
+        return true
+      }
+    }
+
+    forbidden(res, 'Solo gli amministratori possono modificare gli ordini')
+    return false
+  },
+
+  /**
+   * USERS - nessuna scrittura di password, ruolo modificabile solo da admin
+   */
+  users: (req, res, id) => {
+    // Password e hash passano solo da /auth/*
+    PROTECTED_USER_FIELDS.forEach((field) => {
+      if (req.body) delete req.body[field]
+    })
+
+    if (req.user.role === 'admin') {
+      return true
+    }
+
+    const isSelf = id && Number(id) === req.user.id
+    if ((req.method === 'PATCH' || req.method === 'PUT') && isSelf) {
+      // Un cliente non può promuoversi ad admin
+      if (req.body) delete req.body.role
+      return true
+    }
+
+    forbidden(res, 'Non hai i permessi per modificare questo utente')
+    return false
+  }
+}
+
+// ===== REGOLE DI LETTURA =====
+
+/**
+ * Stessa firma delle regole di scrittura
+ */
+const readRules = {
+  /**
+   * ORDERS - un cliente legge solo gli ordini intestati a sé
+   */
+  orders: (req, res, id, db) => {
+    if (req.user.role === 'admin') {
+      return true
+    }
+
+    if (!id) {
+      // Il filtro di json-server sostituisce quello scelto dal client
+      req.query.userId = String(req.user.id)
+      return true
+    }
+
+    const order = db.get('orders').find({ id: Number(id) }).value()
+    if (order?.userId !== req.user.id) {
+      res.status(404).json({ message: 'Ordine non trovato' })
+      return false
+    }
+    return true
+  },
+
+  /**
+   * USERS - un cliente legge solo il proprio profilo
+   */
+  users: (req, res, id) => {
+    if (req.user.role === 'admin' || (id && Number(id) === req.user.id)) {
+      return true
+    }
+
+    forbidden(res, 'Non hai i permessi per vedere questo utente')
+    return false
+  },
+
+  /**
+   * DB - l'intero database, password comprese
+   */
+  db: (req, res) => rules.products(req, res)
+}
+
+// ===== MIDDLEWARE =====
+
+/**
+ * AUTHORIZE WRITES
+ *
+ * Applica le regole sopra a ogni richiesta di scrittura. Le letture
+ * passano invariate; le scritture verso collezioni senza regola vengono negate.
+ *
+ * @param {Object} db - Istanza lowdb del router json-server
+ * @returns {Function} - Middleware Express
+ */
+export const authorizeWrites = (db) => (req, res, next) => {
+  if (!WRITE_METHODS.includes(req.method)) {
+    return next()
+  }
+
+  const [name = '', id] = parsePath(req.path)
+  const collection = name.toLowerCase()
+
+  if (SELF_AUTHORIZED_ROUTES.includes(collection)) {
+    return next()
+  }
+
+  if (!Object.hasOwn(rules, collection)) {
+    return forbidden(res, 'Questa risorsa non è modificabile')
+  }
+  const rule = rules[collection]
+
+  if (!req.user) {
+    return unauthorized(res)
+  }
+
+  if (rule(req, res, id, db)) {
+    next()
+  }
+}
+
+/**
+ * AUTHORIZE READS
+ *
+ * Applica le regole di lettura; le collezioni senza regola
+ * (catalogo, categorie, collezioni, ...) restano pubbliche.
+ *
+ * @param {Object} db - Istanza lowdb del router json-server
+ * @returns {Function} - Middleware Express
+ */
+export const authorizeReads = (db) => (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return next()
+  }
+
+  const [name = '', id] = parsePath(req.path)
+  const collection = name.toLowerCase()
+
+  if (!Object.hasOwn(readRules, collection)) {
+    return next()
+  }
+
+  if (!req.user) {
+    return unauthorized(res)
+  }
+
+  if (readRules[collection](req, res, id, db)) {
+    next()
+  }
+}
@@ -0,0 +1,281 @@
+/**
+ * BULK.JS - OPERAZIONI SU PIÙ PRODOTTI
+ *
+ * POST /products/bulk applica la stessa azione a un elenco di prodotti
+ * scelti nella dashboard admin e riporta l'esito prodotto per prodotto:
+ * un prodotto che non può ricevere la modifica (prezzo risultante non
+ * positivo, stock negativo...) viene saltato senza fermare gli altri.
+ *
+ * BODY:
+ * {
+ *   ids: [1, 2, 3],
+ *   action: { type, mode?, value?, category? },
+ *   dryRun: true           // Anteprima: calcola gli esiti senza salvare
+ * }
+ *
+ * AZIONI (action.type):
+ * - price:     mode 'percent' (±%), 'amount' (±€) o 'set' (nuovo prezzo)
+ * - category:  category = slug di una categoria non archiviata
+ * - stock:     mode 'set' (nuovo stock) o 'adjust' (±pezzi); sui prodotti
+ *              con varianti vale per ogni variante
+ * - publish:   pubblica subito (stato 'published', annulla la data programmata)
+ * - unpublish / archive: riporta in bozza o archivia (vedi src/utils/visibility.js)
+ * - delete:    sposta i prodotti nel cestino (vedi trash.js)
+ *
+ * RISPOSTA:
+ * {
+ *   dryRun,
+ *   results: [{ id, name, status, message?, before?, after?, product? }],
+ *   summary: { updated, unchanged, deleted, failed }
+ * }
+ * status è 'updated', 'unchanged', 'deleted' o 'failed'.
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import { hasVariants, totalVariantStock } from '../src/utils/variants.js'
+import { isDeleted, productStatus } from '../src/utils/visibility.js'
+import { moveToTrash } from './trash.js'
+import { productVersion } from './concurrency.js'
+
+// ===== COSTANTI =====
+const PRICE_MODES = ['percent', 'amount', 'set']
+const STOCK_MODES = ['set', 'adjust']
+const MAX_BULK_PRODUCTS = 500
+
+// ===== HELPERS =====
+
+/**
+ * Arrotonda ai centesimi
+ */
+const roundPrice = (value) => Math.round(value * 100) / 100
+
+/**
+ * VALIDATE ACTION
+ *
+ * Controlla l'azione una volta sola, prima di toccare i prodotti.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Object} action - Azione ricevuta nel body
+ * @returns {string|null} - Messaggio di errore, null se valida
+ */
+const validateAction = (db, action) => {
+  const value = Number(action?.value)
+
+  switch (action?.type) {
+    case 'price':
+      if (!PRICE_MODES.includes(action.mode)) return 'Tipo di variazione prezzo non valido'
+      if (action.value === '' || !Number.isFinite(value)) return 'Indica di quanto cambiare il prezzo'
+      if (action.mode === 'set' && !(value > 0)) return 'Il nuovo prezzo deve essere maggiore di 0'
+      if (action.mode === 'percent' && value <= -100) return 'Lo sconto non può arrivare al 100%'
+      return null
+
+    case 'category': {
+      const category = db.get('categories').find({ slug: action.category }).value()
+      if (!category) return 'Categoria non trovata'
+      if (category.archived) return `La categoria "${category.name}" è archiviata`
+      return null
+    }
+
+    case 'stock':
+      if (!STOCK_MODES.includes(action.mode)) return 'Tipo di variazione stock non valido'
+      if (action.value === '' || !Number.isInteger(value)) return 'La quantità deve essere un numero intero'
+      if (action.mode === 'set' && value < 0) return 'Lo stock non può essere negativo'
+      return null
+
+    case 'publish':
+    case 'unpublish':
+    case 'archive':
+    case 'delete':
+      return null
+
+    default:
+      return 'Azione non riconosciuta'
+  }
+}
+
+/**
+ * PLAN CHANGES
+ *
+ * Calcola le modifiche di un prodotto senza applicarle.
+ *
+ * @param {Object} product - Prodotto corrente
+ * @param {Object} action - Azione già validata
+ * @returns {Object} - { changes } oppure { error }
+ */
+const planChanges = (product, action) => {
+  const value = Number(action.value)
+
+  switch (action.type) {
+    case 'price': {
+      const current = Number(product.price) || 0
+      const price = roundPrice(
+        action.mode === 'percent' ? current * (1 + value / 100)
+          : action.mode === 'amount' ? current + value
+            : value
+      )
+
+      if (!(price > 0)) {
+        return { error: `Il prezzo risultante (${price.toFixed(2)} €) deve essere maggiore di 0` }
+      }
+
+      // Le varianti hanno un prezzo relativo al prezzo base
+      const invalidVariant = (product.variants || [])
+        .find(variant => !(price + (Number(variant.priceAdjustment) || 0) > 0))
+      if (invalidVariant) {
+        return { error: `Il prezzo della variante ${invalidVariant.sku} scenderebbe a 0 o meno` }
+      }
+
+      return { changes: { price } }
+    }
+
+    case 'category':
+      return { changes: { category: action.category } }
+
+    case 'stock': {
+      const nextStock = (stock) => action.mode === 'set' ? value : (Number(stock) || 0) + value
+
+      if (hasVariants(product)) {
+        const variants = product.variants.map(variant => ({ ...variant, stock: nextStock(variant.stock) }))
+        const negative = variants.find(variant => variant.stock < 0)
+        if (negative) {
+          return { error: `Lo stock della variante ${negative.sku} diventerebbe negativo` }
+        }
+        return { changes: { variants, stock: totalVariantStock(variants) } }
+      }
+
+      const stock = nextStock(product.stock)
+      if (stock < 0) {
+        return { error: `Lo stock diventerebbe negativo (${stock})` }
+      }
+      return { changes: { stock } }
+    }
+
+    case 'publish':
+      return { changes: { status: 'published', publishAt: null } }
+
+    case 'unpublish':
+      return { changes: { status: 'draft' } }
+
+    case 'archive':
+      return { changes: { status: 'archived' } }
+
+    default:
+      return { changes: {} }
+  }
+}
+
+/**
+ * DIFF
+ *
+ * Valori prima e dopo dei soli campi che cambiano davvero
+ * (le varianti sono riassunte dallo stock totale).
+ *
+ * @param {Object} product - Prodotto corrente
+ * @param {Object} changes - Modifiche calcolate
+ * @returns {Object} - { before, after }, vuoti se non cambia nulla
+ */
+const diff = (product, changes) => {
+  const before = {}
+  const after = {}
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (field === 'variants') return
+
+    const current = field === 'status' ? productStatus(product)
+      : field === 'publishAt' ? product.publishAt ?? null
+        : product[field]
+    if (current !== value) {
+      before[field] = current
+      after[field] = value
+    }
+  })
+
+  return { before, after }
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER BULK ROUTES
+ *
+ * Va registrata prima del router json-server, che altrimenti
+ * tratterebbe "bulk" come id di prodotto.
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerBulkRoutes = (server, db) => {
+  /**
+   * POST /products/bulk
+   * Applica (o simula, con dryRun) un'azione su più prodotti
+   */
+  server.post('/products/bulk', (req, res) => {
+    const { ids, action, dryRun = false } = req.body || {}
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: 'Seleziona almeno un prodotto' })
+    }
+    if (ids.length > MAX_BULK_PRODUCTS) {
+      return res.status(400).json({ message: `Puoi modificare al massimo ${MAX_BULK_PRODUCTS} prodotti alla volta` })
+    }
+
+    const actionError = validateAction(db, action)
+    if (actionError) {
+      return res.status(400).json({ message: actionError })
+    }
+
+    const now = new Date().toISOString()
+    const uniqueIds = [...new Set(ids.map(String))]
+
+    const results = uniqueIds.map((id) => {
+      const product = db.get('products').find(p => String(p.id) === id).value()
+
+      if (!product || isDeleted(product)) {
+        return { id, name: `Prodotto #${id}`, status: 'failed', message: 'Prodotto non trovato' }
+      }
+
+      const base = { id: product.id, name: product.name }
+
+      // ===== ELIMINAZIONE =====
+      if (action.type === 'delete') {
+        if (!dryRun) {
+          moveToTrash(db, product.id, now)
+        }
+        return { ...base, status: 'deleted' }
+      }
+
+      // ===== MODIFICA =====
+      const { changes, error } = planChanges(product, action)
+      if (error) {
+        return { ...base, status: 'failed', message: error }
+      }
+
+      const { before, after } = diff(product, changes)
+      if (Object.keys(after).length === 0) {
+        return { ...base, status: 'unchanged', message: 'Nessuna modifica necessaria' }
+      }
+
+      if (dryRun) {
+        return { ...base, status: 'updated', before, after }
+      }
+
+      const updated = db.get('products')
+        .find({ id: product.id })
+        .assign({ ...changes, updatedAt: now, version: productVersion(product) + 1 })
+        .value()
+
+      return { ...base, status: 'updated', before, after, product: { ...updated } }
+    })
+
+    if (!dryRun) {
+      db.write()
+    }
+
+    const summary = { updated: 0, unchanged: 0, deleted: 0, failed: 0 }
+    results.forEach((result) => { summary[result.status] += 1 })
+
+    res.json({ dryRun: Boolean(dryRun), results, summary })
+  })
+}
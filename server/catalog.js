@@ -0,0 +1,107 @@
+/**
+ * CATALOG.JS - CATALOGO PAGINATO PER IL NEGOZIO
+ *
+ * GET /catalog restituisce una pagina di prodotti già cercati,
+ * filtrati e ordinati, così il client non scarica l'intera collezione.
+ *
+ * QUERY PARAMETERS (gli stessi dell'URL di /shop):
+ * - q: ricerca full-text (vedi search.js)
+ * - category: slug categoria
+ * - min, max, available, new, sort: vedi src/utils/catalog.js
+ * - _page, _limit: paginazione come json-server (default 1 e 12, max 48)
+ *
+ * RISPOSTA:
+ * {
+ *   items,           // Prodotti della pagina (con reservedByOthers)
+ *   total,           // Prodotti che rispettano tutti i filtri
+ *   page, limit, hasMore,
+ *   categoryCounts,  // { slug: n } con tutti i filtri tranne la categoria
+ *   matchingTotal    // Somma di categoryCounts (il pulsante "Tutti")
+ * }
+ * Il totale è anche nell'header X-Total-Count, come per json-server.
+ */
+
+// ===== IMPORTAZIONI =====
+import { buildSearchIndex, searchProducts } from './search.js'
+import { readCatalogFilters, applyCatalogFilters, sortProducts } from '../src/utils/catalog.js'
+import { decorateProducts } from './reservations.js'
+import { isPublished } from '../src/utils/visibility.js'
+
+// ===== CONFIGURAZIONE =====
+const DEFAULT_LIMIT = 12
+const MAX_LIMIT = 48
+
+// ===== HELPERS =====
+
+/**
+ * Intero positivo dal parametro, altrimenti il default
+ */
+const readPositiveInt = (value, fallback) => {
+  const number = Number.parseInt(value, 10)
+  return Number.isFinite(number) && number > 0 ? number : fallback
+}
+
+/**
+ * Conta i prodotti per slug di categoria
+ */
+const countByCategory = (products) =>
+  products.reduce((counts, product) => {
+    counts[product.category] = (counts[product.category] || 0) + 1
+    return counts
+  }, {})
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER CATALOG ROUTES
+ *
+ * Va chiamata dopo authenticate(): i pezzi riservati si calcolano per req.user.
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerCatalogRoutes = (server, db) => {
+  /**
+   * GET /catalog
+   * Pagina di prodotti con totali e conteggi per categoria
+   */
+  server.get('/catalog', (req, res) => {
+    const params = new URL(req.originalUrl, 'http://localhost').searchParams
+    const filters = readCatalogFilters(params)
+    const query = (params.get('q') || '').trim()
+    const category = params.get('category') || ''
+
+    // Il negozio mostra solo i prodotti pubblicati, anche agli admin
+    const products = db.get('products').filter(isPublished).value()
+
+    // ===== RICERCA =====
+    // Con una ricerca l'ordine di partenza è la rilevanza
+    const searched = query
+      ? searchProducts(buildSearchIndex(products, db.get('categories').value() || []), query)
+      : products
+
+    // ===== FILTRI =====
+    const matching = applyCatalogFilters(searched, filters)
+    const inCategory = category
+      ? matching.filter(product => product.category === category)
+      : matching
+    const sorted = sortProducts(inCategory, filters.sort)
+
+    // ===== PAGINAZIONE =====
+    const limit = Math.min(readPositiveInt(params.get('_limit'), DEFAULT_LIMIT), MAX_LIMIT)
+    const page = readPositiveInt(params.get('_page'), 1)
+    const items = sorted.slice((page - 1) * limit, page * limit)
+
+    res.set('X-Total-Count', String(sorted.length))
+    res.set('Access-Control-Expose-Headers', 'X-Total-Count')
+    res.json({
+      items: decorateProducts(items, req.user, db),
+      total: sorted.length,
+      page,
+      limit,
+      hasMore: page * limit < sorted.length,
+      categoryCounts: countByCategory(matching),
+      matchingTotal: matching.length
+    })
+  })
+}
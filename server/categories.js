@@ -0,0 +1,198 @@
+/**
+ * CATEGORIES.JS - VALIDAZIONE E INTEGRITÀ DELLE CATEGORIE
+ *
+ * Le categorie vivono nella collezione categories di db.json:
+ * { id, name, slug, description, imageUrl, icon, sortOrder, archived }
+ * I prodotti le referenziano tramite lo slug (product.category).
+ *
+ * Questo modulo affianca le route REST di json-server con:
+ * - Validazione di nome e slug (obbligatori, slug univoco)
+ * - Valori di default alla creazione (slug dal nome, ultimo sortOrder)
+ * - Aggiornamento dei prodotti quando cambia lo slug (con nuova
+ *   versione e voce nel registro delle modifiche, vedi audit.js)
+ * - Blocco dell'eliminazione se la categoria contiene prodotti
+ *   (va archiviata, così resta visibile sui prodotti esistenti)
+ * - POST /categories/reorder per salvare il nuovo ordinamento in un colpo solo
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import { recordAudit } from './audit.js'
+import { bumpVersion } from './concurrency.js'
+
+// ===== COSTANTI =====
+export const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/
+
+// ===== HELPERS =====
+
+/**
+ * SLUGIFY
+ *
+ * "Orecchini Pendenti" → "orecchini-pendenti"
+ *
+ * @param {string} text - Testo da convertire
+ * @returns {string} - Slug URL-safe
+ */
+export const slugify = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '') // Rimuove gli accenti
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+
+/**
+ * VALIDATE CATEGORY
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Object} category - Dati categoria (dopo i default)
+ * @param {number|null} id - ID della categoria modificata (null se nuova)
+ * @returns {Object|null} - { status, message } se non valida
+ */
+const validateCategory = (db, category, id) => {
+  if (!String(category.name || '').trim()) {
+    return { status: 400, message: 'Il nome della categoria è obbligatorio' }
+  }
+
+  if (!SLUG_PATTERN.test(category.slug || '')) {
+    return { status: 400, message: 'Lo slug può contenere solo lettere minuscole, numeri e trattini' }
+  }
+
+  const duplicate = db.get('categories')
+    .find(c => c.slug === category.slug && c.id !== id)
+    .value()
+
+  if (duplicate) {
+    return { status: 409, message: `Esiste già una categoria con slug "${category.slug}"` }
+  }
+
+  return null
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER CATEGORY ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerCategoryRoutes = (server, db) => {
+  // Collezione creata al primo avvio sui database esistenti
+  if (!db.has('categories').value()) {
+    db.set('categories', []).write()
+  }
+
+  /**
+   * POST /categories/reorder
+   * Riceve { ids } nell'ordine desiderato e riassegna sortOrder
+   */
+  server.post('/categories/reorder', (req, res) => {
+    const ids = req.body?.ids
+
+    if (!Array.isArray(ids)) {
+      return res.status(400).json({ message: 'Elenco categorie non valido' })
+    }
+
+    ids.forEach((id, index) => {
+      db.get('categories').find({ id: Number(id) }).assign({ sortOrder: index + 1 }).value()
+    })
+    db.write()
+
+    res.json(db.get('categories').sortBy('sortOrder').value())
+  })
+
+  /**
+   * POST /categories
+   * Completa i default e valida, poi prosegue verso json-server
+   */
+  server.post('/categories', (req, res, next) => {
+    const categories = db.get('categories').value()
+    const name = String(req.body?.name || '').trim()
+
+    req.body = {
+      description: '',
+      imageUrl: '',
+      icon: '',
+      ...req.body,
+      name,
+      slug: req.body?.slug ? String(req.body.slug).trim() : slugify(name),
+      sortOrder: Math.max(0, ...categories.map(c => c.sortOrder || 0)) + 1,
+      archived: false,
+      createdAt: new Date().toISOString()
+    }
+
+    const error = validateCategory(db, req.body, null)
+    if (error) {
+      return res.status(error.status).json({ message: error.message })
+    }
+
+    next()
+  })
+
+  /**
+   * PATCH|PUT /categories/:id
+   * Valida e, se cambia lo slug, aggiorna i prodotti che lo usano
+   */
+  const validateUpdate = (req, res, next) => {
+    const id = Number(req.params.id)
+    const current = db.get('categories').find({ id }).value()
+
+    // Categoria inesistente: risponde json-server con 404
+    if (!current) {
+      return next()
+    }
+
+    const updated = { ...current, ...req.body }
+    if (typeof updated.name === 'string') updated.name = updated.name.trim()
+
+    const error = validateCategory(db, updated, id)
+    if (error) {
+      return res.status(error.status).json({ message: error.message })
+    }
+
+    if (updated.slug !== current.slug) {
+      // Come ogni modifica ai prodotti: nuova versione (un editor aperto
+      // non riscrive il vecchio slug) e voce nel registro
+      db.get('products')
+        .filter({ category: current.slug })
+        .each((product) => {
+          const before = JSON.parse(JSON.stringify(product))
+          product.category = updated.slug
+          bumpVersion(product)
+          recordAudit(db, {
+            entity: 'products',
+            entityId: product.id,
+            action: 'update',
+            source: 'category',
+            user: req.user,
+            before,
+            after: product
+          })
+        })
+        .value()
+      db.write()
+    }
+
+    req.body = { ...req.body, name: updated.name, updatedAt: new Date().toISOString() }
+    next()
+  }
+
+  server.patch('/categories/:id', validateUpdate)
+  server.put('/categories/:id', validateUpdate)
+
+  /**
+   * DELETE /categories/:id
+   * Consentito solo per categorie senza prodotti
+   */
+  server.delete('/categories/:id', (req, res, next) => {
+    const category = db.get('categories').find({ id: Number(req.params.id) }).value()
+    const inUse = category && db.get('products').some({ category: category.slug }).value()
+
+    if (inUse) {
+      return res.status(409).json({ message: 'La categoria contiene prodotti: archiviala invece di eliminarla' })
+    }
+
+    next()
+  })
+}
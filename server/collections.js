@@ -0,0 +1,171 @@
+/**
+ * COLLECTIONS.JS - COLLEZIONI DI PRODOTTI
+ *
+ * Le collezioni raccontano insieme pezzi nati dallo stesso servizio
+ * di piatti (es. "Servizio Richard Ginori anni '50"). Vivono nella
+ * collezione collections di db.json:
+ * { id, title, slug, story, coverImage, productIds, createdAt, updatedAt }
+ * - story: testo del racconto, paragrafi separati da una riga vuota
+ * - coverImage: immagine { url, alt, sizes?, webp? } o null (vedi images.js)
+ * - productIds: prodotti nell'ordine in cui compaiono nella pagina
+ *
+ * Questo modulo affianca le route REST di json-server con:
+ * - Valori di default alla creazione (slug dal titolo)
+ * - Validazione di titolo, slug univoco e prodotti (quelli inesistenti
+ *   o nel cestino vengono tolti dall'elenco)
+ *
+ * La pagina pubblica cerca la collezione con GET /collections?slug=...
+ * e mostra solo i prodotti visibili nel negozio.
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import { SLUG_PATTERN, slugify } from './categories.js'
+import { isDeleted } from '../src/utils/visibility.js'
+
+// ===== COSTANTI =====
+const MAX_TITLE_LENGTH = 100
+const MAX_STORY_LENGTH = 5000
+
+// ===== HELPERS =====
+
+/**
+ * VALIDATE COLLECTION
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Object} collection - Dati collezione (dopo i default)
+ * @param {number|null} id - ID della collezione modificata (null se nuova)
+ * @returns {Object|null} - { status, message } se non valida
+ */
+const validateCollection = (db, collection, id) => {
+  const title = String(collection.title || '')
+
+  if (!title.trim()) {
+    return { status: 400, message: 'Il titolo della collezione è obbligatorio' }
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { status: 400, message: `Il titolo può avere al massimo ${MAX_TITLE_LENGTH} caratteri` }
+  }
+
+  if (!SLUG_PATTERN.test(collection.slug || '')) {
+    return { status: 400, message: 'Lo slug può contenere solo lettere minuscole, numeri e trattini' }
+  }
+
+  const duplicate = db.get('collections')
+    .find(c => c.slug === collection.slug && c.id !== id)
+    .value()
+
+  if (duplicate) {
+    return { status: 409, message: `Esiste già una collezione con slug "${collection.slug}"` }
+  }
+
+  if (typeof collection.story !== 'string' || collection.story.length > MAX_STORY_LENGTH) {
+    return { status: 400, message: `Il racconto può avere al massimo ${MAX_STORY_LENGTH} caratteri` }
+  }
+
+  // ===== PRODOTTI =====
+  const ids = collection.productIds
+  if (!Array.isArray(ids) || ids.some(productId => !Number.isInteger(productId))) {
+    return { status: 400, message: 'Elenco prodotti della collezione non valido' }
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { status: 400, message: 'Un prodotto compare due volte nella collezione' }
+  }
+
+  return null
+}
+
+/**
+ * Converte gli id ricevuti in numeri (i form li mandano anche come stringhe)
+ */
+const readProductIds = (ids) => (Array.isArray(ids) ? ids.map(Number) : ids)
+
+/**
+ * Toglie i prodotti inesistenti o nel cestino: uno cestinato mentre
+ * l'admin modificava la collezione non deve bloccarne il salvataggio
+ */
+const dropMissingProducts = (db, ids) => ids.filter((productId) => {
+  const product = db.get('products').find({ id: productId }).value()
+  return product && !isDeleted(product)
+})
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER COLLECTION ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerCollectionRoutes = (server, db) => {
+  // Collezione creata al primo avvio sui database esistenti
+  // (json-server ne espone le route REST dal riavvio successivo)
+  if (!db.has('collections').value()) {
+    db.set('collections', []).write()
+  }
+
+  /**
+   * POST /collections
+   * Completa i default e valida, poi prosegue verso json-server
+   */
+  server.post('/collections', (req, res, next) => {
+    const title = String(req.body?.title || '').trim()
+    const now = new Date().toISOString()
+
+    req.body = {
+      story: '',
+      coverImage: null,
+      productIds: [],
+      ...req.body,
+      title,
+      slug: req.body?.slug ? String(req.body.slug).trim() : slugify(title),
+      createdAt: now,
+      updatedAt: now
+    }
+    req.body.productIds = readProductIds(req.body.productIds)
+
+    const error = validateCollection(db, req.body, null)
+    if (error) {
+      return res.status(error.status).json({ message: error.message })
+    }
+
+    req.body.productIds = dropMissingProducts(db, req.body.productIds)
+    next()
+  })
+
+  /**
+   * PATCH|PUT /collections/:id
+   * Valida la collezione come risulterà dopo la modifica
+   */
+  const validateUpdate = (req, res, next) => {
+    const id = Number(req.params.id)
+    const current = db.get('collections').find({ id }).value()
+
+    // Collezione inesistente: risponde json-server con 404
+    if (!current) {
+      return next()
+    }
+
+    const updated = { ...current, ...req.body }
+    if (typeof updated.title === 'string') updated.title = updated.title.trim()
+    updated.productIds = readProductIds(updated.productIds)
+
+    const error = validateCollection(db, updated, id)
+    if (error) {
+      return res.status(error.status).json({ message: error.message })
+    }
+
+    req.body = {
+      ...req.body,
+      title: updated.title,
+      productIds: dropMissingProducts(db, updated.productIds),
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    }
+    next()
+  }
+
+  server.patch('/collections/:id', validateUpdate)
+  server.put('/collections/:id', validateUpdate)
+}
@@ -0,0 +1,92 @@
+/**
+ * CONCURRENCY.JS - VERSIONE DEI PRODOTTI
+ *
+ * Ogni prodotto ha un numero di versione che cresce a ogni modifica
+ * (editor, operazioni multiple, importazione, cestino, cronologia e
+ * stock scalato dagli ordini). I prodotti creati prima del campo
+ * sono alla versione 1.
+ *
+ * PATCH e PUT /products/:id devono indicare nel body la versione da cui
+ * parte la modifica: se nel frattempo il prodotto è cambiato il server
+ * risponde 409 con la versione attuale, invece di sovrascrivere le
+ * modifiche dell'altro admin.
+ *
+ * RISPOSTA 409:
+ * { message, current }   // current = prodotto com'è ora sul server
+ *
+ * Va registrato dopo authorizeWrites() e prima delle altre route
+ * che preparano il body dei prodotti (varianti, immagini).
+ */
+
+// ===== HELPERS =====
+
+/**
+ * PRODUCT VERSION
+ *
+ * @param {Object} product - Prodotto
+ * @returns {number} - Versione corrente (1 se il campo manca)
+ */
+export const productVersion = (product) => Number(product?.version) || 1
+
+/**
+ * BUMP VERSION
+ *
+ * Da chiamare su ogni prodotto modificato fuori dalle route REST.
+ * Modifica il record sul posto.
+ *
+ * @param {Object} product - Prodotto nel database
+ * @returns {Object} - Lo stesso prodotto, alla versione successiva
+ */
+export const bumpVersion = (product) => {
+  product.version = productVersion(product) + 1
+  return product
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER CONCURRENCY ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerConcurrencyRoutes = (server, db) => {
+  /**
+   * POST /products
+   * I prodotti nuovi partono dalla versione 1
+   */
+  server.post('/products', (req, res, next) => {
+    req.body = { ...req.body, version: 1 }
+    next()
+  })
+
+  /**
+   * PATCH|PUT /products/:id
+   * Accetta la modifica solo se parte dalla versione corrente
+   */
+  const checkVersion = (req, res, next) => {
+    const product = db.get('products').find(p => String(p.id) === req.params.id).value()
+
+    // Prodotto inesistente: risponde json-server con 404
+    if (!product) {
+      return next()
+    }
+
+    if (req.body?.version === undefined) {
+      return res.status(428).json({ message: 'Indica la versione del prodotto da modificare' })
+    }
+
+    if (Number(req.body.version) !== productVersion(product)) {
+      return res.status(409).json({
+        message: `"${product.name}" è stato modificato da qualcun altro dopo che l'hai aperto`,
+        current: product
+      })
+    }
+
+    req.body = { ...req.body, version: productVersion(product) + 1 }
+    next()
+  }
+
+  server.patch('/products/:id', checkVersion)
+  server.put('/products/:id', checkVersion)
+}
@@ -0,0 +1,338 @@
+/**
+ * IMAGES.JS - GALLERIA E UPLOAD DELLE IMMAGINI PRODOTTO
+ *
+ * Normalizza product.images su POST/PUT/PATCH /products
+ * (vedi src/utils/images.js per la struttura):
+ * - Tiene solo url, alt e gli URL dei formati generati, scarta le voci senza url
+ * - Accetta URL http(s) o percorsi locali che iniziano con /
+ * - Copia la prima immagine (la principale) in product.imageUrl
+ *
+ * Con le stesse regole normalizza la copertina delle collezioni
+ * (collection.coverImage su POST/PUT/PATCH /collections, null se assente).
+ *
+ * Gestisce inoltre le foto caricate dagli admin:
+ * - POST /uploads/images: riceve il file grezzo (JPEG, PNG o WebP, max 10 MB),
+ *   scarta i metadati EXIF (posizione GPS compresa) e genera i formati
+ *   thumbnail, card e zoom, ognuno anche in WebP
+ * - GET /uploads/:file: serve i file salvati su disco in UPLOADS_DIR
+ *
+ * Le foto si salvano con percorsi relativi (/uploads/...): il client li
+ * risolve verso l'indirizzo delle API, così i dati non dipendono
+ * dall'host con cui il server è stato raggiunto.
+ * removeOrphanUploads() cancella dal disco i file che una scrittura ha
+ * lasciato senza riferimenti (foto tolte o sostituite, prodotti eliminati
+ * definitivamente). Gli ordini tengono in vita le foto dei loro articoli;
+ * il registro delle modifiche no, quindi tornare a una vecchia versione
+ * può riportare un'immagine non più disponibile.
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import sharp from 'sharp'
+
+// ===== CONFIGURAZIONE =====
+const UPLOADS_DIR = process.env.UPLOADS_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads')
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024
+
+// ===== COSTANTI =====
+const IMAGE_URL_PATTERN = /^(https?:\/\/|\/)\S+$/
+const UPLOAD_FILE_PATTERN = /^[a-z0-9-]+\.(jpg|png|webp)$/
+const UPLOAD_REFERENCE_PATTERN = /\/uploads\/([a-z0-9-]+\.(?:jpg|png|webp))/g
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+
+const IMAGE_COLLECTIONS = ['products', 'collections', 'categories'] // Scritture che possono togliere foto
+const UNTRACKED_COLLECTIONS = ['auditLog']                          // Non tiene in vita le foto (vedi sopra)
+
+/**
+ * Formati generati per ogni foto: lato lungo massimo in pixel
+ */
+const IMAGE_SIZES = {
+  thumbnail: 200, // Miniature della galleria e tabelle admin
+  card: 600,      // Card del negozio e carrello
+  zoom: 1600      // Pagina dettaglio e lightbox
+}
+
+/**
+ * Formati accettati, riconosciuti dai primi byte del file
+ * (il Content-Type dichiarato dal browser non basta)
+ */
+const SOURCE_FORMATS = [
+  { format: 'jpeg', extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'png', extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'webp', extension: 'webp', matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+]
+
+// ===== HELPERS =====
+
+/**
+ * Errore con status HTTP, per le risposte degli handler async
+ */
+class UploadError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.status = status
+  }
+}
+
+/**
+ * READ RAW BODY
+ *
+ * Legge il corpo della richiesta come Buffer. Oltre il limite i dati
+ * vengono scartati (la lettura prosegue, così il client riceve il 413).
+ *
+ * @param {Object} req - Richiesta Express
+ * @param {number} limit - Byte massimi
+ * @returns {Promise<Buffer>} - Contenuto del file
+ */
+const readRawBody = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = []
+  let size = 0
+
+  req.on('data', (chunk) => {
+    size += chunk.length
+    if (size <= limit) chunks.push(chunk)
+  })
+  req.on('end', () => {
+    if (size > limit) {
+      reject(new UploadError('Immagine troppo grande: massimo 10 MB', 413))
+    } else {
+      resolve(Buffer.concat(chunks))
+    }
+  })
+  req.on('error', reject)
+})
+
+/**
+ * Tiene solo gli URL validi dei formati noti (thumbnail, card, zoom)
+ */
+const pickSizeUrls = (urls) => Object.fromEntries(
+  Object.keys(IMAGE_SIZES)
+    .filter(size => typeof urls?.[size] === 'string' && IMAGE_URL_PATTERN.test(urls[size]))
+    .map(size => [size, urls[size]])
+)
+
+/**
+ * NORMALIZE IMAGE
+ *
+ * @param {Object} image - Immagine ricevuta nel body
+ * @returns {Object} - { url, alt, sizes?, webp? }
+ */
+const normalizeImage = (image) => {
+  const sizes = pickSizeUrls(image?.sizes)
+  const webp = pickSizeUrls(image?.webp)
+
+  return {
+    url: String(image?.url || '').trim(),
+    alt: String(image?.alt || '').trim(),
+    ...(Object.keys(sizes).length > 0 && { sizes }),
+    ...(Object.keys(webp).length > 0 && { webp })
+  }
+}
+
+/**
+ * PROCESS UPLOAD
+ *
+ * Genera e salva i formati di una foto. rotate() applica l'orientamento
+ * EXIF prima che i metadati vengano scartati (sharp non li copia
+ * nei file generati se non richiesto esplicitamente).
+ *
+ * @param {Buffer} buffer - File caricato
+ * @param {Object} source - Voce di SOURCE_FORMATS
+ * @returns {Promise<Object>} - Immagine { url, alt, sizes, webp } con percorsi /uploads/...
+ */
+const processUpload = async (buffer, source) => {
+  const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`
+  const sizes = {}
+  const webp = {}
+
+  for (const [size, maxSide] of Object.entries(IMAGE_SIZES)) {
+    const resized = () => sharp(buffer)
+      .rotate()
+      .resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+
+    const file = `${name}-${size}.${source.extension}`
+    const webpFile = `${name}-${size}.webp`
+
+    await resized().toFormat(source.format, { quality: 82 }).toFile(path.join(UPLOADS_DIR, file))
+    await resized().webp({ quality: 80 }).toFile(path.join(UPLOADS_DIR, webpFile))
+
+    sizes[size] = `/uploads/${file}`
+    webp[size] = `/uploads/${webpFile}`
+  }
+
+  return { url: sizes.card, alt: '', sizes, webp }
+}
+
+/**
+ * REFERENCED UPLOADS
+ *
+ * File caricati citati da qualche record (prodotti anche nel cestino,
+ * collezioni, categorie, ordini). Accetta sia i percorsi relativi sia
+ * gli URL assoluti salvati prima che l'upload li rendesse relativi.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @returns {Set<string>} - Nomi dei file
+ */
+const referencedUploads = (db) => {
+  const data = Object.entries(db.getState())
+    .filter(([key]) => !UNTRACKED_COLLECTIONS.includes(key))
+  const json = JSON.stringify(data)
+
+  return new Set([...json.matchAll(UPLOAD_REFERENCE_PATTERN)].map(match => match[1]))
+}
+
+// ===== MIDDLEWARE =====
+
+/**
+ * REMOVE ORPHAN UPLOADS
+ *
+ * Come auditWrites(): fotografa i file usati prima della scrittura e,
+ * se la risposta è andata a buon fine, cancella quelli non più usati.
+ * Va registrato prima delle route che modificano prodotti e collezioni.
+ *
+ * @param {Object} db - Istanza lowdb del router json-server
+ * @returns {Function} - Middleware Express
+ */
+export const removeOrphanUploads = (db) => (req, res, next) => {
+  const [collection = ''] = req.path.toLowerCase().split('/').filter(Boolean)
+
+  if (!WRITE_METHODS.includes(req.method) || !IMAGE_COLLECTIONS.includes(collection)) {
+    return next()
+  }
+
+  const before = referencedUploads(db)
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return
+
+    const after = referencedUploads(db)
+    before.forEach((file) => {
+      if (after.has(file)) return
+
+      fs.unlink(path.join(UPLOADS_DIR, file), (error) => {
+        if (error && error.code !== 'ENOENT') {
+          console.error('Orphan upload removal error:', error)
+        }
+      })
+    })
+  })
+
+  next()
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER IMAGE ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ */
+export const registerImageRoutes = (server) => {
+  // Cartella creata al primo avvio
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true })
+
+  /**
+   * POST /products, PATCH|PUT /products/:id
+   * Normalizza la galleria e allinea imageUrl alla principale
+   */
+  const prepareImages = (req, res, next) => {
+    if (!req.body || !('images' in req.body)) {
+      return next()
+    }
+
+    if (!Array.isArray(req.body.images)) {
+      return res.status(400).json({ message: 'Le immagini devono essere un elenco' })
+    }
+
+    const images = req.body.images
+      .map(normalizeImage)
+      .filter(image => image.url)
+
+    const invalid = images.find(image => !IMAGE_URL_PATTERN.test(image.url))
+    if (invalid) {
+      return res.status(400).json({ message: `URL immagine non valido: ${invalid.url}` })
+    }
+
+    req.body = {
+      ...req.body,
+      images,
+      ...(images.length > 0 && { imageUrl: images[0].url })
+    }
+    next()
+  }
+
+  server.post('/products', prepareImages)
+  server.patch('/products/:id', prepareImages)
+  server.put('/products/:id', prepareImages)
+
+  /**
+   * POST /collections, PATCH|PUT /collections/:id
+   * Normalizza la copertina; senza url la collezione resta senza copertina
+   */
+  const prepareCover = (req, res, next) => {
+    if (!req.body || !('coverImage' in req.body)) {
+      return next()
+    }
+
+    const cover = req.body.coverImage ? normalizeImage(req.body.coverImage) : null
+    if (cover?.url && !IMAGE_URL_PATTERN.test(cover.url)) {
+      return res.status(400).json({ message: `URL immagine non valido: ${cover.url}` })
+    }
+
+    req.body = { ...req.body, coverImage: cover?.url ? cover : null }
+    next()
+  }
+
+  server.post('/collections', prepareCover)
+  server.patch('/collections/:id', prepareCover)
+  server.put('/collections/:id', prepareCover)
+
+  /**
+   * POST /uploads/images
+   * Corpo: il file immagine grezzo. Risponde con l'immagine da
+   * aggiungere a product.images
+   */
+  server.post('/uploads/images', async (req, res) => {
+    try {
+      const buffer = await readRawBody(req, MAX_UPLOAD_BYTES)
+      const source = SOURCE_FORMATS.find(candidate => candidate.matches(buffer))
+
+      if (!source) {
+        throw new UploadError('Formato non supportato: carica una foto JPEG, PNG o WebP', 415)
+      }
+
+      const image = await processUpload(buffer, source)
+      res.status(201).json(image)
+    } catch (error) {
+      if (error instanceof UploadError) {
+        return res.status(error.status).json({ message: error.message })
+      }
+
+      // sharp non riesce a leggere il file: intestazione valida ma contenuto rovinato
+      console.error('Image upload error:', error)
+      res.status(400).json({ message: 'Immagine danneggiata o non leggibile' })
+    }
+  })
+
+  /**
+   * GET /uploads/:file
+   * I nomi sono generati dal server: qualsiasi altro nome è un 404
+   */
+  server.get('/uploads/:file', (req, res) => {
+    if (!UPLOAD_FILE_PATTERN.test(req.params.file)) {
+      return res.status(404).json({ message: 'Immagine non trovata' })
+    }
+
+    res.sendFile(path.join(UPLOADS_DIR, req.params.file), { maxAge: '30d', immutable: true }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ message: 'Immagine non trovata' })
+      }
+    })
+  })
+}
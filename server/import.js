@@ -0,0 +1,420 @@
+/**
+ * IMPORT.JS - IMPORTAZIONE DEL CATALOGO DA FOGLIO DI CALCOLO
+ *
+ * POST /products/import riceve le righe di un CSV o JSON già abbinate
+ * ai campi prodotto (vedi src/utils/productTransfer.js) e per ognuna:
+ * - valida i valori (prezzo positivo, stock intero, categoria esistente...)
+ * - trova il prodotto da aggiornare per ID o per SKU (matchBy)
+ * - aggiorna il prodotto, o la variante indicata dallo SKU,
+ *   oppure crea un prodotto nuovo (senza varianti)
+ * - riporta le differenze: created, updated, unchanged o failed
+ *
+ * Le celle vuote lasciano il valore attuale. Le righe non valide
+ * vengono saltate senza fermare le altre, come quelle di prodotti nel cestino.
+ *
+ * BODY:
+ * {
+ *   rows: [{ line, id?, sku?, name?, price?, ... }],
+ *   matchBy: 'id' | 'sku',
+ *   dryRun: true             // Anteprima: calcola le differenze senza salvare
+ * }
+ *
+ * RISPOSTA:
+ * {
+ *   dryRun,
+ *   results: [{ line, status, id, sku, name, changes: [{ field, before, after }], errors }],
+ *   summary: { created, updated, unchanged, failed },
+ *   products                 // Prodotti creati o modificati (solo se salvati)
+ * }
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import { VARIANT_OPTIONS, hasVariants, productSkus, totalVariantStock, variantLabel } from '../src/utils/variants.js'
+import { parseDecimal, parseStatus, splitTags } from '../src/utils/productTransfer.js'
+import { PRODUCT_STATUSES, isDeleted, productStatus } from '../src/utils/visibility.js'
+import { bumpVersion } from './concurrency.js'
+import { readPublishAt } from './publishing.js'
+
+// ===== COSTANTI =====
+const MATCH_MODES = ['id', 'sku']
+const MAX_IMPORT_ROWS = 2000
+const DEFAULT_IMAGE_URL = 'https://placehold.co/400x300?text=Prodotto'
+
+// Campi del prodotto confrontati nel diff, con il nome mostrato all'admin
+const PRODUCT_FIELDS = {
+  name: 'Nome',
+  description: 'Descrizione',
+  price: 'Prezzo',
+  category: 'Categoria',
+  stock: 'Stock',
+  tags: 'Tag',
+  imageUrl: 'Immagine',
+  status: 'Stato',
+  publishAt: 'Pubblica dal',
+  sku: 'SKU'
+}
+
+// ===== HELPERS =====
+
+/**
+ * Testo della cella, undefined se vuota (= non modificare)
+ */
+const readText = (value) => {
+  const text = String(value ?? '').trim()
+  return text === '' ? undefined : text
+}
+
+/**
+ * Confronto per il diff (i tag sono array)
+ */
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+/**
+ * READ ROW
+ *
+ * Converte le celle nei tipi del prodotto.
+ *
+ * @param {Object} row - Riga abbinata ai campi
+ * @param {Array} categories - Categorie del catalogo
+ * @returns {Object} - { values, errors }
+ */
+const readRow = (row, categories) => {
+  const values = {}
+  const errors = []
+
+  values.id = readText(row.id)
+  values.sku = readText(row.sku)?.toUpperCase()
+  values.name = readText(row.name)
+  values.description = readText(row.description)
+
+  const price = parseDecimal(row.price)
+  if (price !== null) {
+    if (Number.isFinite(price) && price > 0) values.price = Math.round(price * 100) / 100
+    else errors.push(`Prezzo non valido: "${row.price}"`)
+  }
+
+  const categoryText = readText(row.category)
+  if (categoryText) {
+    const wanted = categoryText.toLowerCase()
+    const category = categories.find(c => c.slug === wanted || c.name.toLowerCase() === wanted)
+    if (category) values.category = category.slug
+    else errors.push(`Categoria "${categoryText}" non trovata`)
+  }
+
+  const stock = parseDecimal(row.stock)
+  if (stock !== null) {
+    if (Number.isInteger(stock) && stock >= 0) values.stock = stock
+    else errors.push(`Stock non valido: "${row.stock}" (serve un intero non negativo)`)
+  }
+
+  if (readText(row.tags) || Array.isArray(row.tags)) {
+    values.tags = splitTags(row.tags)
+  }
+
+  const imageUrl = readText(row.imageUrl)
+  if (imageUrl) {
+    if (/^(https?:\/\/|\/)/.test(imageUrl)) values.imageUrl = imageUrl
+    else errors.push(`URL immagine non valido: "${imageUrl}"`)
+  }
+
+  const status = parseStatus(row.status)
+  if (status === undefined) errors.push(`Stato non riconosciuto: "${row.status}" (usa bozza, pubblicato o archiviato)`)
+  else if (status !== null) values.status = status
+
+  if (readText(row.publishAt)) {
+    const { publishAt, error } = readPublishAt(row.publishAt)
+    if (error) errors.push(error)
+    else values.publishAt = publishAt
+  }
+
+  const options = {}
+  VARIANT_OPTIONS.forEach(({ key }) => {
+    const value = readText(row[key])
+    if (value) options[key] = value
+  })
+  if (Object.keys(options).length > 0) values.options = options
+
+  const priceAdjustment = parseDecimal(row.priceAdjustment)
+  if (priceAdjustment !== null) {
+    if (Number.isFinite(priceAdjustment)) values.priceAdjustment = Math.round(priceAdjustment * 100) / 100
+    else errors.push(`Variazione prezzo non valida: "${row.priceAdjustment}"`)
+  }
+
+  return { values, errors }
+}
+
+/**
+ * DIFF PRODUCTS
+ *
+ * @param {Object|null} before - Prodotto prima della riga (null se nuovo)
+ * @param {Object} after - Prodotto dopo la riga
+ * @returns {Array} - [{ field, before, after }] dei soli campi cambiati
+ */
+const diffProducts = (before, after) => {
+  const changes = []
+
+  Object.entries(PRODUCT_FIELDS).forEach(([key, label]) => {
+    // Lo stock dei prodotti con varianti è riportato per variante
+    if (key === 'stock' && hasVariants(after)) return
+    if (key === 'status') {
+      const previous = before ? PRODUCT_STATUSES[productStatus(before)].label : null
+      const next = PRODUCT_STATUSES[productStatus(after)].label
+      if (previous !== next) {
+        changes.push({ field: label, before: previous, after: next })
+      }
+      return
+    }
+    const isEmpty = after[key] === undefined || after[key] === '' || sameValue(after[key], [])
+    if (!sameValue(before?.[key], after[key]) && !(before === null && isEmpty)) {
+      changes.push({ field: label, before: before?.[key] ?? null, after: after[key] ?? null })
+    }
+  })
+
+  ;(after.variants || []).forEach((variant) => {
+    const previous = before?.variants?.find(v => v.id === variant.id)
+    if (!sameValue(previous?.stock, variant.stock)) {
+      changes.push({ field: `Stock ${variant.sku}`, before: previous?.stock ?? null, after: variant.stock })
+    }
+    if (!sameValue(previous?.priceAdjustment || 0, variant.priceAdjustment || 0)) {
+      changes.push({ field: `Variazione prezzo ${variant.sku}`, before: previous?.priceAdjustment || 0, after: variant.priceAdjustment || 0 })
+    }
+    if (!sameValue(previous?.options, variant.options)) {
+      changes.push({ field: `Opzioni ${variant.sku}`, before: variantLabel(previous), after: variantLabel(variant) })
+    }
+  })
+
+  return changes
+}
+
+/**
+ * VALIDATE PRODUCT
+ *
+ * Controlli sul prodotto risultante dalla riga.
+ *
+ * @param {Object} product - Prodotto aggiornato o nuovo
+ * @param {Array} products - Catalogo di lavoro (per l'unicità degli SKU)
+ * @returns {Array} - Messaggi di errore
+ */
+const validateProduct = (product, products) => {
+  const errors = []
+
+  ;(product.variants || []).forEach((variant) => {
+    if (!(Number(product.price) + (Number(variant.priceAdjustment) || 0) > 0)) {
+      errors.push(`Il prezzo della variante ${variant.sku} deve essere maggiore di 0`)
+    }
+  })
+
+  const combinations = (product.variants || []).map(v => JSON.stringify(VARIANT_OPTIONS.map(({ key }) => v.options?.[key] || '')))
+  if (new Set(combinations).size !== combinations.length) {
+    errors.push('Due varianti avrebbero le stesse opzioni')
+  }
+
+  const skus = productSkus(product)
+  const owner = products.find(other => other.id !== product.id && productSkus(other).some(sku => skus.includes(sku)))
+  if (owner) {
+    errors.push(`Lo SKU è già usato da "${owner.name}"`)
+  }
+
+  return errors
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER IMPORT ROUTES
+ *
+ * Va registrata prima del router json-server, che altrimenti
+ * tratterebbe "import" come id di prodotto.
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerImportRoutes = (server, db) => {
+  /**
+   * POST /products/import
+   * Importa (o simula, con dryRun) le righe di un foglio di calcolo
+   */
+  server.post('/products/import', (req, res) => {
+    const { rows, matchBy = 'id', dryRun = false } = req.body || {}
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ message: 'Il file non contiene righe da importare' })
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Puoi importare al massimo ${MAX_IMPORT_ROWS} righe alla volta` })
+    }
+    if (!MATCH_MODES.includes(matchBy)) {
+      return res.status(400).json({ message: 'Scegli se riconoscere i prodotti per ID o per SKU' })
+    }
+
+    const categories = db.get('categories').value() || []
+    const now = new Date().toISOString()
+
+    // Si lavora su una copia: le righe successive vedono le modifiche
+    // delle precedenti, il database cambia solo alla fine
+    const products = JSON.parse(JSON.stringify(db.get('products').value()))
+    const touchedIds = new Set()
+    let nextId = Math.max(0, ...products.map(p => Number(p.id) || 0)) + 1
+
+    const results = rows.map((row, index) => {
+      const line = row?.line ?? index + 1
+      const { values, errors } = readRow(row || {}, categories)
+      const result = { line, id: values.id ?? null, sku: values.sku ?? null, name: values.name ?? null, changes: [] }
+      const fail = (messages) => ({ ...result, status: 'failed', errors: [].concat(messages) })
+
+      if (errors.length > 0) {
+        return fail(errors)
+      }
+
+      // ===== RICERCA DEL PRODOTTO =====
+      let product
+      if (matchBy === 'id') {
+        if (values.id) {
+          product = products.find(p => String(p.id) === values.id)
+          if (!product) {
+            return fail(`Nessun prodotto con ID ${values.id}: lascia vuoto l'ID per crearne uno nuovo`)
+          }
+        }
+      } else {
+        if (!values.sku) {
+          return fail('SKU mancante: serve per riconoscere il prodotto')
+        }
+        product = products.find(p => productSkus(p).includes(values.sku))
+      }
+
+      // I prodotti nel cestino si ripristinano prima di aggiornarli
+      if (isDeleted(product)) {
+        return fail(`Il prodotto ${product.name} (ID ${product.id}) è nel cestino: ripristinalo prima di importarlo`)
+      }
+
+      const hasVariantFields = values.options || values.priceAdjustment !== undefined
+
+      // ===== NUOVO PRODOTTO =====
+      if (!product) {
+        if (hasVariantFields) {
+          return fail('Le varianti dei prodotti nuovi si aggiungono dall\'editor prodotto')
+        }
+
+        const missing = [
+          !values.name && 'nome',
+          values.price === undefined && 'prezzo',
+          !values.category && 'categoria'
+        ].filter(Boolean)
+        if (missing.length > 0) {
+          return fail(`Per creare un prodotto servono: ${missing.join(', ')}`)
+        }
+
+        const imageUrl = values.imageUrl || DEFAULT_IMAGE_URL
+        const created = {
+          id: nextId,
+          name: values.name,
+          description: values.description || '',
+          price: values.price,
+          category: values.category,
+          stock: values.stock ?? 0,
+          tags: values.tags || [],
+          imageUrl,
+          images: [{ url: imageUrl, alt: '' }],
+          status: values.status || 'draft',
+          publishAt: values.publishAt || null,
+          ...(values.sku && { sku: values.sku }),
+          createdAt: now,
+          updatedAt: now,
+          version: 1
+        }
+
+        const invalid = validateProduct(created, products)
+        if (invalid.length > 0) {
+          return fail(invalid)
+        }
+
+        nextId += 1
+        products.push(created)
+        touchedIds.add(created.id)
+        return {
+          ...result,
+          status: 'created',
+          id: dryRun ? null : created.id,
+          name: created.name,
+          changes: diffProducts(null, created)
+        }
+      }
+
+      // ===== AGGIORNAMENTO =====
+      const updated = JSON.parse(JSON.stringify(product))
+      result.id = product.id
+      result.name = values.name || product.name
+
+      // Con le varianti la riga indica quale variante tramite lo SKU
+      let variant = null
+      if (hasVariants(updated)) {
+        variant = values.sku ? updated.variants.find(v => v.sku === values.sku) : null
+        if (!variant && (values.stock !== undefined || hasVariantFields)) {
+          return fail(values.sku
+            ? `Lo SKU ${values.sku} non è una variante di "${product.name}"`
+            : `"${product.name}" ha varianti: indica lo SKU della variante`)
+        }
+      } else if (hasVariantFields) {
+        return fail(`"${product.name}" non ha varianti: le varianti si aggiungono dall'editor prodotto`)
+      }
+
+      ;['name', 'description', 'price', 'category', 'tags', 'status', 'publishAt'].forEach((field) => {
+        if (values[field] !== undefined) updated[field] = values[field]
+      })
+      // Con lo stato il vecchio flag "published" non serve più
+      if (values.status !== undefined) delete updated.published
+
+      if (values.imageUrl && values.imageUrl !== updated.imageUrl) {
+        // La nuova immagine diventa la principale della galleria
+        const others = (updated.images || []).filter(image => image.url !== values.imageUrl)
+        const existing = (updated.images || []).find(image => image.url === values.imageUrl)
+        updated.images = [existing || { url: values.imageUrl, alt: '' }, ...others]
+        updated.imageUrl = values.imageUrl
+      }
+
+      if (variant) {
+        if (values.stock !== undefined) variant.stock = values.stock
+        if (values.priceAdjustment !== undefined) variant.priceAdjustment = values.priceAdjustment
+        if (values.options) variant.options = { ...variant.options, ...values.options }
+        updated.stock = totalVariantStock(updated.variants)
+      } else {
+        if (values.stock !== undefined) updated.stock = values.stock
+        if (values.sku && matchBy === 'id') updated.sku = values.sku
+      }
+
+      const invalid = validateProduct(updated, products)
+      if (invalid.length > 0) {
+        return fail(invalid)
+      }
+
+      const changes = diffProducts(product, updated)
+      if (changes.length === 0) {
+        return { ...result, status: 'unchanged' }
+      }
+
+      updated.updatedAt = now
+      bumpVersion(updated)
+      products[products.indexOf(product)] = updated
+      touchedIds.add(updated.id)
+      return { ...result, status: 'updated', changes }
+    })
+
+    // ===== SALVATAGGIO =====
+    const touched = products.filter(p => touchedIds.has(p.id))
+    if (!dryRun && touched.length > 0) {
+      db.set('products', products).write()
+    }
+
+    const summary = { created: 0, updated: 0, unchanged: 0, failed: 0 }
+    results.forEach((result) => { summary[result.status] += 1 })
+
+    res.json({
+      dryRun: Boolean(dryRun),
+      results,
+      summary,
+      products: dryRun ? [] : touched
+    })
+  })
+}
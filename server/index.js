@@ -0,0 +1,200 @@
+/**
+ * SERVER/INDEX.JS - BACKEND COCCIBELLI
+ *
+ * Server Node che avvolge json-server e aggiunge:
+ * - Route di autenticazione (/auth/login, /auth/register, /auth/me)
+ * - Hash delle password e token firmati (vedi auth.js)
+ * - Controllo token e ruolo su tutte le scritture e sulla lettura
+ *   di ordini e profili (vedi authorization.js)
+ * - Registro delle modifiche a prodotti, ordini e utenti, con ritorno
+ *   a una versione precedente del prodotto (vedi audit.js)
+ * - Email univoche e password protette nelle modifiche ai profili (vedi users.js)
+ * - Stock scalato alla creazione degli ordini e ripristinato all'annullamento (vedi inventory.js)
+ * - Validazione e ordinamento delle categorie (vedi categories.js)
+ * - Versione dei prodotti: 409 se due admin modificano lo stesso prodotto (vedi concurrency.js)
+ * - Varianti prodotto con SKU e stock propri (vedi variants.js)
+ * - Modifiche ed eliminazioni su più prodotti in un colpo solo (vedi bulk.js)
+ * - Importazione del catalogo da CSV o JSON con anteprima delle differenze (vedi import.js)
+ * - Stato dei prodotti (bozza, pubblicato, archiviato) e pubblicazione
+ *   programmata; i prodotti non pubblicati sono nascosti ai clienti (vedi publishing.js)
+ * - Cestino: i prodotti eliminati si possono ripristinare (vedi trash.js)
+ * - Prodotti in evidenza e sezioni della home scelti dagli admin (vedi merchandising.js)
+ * - Collezioni: prodotti dello stesso servizio raccontati insieme (vedi collections.js)
+ * - Galleria immagini dei prodotti e upload delle foto con formati ridimensionati (vedi images.js)
+ * - Catalogo paginato con ricerca, filtri e conteggi per categoria (vedi catalog.js)
+ * - Prenotazione temporanea dei pezzi durante il checkout (vedi reservations.js)
+ * - Pagamenti con provider intercambiabili (vedi payments/)
+ * - Rimozione dei campi password da tutte le risposte /users
+ *
+ * Le collezioni di db.json (products, categories, collections, users, orders) restano
+ * disponibili con le stesse route REST di json-server.
+ *
+ * AVVIO:
+ *   npm run server
+ */
+
+// ===== IMPORTAZIONI =====
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import jsonServer from 'json-server'
+import {
+  registerAuthRoutes,
+  migratePlaintextPasswords,
+  sanitizeUser,
+  authenticate
+} from './auth.js'
+import { authorizeWrites, authorizeReads } from './authorization.js'
+import { auditWrites, registerAuditRoutes } from './audit.js'
+import { registerUserRoutes } from './users.js'
+import { registerInventoryRoutes } from './inventory.js'
+import { registerCategoryRoutes } from './categories.js'
+import { registerConcurrencyRoutes } from './concurrency.js'
+import { registerPublishingRoutes } from './publishing.js'
+import { registerVariantRoutes } from './variants.js'
+import { registerBulkRoutes } from './bulk.js'
+import { registerImportRoutes } from './import.js'
+import { registerTrashRoutes } from './trash.js'
+import { registerMerchandisingRoutes } from './merchandising.js'
+import { registerCollectionRoutes } from './collections.js'
+import { registerImageRoutes, removeOrphanUploads } from './images.js'
+import { registerCatalogRoutes } from './catalog.js'
+import { registerReservationRoutes, decorateProducts } from './reservations.js'
+import { registerPaymentRoutes } from './payments/index.js'
+import { isDeleted, isPublished } from '../src/utils/visibility.js'
+
+// ===== CONFIGURAZIONE =====
+const PORT = Number(process.env.PORT) || 3001
+const DB_PATH = process.env.DB_PATH ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'db.json')
+
+// ===== CREAZIONE SERVER =====
+const server = jsonServer.create()
+const router = jsonServer.router(DB_PATH)
+const middlewares = jsonServer.defaults()
+
+// ===== MIGRAZIONE PASSWORD =====
+// Converte eventuali password in chiaro rimaste in db.json
+const migrated = migratePlaintextPasswords(router.db)
+if (migrated > 0) {
+  console.log(`Migrate ${migrated} password in chiaro a hash scrypt`)
+}
+
+// ===== MIDDLEWARE =====
+server.use(middlewares)           // Logger, CORS, static, no-cache
+server.use(jsonServer.bodyParser) // Parsing JSON per le route custom
+
+// ===== ROUTE AUTENTICAZIONE =====
+registerAuthRoutes(server, router.db)
+
+// ===== AUTORIZZAZIONE =====
+server.use(authenticate(router.db))    // Popola req.user dal bearer token
+server.use(authorizeWrites(router.db)) // 401/403 sulle scritture non permesse
+server.use(authorizeReads(router.db))  // Ordini e profili solo ai diretti interessati
+
+// ===== REGISTRO MODIFICHE =====
+// Prima delle route che scrivono, per confrontare i dati prima e dopo
+server.use(auditWrites(router.db))
+registerAuditRoutes(server, router.db)
+
+// ===== FOTO NON PIÙ USATE =====
+// Come il registro, prima delle route che modificano prodotti e collezioni
+server.use(removeOrphanUploads(router.db))
+
+// ===== PROFILI UTENTE =====
+registerUserRoutes(server, router.db)
+
+// ===== CATEGORIE =====
+registerCategoryRoutes(server, router.db)
+
+// ===== VERSIONE PRODOTTI =====
+// Prima di varianti e immagini: una modifica superata non va nemmeno validata
+registerConcurrencyRoutes(server, router.db)
+
+// ===== STATO PRODOTTI =====
+registerPublishingRoutes(server)
+
+// ===== VARIANTI PRODOTTO =====
+registerVariantRoutes(server, router.db)
+
+// ===== OPERAZIONI MULTIPLE =====
+registerBulkRoutes(server, router.db)
+registerImportRoutes(server, router.db)
+
+// ===== CESTINO PRODOTTI =====
+registerTrashRoutes(server, router.db)
+
+// ===== HOME: PRODOTTI IN EVIDENZA E SEZIONI =====
+registerMerchandisingRoutes(server, router.db)
+
+// ===== COLLEZIONI =====
+registerCollectionRoutes(server, router.db)
+
+// ===== GALLERIA IMMAGINI =====
+registerImageRoutes(server)
+
+// ===== PRENOTAZIONI CHECKOUT =====
+registerReservationRoutes(server, router.db)
+
+// ===== CATALOGO PAGINATO =====
+registerCatalogRoutes(server, router.db)
+
+// ===== STOCK ORDINI =====
+registerInventoryRoutes(server, router.db)
+
+// ===== ROUTE PAGAMENTI =====
+registerPaymentRoutes(server, router.db)
+
+// ===== RENDER RISPOSTE =====
+/**
+ * Rimuove password/passwordHash da ogni risposta della collezione users,
+ * sia per liste che per singoli record.
+ */
+router.render = (req, res) => {
+  let data = res.locals.data
+  // Express e json-server ignorano le maiuscole: /Products/2 è /products/2
+  const [collection = ''] = req.path.toLowerCase().split('/').filter(Boolean)
+
+  if (collection === 'users' && data && typeof data === 'object') {
+    data = Array.isArray(data) ? data.map(sanitizeUser) : sanitizeUser(data)
+  }
+
+  if (req.method === 'GET' && collection === 'products' && data && typeof data === 'object') {
+    // I prodotti nel cestino non compaiono negli elenchi (GET /products/trash);
+    // il singolo prodotto resta leggibile dagli admin
+    if (Array.isArray(data)) {
+      data = data.filter(product => !isDeleted(product))
+    }
+
+    // I prodotti non pubblicati li vedono solo gli admin
+    if (req.user?.role !== 'admin') {
+      if (Array.isArray(data)) {
+        data = data.filter(isPublished)
+      } else if (!isPublished(data)) {
+        return res.status(404).jsonp({})
+      }
+    }
+
+    // Pezzi riservati da altri clienti, calcolati per l'utente della richiesta
+    data = decorateProducts(data, req.user, router.db)
+  }
+
+  res.jsonp(data)
+}
+
+// ===== DUMP DATABASE =====
+/**
+ * GET /db di json-server risponde senza passare da router.render:
+ * lo sostituisce con una copia che sanitizza anche gli utenti
+ */
+server.get('/db', (req, res) => {
+  const state = router.db.getState()
+  res.jsonp({ ...state, users: (state.users || []).map(sanitizeUser) })
+})
+
+// ===== ROUTE REST JSON-SERVER =====
+server.use(router)
+
+// ===== AVVIO =====
+server.listen(PORT, () => {
+  console.log(`Coccibelli API in ascolto su http://localhost:${PORT}`)
+})
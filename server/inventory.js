@@ -0,0 +1,146 @@
+/**
+ * INVENTORY.JS - STOCK PRODOTTI NEL CICLO DI VITA DEGLI ORDINI
+ *
+ * Ogni pezzo del catalogo è unico, quindi lo stock va scalato
+ * nel momento stesso in cui l'ordine viene creato:
+ * - POST /orders: verifica e scala lo stock di tutti gli articoli e
+ *   salva l'ordine in un solo passaggio; se anche un solo articolo
+ *   non basta risponde 409 senza toccare nulla. Prezzi e totali
+ *   vengono ricalcolati dal catalogo (vedi orderPricing.js)
+ * - PATCH/PUT /orders/:id verso 'cancelled': rimette in stock gli articoli;
+ *   i cambi di stato non previsti (vedi src/utils/orderStatus.js), come
+ *   riaprire un ordine annullato, rispondono 409
+ *
+ * Node esegue ogni handler sincrono senza interruzioni, quindi due
+ * ordini concorrenti non possono leggere lo stesso stock residuo.
+ * Per i prodotti con varianti lo stock si scala sulla variante ordinata
+ * (vedi variants.js), quindi ogni riga è identificata da prodotto + variante.
+ * I pezzi riservati da altri clienti (reservations.js) non sono ordinabili;
+ * le prenotazioni di chi ordina vengono chiuse insieme all'ordine.
+ * I prodotti non pubblicati hanno disponibilità zero.
+ *
+ * Va registrato dopo authorizeWrites(), che ha già validato utente e body.
+ */
+
+// ===== IMPORTAZIONI =====
+import { reservedByOthers, releaseUserReservations } from './reservations.js'
+import { stockFor, lineName, adjustProductStock, isValidQuantity, requestedQuantities } from './variants.js'
+import { isPublished } from '../src/utils/visibility.js'
+import { priceOrder } from './orderPricing.js'
+import { isValidTransition } from '../src/utils/orderStatus.js'
+
+// ===== HELPERS =====
+
+/**
+ * FIND SHORTAGES
+ *
+ * Elenca gli articoli per cui lo stock, al netto dei pezzi
+ * riservati da altri clienti, non è sufficiente.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Map} quantities - Righe richieste (vedi requestedQuantities)
+ * @param {number} userId - Utente che ordina
+ * @returns {Array} - [{ productId, variantId, name, requested, available }]
+ */
+const findShortages = (db, quantities, userId) => {
+  const shortages = []
+
+  quantities.forEach(({ productId, variantId, quantity: requested }) => {
+    const product = db.get('products').find({ id: productId }).value()
+    // Un prodotto ritirato dal negozio non si può più ordinare
+    const stock = isPublished(product) ? stockFor(product, variantId) : 0
+    const available = Math.max(0, stock - reservedByOthers(db, productId, userId, variantId))
+
+    if (requested > available) {
+      shortages.push({ productId, variantId, name: lineName(product, productId, variantId), requested, available })
+    }
+  })
+
+  return shortages
+}
+
+/**
+ * Aggiunge delta allo stock di ogni riga (sign negativo per scalare)
+ */
+const adjustStock = (db, quantities, sign) => {
+  quantities.forEach(({ productId, variantId, quantity }) => {
+    adjustProductStock(db, productId, variantId, sign * quantity)
+  })
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER INVENTORY ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerInventoryRoutes = (server, db) => {
+  /**
+   * POST /orders
+   * Crea l'ordine scalando lo stock, oppure 409 con l'elenco delle mancanze
+   */
+  server.post('/orders', (req, res) => {
+    const order = req.body || {}
+
+    if (!Array.isArray(order.items) || order.items.length === 0) {
+      return res.status(400).json({ message: 'L\'ordine non contiene prodotti' })
+    }
+
+    // Ogni riga va controllata prima di sommarle: -1 e +2 non fanno 1 pezzo
+    if (order.items.some(item => !isValidQuantity(item.quantity))) {
+      return res.status(400).json({ message: 'Quantità non valida negli articoli dell\'ordine' })
+    }
+
+    const quantities = requestedQuantities(order.items)
+
+    const shortages = findShortages(db, quantities, order.userId)
+
+    if (shortages.length > 0) {
+      const names = shortages.map(s => `${s.name} (disponibili ${s.available})`).join(', ')
+      return res.status(409).json({
+        message: `Disponibilità insufficiente per: ${names}`,
+        shortages
+      })
+    }
+
+    // Stock, prenotazioni e ordine vengono salvati con un'unica scrittura
+    adjustStock(db, quantities, -1)
+    releaseUserReservations(db, order.userId)
+    const created = db.get('orders')
+      .insert({ ...order, ...priceOrder(db, order), stockReserved: true })
+      .value()
+    db.write()
+
+    res.status(201).json(created)
+  })
+
+  /**
+   * PATCH|PUT /orders/:id
+   * Rifiuta i cambi di stato non ammessi; il passaggio a 'cancelled'
+   * rimette in stock gli articoli, poi la richiesta prosegue verso json-server
+   */
+  const restoreOnCancel = (req, res, next) => {
+    const order = db.get('orders').find({ id: Number(req.params.id) }).value()
+
+    // I pezzi di un ordine annullato sono già tornati in vendita
+    if (order && req.body?.status && !isValidTransition(order.status, req.body.status)) {
+      return res.status(409).json({
+        message: `Transizione non valida: ${order.status} → ${req.body.status}`
+      })
+    }
+
+    if (order && req.body?.status === 'cancelled' &&
+        order.status !== 'cancelled' && order.stockReserved) {
+      adjustStock(db, requestedQuantities(order.items || []), 1)
+      db.write()
+      req.body = { ...req.body, stockReserved: false, stockRestoredAt: new Date().toISOString() }
+    }
+
+    next()
+  }
+
+  server.patch('/orders/:id', restoreOnCancel)
+  server.put('/orders/:id', restoreOnCancel)
+}
@@ -0,0 +1,146 @@
+/**
+ * MERCHANDISING.JS - CONFIGURAZIONE DELLA HOME
+ *
+ * Prodotti in evidenza e sezioni della home, salvati nell'oggetto
+ * merchandising di db.json (struttura in src/utils/merchandising.js):
+ * - GET /merchandising: configurazione completa, leggibile da tutti
+ *   (la home la risolve con i prodotti che il visitatore può vedere)
+ * - PUT /merchandising: sostituisce la configurazione, solo admin
+ *
+ * VALIDAZIONE:
+ * - productIds: senza doppioni; quelli inesistenti o nel cestino
+ *   vengono tolti dall'elenco
+ * - startsAt / endsAt: date valide o null, la fine dopo l'inizio
+ * - sections: sezioni conosciute, ognuna una volta sola, con titolo
+ *   e numero di prodotti tra 1 e MAX_SECTION_PRODUCTS
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import {
+  DEFAULT_MERCHANDISING,
+  HOMEPAGE_SECTIONS,
+  MAX_SECTION_PRODUCTS,
+  normalizeMerchandising
+} from '../src/utils/merchandising.js'
+import { isDeleted } from '../src/utils/visibility.js'
+import { readPublishAt } from './publishing.js'
+
+// ===== COSTANTI =====
+const MAX_TITLE_LENGTH = 60
+
+// ===== HELPERS =====
+
+/**
+ * VALIDATE MERCHANDISING
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Object} body - Configurazione ricevuta
+ * @returns {Object} - { config } normalizzata, oppure { error }
+ */
+const validateMerchandising = (db, body) => {
+  const featured = body?.featured || {}
+  const ids = Array.isArray(featured.productIds) ? featured.productIds.map(Number) : null
+
+  // ===== PRODOTTI IN EVIDENZA =====
+  if (!ids) {
+    return { error: 'Indica l\'elenco dei prodotti in evidenza' }
+  }
+  if (ids.some(id => !Number.isInteger(id))) {
+    return { error: 'Elenco dei prodotti in evidenza non valido' }
+  }
+  if (ids.length > MAX_SECTION_PRODUCTS) {
+    return { error: `Puoi mettere in evidenza al massimo ${MAX_SECTION_PRODUCTS} prodotti` }
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'Un prodotto compare due volte tra quelli in evidenza' }
+  }
+  // Un prodotto cestinato mentre l'admin sceglieva non blocca il salvataggio
+  const availableIds = ids.filter((id) => {
+    const product = db.get('products').find({ id }).value()
+    return product && !isDeleted(product)
+  })
+
+  // ===== FINESTRA =====
+  const start = readPublishAt(featured.startsAt)
+  const end = readPublishAt(featured.endsAt)
+  if (start.error || end.error) {
+    return { error: 'Le date della messa in evidenza non sono valide' }
+  }
+  if (start.publishAt && end.publishAt && end.publishAt <= start.publishAt) {
+    return { error: 'La fine della messa in evidenza deve essere dopo l\'inizio' }
+  }
+
+  // ===== SEZIONI =====
+  const sections = Array.isArray(body.sections) ? body.sections : []
+  const keys = sections.map(section => section?.key)
+  if (keys.some(key => !HOMEPAGE_SECTIONS[key])) {
+    return { error: 'Sezione della home non riconosciuta' }
+  }
+  if (new Set(keys).size !== keys.length) {
+    return { error: 'Una sezione della home compare due volte' }
+  }
+
+  const normalizedSections = []
+  for (const section of sections) {
+    const title = String(section.title || '').trim()
+    const limit = Number(section.limit)
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      return { error: `Il titolo di "${HOMEPAGE_SECTIONS[section.key].label}" deve avere da 1 a ${MAX_TITLE_LENGTH} caratteri` }
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SECTION_PRODUCTS) {
+      return { error: `"${HOMEPAGE_SECTIONS[section.key].label}" deve mostrare da 1 a ${MAX_SECTION_PRODUCTS} prodotti` }
+    }
+    normalizedSections.push({ key: section.key, enabled: Boolean(section.enabled), title, limit })
+  }
+
+  return {
+    config: normalizeMerchandising({
+      featured: { productIds: availableIds, startsAt: start.publishAt, endsAt: end.publishAt },
+      sections: normalizedSections
+    })
+  }
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER MERCHANDISING ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerMerchandisingRoutes = (server, db) => {
+  // Configurazione creata al primo avvio sui database esistenti
+  if (!db.has('merchandising').value()) {
+    db.set('merchandising', DEFAULT_MERCHANDISING).write()
+  }
+
+  /**
+   * GET /merchandising
+   */
+  server.get('/merchandising', (req, res) => {
+    res.json(normalizeMerchandising(db.get('merchandising').value()))
+  })
+
+  /**
+   * PUT /merchandising
+   * Sostituisce prodotti in evidenza e sezioni
+   */
+  server.put('/merchandising', (req, res) => {
+    const { config, error } = validateMerchandising(db, req.body)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const saved = { ...config, updatedAt: new Date().toISOString() }
+    db.set('merchandising', saved).write()
+    res.json(saved)
+  })
+
+  // Il resto lo gestirebbe json-server senza validazione
+  server.use('/merchandising', (req, res) => {
+    res.status(405).json({ message: 'Usa PUT /merchandising per salvare la configurazione' })
+  })
+}
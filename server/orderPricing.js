@@ -0,0 +1,79 @@
+/**
+ * ORDER PRICING.JS - IMPORTI DEGLI ORDINI CALCOLATI DAL SERVER
+ *
+ * Il carrello vive nel browser, quindi prezzi e totali inviati con
+ * l'ordine non sono affidabili: POST /orders (vedi inventory.js) li
+ * ricalcola dal catalogo prima di salvare.
+ * - prezzo di ogni riga: prezzo del prodotto più la variazione della variante
+ * - subtotale: somma delle righe
+ * - spedizione: dal metodo scelto (vedi src/utils/shipping.js)
+ * - totale: subtotale più spedizione
+ *
+ * Gli importi restano quelli del momento dell'ordine: un cambio di
+ * prezzo successivo non tocca gli ordini già creati. I pagamenti
+ * (vedi payments/index.js) addebitano orderAmount(), ricalcolato dalle
+ * righe salvate e non dal campo total.
+ */
+
+// ===== IMPORTAZIONI =====
+import { findVariant, variantPrice } from '../src/utils/variants.js'
+import { getShippingCost } from '../src/utils/shipping.js'
+import { lineName } from './variants.js'
+
+// ===== HELPERS =====
+
+/**
+ * Arrotonda al centesimo
+ */
+const toCents = (amount) => Math.round(Number(amount) * 100) / 100
+
+// ===== API PUBBLICA =====
+
+/**
+ * PRICE ORDER
+ *
+ * Sostituisce nome e prezzo delle righe con quelli del catalogo e
+ * ricalcola subtotale, spedizione e totale. Gli altri campi delle
+ * righe (immagine, SKU, ...) restano quelli inviati dal carrello.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Object} order - Body dell'ordine, con prodotti già verificati
+ * @returns {Object} - { items, subtotal, shippingCost, total }
+ */
+export const priceOrder = (db, order) => {
+  const items = order.items.map((item) => {
+    const productId = Number(item.id)
+    const variantId = item.variantId || null
+    const product = db.get('products').find({ id: productId }).value()
+
+    return {
+      ...item,
+      id: productId,
+      variantId,
+      name: lineName(product, productId, variantId),
+      price: variantPrice(product, findVariant(product, variantId)),
+      quantity: Number(item.quantity)
+    }
+  })
+
+  const subtotal = toCents(items.reduce((sum, item) => sum + item.price * item.quantity, 0))
+  const shippingCost = getShippingCost(order.shippingMethod, subtotal)
+
+  return { items, subtotal, shippingCost, total: toCents(subtotal + shippingCost) }
+}
+
+/**
+ * ORDER AMOUNT
+ *
+ * Importo da addebitare per un ordine salvato: righe (prezzate da
+ * priceOrder alla creazione) più la spedizione del metodo scelto.
+ *
+ * @param {Object} order - Ordine salvato
+ * @returns {number} - Importo in euro, arrotondato al centesimo
+ */
+export const orderAmount = (order) => {
+  const subtotal = toCents((order.items || [])
+    .reduce((sum, item) => sum + Number(item.price) * Number(item.quantity), 0))
+
+  return toCents(subtotal + getShippingCost(order.shippingMethod, subtotal))
+}
@@ -0,0 +1,378 @@
+/**
+ * PAYMENTS - LIVELLO DI PAGAMENTO CON PROVIDER INTERCAMBIABILI
+ *
+ * Questo modulo collega gli ordini a un gateway di pagamento:
+ * - Autorizzazione della carta al termine del checkout
+ * - Challenge 3-D Secure quando la banca la richiede
+ * - Incasso (capture) automatico o manuale da parte dell'admin
+ * - Rimborsi totali o parziali dalla gestione ordini admin
+ * - Webhook del gateway per gli aggiornamenti asincroni
+ *
+ * Lo stato del pagamento vive in order.paymentStatus, separato dallo
+ * stato di evasione order.status:
+ *   unpaid → requires_action → authorized → paid → partially_refunded → refunded
+ *   unpaid/requires_action → failed (riprovabile)
+ *   awaiting_transfer per i bonifici, gestiti fuori dal gateway
+ *
+ * INTERFACCIA PROVIDER:
+ * - name: identificativo salvato in order.payment.provider
+ * - authorize({ amount, currency, card, orderId })
+ *     → { outcome: 'authorized'|'requires_action'|'declined', transactionId, card, message }
+ * - completeChallenge({ transactionId, approved }) → evento webhook
+ * - capture({ transactionId, amount }) → { ok, captureId }
+ * - refund({ transactionId, amount }) → { ok, refundId }
+ * - parseWebhook(req) → evento { type, transactionId, amount, message } o null
+ *
+ * CONFIGURAZIONE:
+ * - PAYMENT_PROVIDER: provider attivo (default 'mock')
+ * - PAYMENT_CAPTURE: 'automatic' (default) o 'manual'
+ * - PAYMENT_WEBHOOK_SECRET: segreto per la firma dei webhook
+ */
+
+// ===== IMPORTAZIONI =====
+import { createMockProvider } from './mockProvider.js'
+import { orderAmount } from '../orderPricing.js'
+
+// ===== CONFIGURAZIONE =====
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock'
+const CAPTURE_MODE = process.env.PAYMENT_CAPTURE === 'manual' ? 'manual' : 'automatic'
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'coccibelli-webhook-secret-da-cambiare'
+
+/**
+ * PROVIDER DISPONIBILI
+ *
+ * Per aggiungere un gateway reale basta registrare qui una factory
+ * che restituisce un oggetto conforme all'interfaccia descritta sopra.
+ */
+const PROVIDERS = {
+  mock: createMockProvider
+}
+
+// Stati da cui il cliente può (ri)tentare il pagamento con carta
+const PAYABLE_STATUSES = ['unpaid', 'failed', 'requires_action']
+
+// ===== HELPERS =====
+
+/**
+ * Arrotonda un importo ai centesimi
+ */
+const toCents = (amount) => Math.round(Number(amount) * 100) / 100
+
+/**
+ * Crea il provider configurato con PAYMENT_PROVIDER
+ */
+const createProvider = () => {
+  const factory = PROVIDERS[PAYMENT_PROVIDER]
+
+  if (!factory) {
+    throw new Error(`Provider di pagamento sconosciuto: ${PAYMENT_PROVIDER}`)
+  }
+
+  return factory({ webhookSecret: WEBHOOK_SECRET })
+}
+
+/**
+ * UPDATE PAYMENT
+ *
+ * Salva stato e dettagli del pagamento aggiungendo una voce allo storico.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Object} order - Ordine da aggiornare
+ * @param {string} paymentStatus - Nuovo stato pagamento
+ * @param {Object} changes - Campi di order.payment da aggiornare
+ * @param {Object} entry - Voce storico { type, amount, message }
+ * @returns {Object} - Ordine aggiornato
+ */
+const updatePayment = (db, order, paymentStatus, changes, entry) => {
+  const now = new Date().toISOString()
+  const payment = order.payment || {}
+
+  return db.get('orders')
+    .find({ id: order.id })
+    .assign({
+      paymentStatus,
+      payment: {
+        ...payment,
+        ...changes,
+        history: [...(payment.history || []), { ...entry, at: now }]
+      },
+      updatedAt: now
+    })
+    .write()
+}
+
+// ===== OPERAZIONI DI PAGAMENTO =====
+
+/**
+ * CAPTURE ORDER PAYMENT
+ *
+ * Incassa l'importo autorizzato di un ordine.
+ */
+const captureOrderPayment = async (db, provider, order) => {
+  const amount = order.payment.authorizedAmount
+  const result = await provider.capture({ transactionId: order.payment.transactionId, amount })
+
+  if (!result.ok) {
+    return updatePayment(db, order, 'authorized', { lastError: 'Incasso non riuscito' },
+      { type: 'capture_failed', amount })
+  }
+
+  return updatePayment(db, order, 'paid', { capturedAmount: amount, lastError: null },
+    { type: 'captured', amount })
+}
+
+/**
+ * APPLY PAYMENT EVENT
+ *
+ * Applica all'ordine un evento del gateway (webhook o challenge).
+ * Gli eventi che non corrispondono allo stato attuale vengono ignorati,
+ * così le consegne duplicate dei webhook non hanno effetti.
+ *
+ * @returns {Promise<Object|null>} - Ordine aggiornato o null se sconosciuto
+ */
+const applyPaymentEvent = async (db, provider, event) => {
+  const order = db.get('orders')
+    .find((o) => o.payment?.transactionId === event.transactionId)
+    .value()
+
+  if (!order) {
+    return null
+  }
+
+  switch (event.type) {
+    case 'payment.authorized': {
+      if (!['requires_action', 'unpaid'].includes(order.paymentStatus)) return order
+      const amount = orderAmount(order)
+      const authorized = updatePayment(db, order, 'authorized',
+        { authorizedAmount: amount, lastError: null },
+        { type: 'authorized', amount })
+      return CAPTURE_MODE === 'automatic'
+        ? captureOrderPayment(db, provider, authorized)
+        : authorized
+    }
+
+    case 'payment.failed':
+      if (!['requires_action', 'unpaid'].includes(order.paymentStatus)) return order
+      return updatePayment(db, order, 'failed', { lastError: event.message || 'Pagamento non riuscito' },
+        { type: 'failed', message: event.message })
+
+    case 'payment.captured':
+      if (order.paymentStatus !== 'authorized') return order
+      return updatePayment(db, order, 'paid',
+        { capturedAmount: toCents(event.amount ?? order.payment.authorizedAmount) },
+        { type: 'captured', amount: event.amount })
+
+    case 'payment.refunded': {
+      if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) return order
+      const refundedAmount = toCents((order.payment.refundedAmount || 0) + Number(event.amount || 0))
+      return updatePayment(db, order,
+        refundedAmount >= order.payment.capturedAmount ? 'refunded' : 'partially_refunded',
+        { refundedAmount },
+        { type: 'refunded', amount: event.amount })
+    }
+
+    default:
+      return order
+  }
+}
+
+// ===== ROUTE PAGAMENTI =====
+
+/**
+ * REGISTER PAYMENT ROUTES
+ *
+ * Registra le route /payments sull'app Express. Va chiamata dopo
+ * authenticate(), perché le route dei clienti usano req.user.
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerPaymentRoutes = (server, db) => {
+  const provider = createProvider()
+
+  /**
+   * Carica l'ordine :orderId se visibile all'utente, altrimenti risponde 401/404
+   */
+  const loadOrder = (req, res) => {
+    if (!req.user) {
+      res.status(401).json({ message: 'Autenticazione richiesta: effettua il login' })
+      return null
+    }
+
+    const order = db.get('orders').find({ id: Number(req.params.orderId) }).value()
+
+    // Gli ordini altrui risultano inesistenti
+    if (!order || (req.user.role !== 'admin' && order.userId !== req.user.id)) {
+      res.status(404).json({ message: 'Ordine non trovato' })
+      return null
+    }
+
+    return order
+  }
+
+  /**
+   * Avvolge gli handler async: gli errori del gateway diventano 502
+   */
+  const handle = (fn) => async (req, res) => {
+    try {
+      await fn(req, res)
+    } catch (error) {
+      console.error('Payment error:', error)
+      res.status(502).json({ message: 'Il gateway di pagamento non risponde, riprova più tardi' })
+    }
+  }
+
+  /**
+   * POST /payments/webhooks/:provider
+   * Eventi asincroni del gateway, autenticati dalla firma
+   */
+  server.post('/payments/webhooks/:provider', handle(async (req, res) => {
+    if (req.params.provider !== provider.name) {
+      return res.status(404).json({ message: 'Provider non configurato' })
+    }
+
+    const event = provider.parseWebhook(req)
+
+    if (!event) {
+      return res.status(400).json({ message: 'Firma del webhook non valida' })
+    }
+
+    const order = await applyPaymentEvent(db, provider, event)
+    res.json({ received: true, orderId: order?.id ?? null })
+  }))
+
+  /**
+   * POST /payments/:orderId/authorize
+   * Il cliente paga l'ordine con i dati della carta
+   */
+  server.post('/payments/:orderId/authorize', handle(async (req, res) => {
+    const order = loadOrder(req, res)
+    if (!order) return
+
+    if (order.paymentMethod !== 'card') {
+      return res.status(409).json({ message: 'Questo ordine non prevede il pagamento con carta' })
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(409).json({ message: 'L\'ordine è stato annullato' })
+    }
+
+    if (!PAYABLE_STATUSES.includes(order.paymentStatus || 'unpaid')) {
+      return res.status(409).json({ message: 'L\'ordine risulta già pagato' })
+    }
+
+    // L'importo si ricalcola dalle righe dell'ordine, mai dal total salvato
+    const amount = orderAmount(order)
+    const result = await provider.authorize({
+      amount,
+      currency: 'EUR',
+      card: req.body?.card,
+      orderId: order.id
+    })
+
+    // I dati carta non vengono mai salvati: solo circuito e ultime 4 cifre
+    const base = { provider: provider.name, transactionId: result.transactionId, card: result.card }
+    let updated
+
+    if (result.outcome === 'declined') {
+      updated = updatePayment(db, order, 'failed', { ...base, lastError: result.message },
+        { type: 'declined', amount, message: result.message })
+    } else if (result.outcome === 'requires_action') {
+      updated = updatePayment(db, order, 'requires_action', base,
+        { type: 'challenge_required', amount })
+    } else {
+      const pending = updatePayment(db, order, 'unpaid', base,
+        { type: 'authorization_requested', amount })
+      updated = await applyPaymentEvent(db, provider,
+        { type: 'payment.authorized', transactionId: result.transactionId })
+      updated = updated || pending
+    }
+
+    res.json({ order: updated, outcome: result.outcome, message: result.message || null })
+  }))
+
+  /**
+   * POST /payments/:orderId/challenge
+   * Esito della verifica 3-D Secure ({ approved: boolean })
+   */
+  server.post('/payments/:orderId/challenge', handle(async (req, res) => {
+    const order = loadOrder(req, res)
+    if (!order) return
+
+    if (order.paymentStatus !== 'requires_action') {
+      return res.status(409).json({ message: 'Nessuna verifica 3-D Secure in corso per questo ordine' })
+    }
+
+    const event = await provider.completeChallenge({
+      transactionId: order.payment.transactionId,
+      approved: Boolean(req.body?.approved)
+    })
+    const updated = await applyPaymentEvent(db, provider, event)
+
+    res.json({
+      order: updated,
+      outcome: updated.paymentStatus === 'failed' ? 'declined' : 'authorized',
+      message: event.message || null
+    })
+  }))
+
+  /**
+   * POST /payments/:orderId/capture
+   * Incasso manuale dell'importo autorizzato (solo admin)
+   */
+  server.post('/payments/:orderId/capture', handle(async (req, res) => {
+    const order = loadOrder(req, res)
+    if (!order) return
+
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Operazione riservata agli amministratori' })
+    }
+
+    if (order.paymentStatus !== 'authorized') {
+      return res.status(409).json({ message: 'Solo i pagamenti autorizzati possono essere incassati' })
+    }
+
+    const updated = await captureOrderPayment(db, provider, order)
+
+    if (updated.paymentStatus !== 'paid') {
+      return res.status(502).json({ message: updated.payment.lastError })
+    }
+
+    res.json({ order: updated })
+  }))
+
+  /**
+   * POST /payments/:orderId/refund
+   * Rimborso totale o parziale ({ amount } opzionale, solo admin)
+   */
+  server.post('/payments/:orderId/refund', handle(async (req, res) => {
+    const order = loadOrder(req, res)
+    if (!order) return
+
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Operazione riservata agli amministratori' })
+    }
+
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      return res.status(409).json({ message: 'Solo i pagamenti incassati possono essere rimborsati' })
+    }
+
+    const refundable = toCents(order.payment.capturedAmount - (order.payment.refundedAmount || 0))
+    const amount = toCents(req.body?.amount ?? refundable)
+
+    if (!(amount > 0) || amount > refundable) {
+      return res.status(400).json({ message: `Importo non valido: puoi rimborsare fino a ${refundable.toFixed(2)} €` })
+    }
+
+    const result = await provider.refund({ transactionId: order.payment.transactionId, amount })
+
+    if (!result.ok) {
+      return res.status(502).json({ message: 'Il gateway ha rifiutato il rimborso' })
+    }
+
+    const updated = await applyPaymentEvent(db, provider,
+      { type: 'payment.refunded', transactionId: order.payment.transactionId, amount })
+
+    res.json({ order: updated })
+  }))
+}
@@ -0,0 +1,197 @@
+/**
+ * MOCK PROVIDER - GATEWAY DI PAGAMENTO SIMULATO
+ *
+ * Provider locale che implementa l'interfaccia di payments/index.js
+ * senza contattare servizi esterni, così tutto il flusso di pagamento
+ * (autorizzazione, 3-D Secure, incasso, rimborso, webhook) funziona offline.
+ *
+ * CARTE DI TEST (come i principali gateway reali):
+ * - 4242 4242 4242 4242 → autorizzata
+ * - 4000 0000 0000 0002 → rifiutata (fondi insufficienti)
+ * - 4000 0000 0000 3220 → richiede la challenge 3-D Secure
+ * Qualsiasi altro numero valido (controllo Luhn) viene autorizzato.
+ *
+ * WEBHOOK:
+ * Gli eventi sono firmati con HMAC-SHA256 del body JSON nell'header
+ * x-mock-signature, usando PAYMENT_WEBHOOK_SECRET.
+ */
+
+// ===== IMPORTAZIONI =====
+import crypto from 'node:crypto'
+
+// ===== CARTE DI TEST =====
+const DECLINED_CARD = '4000000000000002'
+const CHALLENGE_CARD = '4000000000003220'
+
+// ===== HELPERS =====
+
+/**
+ * Controllo Luhn sul numero di carta
+ *
+ * @param {string} number - Solo cifre
+ * @returns {boolean} - true se il checksum è valido
+ */
+const passesLuhn = (number) => {
+  let sum = 0
+  let double = false
+
+  for (let i = number.length - 1; i >= 0; i--) {
+    let digit = Number(number[i])
+    if (double) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+    double = !double
+  }
+
+  return sum % 10 === 0
+}
+
+/**
+ * Circuito della carta dalla prima cifra
+ */
+const detectBrand = (number) => {
+  if (number.startsWith('4')) return 'visa'
+  if (/^5[1-5]/.test(number)) return 'mastercard'
+  if (/^3[47]/.test(number)) return 'amex'
+  return 'card'
+}
+
+/**
+ * Scadenza nel formato MM/AA ancora valida
+ */
+const isExpired = (expiry) => {
+  const [month, year] = String(expiry || '').split('/').map(Number)
+  if (!month || month > 12 || Number.isNaN(year)) {
+    return true
+  }
+  // Ultimo giorno del mese di scadenza
+  return new Date(2000 + year, month, 0, 23, 59, 59) < new Date()
+}
+
+/**
+ * Identificativo transazione in stile gateway
+ */
+const newId = (prefix) => `${prefix}_${crypto.randomUUID().replace(/-/g, '').slice(0, 20)}`
+
+// ===== FACTORY =====
+
+/**
+ * CREATE MOCK PROVIDER
+ *
+ * @param {Object} options - Configurazione
+ * @param {string} options.webhookSecret - Segreto per la firma dei webhook
+ * @returns {Object} - Provider conforme all'interfaccia di payments/index.js
+ */
+export const createMockProvider = ({ webhookSecret }) => {
+  /**
+   * Challenge 3-D Secure in attesa, indicizzate per transactionId.
+   * Restano in memoria: un riavvio del server le fa scadere.
+   */
+  const pendingChallenges = new Map()
+
+  /**
+   * Firma HMAC del payload di un webhook
+   */
+  const sign = (payload) =>
+    crypto.createHmac('sha256', webhookSecret).update(JSON.stringify(payload)).digest('hex')
+
+  return {
+    name: 'mock',
+
+    /**
+     * AUTHORIZE
+     * Blocca l'importo sulla carta oppure chiede la challenge 3-D Secure.
+     */
+    async authorize({ amount, card }) {
+      const number = String(card?.number || '').replace(/\D/g, '')
+      const transactionId = newId('mock_tx')
+      const cardInfo = { brand: detectBrand(number), last4: number.slice(-4) }
+
+      if (number.length < 13 || !passesLuhn(number)) {
+        return { outcome: 'declined', transactionId, card: cardInfo, message: 'Numero di carta non valido' }
+      }
+
+      if (isExpired(card.expiry)) {
+        return { outcome: 'declined', transactionId, card: cardInfo, message: 'La carta è scaduta' }
+      }
+
+      if (!/^[0-9]{3,4}$/.test(String(card.cvc || ''))) {
+        return { outcome: 'declined', transactionId, card: cardInfo, message: 'Codice di sicurezza non valido' }
+      }
+
+      if (number === DECLINED_CARD) {
+        return { outcome: 'declined', transactionId, card: cardInfo, message: 'Pagamento rifiutato: fondi insufficienti' }
+      }
+
+      if (number === CHALLENGE_CARD) {
+        pendingChallenges.set(transactionId, { amount })
+        return {
+          outcome: 'requires_action',
+          transactionId,
+          card: cardInfo,
+          message: 'La banca richiede la conferma 3-D Secure'
+        }
+      }
+
+      return { outcome: 'authorized', transactionId, card: cardInfo }
+    },
+
+    /**
+     * COMPLETE CHALLENGE
+     * Simula la risposta della banca alla challenge 3-D Secure.
+     * Restituisce l'evento che un gateway reale invierebbe via webhook.
+     */
+    async completeChallenge({ transactionId, approved }) {
+      if (!pendingChallenges.has(transactionId)) {
+        return { type: 'payment.failed', transactionId, message: 'Verifica 3-D Secure scaduta, riprova il pagamento' }
+      }
+
+      pendingChallenges.delete(transactionId)
+
+      return approved
+        ? { type: 'payment.authorized', transactionId }
+        : { type: 'payment.failed', transactionId, message: 'Verifica 3-D Secure non superata' }
+    },
+
+    /**
+     * CAPTURE
+     * Incassa un importo precedentemente autorizzato.
+     */
+    async capture({ transactionId, amount }) {
+      return { ok: true, captureId: newId('mock_cap'), transactionId, amount }
+    },
+
+    /**
+     * REFUND
+     * Restituisce al cliente un importo già incassato.
+     */
+    async refund({ transactionId, amount }) {
+      return { ok: true, refundId: newId('mock_ref'), transactionId, amount }
+    },
+
+    /**
+     * PARSE WEBHOOK
+     * Verifica la firma e restituisce l'evento, oppure null se non valido.
+     */
+    parseWebhook(req) {
+      const signature = String(req.headers['x-mock-signature'] || '')
+      const expected = sign(req.body || {})
+
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null
+      }
+
+      const { type, transactionId, amount, message } = req.body
+      return type && transactionId ? { type, transactionId, amount, message } : null
+    },
+
+    /**
+     * SIGN WEBHOOK
+     * Solo per il mock: permette di generare eventi firmati nei test manuali.
+     */
+    signWebhook: sign
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * PUBLISHING.JS - STATO E PUBBLICAZIONE PROGRAMMATA DEI PRODOTTI
+ *
+ * Valida "status" e "publishAt" su POST/PUT/PATCH /products
+ * (vedi src/utils/visibility.js per il significato degli stati):
+ * - status deve essere 'draft', 'published' o 'archived'
+ * - publishAt è una data (ISO o "AAAA-MM-GGTHH:mm") oppure null/'' per
+ *   pubblicare subito; viene salvata in formato ISO
+ * - i prodotti nuovi senza stato partono come bozza, così nessun
+ *   prodotto finisce nel negozio prima che un admin lo pubblichi
+ * - il vecchio flag "published" viene tolto: da qui in poi vale lo stato
+ *
+ * Non serve nessun processo programmato: un prodotto con publishAt
+ * compare nel negozio appena la data è passata, perché isPublished()
+ * la confronta con l'ora di ogni richiesta.
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import { PRODUCT_STATUSES } from '../src/utils/visibility.js'
+
+// ===== HELPERS =====
+
+/**
+ * READ PUBLISH AT
+ *
+ * @param {*} value - Data ricevuta (stringa, null o vuota)
+ * @returns {Object} - { publishAt } in formato ISO o null, oppure { error }
+ */
+export const readPublishAt = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { publishAt: null }
+  }
+
+  const time = Date.parse(value)
+  if (Number.isNaN(time)) {
+    return { error: `Data di pubblicazione non valida: "${value}"` }
+  }
+  return { publishAt: new Date(time).toISOString() }
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER PUBLISHING ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ */
+export const registerPublishingRoutes = (server) => {
+  /**
+   * POST /products, PATCH|PUT /products/:id
+   * Controlla stato e data di pubblicazione prima di json-server
+   */
+  const preparePublishing = (req, res, next) => {
+    const body = { ...req.body }
+    delete body.published
+
+    if (req.method === 'POST' && body.status === undefined) {
+      body.status = 'draft'
+    }
+
+    if (body.status !== undefined && !PRODUCT_STATUSES[body.status]) {
+      return res.status(400).json({ message: `Stato del prodotto non valido: "${body.status}"` })
+    }
+
+    if (body.publishAt !== undefined) {
+      const { publishAt, error } = readPublishAt(body.publishAt)
+      if (error) {
+        return res.status(400).json({ message: error })
+      }
+      body.publishAt = publishAt
+    }
+
+    req.body = body
+    next()
+  }
+
+  server.post('/products', preparePublishing)
+  server.patch('/products/:id', preparePublishing)
+  server.put('/products/:id', preparePublishing)
+}
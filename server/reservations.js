@@ -0,0 +1,236 @@
+/**
+ * RESERVATIONS.JS - PRENOTAZIONE TEMPORANEA DEI PEZZI UNICI
+ *
+ * Quando un cliente avvia il checkout, i pezzi del suo carrello vengono
+ * bloccati per una finestra configurabile (RESERVATION_MINUTES, default 15).
+ * Finché la prenotazione è attiva gli altri clienti vedono il pezzo come
+ * "riservato" e non possono ordinarlo.
+ *
+ * ROUTE:
+ * - POST /checkout/reservations: prenota gli articoli { items: [{ id, variantId?, quantity }] }
+ * - DELETE /checkout/reservations: rilascia le prenotazioni dell'utente
+ *
+ * Le prenotazioni vivono nella collezione reservations di db.json:
+ * { id, productId, variantId, userId, quantity, expiresAt, createdAt }
+ * (variantId è null per i prodotti senza varianti)
+ * Quelle scadute vengono rimosse automaticamente ogni minuto.
+ * Si prenotano solo prodotti pubblicati, in quantità intere positive.
+ * La collezione non è esposta ai clienti tramite le route REST.
+ */
+
+// ===== IMPORTAZIONI =====
+import { stockFor, lineName, isValidQuantity, requestedQuantities } from './variants.js'
+import { isPublished } from '../src/utils/visibility.js'
+
+// ===== CONFIGURAZIONE =====
+const RESERVATION_MINUTES = Number(process.env.RESERVATION_MINUTES) || 15
+const CLEANUP_INTERVAL_MS = 60 * 1000
+
+// ===== HELPERS =====
+
+/**
+ * Prenotazioni ancora valide
+ */
+const activeReservations = (db) => {
+  const now = new Date().toISOString()
+  return db.get('reservations').filter(r => r.expiresAt > now).value()
+}
+
+/**
+ * PURGE EXPIRED RESERVATIONS
+ *
+ * Rimuove le prenotazioni scadute.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @returns {number} - Prenotazioni rimosse
+ */
+export const purgeExpiredReservations = (db) => {
+  const now = new Date().toISOString()
+  const expired = db.get('reservations').filter(r => r.expiresAt <= now).value()
+
+  if (expired.length > 0) {
+    db.get('reservations').remove(r => r.expiresAt <= now).write()
+  }
+
+  return expired.length
+}
+
+/**
+ * RESERVED BY OTHERS
+ *
+ * Quantità di un prodotto (o di una sua variante) bloccata da
+ * prenotazioni di altri utenti.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {number} productId - ID prodotto
+ * @param {number|null} userId - Utente da escludere (null = conta tutte)
+ * @param {string|null} [variantId] - Variante; se omessa conta tutte le varianti
+ * @returns {number} - Pezzi riservati da altri
+ */
+export const reservedByOthers = (db, productId, userId, variantId) =>
+  activeReservations(db)
+    .filter(r => r.productId === productId && r.userId !== userId)
+    .filter(r => variantId === undefined || (r.variantId || null) === variantId)
+    .reduce((sum, r) => sum + r.quantity, 0)
+
+/**
+ * RELEASE USER RESERVATIONS
+ *
+ * Rilascia tutte le prenotazioni di un utente (checkout abbandonato
+ * o ordine creato). Non scrive su disco: lo fa il chiamante.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {number} userId - ID utente
+ */
+export const releaseUserReservations = (db, userId) => {
+  db.get('reservations').remove({ userId }).value()
+}
+
+/**
+ * DECORATE PRODUCTS
+ *
+ * Aggiunge reservedByOthers ai prodotti restituiti da /products
+ * (e a ciascuna variante), così il catalogo mostra i pezzi
+ * riservati da altri clienti.
+ *
+ * @param {Object|Array} data - Prodotto o lista prodotti
+ * @param {Object|null} user - Utente della richiesta
+ * @param {Object} db - Istanza lowdb
+ * @returns {Object|Array} - Dati con reservedByOthers
+ */
+export const decorateProducts = (data, user, db) => {
+  const userId = user?.id ?? null
+  const decorate = (product) => ({
+    ...product,
+    ...(Array.isArray(product.variants) && {
+      variants: product.variants.map(variant => ({
+        ...variant,
+        reservedByOthers: reservedByOthers(db, product.id, userId, variant.id)
+      }))
+    }),
+    reservedByOthers: reservedByOthers(db, product.id, userId)
+  })
+
+  return Array.isArray(data) ? data.map(decorate) : decorate(data)
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER RESERVATION ROUTES
+ *
+ * Va chiamata dopo authenticate(), perché le route usano req.user.
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerReservationRoutes = (server, db) => {
+  // Collezione creata al primo avvio sui database esistenti
+  if (!db.has('reservations').value()) {
+    db.set('reservations', []).write()
+  }
+
+  // Pulizia periodica: unref() non tiene vivo il processo
+  setInterval(() => purgeExpiredReservations(db), CLEANUP_INTERVAL_MS).unref()
+
+  /**
+   * La collezione REST grezza resta solo per gli admin (anche in lettura)
+   */
+  server.use('/reservations', (req, res, next) => {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({ message: 'Operazione riservata agli amministratori' })
+    }
+    next()
+  })
+
+  /**
+   * POST /checkout/reservations
+   * Prenota gli articoli del carrello; 409 se qualcuno non è disponibile
+   */
+  server.post('/checkout/reservations', (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Autenticazione richiesta: effettua il login' })
+    }
+
+    const items = req.body?.items
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Il carrello è vuoto' })
+    }
+
+    if (items.some(item => !isValidQuantity(item.quantity))) {
+      return res.status(400).json({ message: 'Quantità non valida negli articoli del carrello' })
+    }
+
+    purgeExpiredReservations(db)
+
+    // ===== CONTROLLO DISPONIBILITÀ =====
+    // Righe duplicate dello stesso prodotto e variante si sommano
+    const lines = [...requestedQuantities(items).values()]
+    const shortages = []
+
+    lines.forEach(({ productId, variantId, quantity }) => {
+      const product = db.get('products').find({ id: productId }).value()
+      // Bozze, archiviati e prodotti nel cestino non si possono riservare
+      const stock = isPublished(product) ? stockFor(product, variantId) : 0
+      const reserved = reservedByOthers(db, productId, req.user.id, variantId)
+
+      if (quantity > stock - reserved) {
+        shortages.push({
+          productId,
+          variantId,
+          name: lineName(product, productId, variantId),
+          requested: quantity,
+          available: Math.max(0, stock - reserved),
+          reservedByOthers: reserved
+        })
+      }
+    })
+
+    if (shortages.length > 0) {
+      const names = shortages
+        .map(s => s.reservedByOthers > 0 ? `${s.name} (riservato da un altro cliente)` : s.name)
+        .join(', ')
+      return res.status(409).json({ message: `Non disponibili al momento: ${names}`, shortages })
+    }
+
+    // ===== CREAZIONE PRENOTAZIONI =====
+    // Ripetere il checkout non allunga la finestra: si tiene la scadenza già attiva
+    const previous = activeReservations(db).filter(r => r.userId === req.user.id)
+    const now = new Date()
+    const expiresAt = previous.length > 0
+      ? previous.map(r => r.expiresAt).sort()[0]
+      : new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000).toISOString()
+
+    releaseUserReservations(db, req.user.id)
+
+    const reservations = lines.map(({ productId, variantId, quantity }) => db.get('reservations')
+      .insert({
+        productId,
+        variantId,
+        userId: req.user.id,
+        quantity,
+        expiresAt,
+        createdAt: now.toISOString()
+      })
+      .value())
+    db.write()
+
+    res.status(201).json({ reservations, expiresAt })
+  })
+
+  /**
+   * DELETE /checkout/reservations
+   * Rilascia le prenotazioni dell'utente
+   */
+  server.delete('/checkout/reservations', (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Autenticazione richiesta: effettua il login' })
+    }
+
+    releaseUserReservations(db, req.user.id)
+    db.write()
+
+    res.status(204).end()
+  })
+}
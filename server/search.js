@@ -0,0 +1,243 @@
+/**
+ * SEARCH.JS - RICERCA FULL-TEXT NEL CATALOGO
+ *
+ * Indice di ricerca sui prodotti usato da GET /catalog (vedi catalog.js), con:
+ * - Campi pesati: nome > tag > categoria > descrizione
+ * - Accenti ignorati ("perla" trova "pèrla")
+ * - Singolari e plurali italiani equivalenti ("tazzina" trova "tazzine",
+ *   "bianco" trova "bianchi") grazie a uno stemming leggero
+ * - Errori di battitura tollerati (distanza di Damerau-Levenshtein)
+ * - Ricerca mentre si digita: "orec" trova "orecchini"
+ *
+ * Tutte le parole della ricerca devono trovare corrispondenza;
+ * i risultati sono ordinati per punteggio.
+ *
+ * UTILIZZO:
+ * const index = buildSearchIndex(products, categories)
+ * const results = searchProducts(index, 'tazzina blu')
+ */
+
+// ===== COSTANTI =====
+
+/**
+ * Peso di ogni campo nel punteggio
+ */
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2.5,
+  category: 2,
+  description: 1
+}
+
+/**
+ * Parole troppo comuni per essere utili nella ricerca
+ */
+const STOPWORDS = new Set([
+  'a', 'ad', 'al', 'alla', 'alle', 'ai', 'con', 'da', 'dal', 'dalla', 'dei', 'del',
+  'della', 'delle', 'di', 'e', 'ed', 'gli', 'i', 'il', 'in', 'la', 'le', 'lo',
+  'nel', 'nella', 'o', 'per', 'su', 'tra', 'fra', 'un', 'una', 'uno'
+])
+
+// ===== NORMALIZZAZIONE =====
+
+/**
+ * NORMALIZE TEXT
+ *
+ * Minuscolo e senza accenti: "Perlé Blù" → "perle blu"
+ *
+ * @param {string} text - Testo originale
+ * @returns {string} - Testo normalizzato
+ */
+export const normalizeText = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+
+/**
+ * STEM
+ *
+ * Riduce una parola italiana alla radice togliendo la vocale finale,
+ * così singolare e plurale coincidono (collana/collane → collan).
+ * Le forme in -che/-chi/-ghe/-ghi perdono anche la h (bianche → bianc).
+ *
+ * @param {string} token - Parola normalizzata
+ * @returns {string} - Radice
+ */
+export const stem = (token) => {
+  if (token.length <= 3 || /\d/.test(token)) {
+    return token
+  }
+
+  const withoutH = token.replace(/([cg])h[ei]$/, '$1')
+  if (withoutH !== token) {
+    return withoutH
+  }
+
+  return token.replace(/[aeiou]$/, '')
+}
+
+/**
+ * TOKENIZE
+ *
+ * Divide il testo in radici, separando lettere e numeri ("anello1" → anell, 1)
+ * e scartando le stopword.
+ *
+ * @param {string} text - Testo da indicizzare o cercare
+ * @returns {Array<string>} - Radici
+ */
+export const tokenize = (text) =>
+  (normalizeText(text).match(/[a-z]+|[0-9]+/g) || [])
+    .filter(token => !STOPWORDS.has(token))
+    .map(stem)
+
+// ===== CORRISPONDENZA APPROSSIMATA =====
+
+/**
+ * Errori di battitura ammessi in base alla lunghezza della parola
+ */
+const allowedTypos = (length) => {
+  if (length <= 3) return 0
+  if (length <= 6) return 1
+  return 2
+}
+
+/**
+ * DAMERAU-LEVENSHTEIN (con limite)
+ *
+ * Numero minimo di inserimenti, cancellazioni, sostituzioni e
+ * scambi di lettere adiacenti per passare da a a b.
+ * Si ferma appena supera max.
+ *
+ * @returns {number} - Distanza, oppure max + 1 se oltre il limite
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previousRow = null
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i]
+    let rowMin = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost)
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1)
+      }
+
+      nextRow.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+
+    if (rowMin > max) return max + 1
+    previousRow = row
+    row = nextRow
+  }
+
+  return row[b.length]
+}
+
+/**
+ * MATCH TOKEN
+ *
+ * Quanto una parola cercata corrisponde a una parola indicizzata (0–1):
+ * - 1 identica
+ * - 0.8 inizio di parola (ricerca mentre si digita)
+ * - 0.6 / 0.45 con uno / due errori di battitura
+ */
+const matchToken = (queryToken, indexedToken) => {
+  if (queryToken === indexedToken) return 1
+
+  if (queryToken.length >= 2 && indexedToken.startsWith(queryToken)) return 0.8
+
+  const max = allowedTypos(Math.min(queryToken.length, indexedToken.length))
+  if (max === 0) return 0
+
+  const distance = editDistance(queryToken, indexedToken, max)
+  if (distance > max) return 0
+
+  return distance === 1 ? 0.6 : 0.45
+}
+
+// ===== INDICE =====
+
+/**
+ * BUILD SEARCH INDEX
+ *
+ * Pre-calcola le radici di ogni campo di ogni prodotto.
+ *
+ * @param {Array} products - Prodotti del catalogo
+ * @param {Array} categories - Categorie (per cercare anche per nome categoria)
+ * @returns {Array} - Voci dell'indice { product, name, fields }
+ */
+export const buildSearchIndex = (products, categories = []) => {
+  const categoryNames = new Map(categories.map(c => [c.slug, c.name]))
+
+  return products.map((product) => ({
+    product,
+    name: normalizeText(product.name),
+    fields: [
+      { weight: FIELD_WEIGHTS.name, tokens: tokenize(product.name) },
+      { weight: FIELD_WEIGHTS.tags, tokens: tokenize((product.tags || []).join(' ')) },
+      {
+        weight: FIELD_WEIGHTS.category,
+        tokens: tokenize(`${product.category || ''} ${categoryNames.get(product.category) || ''}`)
+      },
+      { weight: FIELD_WEIGHTS.description, tokens: tokenize(product.description) }
+    ]
+  }))
+}
+
+/**
+ * SEARCH PRODUCTS
+ *
+ * Cerca nell'indice e restituisce i prodotti ordinati per rilevanza.
+ * Ogni parola della ricerca deve corrispondere ad almeno un campo.
+ *
+ * @param {Array} index - Indice creato con buildSearchIndex
+ * @param {string} query - Testo cercato
+ * @returns {Array} - Prodotti trovati, dal più rilevante
+ */
+export const searchProducts = (index, query) => {
+  const queryTokens = [...new Set(tokenize(query))]
+
+  if (queryTokens.length === 0) {
+    return index.map(entry => entry.product)
+  }
+
+  const normalizedQuery = normalizeText(query).trim()
+  const results = []
+
+  index.forEach((entry) => {
+    let score = 0
+
+    for (const queryToken of queryTokens) {
+      let best = 0
+
+      entry.fields.forEach(({ weight, tokens }) => {
+        tokens.forEach((token) => {
+          best = Math.max(best, weight * matchToken(queryToken, token))
+        })
+      })
+
+      // Parola senza corrispondenze: prodotto escluso
+      if (best === 0) return
+
+      score += best
+    }
+
+    // Bonus se il nome contiene la frase esatta
+    if (entry.name.includes(normalizedQuery)) {
+      score += FIELD_WEIGHTS.name
+    }
+
+    results.push({ product: entry.product, score })
+  })
+
+  return results
+    .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name))
+    .map(result => result.product)
+}
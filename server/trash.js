@@ -0,0 +1,171 @@
+/**
+ * TRASH.JS - CESTINO DEI PRODOTTI
+ *
+ * Eliminare un prodotto non lo toglie da db.json: riceve "deletedAt"
+ * e sparisce dal negozio e dalla dashboard (vedi src/utils/visibility.js),
+ * ma gli ordini passati continuano a trovare il prodotto a cui si riferiscono.
+ *
+ * ROUTE:
+ * - DELETE /products/:id          sposta il prodotto nel cestino
+ * - GET    /products/trash        prodotti nel cestino, i più recenti prima
+ * - POST   /products/:id/restore  riporta il prodotto in catalogo
+ * - DELETE /products/:id/purge    elimina definitivamente un prodotto del cestino;
+ *                                 409 se qualche ordine aperto lo contiene ancora.
+ *                                 Il prodotto esce anche da collezioni e home
+ *
+ * Un ordine è aperto finché non è consegnato o annullato.
+ * Gli SKU dei prodotti nel cestino restano occupati, così il ripristino
+ * non può entrare in conflitto con un altro prodotto.
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import { isDeleted } from '../src/utils/visibility.js'
+import { productVersion } from './concurrency.js'
+
+// ===== COSTANTI =====
+const CLOSED_ORDER_STATUSES = ['delivered', 'cancelled']
+
+// ===== HELPERS =====
+
+/**
+ * Prodotto per id (l'id nell'URL è una stringa)
+ */
+const findProduct = (db, id) =>
+  db.get('products').find(product => String(product.id) === String(id))
+
+/**
+ * OPEN ORDERS WITH PRODUCT
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {number|string} productId - Prodotto da cercare negli articoli
+ * @returns {Array} - Ordini non consegnati né annullati che contengono il prodotto
+ */
+export const openOrdersWithProduct = (db, productId) => db.get('orders')
+  .filter(order =>
+    !CLOSED_ORDER_STATUSES.includes(order.status) &&
+    (order.items || []).some(item => String(item.id) === String(productId)))
+  .value()
+
+/**
+ * MOVE TO TRASH
+ *
+ * Usato anche dall'eliminazione multipla (bulk.js). Non scrive su disco:
+ * il chiamante esegue db.write() quando ha finito.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {number|string} id - Prodotto da eliminare
+ * @param {string} [now] - Data di eliminazione (ISO)
+ * @returns {Object} - Prodotto aggiornato
+ */
+export const moveToTrash = (db, id, now = new Date().toISOString()) => {
+  const product = findProduct(db, id)
+  return product.assign({ deletedAt: now, updatedAt: now, version: productVersion(product.value()) + 1 }).value()
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER TRASH ROUTES
+ *
+ * Va registrata prima del router json-server, che altrimenti
+ * eliminerebbe davvero il prodotto e tratterebbe "trash" come id.
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerTrashRoutes = (server, db) => {
+  /**
+   * GET /products/trash
+   * Il cestino lo vedono solo gli admin
+   */
+  server.get('/products/trash', (req, res) => {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({ message: 'Operazione riservata agli amministratori' })
+    }
+
+    const products = db.get('products')
+      .filter(isDeleted)
+      .sortBy('deletedAt')
+      .reverse()
+      .value()
+
+    res.json(products)
+  })
+
+  /**
+   * DELETE /products/:id
+   * Sposta il prodotto nel cestino
+   */
+  server.delete('/products/:id', (req, res) => {
+    const product = findProduct(db, req.params.id).value()
+
+    if (!product || isDeleted(product)) {
+      return res.status(404).json({ message: 'Prodotto non trovato' })
+    }
+
+    const updated = moveToTrash(db, product.id)
+    db.write()
+
+    res.json(updated)
+  })
+
+  /**
+   * POST /products/:id/restore
+   * Riporta il prodotto in catalogo, con lo stato di pubblicazione che aveva
+   */
+  server.post('/products/:id/restore', (req, res) => {
+    const product = findProduct(db, req.params.id).value()
+
+    if (!product || !isDeleted(product)) {
+      return res.status(404).json({ message: 'Prodotto non trovato nel cestino' })
+    }
+
+    findProduct(db, product.id).unset('deletedAt').value()
+    const restored = findProduct(db, product.id)
+      .assign({ updatedAt: new Date().toISOString(), version: productVersion(product) + 1 })
+      .value()
+    db.write()
+
+    res.json(restored)
+  })
+
+  /**
+   * DELETE /products/:id/purge
+   * Eliminazione definitiva, solo dal cestino e senza ordini aperti
+   */
+  server.delete('/products/:id/purge', (req, res) => {
+    const product = findProduct(db, req.params.id).value()
+
+    if (!product || !isDeleted(product)) {
+      return res.status(404).json({ message: 'Prodotto non trovato nel cestino' })
+    }
+
+    const openOrders = openOrdersWithProduct(db, product.id)
+    if (openOrders.length > 0) {
+      const ids = openOrders.map(order => `#${order.id}`).join(', ')
+      return res.status(409).json({
+        message: `"${product.name}" è ancora in ordini aperti (${ids}): potrai eliminarlo quando saranno consegnati o annullati`,
+        orderIds: openOrders.map(order => order.id)
+      })
+    }
+
+    db.get('products').remove({ id: product.id }).value()
+    db.get('reservations').remove(reservation => reservation.productId === product.id).value()
+    // Un id rimasto in home o in una collezione indicherebbe un altro
+    // prodotto se json-server lo riassegnasse
+    db.get('collections')
+      .each((collection) => {
+        collection.productIds = collection.productIds.filter(id => id !== product.id)
+      })
+      .value()
+    const featured = db.get('merchandising.featured').value()
+    if (featured) {
+      featured.productIds = featured.productIds.filter(id => id !== product.id)
+    }
+    db.write()
+
+    res.status(204).end()
+  })
+}
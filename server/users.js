@@ -0,0 +1,106 @@
+/**
+ * USERS.JS - PROFILI UTENTE TRAMITE LE ROUTE REST
+ *
+ * Le route /users di json-server restano quelle usate dal profilo e
+ * dalla gestione admin; questo modulo le affianca con:
+ * - Email normalizzate (minuscole, senza spazi) e univoche, come in
+ *   /auth/register: due account con la stessa email renderebbero
+ *   ambiguo il login
+ * - PUT che non cancella hash della password e ruolo: json-server
+ *   sostituisce l'intero record, quindi i campi che authorizeWrites()
+ *   toglie dal body vengono ripresi dal record salvato
+ *
+ * Va registrato dopo authorizeWrites(), che ha già deciso chi può
+ * modificare quale utente e ripulito il body.
+ */
+
+// ===== HELPERS =====
+
+/**
+ * Normalizza l'email del body e verifica che nessun altro utente la usi
+ *
+ * @returns {Object|null} - { status, message } se non valida
+ */
+const validateEmail = (db, body, id) => {
+  if (!Object.hasOwn(body, 'email')) {
+    return null
+  }
+
+  body.email = String(body.email || '').trim().toLowerCase()
+
+  if (!body.email) {
+    return { status: 400, message: 'L\'email è obbligatoria' }
+  }
+
+  const duplicate = db.get('users')
+    .find(user => user.email === body.email && user.id !== id)
+    .value()
+
+  return duplicate ? { status: 409, message: 'Questa email è già registrata' } : null
+}
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER USER ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerUserRoutes = (server, db) => {
+  /**
+   * POST /users
+   * Email univoca anche per gli utenti creati dagli admin
+   */
+  server.post('/users', (req, res, next) => {
+    req.body = req.body || {}
+
+    const error = validateEmail(db, req.body, null)
+    if (error) {
+      return res.status(error.status).json({ message: error.message })
+    }
+
+    next()
+  })
+
+  /**
+   * PATCH /users/:id
+   */
+  server.patch('/users/:id', (req, res, next) => {
+    req.body = req.body || {}
+
+    const error = validateEmail(db, req.body, Number(req.params.id))
+    if (error) {
+      return res.status(error.status).json({ message: error.message })
+    }
+
+    next()
+  })
+
+  /**
+   * PUT /users/:id
+   * Hash della password e (per i clienti) ruolo restano quelli salvati
+   */
+  server.put('/users/:id', (req, res, next) => {
+    const id = Number(req.params.id)
+    const current = db.get('users').find({ id }).value()
+
+    if (!current) {
+      return next()
+    }
+
+    req.body = req.body || {}
+    const error = validateEmail(db, req.body, id)
+    if (error) {
+      return res.status(error.status).json({ message: error.message })
+    }
+
+    const kept = { passwordHash: current.passwordHash }
+    if (req.user.role !== 'admin') {
+      kept.role = current.role
+    }
+    req.body = { ...req.body, ...kept }
+
+    next()
+  })
+}
@@ -0,0 +1,279 @@
+/**
+ * VARIANTS.JS - VALIDAZIONE E STOCK DELLE VARIANTI PRODOTTO
+ *
+ * Le varianti vivono dentro il prodotto (product.variants, vedi
+ * src/utils/variants.js per la struttura). Questo modulo:
+ * - Valida e normalizza le varianti su POST/PUT/PATCH /products
+ *   (SKU obbligatorio e univoco, almeno un'opzione, combinazioni distinte)
+ * - Controlla che lo SKU dei prodotti senza varianti non sia già in uso
+ * - Assegna un id alle varianti nuove ('v1', 'v2', ...)
+ * - Ricalcola product.stock come somma dello stock delle varianti
+ * - Espone gli helper di stock per riga usati da inventory.js e reservations.js
+ *
+ * Va registrato dopo authorizeWrites(), che riserva le scritture agli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import {
+  VARIANT_OPTIONS,
+  hasVariants,
+  findVariant,
+  productSkus,
+  cartLineId,
+  totalVariantStock,
+  variantLabel
+} from '../src/utils/variants.js'
+import { bumpVersion } from './concurrency.js'
+
+// ===== HELPERS STOCK =====
+
+/**
+ * STOCK FOR
+ *
+ * Pezzi disponibili per una riga d'ordine. Un prodotto con varianti
+ * non si può ordinare senza sceglierne una.
+ *
+ * @param {Object|undefined} product - Prodotto
+ * @param {string|null} variantId - ID variante della riga
+ * @returns {number} - Stock disponibile
+ */
+export const stockFor = (product, variantId) => {
+  if (!product) return 0
+  if (variantId) return Number(findVariant(product, variantId)?.stock) || 0
+  return hasVariants(product) ? 0 : Number(product.stock) || 0
+}
+
+/**
+ * LINE NAME
+ *
+ * @param {Object|undefined} product - Prodotto
+ * @param {number} productId - ID prodotto (se il prodotto non esiste più)
+ * @param {string|null} variantId - ID variante
+ * @returns {string} - "Anello (Misura: 16)" per i messaggi di errore
+ */
+export const lineName = (product, productId, variantId) => {
+  const name = product?.name || `Prodotto #${productId}`
+  const label = variantLabel(findVariant(product, variantId))
+  return label ? `${name} (${label})` : name
+}
+
+/**
+ * ADJUST PRODUCT STOCK
+ *
+ * Aggiunge delta allo stock di un prodotto o di una sua variante
+ * (negativo per scalare) e ne incrementa la versione (vedi concurrency.js).
+ * Non scrive su disco: lo fa il chiamante.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {number} productId - ID prodotto
+ * @param {string|null} variantId - ID variante
+ * @param {number} delta - Variazione di stock
+ */
+export const adjustProductStock = (db, productId, variantId, delta) => {
+  const product = db.get('products').find({ id: productId }).value()
+
+  // I prodotti eliminati nel frattempo vengono ignorati
+  if (!product) return
+
+  const variant = findVariant(product, variantId)
+
+  if (variant) {
+    variant.stock = Math.max(0, (Number(variant.stock) || 0) + delta)
+    product.stock = totalVariantStock(product.variants)
+  } else if (!variantId) {
+    product.stock = (Number(product.stock) || 0) + delta
+  } else {
+    return
+  }
+
+  // Un editor aperto prima dell'ordine non deve riscrivere lo stock vecchio
+  bumpVersion(product)
+}
+
+/**
+ * IS VALID QUANTITY
+ *
+ * Quantità accettabile per una riga di carrello o d'ordine:
+ * un numero intero di pezzi, almeno uno.
+ *
+ * @param {*} quantity - Quantità ricevuta dal client (numero JSON)
+ * @returns {boolean}
+ */
+export const isValidQuantity = (quantity) => Number.isInteger(quantity) && quantity > 0
+
+/**
+ * REQUESTED QUANTITIES
+ *
+ * Quantità richieste per riga (somma eventuali righe duplicate).
+ * Le varianti dello stesso prodotto sono righe distinte.
+ *
+ * @param {Array} items - Articoli dell'ordine o del carrello
+ * @returns {Map<string, Object>} - "productId:variantId" → { productId, variantId, quantity }
+ */
+export const requestedQuantities = (items) => {
+  const quantities = new Map()
+
+  items.forEach((item) => {
+    const productId = Number(item.id)
+    const variantId = item.variantId || null
+    const key = cartLineId(productId, variantId)
+    const line = quantities.get(key) || { productId, variantId, quantity: 0 }
+
+    line.quantity += Number(item.quantity || 0)
+    quantities.set(key, line)
+  })
+
+  return quantities
+}
+
+// ===== VALIDAZIONE =====
+
+/**
+ * FIND SKU OWNER
+ *
+ * Cerca tra gli altri prodotti (varianti comprese) chi usa già uno degli SKU.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Array} skus - SKU da controllare
+ * @param {number|null} productId - Prodotto da escludere (quello modificato)
+ * @returns {Object|null} - { sku, product } del primo conflitto, null se liberi
+ */
+export const findSkuOwner = (db, skus, productId) => {
+  for (const product of db.get('products').value()) {
+    if (product.id === productId) continue
+    const sku = productSkus(product).find(used => skus.includes(used))
+    if (sku) return { sku, product }
+  }
+  return null
+}
+
+/**
+ * NORMALIZE VARIANTS
+ *
+ * Tiene solo i campi previsti, converte i numeri e valida l'elenco.
+ *
+ * @param {Object} db - Istanza lowdb
+ * @param {Array} variants - Varianti ricevute nel body
+ * @param {number} price - Prezzo base del prodotto
+ * @param {number|null} productId - ID del prodotto modificato (null se nuovo)
+ * @returns {Object} - { variants } oppure { error: { status, message } }
+ */
+const normalizeVariants = (db, variants, price, productId) => {
+  if (!Array.isArray(variants)) {
+    return { error: { status: 400, message: 'Le varianti devono essere un elenco' } }
+  }
+
+  const usedIds = variants.map(v => String(v?.id || '')).filter(Boolean)
+  let nextId = Math.max(0, ...usedIds.map(id => Number(id.replace(/^v/, '')) || 0)) + 1
+
+  const normalized = []
+  const skus = new Set()
+  const combinations = new Set()
+
+  for (const variant of variants) {
+    const options = {}
+    VARIANT_OPTIONS.forEach(({ key }) => {
+      const value = String(variant?.options?.[key] ?? '').trim()
+      if (value) options[key] = value
+    })
+
+    const sku = String(variant?.sku || '').trim().toUpperCase()
+    const stock = Number(variant?.stock)
+    const priceAdjustment = Number(variant?.priceAdjustment) || 0
+
+    if (!sku) {
+      return { error: { status: 400, message: 'Ogni variante deve avere uno SKU' } }
+    }
+    if (Object.keys(options).length === 0) {
+      return { error: { status: 400, message: `La variante ${sku} non ha nessuna opzione (misura, lunghezza o finitura)` } }
+    }
+    if (!Number.isInteger(stock) || stock < 0) {
+      return { error: { status: 400, message: `La disponibilità della variante ${sku} deve essere un intero non negativo` } }
+    }
+    if (!(Number(price) + priceAdjustment > 0)) {
+      return { error: { status: 400, message: `Il prezzo della variante ${sku} deve essere maggiore di 0` } }
+    }
+
+    const combination = JSON.stringify(VARIANT_OPTIONS.map(({ key }) => options[key] || ''))
+    if (skus.has(sku)) {
+      return { error: { status: 409, message: `SKU ${sku} ripetuto tra le varianti` } }
+    }
+    if (combinations.has(combination)) {
+      return { error: { status: 409, message: `Esistono due varianti con le stesse opzioni (${variantLabel({ options })})` } }
+    }
+    skus.add(sku)
+    combinations.add(combination)
+
+    normalized.push({
+      id: variant?.id ? String(variant.id) : `v${nextId++}`,
+      sku,
+      options,
+      stock,
+      priceAdjustment
+    })
+  }
+
+  // Lo SKU identifica la variante in tutto il catalogo
+  const duplicate = findSkuOwner(db, [...skus], productId)
+  if (duplicate) {
+    return { error: { status: 409, message: `Lo SKU ${duplicate.sku} è già usato da "${duplicate.product.name}"` } }
+  }
+
+  return { variants: normalized }
+}
+
+
+// ===== ROUTE =====
+
+/**
+ * REGISTER VARIANT ROUTES
+ *
+ * @param {Object} server - App Express creata da jsonServer.create()
+ * @param {Object} db - Istanza lowdb del router json-server
+ */
+export const registerVariantRoutes = (server, db) => {
+  /**
+   * POST /products, PATCH|PUT /products/:id
+   * Normalizza le varianti e riallinea lo stock del prodotto,
+   * poi la richiesta prosegue verso json-server
+   */
+  const prepareVariants = (req, res, next) => {
+    const id = req.params.id ? Number(req.params.id) : null
+    const current = id ? db.get('products').find({ id }).value() : null
+
+    // Prodotto inesistente: risponde json-server con 404
+    if (id && !current) {
+      return next()
+    }
+
+    const merged = req.method === 'PATCH' ? { ...current, ...req.body } : { ...req.body }
+
+    // Senza varianti vale lo stock del prodotto, con uno SKU facoltativo
+    if (!Array.isArray(merged.variants) || merged.variants.length === 0) {
+      if (req.body?.sku === undefined) {
+        return next()
+      }
+
+      const sku = String(req.body.sku || '').trim().toUpperCase()
+      const owner = sku && findSkuOwner(db, [sku], id)
+      if (owner) {
+        return res.status(409).json({ message: `Lo SKU ${sku} è già usato da "${owner.product.name}"` })
+      }
+
+      req.body = { ...req.body, sku }
+      return next()
+    }
+
+    const { variants, error } = normalizeVariants(db, merged.variants, merged.price, id)
+    if (error) {
+      return res.status(error.status).json({ message: error.message })
+    }
+
+    req.body = { ...req.body, variants, stock: totalVariantStock(variants) }
+    next()
+  }
+
+  server.post('/products', prepareVariants)
+  server.patch('/products/:id', prepareVariants)
+  server.put('/products/:id', prepareVariants)
+}
@@ -27,8 +27,17 @@ import HomePage from './pages/HomePage'             // Landing page
 import AboutPage from './pages/AboutPage'           // Pagina chi siamo
 import ShopPage from './pages/ShopPage'             // Catalogo prodotti
 import ProductDetailPage from './pages/ProductDetailPage' // Dettaglio prodotto
+import CollectionPage from './pages/CollectionPage' // Pagina di una collezione
 import CartPage from './pages/CartPage'             // Carrello acquisti
+import CheckoutPage from './pages/CheckoutPage'     // Checkout guidato
 import AdminDashboardPage from './pages/AdminDashboardPage' // Dashboard admin
+import AdminCategoriesPage from './pages/AdminCategoriesPage' // Gestione categorie
+import AdminProductEditorPage from './pages/AdminProductEditorPage' // Editor prodotto
+import AdminImportPage from './pages/AdminImportPage' // Importazione catalogo
+import AdminTrashPage from './pages/AdminTrashPage' // Cestino prodotti
+import AdminActivityPage from './pages/AdminActivityPage' // Registro modifiche
+import AdminMerchandisingPage from './pages/AdminMerchandisingPage' // Home e prodotti in evidenza
+import AdminCollectionsPage from './pages/AdminCollectionsPage' // Gestione collezioni
 import ProfilePage from './pages/ProfilePage'       // Profilo utente
 import NotFoundPage from './pages/NotFoundPage'     // Pagina 404
 import LoginPage from './pages/LoginPage'           // Pagina login
@@ -40,7 +49,8 @@ import PrivateRoute from './components/PrivateRoute' // HOC per route private
 import AdminRoute from './components/AdminRoute'     // HOC per route admin
 
 // ===== REDUX ACTIONS =====
-import { checkAuth } from './store/auth/authSlice'   // Action per controllo autenticazione
+import { checkAuth, fetchCurrentUser } from './store/auth/authSlice' // Controllo e verifica sessione
+import { fetchCategories } from './store/categories/categoriesSlice' // Categorie per menu e footer
 
 // ===== STILI =====
 import './App.css'
@@ -61,9 +71,12 @@ function App() {
    * Al mount del componente, controlla se l'utente è già autenticato
    * leggendo i dati da localStorage (token e informazioni utente).
    * Questo permette di mantenere la sessione attiva anche dopo il refresh.
+   * Il token ripristinato viene poi verificato dal server con /auth/me.
    */
   useEffect(() => {
-    dispatch(checkAuth()) // Ripristina stato auth da localStorage
+    dispatch(checkAuth())        // Ripristina stato auth da localStorage
+    dispatch(fetchCurrentUser()) // Verifica firma e scadenza del token
+    dispatch(fetchCategories())  // Navbar e Footer mostrano le categorie in ogni pagina
   }, [dispatch])
 
   return (
@@ -101,6 +114,7 @@ function App() {
           <Route path="/about" element={<AboutPage />} />
           <Route path="/shop" element={<ShopPage />} />
           <Route path="/product/:id" element={<ProductDetailPage />} />
+          <Route path="/collections/:slug" element={<CollectionPage />} />
           <Route path="/cart" element={<CartPage />} />
           <Route path="/contact" element={<ContactPage />} />
           <Route path="/login" element={<LoginPage />} />
@@ -117,6 +131,70 @@ function App() {
               </AdminRoute>
             }
           />
+          <Route
+            path="/admin/categories"
+            element={
+              <AdminRoute>
+                <AdminCategoriesPage />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/activity"
+            element={
+              <AdminRoute>
+                <AdminActivityPage />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/collections"
+            element={
+              <AdminRoute>
+                <AdminCollectionsPage />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/merchandising"
+            element={
+              <AdminRoute>
+                <AdminMerchandisingPage />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/trash"
+            element={
+              <AdminRoute>
+                <AdminTrashPage />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/products/new"
+            element={
+              <AdminRoute>
+                <AdminProductEditorPage />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/products/import"
+            element={
+              <AdminRoute>
+                <AdminImportPage />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/products/:id"
+            element={
+              <AdminRoute>
+                <AdminProductEditorPage />
+              </AdminRoute>
+            }
+          />
 
           {/* ===== ROUTE PROTETTE UTENTE ===== */}
           {/* Accessibili solo agli utenti autenticati */}
@@ -129,6 +207,14 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/checkout"
+            element={
+              <PrivateRoute>
+                <CheckoutPage />
+              </PrivateRoute>
+            }
+          />
 
           {/* ===== ROUTE FALLBACK ===== */}
           {/* Cattura tutte le route non definite (404) */}
@@ -0,0 +1,407 @@
+/**
+ * ADMIN BULK ACTIONS COMPONENT - OPERAZIONI SUI PRODOTTI SELEZIONATI
+ *
+ * Pannello della dashboard admin che applica la stessa modifica a tutti
+ * i prodotti selezionati nella tabella:
+ * - Prezzo: variazione in percentuale, in euro o nuovo prezzo
+ * - Categoria: spostamento in un'altra categoria
+ * - Stock: nuovo valore o variazione (per ogni variante, se presenti)
+ * - Stato: pubblica subito, riporta in bozza o archivia
+ * - Sposta nel cestino (si ripristina da /admin/trash)
+ *
+ * FLUSSO:
+ * 1. "Anteprima" chiede al server l'esito senza salvare (dryRun)
+ * 2. L'admin controlla prima → dopo di ogni prodotto e i prodotti saltati
+ * 3. "Applica" salva; l'esito è riportato prodotto per prodotto
+ *
+ * I prodotti non riusciti restano selezionati, così si può correggere
+ * l'azione e riprovare solo su quelli.
+ *
+ * UTILIZZO:
+ * <AdminBulkActions selectedIds={ids} onSelectionChange={setIds} categories={categories} categoryName={fn} />
+ */
+
+/* eslint-disable react/prop-types */
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { bulkUpdateProducts } from '../store/products/productsSlice'
+import { toast } from 'react-toastify'
+import { PRODUCT_STATUSES, formatPublishAt } from '../utils/visibility'
+
+// ===== COSTANTI =====
+
+/**
+ * Azioni disponibili nel menu
+ */
+const BULK_ACTIONS = [
+  { value: 'price', label: 'Cambia prezzo' },
+  { value: 'category', label: 'Sposta in categoria' },
+  { value: 'stock', label: 'Cambia stock' },
+  { value: 'publish', label: 'Pubblica subito nel negozio' },
+  { value: 'unpublish', label: 'Riporta in bozza' },
+  { value: 'archive', label: 'Archivia' },
+  { value: 'delete', label: 'Sposta nel cestino' }
+]
+
+const PRICE_MODES = [
+  { value: 'percent', label: 'Variazione %', placeholder: 'es. -20' },
+  { value: 'amount', label: 'Variazione €', placeholder: 'es. 5 o -5' },
+  { value: 'set', label: 'Nuovo prezzo €', placeholder: 'es. 39.90' }
+]
+
+const STOCK_MODES = [
+  { value: 'adjust', label: 'Aggiungi/togli pezzi', placeholder: 'es. 2 o -1' },
+  { value: 'set', label: 'Imposta stock', placeholder: 'es. 0' }
+]
+
+const EMPTY_FORM = {
+  type: 'price',
+  priceMode: 'percent',
+  stockMode: 'adjust',
+  value: '',
+  category: ''
+}
+
+/**
+ * Nomi dei campi mostrati nell'anteprima
+ */
+const FIELD_LABELS = {
+  price: 'Prezzo',
+  category: 'Categoria',
+  stock: 'Stock',
+  status: 'Stato',
+  publishAt: 'Pubblicazione programmata'
+}
+
+/**
+ * Badge per l'esito di ogni prodotto
+ */
+const STATUS_BADGES = {
+  updated: { className: 'bg-success', preview: 'Verrà modificato', result: 'Modificato' },
+  deleted: { className: 'bg-danger', preview: 'Nel cestino', result: 'Nel cestino' },
+  unchanged: { className: 'bg-secondary', preview: 'Invariato', result: 'Invariato' },
+  failed: { className: 'bg-warning text-dark', preview: 'Saltato', result: 'Non riuscito' }
+}
+
+// ===== HELPERS =====
+
+/**
+ * Riassunto dell'anteprima, es. "3 da modificare, 2 saltati"
+ */
+const summaryText = ({ updated, deleted, unchanged, failed }) => [
+  updated > 0 && `${updated} da modificare`,
+  deleted > 0 && `${deleted} da spostare nel cestino`,
+  unchanged > 0 && `${unchanged} invariati`,
+  failed > 0 && `${failed} saltati`
+].filter(Boolean).join(', ')
+
+/**
+ * BUILD ACTION
+ *
+ * @param {Object} form - Stato del form
+ * @returns {Object} - Azione per POST /products/bulk
+ */
+const buildAction = (form) => {
+  const value = form.value.trim() === '' ? '' : Number(form.value)
+
+  switch (form.type) {
+    case 'price':
+      return { type: 'price', mode: form.priceMode, value }
+    case 'stock':
+      return { type: 'stock', mode: form.stockMode, value }
+    case 'category':
+      return { type: 'category', category: form.category }
+    default:
+      return { type: form.type }
+  }
+}
+
+/**
+ * ADMIN BULK ACTIONS COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {Array} props.selectedIds - ID dei prodotti selezionati
+ * @param {Function} props.onSelectionChange - Riceve la nuova selezione
+ * @param {Array} props.categories - Categorie (per lo spostamento)
+ * @param {Function} props.categoryName - slug → nome visualizzato
+ * @returns {React.ReactElement|null} - Pannello, null senza selezione né esiti
+ */
+function AdminBulkActions({ selectedIds, onSelectionChange, categories, categoryName }) {
+  const dispatch = useDispatch()
+
+  // ===== STATO LOCALE =====
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [preview, setPreview] = useState(null)   // Esito simulato (dryRun)
+  const [results, setResults] = useState(null)   // Esito dell'ultima applicazione
+  const [actionError, setActionError] = useState(null)
+  const [isWorking, setIsWorking] = useState(false)
+
+  // L'anteprima vale solo per la selezione e l'azione con cui è stata calcolata
+  const selectionKey = selectedIds.join(',')
+  useEffect(() => {
+    setPreview(null)
+    setActionError(null)
+  }, [selectionKey, form])
+
+  if (selectedIds.length === 0 && !results) {
+    return null
+  }
+
+  /**
+   * Valore leggibile di un campo nell'anteprima
+   */
+  const formatValue = (field, value) => {
+    switch (field) {
+      case 'price':
+        return `${Number(value).toFixed(2)} €`
+      case 'category':
+        return categoryName(value)
+      case 'stock':
+        return `${value} pz`
+      case 'status':
+        return PRODUCT_STATUSES[value]?.label || value
+      case 'publishAt':
+        return value ? formatPublishAt(value) : 'nessuna'
+      default:
+        return String(value)
+    }
+  }
+
+  // ===== EVENT HANDLERS =====
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm(previous => ({ ...previous, [name]: value }))
+  }
+
+  /**
+   * HANDLER ANTEPRIMA
+   *
+   * Chiede al server cosa succederebbe, senza salvare.
+   */
+  const handlePreview = async (e) => {
+    e.preventDefault()
+    setIsWorking(true)
+    setResults(null)
+
+    try {
+      const payload = await dispatch(bulkUpdateProducts({
+        ids: selectedIds,
+        action: buildAction(form),
+        dryRun: true
+      })).unwrap()
+      setPreview(payload)
+    } catch (error) {
+      setActionError(error)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  /**
+   * HANDLER APPLICA
+   *
+   * Salva la modifica e lascia selezionati i prodotti non riusciti.
+   */
+  const handleApply = async () => {
+    setIsWorking(true)
+
+    try {
+      const payload = await dispatch(bulkUpdateProducts({
+        ids: selectedIds,
+        action: buildAction(form),
+        dryRun: false
+      })).unwrap()
+
+      const { updated, deleted, failed } = payload.summary
+      if (failed > 0) {
+        toast.warning(`${updated + deleted} prodotti aggiornati, ${failed} non riusciti`)
+      } else {
+        toast.success(`${updated + deleted} prodotti aggiornati`)
+      }
+
+      setResults(payload)
+      setPreview(null)
+      onSelectionChange(payload.results.filter(r => r.status === 'failed').map(r => r.id))
+    } catch (error) {
+      setActionError(error)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const activeMode = form.type === 'price'
+    ? PRICE_MODES.find(mode => mode.value === form.priceMode)
+    : STOCK_MODES.find(mode => mode.value === form.stockMode)
+  const applicableCount = preview ? preview.summary.updated + preview.summary.deleted : 0
+
+  /**
+   * TABELLA ESITI
+   *
+   * Usata sia per l'anteprima sia per il risultato finale.
+   */
+  const renderOutcome = (payload, mode) => (
+    <div className="table-responsive">
+      <table className="table table-sm align-middle mb-0">
+        <thead>
+          <tr>
+            <th scope="col">Prodotto</th>
+            <th scope="col">Esito</th>
+            <th scope="col">Dettaglio</th>
+          </tr>
+        </thead>
+        <tbody>
+          {payload.results.map((result) => {
+            const badge = STATUS_BADGES[result.status]
+            return (
+              <tr key={result.id}>
+                <td>
+                  <span className="fw-bold">{result.name}</span>
+                  <small className="text-muted ms-1">#{result.id}</small>
+                </td>
+                <td>
+                  <span className={`badge ${badge.className}`}>{badge[mode]}</span>
+                </td>
+                <td className="small">
+                  {result.message && <span className="text-muted">{result.message}</span>}
+                  {result.after && Object.keys(result.after).map(field => (
+                    <div key={field}>
+                      {FIELD_LABELS[field] || field}:{' '}
+                      <span className="text-muted text-decoration-line-through">{formatValue(field, result.before[field])}</span>
+                      {' → '}
+                      <strong>{formatValue(field, result.after[field])}</strong>
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+
+  return (
+    <div className="card-body border-bottom bg-light">
+
+      {/* ===== SCELTA AZIONE ===== */}
+      {selectedIds.length > 0 && (
+        <form className="row g-2 align-items-end" onSubmit={handlePreview}>
+          <div className="col-md-3">
+            <label htmlFor="bulk-action-type" className="form-label small mb-1">Azione sui selezionati</label>
+            <select id="bulk-action-type" name="type" className="form-select" value={form.type} onChange={handleChange}>
+              {BULK_ACTIONS.map(action => (
+                <option key={action.value} value={action.value}>{action.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {(form.type === 'price' || form.type === 'stock') && (
+            <>
+              <div className="col-md-3">
+                <label htmlFor="bulk-action-mode" className="form-label small mb-1">Tipo</label>
+                <select
+                  id="bulk-action-mode"
+                  name={form.type === 'price' ? 'priceMode' : 'stockMode'}
+                  className="form-select"
+                  value={form.type === 'price' ? form.priceMode : form.stockMode}
+                  onChange={handleChange}
+                >
+                  {(form.type === 'price' ? PRICE_MODES : STOCK_MODES).map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label htmlFor="bulk-action-value" className="form-label small mb-1">Valore</label>
+                <input
+                  type="number"
+                  id="bulk-action-value"
+                  name="value"
+                  className="form-control"
+                  step={form.type === 'price' ? '0.01' : '1'}
+                  placeholder={activeMode?.placeholder}
+                  value={form.value}
+                  onChange={handleChange}
+                  required
+                />
+              </div>
+            </>
+          )}
+
+          {form.type === 'category' && (
+            <div className="col-md-5">
+              <label htmlFor="bulk-action-category" className="form-label small mb-1">Nuova categoria</label>
+              <select
+                id="bulk-action-category"
+                name="category"
+                className="form-select"
+                value={form.category}
+                onChange={handleChange}
+                required
+              >
+                <option value="">Scegli una categoria...</option>
+                {categories.filter(category => !category.archived).map(category => (
+                  <option key={category.slug} value={category.slug}>{category.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="col-md-auto">
+            <button type="submit" className="btn btn-outline-primary" disabled={isWorking}>
+              {isWorking && !preview ? 'Calcolo...' : `👁️ Anteprima (${selectedIds.length})`}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {actionError && (
+        <div className="alert alert-danger mt-3 mb-0" role="alert">{actionError}</div>
+      )}
+
+      {/* ===== ANTEPRIMA ===== */}
+      {preview && (
+        <div className="mt-3">
+          <h6 className="mb-2">Anteprima: {summaryText(preview.summary)}</h6>
+          {renderOutcome(preview, 'preview')}
+          <div className="d-flex gap-2 mt-2">
+            <button
+              type="button"
+              className={`btn ${form.type === 'delete' ? 'btn-danger' : 'btn-primary'}`}
+              onClick={handleApply}
+              disabled={isWorking || applicableCount === 0}
+            >
+              {isWorking
+                ? 'Applicazione...'
+                : form.type === 'delete'
+                  ? `🗑️ Sposta ${applicableCount} prodotti nel cestino`
+                  : `✔️ Applica a ${applicableCount} prodotti`}
+            </button>
+            <button type="button" className="btn btn-outline-secondary" onClick={() => setPreview(null)} disabled={isWorking}>
+              Annulla
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ===== ESITO ===== */}
+      {results && (
+        <div className="mt-3">
+          <div className="d-flex justify-content-between align-items-center mb-2">
+            <h6 className="mb-0">
+              Esito: {results.summary.updated + results.summary.deleted} riusciti
+              {results.summary.failed > 0 && `, ${results.summary.failed} non riusciti (restano selezionati)`}
+            </h6>
+            <button type="button" className="btn-close" aria-label="Chiudi esito" onClick={() => setResults(null)} />
+          </div>
+          {renderOutcome(results, 'result')}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default AdminBulkActions
@@ -11,6 +11,7 @@
  *
  * PATTERN UTILIZZATI:
  * - Presentational Component: Solo responsabilità di rendering
+ *   (le categorie arrivano dallo store, caricate da App)
  * - Responsive Grid: Layout adattivo con Bootstrap
  * - SEO Optimization: Link interni per crawling
  * - Social Media Integration: Link esterni con sicurezza
@@ -26,6 +27,8 @@
 
 // ===== IMPORTAZIONI =====
 import { Link } from 'react-router-dom'  // React Router per navigazione interna
+import { useSelector } from 'react-redux' // Redux hooks
+import { selectActiveCategories } from '../store/categories/categoriesSlice' // Categorie attive
 
 /**
  * FOOTER COMPONENT
@@ -34,6 +37,9 @@ import { Link } from 'react-router-dom'  // React Router per navigazione interna
  * Implementa layout responsive e best practices per footer web.
  */
 function Footer() {
+  // ===== REDUX STATE =====
+  const categories = useSelector(selectActiveCategories)
+
   // ===== COMPUTED VALUES =====
   /**
    * ANNO CORRENTE DINAMICO
@@ -154,42 +160,17 @@ function Footer() {
           <div className="col-6 col-md-2 mb-4">
             <h5 className="fw-bold mb-3">Categorie</h5>
             <ul className="nav flex-column">
-              <li className="nav-item mb-2">
-                <Link
-                  to="/shop?category=collane"
-                  className="footer-nav-link text-light opacity-75 text-decoration-none"
-                  aria-label="Esplora le nostre collane"
-                >
-                  📿 Collane
-                </Link>
-              </li>
-              <li className="nav-item mb-2">
-                <Link
-                  to="/shop?category=anelli"
-                  className="footer-nav-link text-light opacity-75 text-decoration-none"
-                  aria-label="Scopri i nostri anelli"
-                >
-                  💍 Anelli
-                </Link>
-              </li>
-              <li className="nav-item mb-2">
-                <Link
-                  to="/shop?category=orecchini"
-                  className="footer-nav-link text-light opacity-75 text-decoration-none"
-                  aria-label="Guarda i nostri orecchini"
-                >
-                  👂 Orecchini
-                </Link>
-              </li>
-              <li className="nav-item mb-2">
-                <Link
-                  to="/shop?category=accessori"
-                  className="footer-nav-link text-light opacity-75 text-decoration-none"
-                  aria-label="Vedi tutti gli accessori"
-                >
-                  ✨ Accessori
-                </Link>
-              </li>
+              {categories.map((category) => (
+                <li className="nav-item mb-2" key={category.id}>
+                  <Link
+                    to={`/shop?category=${category.slug}`}
+                    className="footer-nav-link text-light opacity-75 text-decoration-none"
+                    aria-label={`Esplora la categoria ${category.name}`}
+                  >
+                    {category.icon} {category.name}
+                  </Link>
+                </li>
+              ))}
             </ul>
           </div>
 
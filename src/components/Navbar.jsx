@@ -6,6 +6,8 @@
  * - Navigazione tra le pagine dell'app
  * - Stato di autenticazione utente
  * - Badge carrello con conteggio items
+ * - Menu Articoli con le categorie del catalogo
+ * - Ricerca rapida verso il catalogo (/shop?q=...)
  * - Menu admin condizionale
  * - Logout e gestione sessione
  *
@@ -25,10 +27,11 @@
  */
 
 // ===== IMPORTAZIONI =====
-import { useState } from 'react'                    // Hook per stato locale
+import { useEffect, useState } from 'react'         // Hook per stato locale e side effects
 import { Link, useNavigate, useLocation } from 'react-router-dom' // React Router hooks
 import { useSelector, useDispatch } from 'react-redux' // Redux hooks
 import { logoutUser } from '../store/auth/authSlice'   // Action logout
+import { selectActiveCategories } from '../store/categories/categoriesSlice' // Categorie attive
 
 /**
  * NAVBAR COMPONENT
@@ -46,6 +49,20 @@ function Navbar() {
    */
   const [isNavCollapsed, setIsNavCollapsed] = useState(true)
 
+  /**
+   * STATO MENU CATEGORIE
+   *
+   * Bootstrap JS non è caricato: il dropdown "Articoli" è gestito da React.
+   */
+  const [isCategoriesOpen, setIsCategoriesOpen] = useState(false)
+
+  /**
+   * TESTO RICERCA
+   *
+   * Campo di ricerca rapida: all'invio porta a /shop?q=...
+   */
+  const [searchText, setSearchText] = useState('')
+
   // ===== REDUX STATE =====
   /**
    * ACCESSO STATO GLOBALE
@@ -53,15 +70,31 @@ function Navbar() {
    * Estrae dati necessari dallo stato Redux:
    * - user: informazioni utente autenticato
    * - items: items nel carrello per badge count
+   * - categories: categorie attive per il menu Articoli
    */
   const { user } = useSelector((state) => state.auth)
   const { items } = useSelector((state) => state.cart)
+  const categories = useSelector(selectActiveCategories)
   const dispatch = useDispatch()
 
   // ===== REACT ROUTER HOOKS =====
   const navigate = useNavigate()  // Navigazione programmatica
   const location = useLocation()  // Informazioni route corrente
 
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * SINCRONIZZAZIONE RICERCA
+   *
+   * Sul catalogo il campo mostra la ricerca attiva (?q=), altrove si svuota.
+   */
+  useEffect(() => {
+    const query = location.pathname === '/shop'
+      ? new URLSearchParams(location.search).get('q')
+      : ''
+    setSearchText(query || '')
+  }, [location.pathname, location.search])
+
   // ===== EVENT HANDLERS =====
 
   /**
@@ -74,6 +107,32 @@ function Navbar() {
     setIsNavCollapsed(!isNavCollapsed)
   }
 
+  /**
+   * CHIUSURA MENU
+   *
+   * Chiude menu mobile e dropdown categorie dopo la navigazione.
+   */
+  const closeMenus = () => {
+    setIsNavCollapsed(true)
+    setIsCategoriesOpen(false)
+  }
+
+  /**
+   * HANDLER RICERCA
+   *
+   * Apre il catalogo con la ricerca nell'URL. Parte da tutte
+   * le categorie, perché chi cerca dal menu non ha scelto un filtro.
+   *
+   * @param {Event} e - Evento submit del form
+   */
+  const handleSearch = (e) => {
+    e.preventDefault()
+    const query = searchText.trim()
+
+    navigate(query ? `/shop?q=${encodeURIComponent(query)}` : '/shop')
+    closeMenus()
+  }
+
   /**
    * HANDLER LOGOUT
    *
@@ -166,6 +225,21 @@ function Navbar() {
          * - align-items-center: Allineamento verticale centrato
          */}
         <div className={`collapse navbar-collapse ${isNavCollapsed ? '' : 'show'}`}>
+          {/* ===== RICERCA RAPIDA ===== */}
+          <form className="d-flex my-2 my-lg-0 ms-lg-4" role="search" onSubmit={handleSearch}>
+            <input
+              type="search"
+              className="form-control form-control-sm me-2"
+              placeholder="Cerca articoli..."
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              aria-label="Cerca articoli"
+            />
+            <button type="submit" className="btn btn-sm btn-outline-primary" aria-label="Avvia ricerca">
+              🔎
+            </button>
+          </form>
+
           <ul className="navbar-nav ms-auto align-items-center">
             {/* ===== MENU ITEMS PUBBLICI ===== */}
             {/**
@@ -202,16 +276,37 @@ function Navbar() {
               </Link>
             </li>
 
-            {/* Link Catalogo Prodotti */}
-            <li className="nav-item">
-              <Link
-                className={`nav-link ${isActive('/shop')}`}
-                to="/shop"
-                onClick={() => setIsNavCollapsed(true)}
+            {/* Menu Catalogo Prodotti con le categorie attive */}
+            <li className="nav-item dropdown">
+              <button
+                type="button"
+                className={`btn btn-link nav-link dropdown-toggle ${isActive('/shop')}`}
+                onClick={() => setIsCategoriesOpen(!isCategoriesOpen)}
+                aria-expanded={isCategoriesOpen}
                 aria-label="Esplora i nostri prodotti"
               >
                 Articoli
-              </Link>
+              </button>
+              <ul className={`dropdown-menu ${isCategoriesOpen ? 'show' : ''}`}>
+                <li>
+                  <Link className="dropdown-item" to="/shop" onClick={closeMenus}>
+                    Tutti gli articoli
+                  </Link>
+                </li>
+                {categories.length > 0 && <li><hr className="dropdown-divider" /></li>}
+                {categories.map((category) => (
+                  <li key={category.id}>
+                    <Link
+                      className="dropdown-item"
+                      to={`/shop?category=${category.slug}`}
+                      onClick={closeMenus}
+                    >
+                      {category.icon && <span className="me-2">{category.icon}</span>}
+                      {category.name}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
             </li>
 
             {/* Link Contatti */}
@@ -20,8 +20,13 @@
 /* eslint-disable react/prop-types */
 // ===== IMPORTAZIONI =====
 import { Link } from 'react-router-dom'      // Navigazione React Router
-import { useDispatch } from 'react-redux'    // Hook per dispatch azioni Redux
+import { useDispatch, useSelector } from 'react-redux' // Hook Redux
 import { addToCart } from '../store/cart/cartSlice' // Azione aggiunta carrello
+import { selectCategoryBySlug } from '../store/categories/categoriesSlice' // Nome categoria
+import { isNewArrival } from '../utils/catalog' // Badge novità
+import { hasVariants, variantPrice } from '../utils/variants' // Prodotti con misure/finiture
+import { productImages, imageAlt } from '../utils/images' // Galleria immagini
+import ProductImage from './ProductImage' // Formato card, WebP se disponibile
 
 /**
  * PRODUCT CARD COMPONENT
@@ -42,6 +47,23 @@ import { addToCart } from '../store/cart/cartSlice' // Azione aggiunta carrello
 function ProductCard({ product }) {
   // ===== REDUX HOOKS =====
   const dispatch = useDispatch()
+  const category = useSelector((state) => selectCategoryBySlug(state, product.category))
+
+  // ===== DISPONIBILITÀ =====
+  // Riservato: i pezzi rimasti sono nel checkout di un altro cliente
+  const isSoldOut = product.stock === 0
+  const isReserved = product.stock > 0 && product.stock - (product.reservedByOthers || 0) <= 0
+
+  // ===== IMMAGINI =====
+  // La seconda immagine (se c'è) compare al passaggio del mouse
+  const [mainImage, hoverImage] = productImages(product)
+
+  // ===== VARIANTI =====
+  // La variante si sceglie nella pagina dettaglio: qui il prezzo di partenza
+  const withVariants = hasVariants(product)
+  const prices = withVariants ? product.variants.map(v => variantPrice(product, v)) : [product.price]
+  const fromPrice = Math.min(...prices)
+  const hasPriceRange = prices.some(price => price !== fromPrice)
 
   // ===== EVENT HANDLERS =====
   /**
@@ -65,6 +87,8 @@ function ProductCard({ product }) {
       name: product.name,
       price: product.price,
       imageUrl: product.imageUrl,
+      category: product.category,
+      stock: product.stock, // Limite quantità nel carrello
       quantity: 1 // Quantità di default
     }))
   }
@@ -83,23 +107,42 @@ function ProductCard({ product }) {
 
         {/* ===== IMMAGINE PRODOTTO ===== */}
         {/* Link navigabile verso pagina dettaglio */}
-        <Link to={`/product/${product.id}`} className="text-decoration-none">
-          <img
-            src={product.imageUrl}
+        <Link to={`/product/${product.id}`} className="product-card-media text-decoration-none">
+          <ProductImage
+            image={mainImage}
+            size="card"
             className="card-img-top"
-            alt={`Immagine di ${product.name}`} // Alt text descrittivo per accessibilità
+            alt={mainImage?.alt || `Immagine di ${product.name}`} // Alt text descrittivo per accessibilità
             loading="lazy" // Lazy loading per performance
             style={{ height: '200px', objectFit: 'cover' }} // Dimensioni uniformi
           />
+          {hoverImage && (
+            <ProductImage
+              image={hoverImage}
+              size="card"
+              className="card-img-top product-card-img-hover"
+              alt={imageAlt(product, hoverImage, 1)}
+              loading="lazy"
+              style={{ height: '200px', objectFit: 'cover' }}
+            />
+          )}
         </Link>
 
         {/* ===== CONTENUTO CARD ===== */}
         <div className="card-body d-flex flex-column">
 
           {/* Badge categoria con styling dinamico */}
-          <span className={`badge mb-2 badge-${product.category} align-self-start`}>
-            {product.category}
-          </span>
+          <div className="d-flex gap-1 mb-2">
+            <span className={`badge badge-${product.category}`}>
+              {category?.name || product.category}
+            </span>
+            {isNewArrival(product) && <span className="badge bg-info text-dark">Novità</span>}
+          </div>
+
+          {/* Stato riservato */}
+          {isReserved && (
+            <small className="text-muted mb-2">⏳ Riservato da un altro cliente</small>
+          )}
 
           {/* Titolo prodotto */}
           <h5 className="card-title">{product.name}</h5>
@@ -111,7 +154,8 @@ function ProductCard({ product }) {
 
           {/* Prezzo formattato */}
           <p className="fw-bold text-primary fs-5 mt-auto">
-            {product.price.toFixed(2)} €
+            {hasPriceRange && <small className="fw-normal text-muted me-1">da</small>}
+            {fromPrice.toFixed(2)} €
           </p>
         </div>
 
@@ -127,14 +171,25 @@ function ProductCard({ product }) {
             Dettagli
           </Link>
 
-          {/* Pulsante aggiungi al carrello */}
-          <button
-            className="btn btn-primary btn-sm flex-fill"
-            onClick={handleAddToCart}
-            aria-label={`Aggiungi ${product.name} al carrello`}
-          >
-            Aggiungi
-          </button>
+          {/* Pulsante aggiungi al carrello (o scelta variante) */}
+          {withVariants && !isSoldOut && !isReserved ? (
+            <Link
+              to={`/product/${product.id}`}
+              className="btn btn-primary btn-sm flex-fill"
+              aria-label={`Scegli la variante di ${product.name}`}
+            >
+              Scegli
+            </Link>
+          ) : (
+            <button
+              className="btn btn-primary btn-sm flex-fill"
+              onClick={handleAddToCart}
+              disabled={isSoldOut || isReserved}
+              aria-label={`Aggiungi ${product.name} al carrello`}
+            >
+              {isSoldOut ? 'Esaurito' : isReserved ? 'Riservato' : 'Aggiungi'}
+            </button>
+          )}
         </div>
       </div>
     </div>
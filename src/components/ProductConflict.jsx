@@ -0,0 +1,235 @@
+/**
+ * PRODUCT CONFLICT COMPONENT - CONFLITTO TRA DUE MODIFICHE DELLO STESSO PRODOTTO
+ *
+ * Compare nell'editor quando il salvataggio viene rifiutato perché
+ * qualcun altro ha salvato il prodotto dopo che era stato aperto
+ * (409, vedi server/concurrency.js). Per ogni campo mostra tre versioni:
+ * - Originale: com'era quando l'editor l'ha caricato
+ * - Loro: com'è ora sul server
+ * - Mie: com'è nel form
+ *
+ * I campi cambiati da una sola parte prendono quella modifica;
+ * quelli cambiati da entrambi in modo diverso vanno scelti a mano.
+ *
+ * UTILIZZO:
+ * <ProductConflict original={...} mine={...} theirs={...} categoryName={fn} onResolve={(form, save) => ...} />
+ * I tre prodotti sono valori del form (vedi productToForm nell'editor).
+ */
+
+// ===== IMPORTAZIONI =====
+import { useState } from 'react'
+import { PRODUCT_STATUSES, formatPublishAt } from '../utils/visibility'
+
+// ===== COSTANTI =====
+
+/**
+ * Campi confrontati, nell'ordine del form
+ */
+const CONFLICT_FIELDS = [
+  { key: 'name', label: 'Nome' },
+  { key: 'category', label: 'Categoria' },
+  { key: 'description', label: 'Descrizione' },
+  { key: 'price', label: 'Prezzo' },
+  { key: 'stock', label: 'Disponibilità' },
+  { key: 'sku', label: 'SKU' },
+  { key: 'tags', label: 'Tag' },
+  { key: 'status', label: 'Stato' },
+  { key: 'publishAt', label: 'Pubblica dal' },
+  { key: 'images', label: 'Immagini' },
+  { key: 'variants', label: 'Varianti' }
+]
+
+// ===== HELPERS =====
+
+/**
+ * Confronto tra valori del form: "30" e 30 sono lo stesso prezzo
+ */
+const normalize = (value) =>
+  typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '').trim()
+
+const sameValue = (a, b) => normalize(a) === normalize(b)
+
+/**
+ * ANALYZE CONFLICT
+ *
+ * @param {Object} original - Form al caricamento
+ * @param {Object} mine - Form dell'utente
+ * @param {Object} theirs - Form del prodotto attuale sul server
+ * @returns {Array} - Campi cambiati: { key, label, mineChanged, theirsChanged, conflict }
+ */
+const analyzeConflict = (original, mine, theirs) => CONFLICT_FIELDS
+  .map((field) => {
+    const mineChanged = !sameValue(original[field.key], mine[field.key])
+    const theirsChanged = !sameValue(original[field.key], theirs[field.key])
+    return {
+      ...field,
+      mineChanged,
+      theirsChanged,
+      conflict: mineChanged && theirsChanged && !sameValue(mine[field.key], theirs[field.key])
+    }
+  })
+  .filter(field => field.mineChanged || field.theirsChanged)
+
+/**
+ * PRODUCT CONFLICT COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.original - Valori del form al caricamento
+ * @param {Object} props.mine - Valori del form non salvati
+ * @param {Object} props.theirs - Valori del prodotto attuale sul server
+ * @param {Function} props.categoryName - Slug → nome della categoria
+ * @param {Function} props.onResolve - (form, save) con il form risultante
+ */
+// eslint-disable-next-line react/prop-types
+function ProductConflict({ original, mine, theirs, categoryName, onResolve }) {
+  const fields = analyzeConflict(original, mine, theirs)
+
+  // ===== STATO LOCALE =====
+  // Scelta per i campi in conflitto: 'mine' | 'theirs'
+  const [choices, setChoices] = useState({})
+
+  const unresolved = fields.filter(field => field.conflict && !choices[field.key])
+
+  /**
+   * Valore leggibile di un campo del form
+   */
+  const display = (key, value) => {
+    switch (key) {
+      case 'category':
+        return value ? categoryName(value) : '—'
+      case 'status':
+        return PRODUCT_STATUSES[value]?.label || value
+      case 'publishAt':
+        return value ? formatPublishAt(value) : 'subito'
+      case 'price':
+        return value === '' ? '—' : `€${Number(value).toFixed(2)}`
+      case 'images':
+        return `${value.filter(image => image.url).length} immagini`
+      case 'variants':
+        return value.length === 0 ? 'nessuna' : value.map(variant => `${variant.sku} (${variant.stock})`).join(', ')
+      case 'description': {
+        const text = String(value || '')
+        return text.length > 120 ? `${text.slice(0, 120)}…` : text || '—'
+      }
+      default:
+        return value === '' || value === null || value === undefined ? '—' : String(value)
+    }
+  }
+
+  /**
+   * Valore scelto per un campo: la parte che l'ha cambiato, o la scelta dell'utente
+   */
+  const resolvedSide = (field) => {
+    if (field.conflict) return choices[field.key]
+    return field.mineChanged ? 'mine' : 'theirs'
+  }
+
+  /**
+   * Unione: parte dal prodotto attuale (e dalla sua versione)
+   * e applica le modifiche scelte dal form
+   */
+  const buildMerged = () => {
+    const merged = { ...theirs }
+    fields.forEach((field) => {
+      if (resolvedSide(field) === 'mine') {
+        merged[field.key] = mine[field.key]
+      }
+    })
+    return merged
+  }
+
+  return (
+    <div className="card border-warning shadow-sm mb-4" role="alert">
+      <div className="card-header bg-warning-subtle fw-bold">
+        ⚠️ Qualcun altro ha salvato questo prodotto mentre lo modificavi
+      </div>
+      <div className="card-body">
+        <p className="small text-muted">
+          Le modifiche fatte da una sola parte sono già unite.
+          {fields.some(field => field.conflict)
+            ? ' Per i campi evidenziati scegli quale versione tenere.'
+            : ' Nessun campo è stato cambiato da entrambi.'}
+        </p>
+
+        <div className="table-responsive">
+          <table className="table table-sm align-middle">
+            <thead>
+              <tr>
+                <th scope="col">Campo</th>
+                <th scope="col">Originale</th>
+                <th scope="col">Loro (salvato)</th>
+                <th scope="col">Mie</th>
+                <th scope="col">Da tenere</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((field) => {
+                const side = resolvedSide(field)
+                return (
+                  <tr key={field.key} className={field.conflict ? 'table-warning' : undefined}>
+                    <th scope="row">{field.label}</th>
+                    <td className="text-muted small">{display(field.key, original[field.key])}</td>
+                    <td className={`small ${side === 'theirs' ? 'fw-bold' : ''}`}>{display(field.key, theirs[field.key])}</td>
+                    <td className={`small ${side === 'mine' ? 'fw-bold' : ''}`}>{display(field.key, mine[field.key])}</td>
+                    <td>
+                      {field.conflict ? (
+                        <div className="btn-group btn-group-sm" role="group" aria-label={`Versione da tenere per ${field.label}`}>
+                          <button
+                            type="button"
+                            className={`btn ${choices[field.key] === 'theirs' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                            onClick={() => setChoices({ ...choices, [field.key]: 'theirs' })}
+                          >
+                            Loro
+                          </button>
+                          <button
+                            type="button"
+                            className={`btn ${choices[field.key] === 'mine' ? 'btn-primary' : 'btn-outline-primary'}`}
+                            onClick={() => setChoices({ ...choices, [field.key]: 'mine' })}
+                          >
+                            Mie
+                          </button>
+                        </div>
+                      ) : (
+                        <span className="small text-muted">{side === 'mine' ? 'Mie' : 'Loro'}</span>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="d-flex flex-wrap gap-2">
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={() => onResolve(buildMerged(), true)}
+            disabled={unresolved.length > 0}
+          >
+            💾 Salva l&apos;unione
+          </button>
+          <button
+            type="button"
+            className="btn btn-outline-primary"
+            onClick={() => onResolve(buildMerged(), false)}
+            disabled={unresolved.length > 0}
+          >
+            Rivedi l&apos;unione nel form
+          </button>
+          <button type="button" className="btn btn-outline-secondary" onClick={() => onResolve(theirs, false)}>
+            Scarta le mie modifiche
+          </button>
+          {unresolved.length > 0 && (
+            <span className="align-self-center small text-muted">
+              Scegli ancora {unresolved.length} {unresolved.length === 1 ? 'campo' : 'campi'}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default ProductConflict
@@ -0,0 +1,493 @@
+/**
+ * PRODUCT DETAILS COMPONENT - SCHEDA PRODOTTO
+ *
+ * Layout a due colonne della pagina prodotto:
+ * - Sinistra: galleria immagini con miniature, zoom e swipe
+ * - Destra: prezzo, descrizione, scelta della variante, quantità
+ *   e aggiunta al carrello
+ *
+ * Usato da ProductDetailPage e dall'anteprima dell'editor admin
+ * (preview: i pulsanti di acquisto e navigazione sono disattivati,
+ * la scelta delle varianti resta provabile).
+ *
+ * Variante e quantità sono stato locale: con key={product.id}
+ * ripartono da zero quando si passa a un altro prodotto.
+ *
+ * UTILIZZO:
+ * <ProductDetails key={product.id} product={product} />
+ * <ProductDetails product={draft} preview />
+ */
+
+/* eslint-disable react/prop-types, react/no-unescaped-entities */
+// ===== IMPORTAZIONI =====
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useDispatch } from 'react-redux'
+import { addToCart } from '../store/cart/cartSlice'
+import { hasVariants, usedVariantOptions, variantPrice, variantLabel } from '../utils/variants'
+import ProductGallery from './ProductGallery'
+
+/**
+ * PRODUCT DETAILS COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.product - Prodotto da mostrare
+ * @param {boolean} [props.preview] - Anteprima admin: niente carrello né navigazione
+ * @returns {React.ReactElement} - Scheda prodotto renderizzata
+ */
+function ProductDetails({ product, preview = false }) {
+  const navigate = useNavigate()
+  const dispatch = useDispatch()
+
+  // ===== STATE LOCALE =====
+  /**
+   * STATO QUANTITÀ
+   *
+   * Gestisce la quantità selezionata dall'utente per l'aggiunta al carrello.
+   * Validata contro stock disponibile del prodotto (o della variante).
+   */
+  const [quantity, setQuantity] = useState(1)
+
+  /**
+   * STATO VARIANTE
+   *
+   * Valori scelti per ogni opzione, es. { size: '16', finish: 'Oro' }.
+   */
+  const [selection, setSelection] = useState({})
+
+  // ===== VARIANTI =====
+  /**
+   * Gruppi di opzioni da mostrare, con i valori distinti delle varianti.
+   * Le opzioni con un solo valore sono già selezionate.
+   */
+  const withVariants = hasVariants(product)
+  const variants = withVariants ? product.variants : []
+  const optionGroups = usedVariantOptions(variants).map(option => ({
+    ...option,
+    values: [...new Set(variants.map(v => v.options?.[option.key]).filter(Boolean))]
+  }))
+  const chosen = optionGroups.reduce((result, group) => ({
+    ...result,
+    [group.key]: selection[group.key] || (group.values.length === 1 ? group.values[0] : undefined)
+  }), {})
+  const selectedVariant = optionGroups.every(group => chosen[group.key])
+    ? variants.find(v => optionGroups.every(group => v.options?.[group.key] === chosen[group.key]))
+    : undefined
+
+  // Manca ancora una scelta, oppure la combinazione non esiste
+  const needsSelection = withVariants && !selectedVariant
+
+  // Stock, prezzo e prenotazioni sono quelli della variante scelta
+  const source = withVariants ? selectedVariant : product
+  const stock = source?.stock ?? 0
+  const price = variantPrice(product, selectedVariant)
+
+  // Tutti i pezzi rimasti sono nel checkout di un altro cliente
+  const isReserved = stock > 0 && stock - (source?.reservedByOthers || 0) <= 0
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * HANDLER CAMBIO QUANTITÀ
+   *
+   * Gestisce input diretto nel campo quantità con validazione:
+   * - Valore minimo: 1
+   * - Valore massimo: stock disponibile
+   * - Solo numeri interi positivi
+   *
+   * @param {Event} e - Evento change dell'input
+   */
+  const handleQuantityChange = (e) => {
+    const value = parseInt(e.target.value)
+
+    // ===== VALIDAZIONE INPUT =====
+    if (value > 0 && value <= (stock || 1)) {
+      setQuantity(value)
+    }
+    // Se valore non valido, mantiene quantità precedente
+  }
+
+  /**
+   * HANDLER INCREMENTO QUANTITÀ
+   *
+   * Incrementa quantità di 1 se non supera stock disponibile.
+   * Utilizzato dal pulsante "+" nell'interfaccia.
+   */
+  const handleIncrement = () => {
+    if (quantity < (stock || 1)) {
+      setQuantity(quantity + 1)
+    }
+  }
+
+  /**
+   * HANDLER DECREMENTO QUANTITÀ
+   *
+   * Decrementa quantità di 1 se maggiore di 1.
+   * Utilizzato dal pulsante "-" nell'interfaccia.
+   */
+  const handleDecrement = () => {
+    if (quantity > 1) {
+      setQuantity(quantity - 1)
+    }
+  }
+
+  /**
+   * HANDLER SCELTA VARIANTE
+   *
+   * Imposta il valore di un'opzione e riparte da quantità 1,
+   * perché lo stock cambia da variante a variante.
+   *
+   * @param {string} key - Opzione (size, chainLength, finish)
+   * @param {string} value - Valore scelto
+   */
+  const handleSelectOption = (key, value) => {
+    setSelection({ ...chosen, [key]: value })
+    setQuantity(1)
+  }
+
+  /**
+   * Un valore è disponibile se esiste una variante con stock libero
+   * compatibile con le altre opzioni già scelte
+   */
+  const isOptionAvailable = (key, value) => variants.some(v =>
+    v.options?.[key] === value &&
+    optionGroups.every(group => group.key === key || !chosen[group.key] || v.options?.[group.key] === chosen[group.key]) &&
+    v.stock - (v.reservedByOthers || 0) > 0
+  )
+
+  /**
+   * HANDLER AGGIUNTA AL CARRELLO
+   *
+   * Aggiunge il prodotto corrente al carrello con la quantità selezionata.
+   * Include validazione esistenza prodotto e scelta della variante.
+   */
+  const handleAddToCart = () => {
+    if (!preview && !needsSelection) {
+      dispatch(addToCart({
+        id: product.id,
+        name: product.name,
+        imageUrl: product.imageUrl,
+        category: product.category,
+        price,             // Prezzo della variante scelta
+        stock,             // Limite quantità nel carrello
+        variantId: selectedVariant?.id,
+        variantLabel: variantLabel(selectedVariant),
+        sku: selectedVariant?.sku,
+        quantity           // Quantità selezionata
+      }))
+
+      // Opzionale: Reset quantità dopo aggiunta
+      // setQuantity(1)
+    }
+  }
+
+  // ===== LAYOUT PRINCIPALE =====
+  return (
+    <div className="row">
+
+      {/* ===== SEZIONE IMMAGINI ===== */}
+      {/**
+       * GALLERIA PRODOTTO
+       *
+       * Immagine principale, miniature e lightbox con zoom
+       * (vedi ProductGallery).
+       */}
+      <div className="col-md-6 mb-4 mb-md-0">
+        <ProductGallery product={product}>
+          {/* Badge stock status */}
+          {product.stock === 0 && (
+            <div className="position-absolute top-0 end-0 m-3">
+              <span className="badge bg-danger fs-6">Esaurito</span>
+            </div>
+          )}
+          {isReserved && (
+            <div className="position-absolute top-0 end-0 m-3">
+              <span className="badge bg-secondary fs-6">Riservato</span>
+            </div>
+          )}
+        </ProductGallery>
+      </div>
+
+      {/* ===== SEZIONE INFORMAZIONI ===== */}
+      {/**
+       * DETTAGLI E CONTROLLI PRODOTTO
+       *
+       * Pannello destro con tutte le informazioni e controlli:
+       * - Metadati prodotto (categoria, nome, prezzo)
+       * - Descrizione dettagliata
+       * - Controlli quantità
+       * - Pulsante aggiunta carrello
+       */}
+      <div className="col-md-6">
+
+        {/* Badge Categoria */}
+        <span className={`badge mb-3 badge-${product.category} fs-6`}>
+          {product.category}
+        </span>
+
+        {/* Nome Prodotto */}
+        <h1 className="mb-3 fw-bold">{product.name}</h1>
+
+        {/* Prezzo (della variante scelta, se il prodotto ne ha) */}
+        <p className="fs-3 fw-bold text-primary mb-4">
+          {needsSelection && <small className="fs-6 fw-normal text-muted me-2">da</small>}
+          {(needsSelection ? Math.min(...variants.map(v => variantPrice(product, v))) : price).toFixed(2)} €
+        </p>
+
+        {/* Descrizione */}
+        <div className="mb-4">
+          <h5 className="fw-bold mb-2">Descrizione</h5>
+          <p className="text-muted">{product.description}</p>
+        </div>
+
+        {/* Caratteristiche Prodotto */}
+        <div className="mb-4">
+          <h6 className="fw-bold mb-2">Caratteristiche</h6>
+          <ul className="list-unstyled">
+            <li className="mb-1">
+              <span className="me-2">✋</span>
+              <strong>Fatto a mano</strong> - Lavorazione artigianale
+            </li>
+            <li className="mb-1">
+              <span className="me-2">♻️</span>
+              <strong>Sostenibile</strong> - Materiali vintage recuperati
+            </li>
+            <li className="mb-1">
+              <span className="me-2">⭐</span>
+              <strong>Unico</strong> - Pezzo irripetibile
+            </li>
+          </ul>
+        </div>
+
+        {/* ===== SCELTA VARIANTE ===== */}
+        {/**
+         * SELETTORI OPZIONI
+         *
+         * Un gruppo di pulsanti per ogni opzione usata dalle varianti.
+         * I valori senza pezzi disponibili restano selezionabili ma barrati.
+         */}
+        {optionGroups.map((group) => (
+          <div key={group.key} className="mb-3">
+            <span className="form-label fw-bold d-block" id={`option-${group.key}`}>
+              {group.label}
+              {chosen[group.key] && <span className="fw-normal text-muted ms-2">{chosen[group.key]}</span>}
+            </span>
+            <div className="d-flex flex-wrap gap-2" role="group" aria-labelledby={`option-${group.key}`}>
+              {group.values.map((value) => {
+                const isAvailable = isOptionAvailable(group.key, value)
+
+                return (
+                  <button
+                    key={value}
+                    type="button"
+                    className={`btn btn-sm ${chosen[group.key] === value ? 'btn-primary' : 'btn-outline-secondary'} ${isAvailable ? '' : 'text-decoration-line-through'}`}
+                    onClick={() => handleSelectOption(group.key, value)}
+                    aria-pressed={chosen[group.key] === value}
+                    title={isAvailable ? undefined : 'Non disponibile'}
+                  >
+                    {value}
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        ))}
+
+        {/* ===== CONTROLLI QUANTITÀ ===== */}
+        {/**
+         * SELETTORE QUANTITÀ
+         *
+         * Input group con controlli per quantità:
+         * - Pulsanti +/- per incremento/decremento
+         * - Input numerico per inserimento diretto
+         * - Validazione contro stock disponibile
+         * - Feedback visivo per limiti
+         */}
+        <div className="mb-4">
+          <label htmlFor="quantity" className="form-label fw-bold">Quantità</label>
+          <div className="input-group" style={{ width: '150px' }}>
+
+            {/* Pulsante Decremento */}
+            <button
+              className="btn btn-outline-secondary"
+              type="button"
+              onClick={handleDecrement}
+              disabled={quantity <= 1}
+              aria-label="Diminuisci quantità"
+            >
+              <span aria-hidden="true">−</span>
+            </button>
+
+            {/* Input Quantità */}
+            <input
+              type="number"
+              className="form-control text-center"
+              id="quantity"
+              value={quantity}
+              onChange={handleQuantityChange}
+              min="1"
+              max={stock}
+              disabled={needsSelection}
+              aria-label="Quantità prodotto"
+            />
+
+            {/* Pulsante Incremento */}
+            <button
+              className="btn btn-outline-secondary"
+              type="button"
+              onClick={handleIncrement}
+              disabled={needsSelection || quantity >= stock}
+              aria-label="Aumenta quantità"
+            >
+              <span aria-hidden="true">+</span>
+            </button>
+          </div>
+
+          {/* Indicatore Stock */}
+          <small className="text-muted d-block mt-1">
+            {needsSelection ? (
+              <>
+                <span className="text-primary">→</span> Scegli {optionGroups.filter(g => !chosen[g.key]).map(g => g.label.toLowerCase()).join(' e ') || 'un\'altra combinazione'} per vedere la disponibilità
+              </>
+            ) : isReserved ? (
+              <>
+                <span className="text-warning">⏳</span> Riservato da un altro cliente: potrebbe tornare disponibile a breve
+              </>
+            ) : stock > 0 ? (
+              <>
+                <span className="text-success">✓</span> Disponibilità: {stock} pezzi
+              </>
+            ) : (
+              <>
+                <span className="text-danger">✗</span> Prodotto esaurito
+              </>
+            )}
+          </small>
+        </div>
+
+        {/* ===== PULSANTE AGGIUNTA CARRELLO ===== */}
+        {/**
+         * CALL-TO-ACTION PRINCIPALE
+         *
+         * Pulsante per aggiungere prodotto al carrello con:
+         * - Stato disabilitato se manca la variante, stock = 0 o pezzo riservato da altri
+         * - Styling prominente per conversioni
+         * - Feedback accessibilità
+         */}
+        <button
+          className="btn btn-primary btn-lg w-100 mb-3"
+          onClick={handleAddToCart}
+          disabled={preview || needsSelection || stock === 0 || isReserved}
+          aria-label={`Aggiungi ${quantity} ${product.name} al carrello`}
+        >
+          {needsSelection ? (
+            <>
+              <span className="me-2">👆</span>
+              Scegli una variante
+            </>
+          ) : isReserved ? (
+            <>
+              <span className="me-2">⏳</span>
+              Riservato da un altro cliente
+            </>
+          ) : stock === 0 ? (
+            <>
+              <span className="me-2">😞</span>
+              Prodotto Esaurito
+            </>
+          ) : (
+            <>
+              <span className="me-2">🛒</span>
+              Aggiungi al Carrello
+            </>
+          )}
+        </button>
+
+        {/* ===== PULSANTE NAVIGAZIONE ===== */}
+        {/**
+         * SECONDARY ACTION
+         *
+         * Pulsante secondario per tornare al catalogo.
+         * Fornisce via di fuga se prodotto non interessante.
+         */}
+        <button
+          className="btn btn-outline-secondary w-100 mb-4"
+          onClick={() => navigate('/shop')}
+          disabled={preview}
+          aria-label="Torna al catalogo prodotti"
+        >
+          <span className="me-2">←</span>
+          Torna al Negozio
+        </button>
+
+        {/* ===== SEPARATORE ===== */}
+        <hr className="my-4" />
+
+        {/* ===== DETTAGLI TECNICI ===== */}
+        {/**
+         * INFORMAZIONI DETTAGLIATE
+         *
+         * Sezione con specifiche tecniche e informazioni aggiuntive:
+         * - Materiali utilizzati
+         * - Processo di lavorazione
+         * - Caratteristiche uniche
+         * - Disclaimer variazioni artigianali
+         */}
+        <div>
+          <h5 className="fw-bold mb-3">Dettagli Tecnici</h5>
+          <ul className="list-unstyled">
+            <li className="mb-2">
+              <strong>Categoria:</strong>
+              <span className="ms-2 text-capitalize">{product.category}</span>
+            </li>
+            {selectedVariant && (
+              <li className="mb-2">
+                <strong>SKU:</strong>
+                <span className="ms-2">{selectedVariant.sku}</span>
+              </li>
+            )}
+            <li className="mb-2">
+              <strong>Materiali:</strong>
+              <span className="ms-2">Frammento di porcellana vintage, metallo anallergico</span>
+            </li>
+            <li className="mb-2">
+              <strong>Lavorazione:</strong>
+              <span className="ms-2">Completamente artigianale</span>
+            </li>
+            <li className="mb-2">
+              <strong>Unicità:</strong>
+              <span className="ms-2">Pezzo unico e irripetibile</span>
+            </li>
+            <li className="mb-2">
+              <strong>Origine:</strong>
+              <span className="ms-2">Made in Italy</span>
+            </li>
+          </ul>
+
+          {/* ===== DISCLAIMER ARTIGIANALE ===== */}
+          {/**
+           * NOTA IMPORTANTE
+           *
+           * Disclaimer che spiega la natura artigianale e le possibili
+           * variazioni rispetto all'immagine mostrata.
+           */}
+          <div className="alert alert-info mt-4" role="note">
+            <h6 className="alert-heading">
+              <span className="me-2">ℹ️</span>
+              Nota importante
+            </h6>
+            <p className="mb-0 fst-italic">
+              Ogni bijoux è un <strong>pezzo unico</strong> realizzato a mano con frammenti
+              di porcellana vintage. Potrebbero esserci piccole differenze di colore,
+              forma o decorazione rispetto all'immagine mostrata, rendendo il tuo acquisto
+              ancora più speciale e irripetibile.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default ProductDetails
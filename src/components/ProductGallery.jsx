@@ -0,0 +1,250 @@
+/**
+ * PRODUCT GALLERY COMPONENT - GALLERIA IMMAGINI PRODOTTO
+ *
+ * Galleria della pagina dettaglio con:
+ * - Immagine principale e miniature per cambiare vista
+ * - Lightbox a schermo intero aperto dal click sull'immagine
+ * - Zoom nel lightbox (click per ingrandire, il movimento del mouse sposta il dettaglio)
+ * - Swipe a sinistra/destra su mobile, frecce e Esc da tastiera
+ *
+ * Il lightbox è gestito con lo stato React: il JavaScript di Bootstrap
+ * non è caricato nell'app.
+ *
+ * UTILIZZO:
+ * <ProductGallery key={product.id} product={product}>
+ *   {badge sopra l'immagine principale}
+ * </ProductGallery>
+ */
+
+/* eslint-disable react/prop-types */
+// ===== IMPORTAZIONI =====
+import { useEffect, useRef, useState } from 'react'
+import { productImages, imageAlt } from '../utils/images'
+import ProductImage from './ProductImage'
+
+// ===== COSTANTI =====
+const SWIPE_THRESHOLD_PX = 50 // Spostamento minimo per considerare il tocco uno swipe
+const ZOOM_SCALE = 2.5
+
+/**
+ * PRODUCT GALLERY COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.product - Prodotto con images (o solo imageUrl)
+ * @param {React.ReactNode} [props.children] - Badge mostrati sull'immagine principale
+ * @returns {React.ReactElement} - Galleria renderizzata
+ */
+function ProductGallery({ product, children }) {
+  const images = productImages(product)
+
+  // ===== STATE LOCALE =====
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [isLightboxOpen, setIsLightboxOpen] = useState(false)
+  const [isZoomed, setIsZoomed] = useState(false)
+  const [zoomOrigin, setZoomOrigin] = useState('50% 50%')
+  const touchStartX = useRef(null)
+
+  const activeImage = images[activeIndex] || images[0]
+  const hasMany = images.length > 1
+
+  // ===== NAVIGAZIONE =====
+
+  /**
+   * Mostra l'immagine in posizione index (ciclica)
+   */
+  const showImage = (index) => {
+    setActiveIndex((index + images.length) % images.length)
+    setIsZoomed(false)
+  }
+
+  const closeLightbox = () => {
+    setIsLightboxOpen(false)
+    setIsZoomed(false)
+  }
+
+  // ===== SWIPE =====
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX
+  }
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null || isZoomed) return
+
+    const deltaX = e.changedTouches[0].clientX - touchStartX.current
+    touchStartX.current = null
+
+    if (Math.abs(deltaX) >= SWIPE_THRESHOLD_PX && hasMany) {
+      showImage(activeIndex + (deltaX < 0 ? 1 : -1))
+    }
+  }
+
+  // ===== ZOOM =====
+
+  /**
+   * Il punto sotto il cursore diventa il centro dell'ingrandimento
+   */
+  const updateZoomOrigin = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const x = ((e.clientX - rect.left) / rect.width) * 100
+    const y = ((e.clientY - rect.top) / rect.height) * 100
+    setZoomOrigin(`${x}% ${y}%`)
+  }
+
+  const handleZoomToggle = (e) => {
+    updateZoomOrigin(e)
+    setIsZoomed(!isZoomed)
+  }
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * TASTIERA E SCROLL CON LIGHTBOX APERTO
+   *
+   * Esc chiude, le frecce cambiano immagine; la pagina sotto non scorre.
+   */
+  useEffect(() => {
+    if (!isLightboxOpen) return undefined
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') closeLightbox()
+      if (e.key === 'ArrowRight' && hasMany) showImage(activeIndex + 1)
+      if (e.key === 'ArrowLeft' && hasMany) showImage(activeIndex - 1)
+    }
+
+    const previousOverflow = document.body.style.overflow
+    document.body.style.overflow = 'hidden'
+    window.addEventListener('keydown', handleKeyDown)
+
+    return () => {
+      document.body.style.overflow = previousOverflow
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  })
+
+  if (!activeImage) {
+    return null
+  }
+
+  return (
+    <div className="product-gallery">
+
+      {/* ===== IMMAGINE PRINCIPALE ===== */}
+      <div
+        className="position-relative"
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+      >
+        <button
+          type="button"
+          className="product-gallery-main btn p-0 border-0 w-100"
+          onClick={() => setIsLightboxOpen(true)}
+          aria-label="Apri l'immagine a schermo intero"
+        >
+          <ProductImage
+            image={activeImage}
+            size="zoom"
+            alt={imageAlt(product, activeImage, activeIndex)}
+            className="product-detail-img img-fluid rounded shadow-lg"
+          />
+        </button>
+
+        {children}
+
+        {hasMany && (
+          <span className="product-gallery-counter badge bg-dark bg-opacity-75">
+            {activeIndex + 1} / {images.length}
+          </span>
+        )}
+      </div>
+
+      {/* ===== MINIATURE ===== */}
+      {hasMany && (
+        <div className="product-gallery-thumbs d-flex gap-2 mt-3 overflow-auto" role="list">
+          {images.map((image, index) => (
+            <button
+              key={`${image.url}-${index}`}
+              type="button"
+              role="listitem"
+              className={`product-gallery-thumb btn p-0 ${index === activeIndex ? 'active' : ''}`}
+              onClick={() => showImage(index)}
+              aria-label={`Mostra immagine ${index + 1}`}
+              aria-current={index === activeIndex}
+            >
+              <ProductImage image={image} size="thumbnail" alt="" loading="lazy" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* ===== LIGHTBOX ===== */}
+      {isLightboxOpen && (
+        <div
+          className="product-lightbox"
+          role="dialog"
+          aria-modal="true"
+          aria-label={`Galleria di ${product.name}`}
+          onClick={closeLightbox}
+          onTouchStart={handleTouchStart}
+          onTouchEnd={handleTouchEnd}
+        >
+          <button
+            type="button"
+            className="btn-close btn-close-white product-lightbox-close"
+            onClick={closeLightbox}
+            aria-label="Chiudi"
+          />
+
+          {hasMany && (
+            <button
+              type="button"
+              className="product-lightbox-nav prev"
+              onClick={(e) => { e.stopPropagation(); showImage(activeIndex - 1) }}
+              aria-label="Immagine precedente"
+            >
+              ‹
+            </button>
+          )}
+
+          <div
+            className={`product-lightbox-stage ${isZoomed ? 'zoomed' : ''}`}
+            onClick={(e) => { e.stopPropagation(); handleZoomToggle(e) }}
+            onMouseMove={isZoomed ? updateZoomOrigin : undefined}
+          >
+            <ProductImage
+              image={activeImage}
+              size="zoom"
+              alt={imageAlt(product, activeImage, activeIndex)}
+              style={{
+                transform: isZoomed ? `scale(${ZOOM_SCALE})` : 'none',
+                transformOrigin: zoomOrigin
+              }}
+            />
+          </div>
+
+          {hasMany && (
+            <button
+              type="button"
+              className="product-lightbox-nav next"
+              onClick={(e) => { e.stopPropagation(); showImage(activeIndex + 1) }}
+              aria-label="Immagine successiva"
+            >
+              ›
+            </button>
+          )}
+
+          <p className="product-lightbox-caption">
+            {activeImage.alt || product.name}
+            {hasMany && <span className="ms-2 opacity-75">({activeIndex + 1} / {images.length})</span>}
+            <span className="d-block small opacity-75">
+              {isZoomed ? 'Clicca per ridurre' : 'Clicca sull\'immagine per ingrandire'}
+            </span>
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default ProductGallery
@@ -0,0 +1,179 @@
+/**
+ * PRODUCT HISTORY COMPONENT - CRONOLOGIA DEL PRODOTTO
+ *
+ * Scheda "Cronologia" dell'editor prodotto: elenca le modifiche
+ * registrate dal server (chi, quando, campo per campo prima → dopo)
+ * e permette di tornare a una versione precedente con un clic.
+ *
+ * Ogni voce corrisponde alla versione del prodotto subito dopo
+ * quella modifica; dalla voce più vecchia si può tornare anche
+ * alla versione precedente, se il prodotto non è stato creato lì.
+ * Il ripristino è a sua volta una modifica, quindi si può annullare.
+ *
+ * UTILIZZO:
+ * <ProductHistory productId={id} isDirty={isDirty} onReverted={(product) => ...} />
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { toast } from 'react-toastify'
+import { fetchProductHistory } from '../store/audit/auditSlice'
+import { revertProduct } from '../store/products/productsSlice'
+import {
+  AUDIT_ACTIONS,
+  AUDIT_SOURCES,
+  fieldLabel,
+  formatAuditDate,
+  formatAuditValue
+} from '../utils/audit'
+
+/**
+ * PRODUCT HISTORY COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {number} props.productId - Prodotto aperto nell'editor
+ * @param {boolean} props.isDirty - Il form ha modifiche non salvate
+ * @param {Function} props.onReverted - Riceve il prodotto ripristinato
+ */
+// eslint-disable-next-line react/prop-types
+function ProductHistory({ productId, isDirty, onReverted }) {
+  const dispatch = useDispatch()
+  const { items, total, status, error } = useSelector((state) => state.audit.productHistory)
+
+  // ===== STATO LOCALE =====
+  const [revertingKey, setRevertingKey] = useState(null) // "auditId:version" in corso
+
+  useEffect(() => {
+    dispatch(fetchProductHistory(productId))
+  }, [dispatch, productId])
+
+  /**
+   * HANDLER RIPRISTINO VERSIONE
+   *
+   * @param {Object} entry - Voce del registro
+   * @param {string} version - 'after' o 'before' la modifica
+   */
+  const handleRevert = async (entry, version) => {
+    const when = formatAuditDate(entry.createdAt)
+    const question = version === 'before'
+      ? `Tornare alla versione precedente alla modifica del ${when}?`
+      : `Tornare alla versione del ${when}?`
+    const warning = isDirty ? '\nLe modifiche non salvate nel form andranno perse.' : ''
+
+    if (!window.confirm(`${question} Lo stock resta quello attuale.${warning}`)) {
+      return
+    }
+
+    setRevertingKey(`${entry.id}:${version}`)
+    try {
+      const product = await dispatch(revertProduct({ id: productId, auditId: entry.id, version })).unwrap()
+      toast.success('Versione ripristinata')
+      onReverted(product)
+      dispatch(fetchProductHistory(productId))
+    } catch (revertError) {
+      toast.error(`Errore ripristino: ${revertError}`)
+    } finally {
+      setRevertingKey(null)
+    }
+  }
+
+  // ===== STATI SPECIALI =====
+  if (status === 'loading' && items.length === 0) {
+    return (
+      <div className="text-center py-5">
+        <div className="spinner-border text-primary" role="status">
+          <span className="visually-hidden">Caricamento cronologia...</span>
+        </div>
+      </div>
+    )
+  }
+
+  if (status === 'failed') {
+    return <div className="alert alert-danger" role="alert">{error}</div>
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="text-center py-5">
+        <h5 className="text-muted">Nessuna modifica registrata</h5>
+        <p className="text-muted mb-0">Le prossime modifiche a questo prodotto compariranno qui</p>
+      </div>
+    )
+  }
+
+  const oldest = items[items.length - 1]
+
+  return (
+    <div>
+      {total > items.length && (
+        <p className="text-muted small">Ultime {items.length} modifiche di {total}</p>
+      )}
+
+      <ol className="list-group">
+        {items.map((entry, index) => {
+          const action = AUDIT_ACTIONS[entry.action] || { label: entry.action, className: 'bg-secondary' }
+          const isCurrent = index === 0
+          const canRevertBefore = entry === oldest && entry.action !== 'create'
+
+          return (
+            <li key={entry.id} className="list-group-item">
+              <div className="d-flex flex-wrap justify-content-between align-items-start gap-2">
+                <div>
+                  <span className={`badge ${action.className} me-2`}>{action.label}</span>
+                  <strong>{entry.actorName}</strong>
+                  <span className="text-muted ms-2 small">
+                    {formatAuditDate(entry.createdAt)}
+                    {entry.source && ` · ${AUDIT_SOURCES[entry.source] || entry.source}`}
+                  </span>
+                </div>
+                <div className="d-flex gap-2">
+                  {isCurrent ? (
+                    <span className="badge bg-light text-dark border align-self-center">Versione attuale</span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="btn btn-outline-primary btn-sm"
+                      onClick={() => handleRevert(entry, 'after')}
+                      disabled={revertingKey !== null}
+                    >
+                      {revertingKey === `${entry.id}:after` ? 'Ripristino...' : '↩️ Torna a questa versione'}
+                    </button>
+                  )}
+                  {canRevertBefore && (
+                    <button
+                      type="button"
+                      className="btn btn-outline-secondary btn-sm"
+                      onClick={() => handleRevert(entry, 'before')}
+                      disabled={revertingKey !== null}
+                    >
+                      {revertingKey === `${entry.id}:before` ? 'Ripristino...' : '↩️ Versione precedente'}
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <ul className="list-unstyled small mb-0 mt-2">
+                {entry.changes.map(change => (
+                  <li key={change.field}>
+                    <span className="text-muted">{fieldLabel(change.field)}:</span>{' '}
+                    {entry.action !== 'create' && (
+                      <>
+                        <span className="text-decoration-line-through text-muted">{formatAuditValue(change.before)}</span>
+                        {' → '}
+                      </>
+                    )}
+                    <strong>{formatAuditValue(change.after)}</strong>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          )
+        })}
+      </ol>
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default ProductHistory
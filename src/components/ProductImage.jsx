@@ -0,0 +1,48 @@
+/**
+ * PRODUCT IMAGE COMPONENT - IMMAGINE PRODOTTO NEL FORMATO GIUSTO
+ *
+ * Mostra un'immagine della galleria nel formato richiesto
+ * (thumbnail, card o zoom). Per le foto caricate dall'admin il
+ * browser sceglie la versione WebP quando la supporta; le immagini
+ * esterne (solo url) vengono mostrate così come sono.
+ *
+ * UTILIZZO:
+ * <ProductImage image={image} size="card" alt="..." className="card-img-top" />
+ */
+
+/* eslint-disable react/prop-types */
+// ===== IMPORTAZIONI =====
+import { imageSrc, imageWebp } from '../utils/images'
+
+/**
+ * PRODUCT IMAGE COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.image - Immagine { url, alt, sizes?, webp? }
+ * @param {string} props.size - 'thumbnail', 'card' o 'zoom'
+ * @param {Object} props.imgProps - Altri attributi passati a <img> (alt, className, style, loading)
+ * @returns {React.ReactElement|null} - <picture> con sorgente WebP, o <img> semplice
+ */
+function ProductImage({ image, size, ...imgProps }) {
+  const src = imageSrc(image, size)
+  const webp = imageWebp(image, size)
+
+  if (!src) {
+    return null
+  }
+
+  // Immagine esterna: nessun formato alternativo
+  if (!webp) {
+    return <img src={src} {...imgProps} />
+  }
+
+  return (
+    <picture>
+      <source type="image/webp" srcSet={webp} />
+      <img src={src} {...imgProps} />
+    </picture>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default ProductImage
@@ -0,0 +1,175 @@
+/**
+ * PRODUCT PICKER - ELENCO ORDINATO DI PRODOTTI SCELTI DALL'ADMIN
+ *
+ * Usato dalle pagine admin che scelgono prodotti in un ordine preciso
+ * (prodotti in evidenza della home, prodotti di una collezione):
+ * - Aggiunta di un prodotto da un elenco a tendina
+ * - Riordinamento trascinando le righe o con i pulsanti su/giù
+ * - Rimozione di un prodotto
+ *
+ * Gli id che non corrispondono a un prodotto caricato (es. finito nel
+ * cestino) non vengono mostrati e spariscono alla prima modifica.
+ */
+
+/* eslint-disable react/prop-types */
+// ===== IMPORTAZIONI =====
+import { useRef, useState } from 'react'
+import { isPublished } from '../utils/visibility'
+import { productImages } from '../utils/images'
+import ProductImage from './ProductImage'
+import ProductStatusBadge from './ProductStatusBadge'
+
+/**
+ * Sposta un elemento di un array in un'altra posizione
+ */
+const moveItem = (items, from, to) => {
+  const next = [...items]
+  const [moved] = next.splice(from, 1)
+  next.splice(to, 0, moved)
+  return next
+}
+
+/**
+ * PRODUCT PICKER COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {string} props.id - Prefisso per gli id dei campi
+ * @param {Array} props.products - Prodotti tra cui scegliere
+ * @param {Array<number>} props.productIds - Prodotti scelti, in ordine
+ * @param {Function} props.onChange - Riceve il nuovo elenco di id
+ * @param {number} [props.max] - Numero massimo di prodotti
+ * @param {string} props.emptyText - Testo quando non c'è nessun prodotto
+ */
+function ProductPicker({ id, products, productIds, onChange, max = Infinity, emptyText }) {
+  // ===== STATE LOCALE =====
+  const [productToAdd, setProductToAdd] = useState('')
+  const draggedIndex = useRef(null) // Riga trascinata
+
+  // ===== VALORI DERIVATI =====
+  const productsById = new Map(products.map(product => [product.id, product]))
+  const selected = productIds.map(productId => productsById.get(productId)).filter(Boolean)
+  const selectedIds = selected.map(product => product.id)
+  const isFull = selected.length >= max
+  const candidates = products
+    .filter(product => !selectedIds.includes(product.id))
+    .sort((a, b) => a.name.localeCompare(b.name, 'it'))
+
+  // ===== EVENT HANDLERS =====
+
+  const handleAdd = () => {
+    if (!productToAdd) return
+    onChange([...selectedIds, Number(productToAdd)])
+    setProductToAdd('')
+  }
+
+  const handleMove = (from, to) => {
+    if (to < 0 || to >= selected.length) return
+    onChange(moveItem(selectedIds, from, to))
+  }
+
+  const handleDragStart = (e, index) => {
+    draggedIndex.current = index
+    e.dataTransfer.effectAllowed = 'move'
+  }
+
+  const handleDrop = (e, index) => {
+    if (draggedIndex.current === null) return
+    e.preventDefault()
+    if (draggedIndex.current !== index) handleMove(draggedIndex.current, index)
+    draggedIndex.current = null
+  }
+
+  return (
+    <div>
+      {selected.length === 0 ? (
+        <p className="text-muted fst-italic">{emptyText}</p>
+      ) : (
+        <ol className="list-group list-group-numbered mb-3">
+          {selected.map((product, index) => (
+            <li
+              key={product.id}
+              className="list-group-item d-flex align-items-center gap-2"
+              draggable
+              onDragStart={(e) => handleDragStart(e, index)}
+              onDragOver={(e) => { if (draggedIndex.current !== null) e.preventDefault() }}
+              onDrop={(e) => handleDrop(e, index)}
+              onDragEnd={() => { draggedIndex.current = null }}
+              style={{ cursor: 'grab' }}
+            >
+              <ProductImage
+                image={productImages(product)[0]}
+                size="thumbnail"
+                alt=""
+                width="40"
+                height="40"
+                loading="lazy"
+                className="rounded object-fit-cover"
+              />
+              <div className="flex-grow-1">
+                <div className="fw-bold">{product.name}</div>
+                {!isPublished(product) && <ProductStatusBadge product={product} />}
+              </div>
+              <div className="btn-group btn-group-sm">
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary"
+                  onClick={() => handleMove(index, index - 1)}
+                  disabled={index === 0}
+                  aria-label={`Sposta ${product.name} in alto`}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary"
+                  onClick={() => handleMove(index, index + 1)}
+                  disabled={index === selected.length - 1}
+                  aria-label={`Sposta ${product.name} in basso`}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-outline-danger"
+                  onClick={() => onChange(selectedIds.filter(productId => productId !== product.id))}
+                  aria-label={`Togli ${product.name}`}
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {/* Aggiunta di un prodotto */}
+      <div className="input-group">
+        <label htmlFor={`${id}-add`} className="visually-hidden">Prodotto da aggiungere</label>
+        <select
+          id={`${id}-add`}
+          className="form-select"
+          value={productToAdd}
+          onChange={(e) => setProductToAdd(e.target.value)}
+          disabled={isFull}
+        >
+          <option value="">Scegli un prodotto…</option>
+          {candidates.map(product => (
+            <option key={product.id} value={product.id}>{product.name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn btn-outline-primary"
+          onClick={handleAdd}
+          disabled={!productToAdd || isFull}
+        >
+          ➕ Aggiungi
+        </button>
+      </div>
+      {isFull && <div className="form-text">Al massimo {max} prodotti.</div>}
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default ProductPicker
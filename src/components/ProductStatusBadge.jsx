@@ -0,0 +1,37 @@
+/**
+ * PRODUCT STATUS BADGE COMPONENT - STATO DEL PRODOTTO NEL NEGOZIO
+ *
+ * Badge con lo stato del prodotto (vedi src/utils/visibility.js):
+ * bozza, pubblicato, archiviato, oppure "Programmato" con la data
+ * di uscita se è pubblicato ma non ancora visibile.
+ *
+ * UTILIZZO:
+ * <ProductStatusBadge product={product} className="d-block mt-1" />
+ */
+
+/* eslint-disable react/prop-types */
+// ===== IMPORTAZIONI =====
+import { PRODUCT_STATUSES, productStatus, isScheduled, formatPublishAt } from '../utils/visibility'
+
+/**
+ * PRODUCT STATUS BADGE COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.product - Prodotto
+ * @param {string} props.className - Classi aggiuntive
+ */
+function ProductStatusBadge({ product, className = '' }) {
+  if (isScheduled(product)) {
+    return (
+      <span className={`badge bg-info text-dark ${className}`}>
+        Programmato · {formatPublishAt(product.publishAt)}
+      </span>
+    )
+  }
+
+  const status = PRODUCT_STATUSES[productStatus(product)]
+  return <span className={`badge ${status.className} ${className}`}>{status.label}</span>
+}
+
+// ===== EXPORT DEFAULT =====
+export default ProductStatusBadge
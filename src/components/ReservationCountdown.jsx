@@ -0,0 +1,87 @@
+/**
+ * RESERVATION COUNTDOWN COMPONENT - TEMPO RIMASTO DELLA PRENOTAZIONE
+ *
+ * Mostra per quanto tempo i pezzi del carrello restano riservati
+ * all'utente dopo l'avvio del checkout (vedi cartSlice.reserveCartItems).
+ * Alla scadenza aggiorna lo stato del carrello e avvisa il genitore.
+ *
+ * UTILIZZO:
+ * <ReservationCountdown onExpire={() => navigate('/cart')} />
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { reservationExpired } from '../store/cart/cartSlice'
+
+/**
+ * Formatta i millisecondi rimasti come mm:ss
+ */
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000))
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${String(seconds).padStart(2, '0')}`
+}
+
+/**
+ * RESERVATION COUNTDOWN COMPONENT
+ *
+ * @param {Object} props - Props del componente
+ * @param {Function} [props.onExpire] - Chiamata quando la prenotazione scade
+ * @returns {React.ReactElement|null} - Avviso con countdown o niente
+ */
+// eslint-disable-next-line react/prop-types
+function ReservationCountdown({ onExpire }) {
+  // ===== REDUX STATE =====
+  const { reservation } = useSelector((state) => state.cart)
+  const dispatch = useDispatch()
+
+  // ===== STATE LOCALE =====
+  const [now, setNow] = useState(() => Date.now())
+
+  const expiresAt = reservation ? new Date(reservation.expiresAt).getTime() : null
+  const remaining = expiresAt ? expiresAt - now : 0
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * TICK OGNI SECONDO
+   */
+  useEffect(() => {
+    if (!expiresAt) return undefined
+
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [expiresAt])
+
+  /**
+   * SCADENZA
+   */
+  useEffect(() => {
+    if (expiresAt && remaining <= 0) {
+      dispatch(reservationExpired())
+      if (onExpire) onExpire()
+    }
+  }, [dispatch, expiresAt, remaining, onExpire])
+
+  if (!expiresAt || remaining <= 0) {
+    return null
+  }
+
+  // Ultimi 2 minuti evidenziati
+  const isEnding = remaining < 2 * 60 * 1000
+
+  return (
+    <div className={`alert ${isEnding ? 'alert-danger' : 'alert-info'} d-flex align-items-center`} role="timer">
+      <span className="me-2">⏳</span>
+      <span>
+        I tuoi pezzi sono riservati ancora per <strong>{formatRemaining(remaining)}</strong>.
+        Completa l&apos;ordine prima della scadenza.
+      </span>
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default ReservationCountdown
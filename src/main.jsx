@@ -7,7 +7,8 @@
  * ARCHITETTURA:
  * - React 18 con createRoot API per Concurrent Features
  * - Redux Toolkit per state management centralizzato
- * - React Router per navigazione SPA
+ * - React Router per navigazione SPA (data router: serve a useBlocker
+ *   per proteggere i form admin con modifiche non salvate)
  * - React Toastify per notifiche user-friendly
  * - Bootstrap per styling responsive
  */
@@ -17,7 +18,7 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 
 // ===== PROVIDERS E ROUTING =====
-import { BrowserRouter } from 'react-router-dom'  // Router per Single Page Application
+import { createBrowserRouter, RouterProvider } from 'react-router-dom' // Router per Single Page Application
 import { Provider } from 'react-redux'            // Provider Redux per stato globale
 import { ToastContainer } from 'react-toastify'   // Container per notifiche toast
 
@@ -31,29 +32,16 @@ import 'react-toastify/dist/ReactToastify.css'    // Stili per notifiche toast
 import './index.css'                              // Stili custom dell'applicazione
 
 /**
- * BOOTSTRAP DELL'APPLICAZIONE
+ * ROUTER
  *
- * Gerarchia dei Provider (dall'esterno verso l'interno):
- * 1. StrictMode: Abilita controlli aggiuntivi in sviluppo
- * 2. Redux Provider: Rende lo store disponibile a tutti i componenti
- * 3. BrowserRouter: Abilita il routing client-side
- * 4. App: Componente principale dell'applicazione
- * 5. ToastContainer: Sistema di notifiche globale
+ * Una sola route che cattura tutti i percorsi: le route vere e proprie
+ * restano dichiarate con <Routes> dentro App.jsx.
  */
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    {/*
-      REDUX PROVIDER
-      Rende lo store Redux disponibile a tutti i componenti figli
-      tramite il Context API di React
-    */}
-    <Provider store={store}>
-      {/*
-        BROWSER ROUTER
-        Abilita il routing client-side per Single Page Application.
-        Gestisce la sincronizzazione tra URL del browser e componenti React
-      */}
-      <BrowserRouter>
+const router = createBrowserRouter([
+  {
+    path: '*',
+    element: (
+      <>
         {/* COMPONENTE PRINCIPALE DELL'APPLICAZIONE */}
         <App />
 
@@ -73,7 +61,35 @@ createRoot(document.getElementById('root')).render(
           draggable
           pauseOnHover
         />
-      </BrowserRouter>
+      </>
+    )
+  }
+])
+
+/**
+ * BOOTSTRAP DELL'APPLICAZIONE
+ *
+ * Gerarchia dei Provider (dall'esterno verso l'interno):
+ * 1. StrictMode: Abilita controlli aggiuntivi in sviluppo
+ * 2. Redux Provider: Rende lo store disponibile a tutti i componenti
+ * 3. RouterProvider: Abilita il routing client-side
+ * 4. App: Componente principale dell'applicazione
+ * 5. ToastContainer: Sistema di notifiche globale
+ */
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    {/*
+      REDUX PROVIDER
+      Rende lo store Redux disponibile a tutti i componenti figli
+      tramite il Context API di React
+    */}
+    <Provider store={store}>
+      {/*
+        ROUTER PROVIDER
+        Abilita il routing client-side per Single Page Application.
+        Gestisce la sincronizzazione tra URL del browser e componenti React
+      */}
+      <RouterProvider router={router} />
     </Provider>
   </StrictMode>,
 )
\ No newline at end of file
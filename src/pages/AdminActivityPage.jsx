@@ -0,0 +1,218 @@
+/**
+ * ADMIN ACTIVITY PAGE - ATTIVITÀ DEGLI AMMINISTRATORI E DEI CLIENTI
+ *
+ * Registro di tutte le modifiche a prodotti, ordini e utenti
+ * (vedi server/audit.js): chi ha cambiato cosa, quando, e i valori
+ * prima e dopo di ogni campo.
+ *
+ * Filtri e pagina stanno nell'URL, come nella tabella prodotti:
+ * la vista si può salvare nei preferiti o condividere.
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useSearchParams } from 'react-router-dom'
+import { fetchAuditLog } from '../store/audit/auditSlice'
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+  AUDIT_SOURCES,
+  fieldLabel,
+  formatAuditDate,
+  formatAuditValue
+} from '../utils/audit'
+
+// ===== HELPERS =====
+
+/**
+ * Nome dell'entità al singolare, per la colonna "Elemento"
+ */
+const ENTITY_NAMES = { products: 'Prodotto', orders: 'Ordine', users: 'Utente' }
+
+/**
+ * ADMIN ACTIVITY PAGE COMPONENT
+ */
+function AdminActivityPage() {
+  const dispatch = useDispatch()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const { items, total, page, pageCount, actors, status, error } = useSelector((state) => state.audit.log)
+
+  // ===== FILTRI DALL'URL =====
+  const entity = searchParams.get('entity') || ''
+  const actorId = searchParams.get('actor') || ''
+  const action = searchParams.get('action') || ''
+  const requestedPage = Math.max(1, Number(searchParams.get('page')) || 1)
+
+  useEffect(() => {
+    dispatch(fetchAuditLog({ entity, actorId, action, page: requestedPage }))
+  }, [dispatch, entity, actorId, action, requestedPage])
+
+  /**
+   * Aggiorna un filtro e torna alla prima pagina
+   */
+  const updateFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams)
+    if (value) {
+      next.set(key, value)
+    } else {
+      next.delete(key)
+    }
+    next.delete('page')
+    setSearchParams(next)
+  }
+
+  const goToPage = (target) => {
+    const next = new URLSearchParams(searchParams)
+    next.set('page', String(target))
+    setSearchParams(next)
+  }
+
+  /**
+   * Riferimento all'elemento modificato; i prodotti si aprono nell'editor
+   */
+  const renderTarget = (entry) => {
+    const label = `${ENTITY_NAMES[entry.entity] || entry.entity} #${entry.entityId}`
+    const name = entry.snapshot?.name
+
+    if (entry.entity === 'products' && entry.action !== 'purge') {
+      return (
+        <Link to={`/admin/products/${entry.entityId}`}>
+          {label}{name && <span className="d-block small">{name}</span>}
+        </Link>
+      )
+    }
+    return <>{label}{name && <span className="d-block small text-muted">{name}</span>}</>
+  }
+
+  return (
+    <div className="container py-5">
+
+      {/* ===== HEADER ===== */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="mb-2">Attività</h1>
+          <p className="text-muted mb-0">Modifiche a prodotti, ordini e utenti, le più recenti prima</p>
+        </div>
+        <Link to="/admin" className="btn btn-outline-secondary btn-sm">← Torna alla dashboard</Link>
+      </div>
+
+      {/* ===== FILTRI ===== */}
+      <div className="row g-2 mb-3">
+        <div className="col-sm-4">
+          <label htmlFor="activity-entity" className="form-label small mb-1">Elemento</label>
+          <select id="activity-entity" className="form-select form-select-sm" value={entity} onChange={(e) => updateFilter('entity', e.target.value)}>
+            <option value="">Tutti</option>
+            {AUDIT_ENTITIES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-sm-4">
+          <label htmlFor="activity-actor" className="form-label small mb-1">Utente</label>
+          <select id="activity-actor" className="form-select form-select-sm" value={actorId} onChange={(e) => updateFilter('actor', e.target.value)}>
+            <option value="">Tutti</option>
+            {actors.map(actor => (
+              <option key={actor.id} value={actor.id}>{actor.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-sm-4">
+          <label htmlFor="activity-action" className="form-label small mb-1">Azione</label>
+          <select id="activity-action" className="form-select form-select-sm" value={action} onChange={(e) => updateFilter('action', e.target.value)}>
+            <option value="">Tutte</option>
+            {Object.entries(AUDIT_ACTIONS).map(([value, option]) => (
+              <option key={value} value={value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* ===== REGISTRO ===== */}
+      {status === 'failed' ? (
+        <div className="alert alert-danger" role="alert">{error}</div>
+      ) : status === 'loading' && items.length === 0 ? (
+        <div className="text-center py-5">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Caricamento attività...</span>
+          </div>
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-5">
+          <h5 className="text-muted">Nessuna attività</h5>
+          <p className="text-muted mb-0">Nessuna modifica corrisponde ai filtri scelti</p>
+        </div>
+      ) : (
+        <div className="card shadow-sm">
+          <div className="table-responsive">
+            <table className="table admin-table align-middle mb-0">
+              <thead>
+                <tr>
+                  <th scope="col">Data</th>
+                  <th scope="col">Utente</th>
+                  <th scope="col">Azione</th>
+                  <th scope="col">Elemento</th>
+                  <th scope="col">Modifiche</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(entry => {
+                  const badge = AUDIT_ACTIONS[entry.action] || { label: entry.action, className: 'bg-secondary' }
+                  return (
+                    <tr key={entry.id}>
+                      <td className="text-nowrap small">{formatAuditDate(entry.createdAt)}</td>
+                      <td>{entry.actorName}</td>
+                      <td>
+                        <span className={`badge ${badge.className}`}>{badge.label}</span>
+                        {entry.source && (
+                          <small className="text-muted d-block">{AUDIT_SOURCES[entry.source] || entry.source}</small>
+                        )}
+                      </td>
+                      <td>{renderTarget(entry)}</td>
+                      <td className="small">
+                        {entry.changes.map(change => (
+                          <div key={change.field}>
+                            <span className="text-muted">{fieldLabel(change.field)}:</span>{' '}
+                            {change.redacted ? (
+                              <em>modificata</em>
+                            ) : (
+                              <>
+                                {entry.action !== 'create' && (
+                                  <>
+                                    <span className="text-decoration-line-through text-muted">{formatAuditValue(change.before)}</span>
+                                    {' → '}
+                                  </>
+                                )}
+                                <strong>{formatAuditValue(change.after)}</strong>
+                              </>
+                            )}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* ===== PAGINAZIONE ===== */}
+          <div className="card-footer d-flex justify-content-between align-items-center">
+            <small className="text-muted">{total} modifiche · pagina {page} di {pageCount}</small>
+            <div className="btn-group btn-group-sm">
+              <button type="button" className="btn btn-outline-secondary" onClick={() => goToPage(page - 1)} disabled={page <= 1}>
+                ← Più recenti
+              </button>
+              <button type="button" className="btn btn-outline-secondary" onClick={() => goToPage(page + 1)} disabled={page >= pageCount}>
+                Meno recenti →
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default AdminActivityPage
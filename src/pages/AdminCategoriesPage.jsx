@@ -0,0 +1,390 @@
+/**
+ * ADMIN CATEGORIES PAGE - GESTIONE CATEGORIE DEL CATALOGO
+ *
+ * Pagina admin per le categorie mostrate in Navbar, Footer, HomePage e ShopPage:
+ * - Creazione di nuove categorie
+ * - Rinomina e modifica di slug, descrizione, immagine e icona
+ * - Riordinamento con i pulsanti su/giù
+ * - Archiviazione e ripristino
+ *
+ * Le categorie archiviate spariscono dalla navigazione ma restano
+ * assegnate ai prodotti esistenti. Cambiare lo slug aggiorna anche
+ * i prodotti (lo fa il backend), ma rompe i link già condivisi.
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { fetchProducts } from '../store/products/productsSlice'
+import {
+  fetchCategories,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  selectCategories
+} from '../store/categories/categoriesSlice'
+
+// ===== COSTANTI =====
+const EMPTY_FORM = {
+  name: '',
+  slug: '',
+  description: '',
+  imageUrl: '',
+  icon: ''
+}
+
+/**
+ * ADMIN CATEGORIES PAGE COMPONENT
+ */
+function AdminCategoriesPage() {
+  // ===== REDUX HOOKS =====
+  const dispatch = useDispatch()
+  const categories = useSelector(selectCategories)
+  const { status, error } = useSelector((state) => state.categories)
+  const { products } = useSelector((state) => state.products)
+
+  // ===== STATE LOCALE =====
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [editingId, setEditingId] = useState(null) // null = nuova categoria
+  const [isSaving, setIsSaving] = useState(false)
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * DATA FETCHING AL MOUNT
+   *
+   * Ricarica categorie e prodotti (servono i conteggi per categoria).
+   */
+  useEffect(() => {
+    dispatch(fetchCategories())
+    dispatch(fetchProducts())
+  }, [dispatch])
+
+  // ===== HELPERS =====
+
+  /**
+   * Numero di prodotti assegnati alla categoria
+   */
+  const countProducts = (slug) => products.filter(p => p.category === slug).length
+
+  // ===== EVENT HANDLERS =====
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData({ ...formData, [name]: value })
+  }
+
+  /**
+   * Apre il form in modifica con i dati della categoria
+   */
+  const handleEdit = (category) => {
+    setFormData({
+      name: category.name,
+      slug: category.slug,
+      description: category.description || '',
+      imageUrl: category.imageUrl || '',
+      icon: category.icon || ''
+    })
+    setEditingId(category.id)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM)
+    setEditingId(null)
+  }
+
+  /**
+   * HANDLER SUBMIT
+   *
+   * Crea o aggiorna la categoria. Lo slug vuoto in creazione
+   * viene ricavato dal nome dal backend.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!formData.name.trim()) {
+      toast.error('Il nome della categoria è obbligatorio')
+      return
+    }
+
+    const current = categories.find(c => c.id === editingId)
+    if (current && formData.slug !== current.slug && countProducts(current.slug) > 0 &&
+        !window.confirm('Cambiando lo slug i link già condivisi a questa categoria smetteranno di funzionare. Continuare?')) {
+      return
+    }
+
+    const data = {
+      ...formData,
+      name: formData.name.trim(),
+      slug: formData.slug.trim()
+    }
+    if (!data.slug) delete data.slug
+
+    setIsSaving(true)
+    try {
+      if (editingId) {
+        await dispatch(updateCategory({ id: editingId, changes: data })).unwrap()
+        toast.success('Categoria aggiornata')
+      } else {
+        await dispatch(createCategory(data)).unwrap()
+        toast.success('Categoria creata')
+      }
+      resetForm()
+    } catch (error) {
+      toast.error(error)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  /**
+   * HANDLER SPOSTAMENTO
+   *
+   * Scambia la categoria con la vicina e salva l'ordine completo.
+   *
+   * @param {number} index - Posizione attuale
+   * @param {number} direction - -1 su, +1 giù
+   */
+  const handleMove = (index, direction) => {
+    const ids = categories.map(c => c.id)
+    const target = index + direction
+    ;[ids[index], ids[target]] = [ids[target], ids[index]]
+
+    dispatch(reorderCategories(ids))
+      .unwrap()
+      .catch((error) => toast.error(error))
+  }
+
+  /**
+   * HANDLER ARCHIVIAZIONE / RIPRISTINO
+   */
+  const handleToggleArchived = (category) => {
+    if (!category.archived && countProducts(category.slug) > 0 &&
+        !window.confirm(`"${category.name}" contiene ${countProducts(category.slug)} prodotti, che resteranno a catalogo ma non saranno più raggiungibili dal menu. Archiviare?`)) {
+      return
+    }
+
+    dispatch(updateCategory({ id: category.id, changes: { archived: !category.archived } }))
+      .unwrap()
+      .then(() => toast.success(category.archived ? 'Categoria ripristinata' : 'Categoria archiviata'))
+      .catch((error) => toast.error(error))
+  }
+
+  return (
+    <div className="container py-5">
+
+      {/* ===== HEADER ===== */}
+      <div className="d-flex justify-content-between align-items-center mb-5">
+        <div>
+          <h1 className="mb-2">Categorie</h1>
+          <p className="text-muted mb-0">Organizza le categorie mostrate nel negozio</p>
+        </div>
+        <Link to="/admin" className="btn btn-outline-secondary">
+          ← Dashboard
+        </Link>
+      </div>
+
+      {/* ===== FORM CATEGORIA ===== */}
+      <div className="card shadow mb-5">
+        <div className="card-header bg-primary text-white">
+          <h3 className="mb-0">
+            <span className="me-2">{editingId ? '✏️' : '➕'}</span>
+            {editingId ? 'Modifica Categoria' : 'Nuova Categoria'}
+          </h3>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit}>
+            <div className="row mb-3">
+              <div className="col-md-5">
+                <label htmlFor="name" className="form-label fw-bold">Nome</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="Es. Spille"
+                  required
+                />
+              </div>
+              <div className="col-md-5">
+                <label htmlFor="slug" className="form-label fw-bold">Slug</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  id="slug"
+                  name="slug"
+                  value={formData.slug}
+                  onChange={handleChange}
+                  placeholder={editingId ? '' : 'Lascia vuoto per ricavarlo dal nome'}
+                  pattern="[a-z0-9]+(-[a-z0-9]+)*"
+                  title="Solo lettere minuscole, numeri e trattini"
+                />
+                <div className="form-text">Usato negli URL: /shop?category=slug</div>
+              </div>
+              <div className="col-md-2">
+                <label htmlFor="icon" className="form-label fw-bold">Icona</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  id="icon"
+                  name="icon"
+                  value={formData.icon}
+                  onChange={handleChange}
+                  placeholder="📿"
+                  maxLength={4}
+                />
+              </div>
+            </div>
+
+            <div className="mb-3">
+              <label htmlFor="description" className="form-label fw-bold">Descrizione</label>
+              <textarea
+                className="form-control"
+                id="description"
+                name="description"
+                rows="2"
+                value={formData.description}
+                onChange={handleChange}
+              />
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor="imageUrl" className="form-label fw-bold">URL immagine</label>
+              <input
+                type="url"
+                className="form-control"
+                id="imageUrl"
+                name="imageUrl"
+                value={formData.imageUrl}
+                onChange={handleChange}
+                placeholder="https://..."
+              />
+              <div className="form-text">Facoltativa: se presente sostituisce l&apos;icona nella home.</div>
+            </div>
+
+            <div className="d-flex gap-2">
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? 'Salvataggio...' : editingId ? 'Salva modifiche' : 'Crea categoria'}
+              </button>
+              {editingId && (
+                <button type="button" className="btn btn-outline-secondary" onClick={resetForm}>
+                  Annulla
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {/* ===== ELENCO CATEGORIE ===== */}
+      <div className="card shadow">
+        <div className="card-header bg-success text-white">
+          <h3 className="mb-0">
+            <span className="me-2">📂</span>
+            Elenco Categorie ({categories.length})
+          </h3>
+        </div>
+        <div className="card-body p-0">
+          {status === 'loading' && categories.length === 0 ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Caricamento categorie...</span>
+              </div>
+            </div>
+          ) : error ? (
+            <div className="alert alert-danger m-3" role="alert">{error}</div>
+          ) : categories.length === 0 ? (
+            <p className="text-muted text-center py-5 mb-0">Nessuna categoria: creane una con il form sopra</p>
+          ) : (
+            <div className="table-responsive">
+              <table className="table table-hover align-middle mb-0">
+                <thead className="table-dark">
+                  <tr>
+                    <th scope="col">Ordine</th>
+                    <th scope="col">Categoria</th>
+                    <th scope="col">Slug</th>
+                    <th scope="col">Prodotti</th>
+                    <th scope="col">Stato</th>
+                    <th scope="col">Azioni</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {categories.map((category, index) => (
+                    <tr key={category.id} className={category.archived ? 'table-secondary' : ''}>
+                      <td>
+                        <div className="btn-group btn-group-sm">
+                          <button
+                            type="button"
+                            className="btn btn-outline-secondary"
+                            onClick={() => handleMove(index, -1)}
+                            disabled={index === 0}
+                            aria-label={`Sposta ${category.name} in alto`}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-outline-secondary"
+                            onClick={() => handleMove(index, 1)}
+                            disabled={index === categories.length - 1}
+                            aria-label={`Sposta ${category.name} in basso`}
+                          >
+                            ↓
+                          </button>
+                        </div>
+                      </td>
+                      <td>
+                        <div className="fw-bold">
+                          {category.icon && <span className="me-1">{category.icon}</span>}
+                          {category.name}
+                        </div>
+                        {category.description && (
+                          <small className="text-muted">{category.description}</small>
+                        )}
+                      </td>
+                      <td><code>{category.slug}</code></td>
+                      <td>{countProducts(category.slug)}</td>
+                      <td>
+                        {category.archived ? (
+                          <span className="badge bg-secondary">Archiviata</span>
+                        ) : (
+                          <span className="badge bg-success">Attiva</span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="btn-group btn-group-sm">
+                          <button
+                            type="button"
+                            className="btn btn-outline-primary"
+                            onClick={() => handleEdit(category)}
+                          >
+                            ✏️ Modifica
+                          </button>
+                          <button
+                            type="button"
+                            className={`btn ${category.archived ? 'btn-outline-success' : 'btn-outline-warning'}`}
+                            onClick={() => handleToggleArchived(category)}
+                          >
+                            {category.archived ? '↩️ Ripristina' : '🗄️ Archivia'}
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default AdminCategoriesPage
@@ -0,0 +1,478 @@
+/**
+ * ADMIN COLLECTIONS PAGE - GESTIONE DELLE COLLEZIONI
+ *
+ * Pagina admin per le collezioni mostrate in /collections/:slug:
+ * - Creazione e modifica di titolo, slug e racconto
+ * - Copertina caricata come le foto dei prodotti, o da URL
+ * - Prodotti della collezione, riordinabili trascinandoli
+ * - Eliminazione (i prodotti restano a catalogo)
+ *
+ * Dalla pagina pubblica di una collezione si arriva qui già in modifica
+ * (/admin/collections?edit=id). Cambiare lo slug rompe i link già condivisi.
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useSearchParams } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { fetchProducts, uploadProductImage } from '../store/products/productsSlice'
+import {
+  fetchCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection
+} from '../store/collections/collectionsSlice'
+import { MAX_UPLOAD_MB, UPLOAD_TYPES } from '../utils/images'
+import { isPublished } from '../utils/visibility'
+import ProductImage from '../components/ProductImage'
+import ProductPicker from '../components/ProductPicker'
+
+// ===== COSTANTI =====
+const EMPTY_FORM = {
+  title: '',
+  slug: '',
+  story: '',
+  coverUrl: '',
+  coverAlt: '',
+  productIds: []
+}
+
+/**
+ * Dati del form per modificare una collezione esistente
+ */
+const collectionToForm = (collection) => ({
+  title: collection.title,
+  slug: collection.slug,
+  story: collection.story || '',
+  coverUrl: collection.coverImage?.url || '',
+  coverAlt: collection.coverImage?.alt || '',
+  productIds: collection.productIds
+})
+
+/**
+ * ADMIN COLLECTIONS PAGE COMPONENT
+ */
+function AdminCollectionsPage() {
+  // ===== ROUTER HOOKS =====
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  // ===== REDUX HOOKS =====
+  const dispatch = useDispatch()
+  const { collections, status, error } = useSelector((state) => state.collections)
+  const { products } = useSelector((state) => state.products)
+  const token = useSelector((state) => state.auth.token)
+
+  // ===== STATE LOCALE =====
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [editingId, setEditingId] = useState(null)     // null = nuova collezione
+  const [coverUpload, setCoverUpload] = useState(null) // Copertina caricata, con i formati generati
+  const [isUploading, setIsUploading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * DATA FETCHING AL MOUNT
+   *
+   * Ricarica collezioni e prodotti: un altro admin potrebbe averli cambiati.
+   */
+  useEffect(() => {
+    dispatch(fetchCollections())
+    dispatch(fetchProducts())
+  }, [dispatch])
+
+  /**
+   * APERTURA IN MODIFICA DA URL
+   *
+   * ?edit=id (link "Modifica collezione" della pagina pubblica)
+   */
+  const editParam = Number(searchParams.get('edit'))
+  useEffect(() => {
+    const collection = editParam && collections.find(c => c.id === editParam)
+    if (collection) {
+      setFormData(collectionToForm(collection))
+      setCoverUpload(collection.coverImage)
+      setEditingId(collection.id)
+      setSearchParams({}, { replace: true })
+    }
+  }, [editParam, collections, setSearchParams])
+
+  // ===== HELPERS =====
+
+  /**
+   * Prodotti della collezione visibili nel negozio
+   */
+  const countVisible = (collection) => collection.productIds
+    .filter(id => products.some(product => product.id === id && isPublished(product)))
+    .length
+
+  // ===== EVENT HANDLERS =====
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData({ ...formData, [name]: value })
+  }
+
+  /**
+   * Apre il form in modifica con i dati della collezione
+   */
+  const handleEdit = (collection) => {
+    setFormData(collectionToForm(collection))
+    setCoverUpload(collection.coverImage)
+    setEditingId(collection.id)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM)
+    setCoverUpload(null)
+    setEditingId(null)
+  }
+
+  /**
+   * HANDLER COPERTINA
+   *
+   * Carica la foto come quelle dei prodotti (formati ridimensionati e WebP).
+   */
+  const handleCoverFile = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    // Lo stesso controllo lo ripete il server sul contenuto del file
+    if (!UPLOAD_TYPES.includes(file.type)) {
+      toast.error(`${file.name}: formato non supportato (JPEG, PNG o WebP)`)
+      return
+    }
+    if (file.size > MAX_UPLOAD_MB * 1024 * 1024) {
+      toast.error(`${file.name}: l'immagine supera ${MAX_UPLOAD_MB} MB`)
+      return
+    }
+
+    setIsUploading(true)
+    uploadProductImage({ file, token })
+      .then((image) => {
+        setCoverUpload(image)
+        setFormData(prev => ({ ...prev, coverUrl: image.url }))
+      })
+      .catch((uploadError) => toast.error(`${file.name}: ${uploadError.message}`))
+      .finally(() => setIsUploading(false))
+  }
+
+  /**
+   * Copertina da salvare: i formati generati valgono solo se l'URL
+   * è ancora quello della foto caricata
+   */
+  const buildCover = () => {
+    const url = formData.coverUrl.trim()
+    if (!url) return null
+
+    const alt = formData.coverAlt.trim()
+    return coverUpload?.url === url ? { ...coverUpload, alt } : { url, alt }
+  }
+
+  /**
+   * HANDLER SUBMIT
+   *
+   * Crea o aggiorna la collezione. Lo slug vuoto in creazione
+   * viene ricavato dal titolo dal backend.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!formData.title.trim()) {
+      toast.error('Il titolo della collezione è obbligatorio')
+      return
+    }
+
+    const current = collections.find(c => c.id === editingId)
+    if (current && formData.slug !== current.slug &&
+        !window.confirm('Cambiando lo slug i link già condivisi a questa collezione smetteranno di funzionare. Continuare?')) {
+      return
+    }
+
+    const data = {
+      title: formData.title.trim(),
+      slug: formData.slug.trim(),
+      story: formData.story.trim(),
+      coverImage: buildCover(),
+      // I prodotti finiti nel cestino escono dalla collezione
+      productIds: formData.productIds.filter(id => products.some(product => product.id === id))
+    }
+    if (!data.slug) delete data.slug
+
+    setIsSaving(true)
+    try {
+      if (editingId) {
+        await dispatch(updateCollection({ id: editingId, changes: data })).unwrap()
+        toast.success('Collezione aggiornata')
+      } else {
+        await dispatch(createCollection(data)).unwrap()
+        toast.success('Collezione creata')
+      }
+      resetForm()
+    } catch (saveError) {
+      toast.error(saveError)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  /**
+   * HANDLER ELIMINAZIONE
+   */
+  const handleDelete = (collection) => {
+    if (!window.confirm(`Eliminare la collezione "${collection.title}"? I prodotti restano a catalogo.`)) {
+      return
+    }
+
+    dispatch(deleteCollection(collection.id))
+      .unwrap()
+      .then(() => {
+        if (editingId === collection.id) resetForm()
+        toast.success('Collezione eliminata')
+      })
+      .catch((deleteError) => toast.error(deleteError))
+  }
+
+  const cover = buildCover()
+
+  return (
+    <div className="container py-5">
+
+      {/* ===== HEADER ===== */}
+      <div className="d-flex justify-content-between align-items-center mb-5">
+        <div>
+          <h1 className="mb-2">Collezioni</h1>
+          <p className="text-muted mb-0">Racconta insieme i pezzi nati dallo stesso servizio</p>
+        </div>
+        <Link to="/admin" className="btn btn-outline-secondary">
+          ← Dashboard
+        </Link>
+      </div>
+
+      {/* ===== FORM COLLEZIONE ===== */}
+      <div className="card shadow mb-5">
+        <div className="card-header bg-primary text-white">
+          <h3 className="mb-0">
+            <span className="me-2">{editingId ? '✏️' : '➕'}</span>
+            {editingId ? 'Modifica Collezione' : 'Nuova Collezione'}
+          </h3>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit}>
+            <div className="row g-4">
+              <div className="col-lg-7">
+                <div className="row mb-3">
+                  <div className="col-md-7">
+                    <label htmlFor="title" className="form-label fw-bold">Titolo</label>
+                    <input
+                      type="text"
+                      className="form-control"
+                      id="title"
+                      name="title"
+                      value={formData.title}
+                      onChange={handleChange}
+                      placeholder="Es. Servizio Richard Ginori anni '50"
+                      maxLength={100}
+                      required
+                    />
+                  </div>
+                  <div className="col-md-5">
+                    <label htmlFor="slug" className="form-label fw-bold">Slug</label>
+                    <input
+                      type="text"
+                      className="form-control"
+                      id="slug"
+                      name="slug"
+                      value={formData.slug}
+                      onChange={handleChange}
+                      placeholder={editingId ? '' : 'Lascia vuoto per ricavarlo dal titolo'}
+                      pattern="[a-z0-9]+(-[a-z0-9]+)*"
+                      title="Solo lettere minuscole, numeri e trattini"
+                    />
+                    <div className="form-text">Usato negli URL: /collections/slug</div>
+                  </div>
+                </div>
+
+                <div className="mb-3">
+                  <label htmlFor="story" className="form-label fw-bold">Racconto</label>
+                  <textarea
+                    className="form-control"
+                    id="story"
+                    name="story"
+                    rows="8"
+                    value={formData.story}
+                    onChange={handleChange}
+                    maxLength={5000}
+                    placeholder="Da dove vengono i piatti, chi li usava, come sono diventati gioielli..."
+                  />
+                  <div className="form-text">Lascia una riga vuota tra un paragrafo e l&apos;altro.</div>
+                </div>
+
+                {/* Copertina */}
+                <div className="mb-3">
+                  <label htmlFor="coverUrl" className="form-label fw-bold">Copertina</label>
+                  <div className="input-group">
+                    <input
+                      type="url"
+                      className="form-control"
+                      id="coverUrl"
+                      name="coverUrl"
+                      value={formData.coverUrl}
+                      onChange={handleChange}
+                      placeholder="https://... oppure carica una foto"
+                    />
+                    <label className={`btn btn-outline-primary ${isUploading ? 'disabled' : ''}`}>
+                      {isUploading ? 'Caricamento...' : '⬆️ Carica foto'}
+                      <input
+                        type="file"
+                        accept={UPLOAD_TYPES.join(',')}
+                        onChange={handleCoverFile}
+                        className="visually-hidden"
+                        disabled={isUploading}
+                      />
+                    </label>
+                  </div>
+                </div>
+                <div className="mb-3">
+                  <label htmlFor="coverAlt" className="form-label fw-bold">Testo alternativo della copertina</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    id="coverAlt"
+                    name="coverAlt"
+                    value={formData.coverAlt}
+                    onChange={handleChange}
+                    placeholder="Es. Piatti del servizio apparecchiati su una tovaglia di lino"
+                  />
+                </div>
+                {cover && (
+                  <ProductImage
+                    image={cover}
+                    size="card"
+                    alt={cover.alt}
+                    className="img-fluid rounded mb-3"
+                    style={{ maxHeight: '200px' }}
+                  />
+                )}
+              </div>
+
+              {/* Prodotti della collezione */}
+              <div className="col-lg-5">
+                <span className="form-label fw-bold d-block">Prodotti</span>
+                <p className="small text-muted">
+                  Trascina i prodotti per cambiarne l&apos;ordine. Quelli non ancora nel negozio
+                  compariranno nella pagina quando saranno pubblicati.
+                </p>
+                <ProductPicker
+                  id="collection-products"
+                  products={products}
+                  productIds={formData.productIds}
+                  onChange={(productIds) => setFormData(prev => ({ ...prev, productIds }))}
+                  emptyText="Nessun prodotto nella collezione."
+                />
+              </div>
+            </div>
+
+            <div className="d-flex gap-2 mt-4">
+              <button type="submit" className="btn btn-primary" disabled={isSaving || isUploading}>
+                {isSaving ? 'Salvataggio...' : editingId ? 'Salva modifiche' : 'Crea collezione'}
+              </button>
+              {editingId && (
+                <button type="button" className="btn btn-outline-secondary" onClick={resetForm}>
+                  Annulla
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {/* ===== ELENCO COLLEZIONI ===== */}
+      <div className="card shadow">
+        <div className="card-header bg-success text-white">
+          <h3 className="mb-0">
+            <span className="me-2">📖</span>
+            Elenco Collezioni ({collections.length})
+          </h3>
+        </div>
+        <div className="card-body p-0">
+          {status === 'loading' && collections.length === 0 ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Caricamento collezioni...</span>
+              </div>
+            </div>
+          ) : error ? (
+            <div className="alert alert-danger m-3" role="alert">{error}</div>
+          ) : collections.length === 0 ? (
+            <p className="text-muted text-center py-5 mb-0">Nessuna collezione: creane una con il form sopra</p>
+          ) : (
+            <div className="table-responsive">
+              <table className="table table-hover align-middle mb-0">
+                <thead className="table-dark">
+                  <tr>
+                    <th scope="col">Collezione</th>
+                    <th scope="col">Slug</th>
+                    <th scope="col">Prodotti nel negozio</th>
+                    <th scope="col">Azioni</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {collections.map((collection) => (
+                    <tr key={collection.id} className={collection.id === editingId ? 'table-primary' : ''}>
+                      <td>
+                        <div className="d-flex align-items-center gap-2">
+                          {collection.coverImage && (
+                            <ProductImage
+                              image={collection.coverImage}
+                              size="thumbnail"
+                              alt=""
+                              width="48"
+                              height="48"
+                              loading="lazy"
+                              className="rounded object-fit-cover"
+                            />
+                          )}
+                          <span className="fw-bold">{collection.title}</span>
+                        </div>
+                      </td>
+                      <td><code>{collection.slug}</code></td>
+                      <td>{countVisible(collection)} di {collection.productIds.length}</td>
+                      <td>
+                        <div className="btn-group btn-group-sm">
+                          <button
+                            type="button"
+                            className="btn btn-outline-primary"
+                            onClick={() => handleEdit(collection)}
+                          >
+                            ✏️ Modifica
+                          </button>
+                          <Link to={`/collections/${collection.slug}`} className="btn btn-outline-secondary">
+                            👁️ Apri
+                          </Link>
+                          <button
+                            type="button"
+                            className="btn btn-outline-danger"
+                            onClick={() => handleDelete(collection)}
+                          >
+                            🗑️ Elimina
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default AdminCollectionsPage
@@ -2,18 +2,23 @@
  * ADMIN DASHBOARD PAGE - PANNELLO AMMINISTRATIVO
  *
  * Pagina dedicata alla gestione amministrativa dell'e-commerce che gestisce:
- * - CRUD completo prodotti (Create, Read, Update, Delete)
- * - Form per aggiunta/modifica prodotti
- * - Tabella gestione inventario con azioni
- * - Validazione dati prodotti
+ * - Tabella inventario con ricerca, filtri, ordinamento e paginazione
+ * - Colonne visibili a scelta, ricordate tra una sessione e l'altra
+ * - Selezione delle righe e operazioni su più prodotti (AdminBulkActions)
+ * - Esportazione del catalogo in CSV o JSON e accesso all'importazione
+ * - Collegamenti all'editor prodotto (AdminProductEditorPage) per creare e modificare
+ * - Eliminazione prodotti con conferma: finiscono nel cestino (AdminTrashPage)
  * - Gestione stati loading/error per operazioni
- * - Dashboard analytics e statistiche
+ *
+ * Ricerca, filtri, ordinamento e pagina stanno nell'URL (vedi
+ * utils/adminProducts.js): tornando indietro dall'editor la tabella
+ * si riapre esattamente com'era.
  *
  * PATTERN UTILIZZATI:
  * - Container Component: Gestisce logica business e stato
  * - CRUD Operations: Operazioni complete su entità prodotti
- * - Form Management: Gestione form con validazione
  * - State Management: Redux per sincronizzazione dati
+ * - URL State: query parameters come fonte di verità per la vista
  * - Error Handling: Gestione errori con feedback utente
  * - Admin Authorization: Accesso limitato a utenti admin
  *
@@ -26,47 +31,134 @@
  */
 
 // ===== IMPORTAZIONI =====
-import { useEffect, useState } from 'react'                    // React hooks
+import { useEffect, useRef, useState } from 'react'         // React hooks
 import { useDispatch, useSelector } from 'react-redux'        // Redux hooks
-import { fetchProducts, createProduct, updateProduct, deleteProduct } from '../store/products/productsSlice' // Product actions
+import { Link, useSearchParams } from 'react-router-dom'     // Navigazione e query parameters
+import {
+  fetchProducts,
+  deleteProduct,
+  toggleAdminColumn,
+  resetAdminColumns
+} from '../store/products/productsSlice'                      // Product actions
+import { selectCategories } from '../store/categories/categoriesSlice' // Categorie
+import {
+  ADMIN_COLUMNS,
+  LOW_STOCK_THRESHOLD,
+  PAGE_SIZES,
+  STOCK_FILTERS,
+  STATE_FILTERS,
+  filterAdminProducts,
+  hasAdminFilters,
+  paginate,
+  readAdminTableParams,
+  sortAdminProducts
+} from '../utils/adminProducts'                               // Logica tabella
+import { productImages } from '../utils/images'               // Galleria prodotto
+import { isPublished } from '../utils/visibility'             // Prodotti non visibili nel negozio
+import ProductStatusBadge from '../components/ProductStatusBadge' // Bozza, programmato, archiviato
+import {
+  EXPORT_COLUMNS,
+  exportableProduct,
+  productsToRows,
+  toCsv
+} from '../utils/productTransfer'                             // Formato di scambio
+import { datedFilename, downloadFile } from '../utils/download' // Scaricamento file
+import ProductImage from '../components/ProductImage'          // Immagine nel formato giusto
+import AdminBulkActions from '../components/AdminBulkActions'  // Operazioni sui selezionati
 import { toast } from 'react-toastify'                        // Toast notifications
 
+// ===== COMPONENTI DI SUPPORTO =====
+
+/**
+ * INTESTAZIONE ORDINABILE
+ *
+ * Un click ordina per la colonna in modo crescente, il secondo
+ * inverte il verso. aria-sort comunica l'ordinamento agli screen reader.
+ */
+// eslint-disable-next-line react/prop-types
+function SortableHeader({ column, label, sort, dir, onSort }) {
+  const isActive = sort === column
+  const ariaSort = isActive ? (dir === 'desc' ? 'descending' : 'ascending') : 'none'
+
+  return (
+    <th scope="col" aria-sort={ariaSort}>
+      <button type="button" className="admin-sort-button" onClick={() => onSort(column)}>
+        {label}
+        <span className="ms-1" aria-hidden="true">
+          {isActive ? (dir === 'desc' ? '▼' : '▲') : '↕'}
+        </span>
+      </button>
+    </th>
+  )
+}
+
+/**
+ * NUMERI DI PAGINA DA MOSTRARE
+ *
+ * Prima e ultima pagina sempre, più quelle vicine alla corrente;
+ * null segna un salto (puntini).
+ *
+ * @param {number} page - Pagina corrente
+ * @param {number} pageCount - Pagine totali
+ * @returns {Array} - Es. [1, null, 4, 5, 6, null, 12]
+ */
+const pageNumbers = (page, pageCount) => {
+  const pages = []
+  for (let number = 1; number <= pageCount; number++) {
+    if (number === 1 || number === pageCount || Math.abs(number - page) <= 1) {
+      pages.push(number)
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null)
+    }
+  }
+  return pages
+}
+
 /**
  * ADMIN DASHBOARD PAGE COMPONENT
  *
  * Componente principale per gestione amministrativa prodotti.
- * Implementa interfaccia completa CRUD con validazione e feedback.
+ * Creazione e modifica avvengono nell'editor dedicato.
  */
 function AdminDashboardPage() {
   // ===== REDUX HOOKS =====
   const dispatch = useDispatch()
-  const { products, status, error } = useSelector((state) => state.products)
-
-  // ===== STATE LOCALE =====
+  const { products, status, error, adminTable } = useSelector((state) => state.products)
+  const categories = useSelector(selectCategories)
+
+  // ===== STATO TABELLA =====
+  const [searchParams, setSearchParams] = useSearchParams()
+  const params = readAdminTableParams(searchParams)
+  const [searchText, setSearchText] = useState(params.q)    // Testo nel campo (non trimmato)
+  const [selectedIds, setSelectedIds] = useState([])          // Righe selezionate
+  const [showColumnMenu, setShowColumnMenu] = useState(false) // Menu colonne aperto
+  const columnMenuRef = useRef(null)
+  const selectPageRef = useRef(null)
 
   /**
-   * STATO FORM PRODOTTO
-   *
-   * Gestisce tutti i dati del form per creazione/modifica prodotti.
-   * Utilizzato sia per nuovo prodotto che per editing esistente.
+   * Nome visualizzato di una categoria a partire dallo slug del prodotto
    */
-  const [formData, setFormData] = useState({
-    id: '',                    // ID prodotto (solo per editing)
-    name: '',                  // Nome prodotto
-    description: '',           // Descrizione dettagliata
-    price: '',                 // Prezzo in euro
-    category: 'collane',       // Categoria (default: collane)
-    imageUrl: '',              // URL immagine prodotto
-    stock: ''                  // Quantità disponibile
-  })
+  const categoryName = (slug) => categories.find(c => c.slug === slug)?.name || slug
 
   /**
-   * STATO MODALITÀ EDITING
-   *
-   * Flag per distinguere tra creazione nuovo prodotto e modifica esistente.
-   * Influenza comportamento form e pulsanti.
+   * Colonna visibile (ID, selezione e azioni lo sono sempre)
    */
-  const [isEditing, setIsEditing] = useState(false)
+  const isVisible = (key) => !adminTable.hiddenColumns.includes(key)
+
+  // ===== DATI CALCOLATI =====
+
+  // Prodotti che rispettano ricerca e filtri, nell'ordine scelto
+  const filteredProducts = sortAdminProducts(
+    filterAdminProducts(products, params, categoryName),
+    params,
+    categoryName
+  )
+  const pagination = paginate(filteredProducts, params.page, params.pageSize)
+  const pageIds = pagination.items.map(product => product.id)
+  const selectedOnPage = pageIds.filter(id => selectedIds.includes(id)).length
+  const allFilteredSelected = filteredProducts.length > 0 &&
+    filteredProducts.every(product => selectedIds.includes(product.id))
+  const visibleColumnCount = 3 + ADMIN_COLUMNS.filter(column => isVisible(column.key)).length
 
   // ===== SIDE EFFECTS =====
 
@@ -80,151 +172,143 @@ function AdminDashboardPage() {
     dispatch(fetchProducts())
   }, [dispatch])
 
-  // ===== EVENT HANDLERS =====
-
   /**
-   * HANDLER CAMBIO INPUT FORM
+   * SELEZIONE ALLINEATA AI PRODOTTI
    *
-   * Gestisce aggiornamenti campi form con parsing automatico
-   * per campi numerici (price, stock).
-   *
-   * @param {Event} e - Evento change dell'input
+   * Toglie dalla selezione i prodotti eliminati nel frattempo.
    */
-  const handleChange = (e) => {
-    const { name, value } = e.target
-
-    setFormData({
-      ...formData,
-      [name]: name === 'price' || name === 'stock' ?
-        (value === '' ? '' : parseFloat(value)) :  // Parse numerico per price/stock
-        value                                       // Stringa per altri campi
+  useEffect(() => {
+    setSelectedIds((previous) => {
+      const existing = previous.filter(id => products.some(product => product.id === id))
+      return existing.length === previous.length ? previous : existing
     })
-  }
+  }, [products])
 
   /**
-   * FUNZIONE VALIDAZIONE FORM
+   * CHECKBOX "SELEZIONA PAGINA" INDETERMINATA
    *
-   * Valida tutti i campi obbligatori del form prodotto.
-   * Mostra toast di errore per ogni campo non valido.
-   *
-   * @returns {boolean} - true se form valido, false altrimenti
+   * Lo stato intermedio non si può impostare come attributo JSX.
    */
-  const validateForm = () => {
-    // ===== VALIDAZIONE NOME =====
-    if (!formData.name.trim()) {
-      toast.error('Il nome è obbligatorio')
-      return false
+  useEffect(() => {
+    if (selectPageRef.current) {
+      selectPageRef.current.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length
     }
+  })
 
-    // ===== VALIDAZIONE DESCRIZIONE =====
-    if (!formData.description.trim()) {
-      toast.error('La descrizione è obbligatoria')
-      return false
-    }
+  /**
+   * CHIUSURA MENU COLONNE
+   *
+   * Il menu si chiude con un click fuori o con Esc.
+   */
+  useEffect(() => {
+    if (!showColumnMenu) return
 
-    // ===== VALIDAZIONE PREZZO =====
-    if (!formData.price || formData.price <= 0) {
-      toast.error('Il prezzo deve essere maggiore di 0')
-      return false
+    const handleClick = (e) => {
+      if (columnMenuRef.current && !columnMenuRef.current.contains(e.target)) {
+        setShowColumnMenu(false)
+      }
     }
-
-    // ===== VALIDAZIONE URL IMMAGINE =====
-    if (!formData.imageUrl.trim()) {
-      toast.error('L\'URL dell\'immagine è obbligatorio')
-      return false
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setShowColumnMenu(false)
     }
 
-    // ===== VALIDAZIONE STOCK =====
-    if (!formData.stock || formData.stock < 0) {
-      toast.error('La disponibilità deve essere almeno 0')
-      return false
+    document.addEventListener('mousedown', handleClick)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleClick)
+      document.removeEventListener('keydown', handleKeyDown)
     }
+  }, [showColumnMenu])
 
-    return true
-  }
+  // ===== EVENT HANDLERS =====
 
   /**
-   * HANDLER SUBMIT FORM
+   * AGGIORNA QUERY PARAMETERS
    *
-   * Gestisce invio form per creazione o aggiornamento prodotto.
-   * Distingue tra modalità editing e creazione nuovo prodotto.
+   * Imposta o rimuove (valori vuoti) i parametri indicati.
+   * Ogni cambio di ricerca o filtro riparte dalla prima pagina.
    *
-   * @param {Event} e - Evento submit del form
+   * @param {Object} changes - Es. { category: 'anelli' } o { stock: null }
+   * @param {Object} options - Opzioni di navigazione (es. { replace: true })
    */
-  const handleSubmit = (e) => {
-    e.preventDefault()
-
-    // ===== VALIDAZIONE FORM =====
-    if (!validateForm()) return
-
-    if (isEditing) {
-      // ===== AGGIORNAMENTO PRODOTTO ESISTENTE =====
-      dispatch(updateProduct({
-        id: formData.id,
-        productData: formData
-      }))
-      .unwrap()
-      .then(() => {
-        toast.success('Prodotto aggiornato con successo')
-        resetForm()
-      })
-      .catch((error) => {
-        toast.error(`Errore aggiornamento: ${error}`)
+  const updateParams = (changes, options) => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous)
+      Object.entries({ page: null, ...changes }).forEach(([key, value]) => {
+        if (value) {
+          next.set(key, value)
+        } else {
+          next.delete(key)
+        }
       })
-    } else {
-      // ===== CREAZIONE NUOVO PRODOTTO =====
-      dispatch(createProduct(formData))
-      .unwrap()
-      .then(() => {
-        toast.success('Prodotto creato con successo')
-        resetForm()
-      })
-      .catch((error) => {
-        toast.error(`Errore creazione: ${error}`)
-      })
-    }
+      return next
+    }, options)
   }
 
   /**
-   * HANDLER MODIFICA PRODOTTO
+   * HANDLER DIGITAZIONE RICERCA
    *
-   * Prepara il form per la modifica di un prodotto esistente.
-   * Popola tutti i campi con i dati del prodotto selezionato.
+   * Sostituisce la voce di cronologia, così il tasto indietro
+   * non ripercorre ogni lettera.
+   */
+  const handleSearchChange = (e) => {
+    setSearchText(e.target.value)
+    updateParams({ q: e.target.value.trim() }, { replace: true })
+  }
+
+  /**
+   * HANDLER ORDINAMENTO
    *
-   * @param {Object} product - Prodotto da modificare
+   * @param {string} column - Colonna cliccata
    */
-  const handleEdit = (product) => {
-    setFormData({
-      id: product.id,
-      name: product.name,
-      description: product.description,
-      price: product.price,
-      category: product.category,
-      imageUrl: product.imageUrl,
-      stock: product.stock
-    })
-    setIsEditing(true)
+  const handleSort = (column) => {
+    const dir = params.sort === column && params.dir === 'asc' ? 'desc' : null
+    updateParams({ sort: column, dir })
+  }
 
-    // ===== SCROLL TO FORM =====
-    // Porta l'utente al form per facilitare la modifica
-    window.scrollTo({ top: 0, behavior: 'smooth' })
+  /**
+   * HANDLER AZZERA FILTRI
+   */
+  const handleResetFilters = () => {
+    setSearchText('')
+    updateParams({ q: null, category: null, stock: null, state: null })
+  }
+
+  /**
+   * HANDLER SELEZIONE
+   */
+  const handleToggleRow = (id) => {
+    setSelectedIds((previous) =>
+      previous.includes(id) ? previous.filter(selected => selected !== id) : [...previous, id]
+    )
+  }
+
+  const handleTogglePage = (e) => {
+    setSelectedIds((previous) => e.target.checked
+      ? [...previous, ...pageIds.filter(id => !previous.includes(id))]
+      : previous.filter(id => !pageIds.includes(id))
+    )
+  }
+
+  const handleSelectAllFiltered = () => {
+    setSelectedIds(filteredProducts.map(product => product.id))
   }
 
   /**
    * HANDLER ELIMINAZIONE PRODOTTO
    *
-   * Gestisce eliminazione prodotto con conferma utente.
+   * Sposta il prodotto nel cestino dopo la conferma dell'utente.
    * Include feedback di successo/errore.
    *
    * @param {number|string} id - ID del prodotto da eliminare
    */
   const handleDelete = (id) => {
     // ===== CONFERMA ELIMINAZIONE =====
-    if (window.confirm('Sei sicuro di voler eliminare questo prodotto? Questa azione non può essere annullata.')) {
+    if (window.confirm('Spostare il prodotto nel cestino? Sparirà dal negozio, ma potrai ripristinarlo dal cestino.')) {
       dispatch(deleteProduct(id))
       .unwrap()
       .then(() => {
-        toast.success('Prodotto eliminato con successo')
+        toast.success('Prodotto spostato nel cestino')
       })
       .catch((error) => {
         toast.error(`Errore eliminazione: ${error}`)
@@ -233,22 +317,27 @@ function AdminDashboardPage() {
   }
 
   /**
-   * FUNZIONE RESET FORM
+   * HANDLER ESPORTAZIONE
+   *
+   * Scarica l'intero catalogo, indipendentemente dai filtri della tabella.
+   * Il CSV ha una riga per variante e si può reimportare così com'è.
    *
-   * Resetta il form ai valori iniziali e disabilita modalità editing.
-   * Utilizzata dopo operazioni successful o per cancellare modifiche.
+   * @param {string} format - 'csv' o 'json'
    */
-  const resetForm = () => {
-    setFormData({
-      id: '',
-      name: '',
-      description: '',
-      price: '',
-      category: 'collane',      // Default category
-      imageUrl: '',
-      stock: ''
-    })
-    setIsEditing(false)
+  const handleExport = (format) => {
+    if (format === 'csv') {
+      downloadFile(
+        datedFilename('catalogo-coccibelli', 'csv'),
+        toCsv(productsToRows(products), EXPORT_COLUMNS),
+        'text/csv;charset=utf-8'
+      )
+    } else {
+      downloadFile(
+        datedFilename('catalogo-coccibelli', 'json'),
+        JSON.stringify(products.map(exportableProduct), null, 2),
+        'application/json'
+      )
+    }
   }
 
   return (
@@ -260,7 +349,34 @@ function AdminDashboardPage() {
           <h1 className="mb-2">Dashboard Admin</h1>
           <p className="text-muted mb-0">Gestione prodotti e inventario</p>
         </div>
-        <div className="d-flex gap-2">
+        <div className="d-flex gap-2 align-items-center">
+          <Link to="/admin/products/new" className="btn btn-primary btn-sm">
+            ➕ Nuovo prodotto
+          </Link>
+          <Link to="/admin/categories" className="btn btn-outline-primary btn-sm">
+            📂 Gestisci categorie
+          </Link>
+          <Link to="/admin/merchandising" className="btn btn-outline-primary btn-sm">
+            ⭐ Home e vetrina
+          </Link>
+          <Link to="/admin/collections" className="btn btn-outline-primary btn-sm">
+            📖 Collezioni
+          </Link>
+          <Link to="/admin/activity" className="btn btn-outline-secondary btn-sm">
+            🕘 Attività
+          </Link>
+          <Link to="/admin/trash" className="btn btn-outline-secondary btn-sm">
+            🗑️ Cestino
+          </Link>
+          <Link to="/admin/products/import" className="btn btn-outline-secondary btn-sm">
+            ⬆️ Importa
+          </Link>
+          <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => handleExport('csv')} disabled={products.length === 0}>
+            ⬇️ Esporta CSV
+          </button>
+          <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => handleExport('json')} disabled={products.length === 0}>
+            ⬇️ Esporta JSON
+          </button>
           <span className="badge bg-primary fs-6">
             {products.length} prodotti totali
           </span>
@@ -270,190 +386,157 @@ function AdminDashboardPage() {
         </div>
       </div>
 
-      {/* ===== FORM GESTIONE PRODOTTI ===== */}
+      {/* ===== TABELLA GESTIONE PRODOTTI ===== */}
       {/**
-       * FORM CRUD PRODOTTI
+       * TABELLA PRODOTTI AMMINISTRATIVA
        *
-       * Form unificato per creazione e modifica prodotti con:
-       * - Campi validati per tutti i dati prodotto
-       * - Modalità editing/creazione dinamica
-       * - Layout responsive a due colonne
-       * - Feedback visivo per operazioni
+       * Tabella completa per gestione inventario con:
+       * - Ricerca testuale e filtri per categoria e disponibilità
+       * - Colonne ordinabili e colonne visibili a scelta
+       * - Paginazione e selezione delle righe
+       * - Azioni CRUD per ogni prodotto
+       * - Layout responsive con scroll orizzontale
+       * - Stati loading/error gestiti
        */}
-      <div className="card shadow mb-5">
-        <div className="card-header bg-primary text-white">
+      <div className="card shadow">
+        <div className="card-header bg-success text-white">
           <h3 className="mb-0">
-            <span className="me-2">{isEditing ? '✏️' : '➕'}</span>
-            {isEditing ? 'Modifica Prodotto' : 'Aggiungi Nuovo Prodotto'}
+            <span className="me-2">📋</span>
+            Gestione Prodotti ({products.length})
           </h3>
         </div>
-        <div className="card-body">
-          <form onSubmit={handleSubmit}>
-
-            {/* Prima riga: Nome e Categoria */}
-            <div className="row mb-3">
-              <div className="col-md-6">
-                <label htmlFor="name" className="form-label fw-bold">
-                  <span className="me-1">🏷️</span>
-                  Nome Prodotto
-                </label>
-                <input
-                  type="text"
-                  className="form-control form-control-lg"
-                  id="name"
-                  name="name"
-                  value={formData.name}
-                  onChange={handleChange}
-                  placeholder="Inserisci il nome del prodotto"
-                  required
-                />
-              </div>
-              <div className="col-md-6">
-                <label htmlFor="category" className="form-label fw-bold">
-                  <span className="me-1">📂</span>
-                  Categoria
-                </label>
-                <select
-                  className="form-select form-select-lg"
-                  id="category"
-                  name="category"
-                  value={formData.category}
-                  onChange={handleChange}
-                  required
-                >
-                  <option value="collane">📿 Collane</option>
-                  <option value="anelli">💍 Anelli</option>
-                  <option value="orecchini">👂 Orecchini</option>
-                  <option value="accessori">✨ Accessori</option>
-                </select>
-              </div>
-            </div>
 
-            {/* Seconda riga: Descrizione */}
-            <div className="mb-3">
-              <label htmlFor="description" className="form-label fw-bold">
-                <span className="me-1">📝</span>
-                Descrizione
-              </label>
-              <textarea
-                className="form-control form-control-lg"
-                id="description"
-                name="description"
-                rows="4"
-                value={formData.description}
-                onChange={handleChange}
-                placeholder="Descrivi il prodotto in dettaglio"
-                required
-              ></textarea>
+        {/* ===== BARRA STRUMENTI ===== */}
+        <div className="card-body border-bottom">
+          <div className="row g-2 align-items-center">
+            <div className="col-md-3">
+              <label htmlFor="admin-product-search" className="visually-hidden">Cerca prodotti</label>
+              <input
+                type="search"
+                id="admin-product-search"
+                className="form-control"
+                placeholder="🔍 Cerca per nome, SKU, tag..."
+                value={searchText}
+                onChange={handleSearchChange}
+              />
             </div>
-
-            {/* Terza riga: Prezzo, Stock e URL Immagine */}
-            <div className="row mb-3">
-              <div className="col-md-4">
-                <label htmlFor="price" className="form-label fw-bold">
-                  <span className="me-1">💰</span>
-                  Prezzo (€)
-                </label>
-                <input
-                  type="number"
-                  step="0.01"
-                  min="0"
-                  className="form-control form-control-lg"
-                  id="price"
-                  name="price"
-                  value={formData.price}
-                  onChange={handleChange}
-                  placeholder="0.00"
-                  required
-                />
-              </div>
-              <div className="col-md-4">
-                <label htmlFor="stock" className="form-label fw-bold">
-                  <span className="me-1">📦</span>
-                  Disponibilità
-                </label>
-                <input
-                  type="number"
-                  min="0"
-                  className="form-control form-control-lg"
-                  id="stock"
-                  name="stock"
-                  value={formData.stock}
-                  onChange={handleChange}
-                  placeholder="Quantità disponibile"
-                  required
-                />
-              </div>
-              <div className="col-md-4">
-                <label htmlFor="imageUrl" className="form-label fw-bold">
-                  <span className="me-1">🖼️</span>
-                  URL Immagine
-                </label>
-                <input
-                  type="url"
-                  className="form-control form-control-lg"
-                  id="imageUrl"
-                  name="imageUrl"
-                  value={formData.imageUrl}
-                  onChange={handleChange}
-                  placeholder="https://esempio.com/immagine.jpg"
-                  required
-                />
-              </div>
+            <div className="col-sm-4 col-md-2">
+              <label htmlFor="admin-category-filter" className="visually-hidden">Categoria</label>
+              <select
+                id="admin-category-filter"
+                className="form-select"
+                value={params.category}
+                onChange={(e) => updateParams({ category: e.target.value })}
+              >
+                <option value="">Tutte le categorie</option>
+                {categories.map(category => (
+                  <option key={category.slug} value={category.slug}>{category.name}</option>
+                ))}
+              </select>
             </div>
-
-            {/* Pulsanti Azione */}
-            <div className="d-flex gap-2">
-              <button
-                type="submit"
-                className="btn btn-primary btn-lg"
-                disabled={status === 'loading'}
+            <div className="col-sm-4 col-md-3">
+              <label htmlFor="admin-stock-filter" className="visually-hidden">Disponibilità</label>
+              <select
+                id="admin-stock-filter"
+                className="form-select"
+                value={params.stock}
+                onChange={(e) => updateParams({ stock: e.target.value })}
               >
-                {status === 'loading' ? (
-                  <>
-                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                    {isEditing ? 'Aggiornamento...' : 'Creazione...'}
-                  </>
-                ) : (
-                  <>
-                    <span className="me-2">{isEditing ? '💾' : '➕'}</span>
-                    {isEditing ? 'Aggiorna Prodotto' : 'Crea Prodotto'}
-                  </>
-                )}
-              </button>
-
-              {isEditing && (
+                {STOCK_FILTERS.map(filter => (
+                  <option key={filter.value} value={filter.value}>{filter.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-sm-4 col-md-2">
+              <label htmlFor="admin-state-filter" className="visually-hidden">Stato</label>
+              <select
+                id="admin-state-filter"
+                className="form-select"
+                value={params.state}
+                onChange={(e) => updateParams({ state: e.target.value })}
+              >
+                {STATE_FILTERS.map(filter => (
+                  <option key={filter.value} value={filter.value}>{filter.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-2 d-flex justify-content-md-end">
+              {/* Menu colonne: aperto e chiuso dallo stato React */}
+              <div className="dropdown" ref={columnMenuRef}>
                 <button
                   type="button"
-                  className="btn btn-outline-secondary btn-lg"
-                  onClick={resetForm}
+                  className="btn btn-outline-secondary dropdown-toggle"
+                  aria-expanded={showColumnMenu}
+                  aria-controls="admin-column-menu"
+                  onClick={() => setShowColumnMenu(open => !open)}
                 >
-                  <span className="me-2">❌</span>
-                  Annulla
+                  Colonne
                 </button>
-              )}
+                <div
+                  id="admin-column-menu"
+                  className={`dropdown-menu dropdown-menu-end p-3 ${showColumnMenu ? 'show' : ''}`}
+                  style={{ right: 0, minWidth: '12rem' }}
+                >
+                  {ADMIN_COLUMNS.map(column => (
+                    <div className="form-check" key={column.key}>
+                      <input
+                        type="checkbox"
+                        className="form-check-input"
+                        id={`admin-column-${column.key}`}
+                        checked={isVisible(column.key)}
+                        onChange={() => dispatch(toggleAdminColumn(column.key))}
+                      />
+                      <label className="form-check-label" htmlFor={`admin-column-${column.key}`}>
+                        {column.label}
+                      </label>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    className="btn btn-link btn-sm px-0 mt-2"
+                    onClick={() => dispatch(resetAdminColumns())}
+                    disabled={adminTable.hiddenColumns.length === 0}
+                  >
+                    Mostra tutte
+                  </button>
+                </div>
+              </div>
             </div>
-          </form>
-        </div>
-      </div>
+          </div>
 
-      {/* ===== TABELLA GESTIONE PRODOTTI ===== */}
-      {/**
-       * TABELLA PRODOTTI AMMINISTRATIVA
-       *
-       * Tabella completa per gestione inventario con:
-       * - Visualizzazione dati prodotto essenziali
-       * - Azioni CRUD per ogni prodotto
-       * - Layout responsive con scroll orizzontale
-       * - Stati loading/error gestiti
-       */}
-      <div className="card shadow">
-        <div className="card-header bg-success text-white">
-          <h3 className="mb-0">
-            <span className="me-2">📋</span>
-            Gestione Prodotti ({products.length})
-          </h3>
+          {hasAdminFilters(params) && (
+            <div className="d-flex align-items-center gap-2 mt-2 small text-muted">
+              <span>{filteredProducts.length} prodotti su {products.length} rispettano i filtri</span>
+              <button type="button" className="btn btn-link btn-sm p-0" onClick={handleResetFilters}>
+                Azzera filtri
+              </button>
+            </div>
+          )}
         </div>
+
+        {/* ===== BARRA SELEZIONE ===== */}
+        {selectedIds.length > 0 && (
+          <div className="alert alert-primary rounded-0 border-0 border-bottom mb-0 py-2 d-flex flex-wrap align-items-center gap-2" role="status">
+            <strong>{selectedIds.length} selezionati</strong>
+            {!allFilteredSelected && filteredProducts.length > pageIds.length && (
+              <button type="button" className="btn btn-link btn-sm p-0" onClick={handleSelectAllFiltered}>
+                Seleziona tutti i {filteredProducts.length} risultati
+              </button>
+            )}
+            <button type="button" className="btn btn-link btn-sm p-0 ms-auto" onClick={() => setSelectedIds([])}>
+              Deseleziona
+            </button>
+          </div>
+        )}
+
+        {/* ===== OPERAZIONI SUI SELEZIONATI ===== */}
+        <AdminBulkActions
+          selectedIds={selectedIds}
+          onSelectionChange={setSelectedIds}
+          categories={categories}
+          categoryName={categoryName}
+        />
+
         <div className="card-body p-0">
 
           {/* ===== STATI LOADING/ERROR ===== */}
@@ -474,91 +557,235 @@ function AdminDashboardPage() {
             <div className="text-center py-5">
               <span style={{ fontSize: '4rem' }}>📦</span>
               <h4 className="text-muted mt-3">Nessun prodotto presente</h4>
-              <p className="text-muted">Aggiungi il primo prodotto utilizzando il form sopra</p>
+              <p className="text-muted">Aggiungi il primo prodotto con il pulsante Nuovo prodotto</p>
             </div>
           ) : (
             /* ===== TABELLA PRODOTTI ===== */
             <div className="table-responsive">
-              <table className="table table-hover mb-0">
+              <table className="table table-hover align-middle mb-0 admin-table">
                 <thead className="table-dark">
                   <tr>
+                    <th scope="col">
+                      <input
+                        type="checkbox"
+                        className="form-check-input"
+                        ref={selectPageRef}
+                        checked={pageIds.length > 0 && selectedOnPage === pageIds.length}
+                        onChange={handleTogglePage}
+                        disabled={pageIds.length === 0}
+                        aria-label="Seleziona i prodotti della pagina"
+                      />
+                    </th>
                     <th scope="col">ID</th>
-                    <th scope="col">Immagine</th>
-                    <th scope="col">Nome</th>
-                    <th scope="col">Categoria</th>
-                    <th scope="col">Prezzo</th>
-                    <th scope="col">Stock</th>
-                    <th scope="col">Stato</th>
+                    {isVisible('image') && <th scope="col">Immagine</th>}
+                    {isVisible('name') && (
+                      <SortableHeader column="name" label="Nome" sort={params.sort} dir={params.dir} onSort={handleSort} />
+                    )}
+                    {isVisible('category') && (
+                      <SortableHeader column="category" label="Categoria" sort={params.sort} dir={params.dir} onSort={handleSort} />
+                    )}
+                    {isVisible('price') && (
+                      <SortableHeader column="price" label="Prezzo" sort={params.sort} dir={params.dir} onSort={handleSort} />
+                    )}
+                    {isVisible('stock') && (
+                      <SortableHeader column="stock" label="Stock" sort={params.sort} dir={params.dir} onSort={handleSort} />
+                    )}
+                    {isVisible('updatedAt') && (
+                      <SortableHeader column="updatedAt" label="Aggiornato" sort={params.sort} dir={params.dir} onSort={handleSort} />
+                    )}
+                    {isVisible('status') && <th scope="col">Stato</th>}
                     <th scope="col">Azioni</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {products.map((product) => (
-                    <tr key={product.id} className={product.stock === 0 ? 'table-warning' : ''}>
-                      <td className="fw-bold">#{product.id}</td>
-                      <td>
-                        <img
-                          src={product.imageUrl}
-                          alt={product.name}
-                          width="60"
-                          height="60"
-                          className="rounded object-fit-cover"
-                          style={{ objectFit: 'cover' }}
-                        />
-                      </td>
-                      <td>
-                        <div>
-                          <div className="fw-bold">{product.name}</div>
-                          <small className="text-muted">{product.description.substring(0, 50)}...</small>
-                        </div>
-                      </td>
-                      <td>
-                        <span className={`badge bg-primary text-capitalize`}>
-                          {product.category}
-                        </span>
-                      </td>
-                      <td className="fw-bold text-success">{product.price.toFixed(2)} €</td>
-                      <td>
-                        <span className={`badge ${product.stock > 0 ? 'bg-success' : 'bg-danger'}`}>
-                          {product.stock} pz
-                        </span>
-                      </td>
-                      <td>
-                        {product.stock > 0 ? (
-                          <span className="badge bg-success">Disponibile</span>
-                        ) : (
-                          <span className="badge bg-danger">Esaurito</span>
-                        )}
-                      </td>
-                      <td>
-                        <div className="btn-group btn-group-sm" role="group">
-                          <button
-                            type="button"
-                            className="btn btn-outline-primary"
-                            onClick={() => handleEdit(product)}
-                            title="Modifica prodotto"
-                          >
-                            <span aria-hidden="true">✏️</span>
-                            <span className="d-none d-md-inline ms-1">Modifica</span>
-                          </button>
-                          <button
-                            type="button"
-                            className="btn btn-outline-danger"
-                            onClick={() => handleDelete(product.id)}
-                            title="Elimina prodotto"
-                          >
-                            <span aria-hidden="true">🗑️</span>
-                            <span className="d-none d-md-inline ms-1">Elimina</span>
-                          </button>
-                        </div>
+                  {pagination.items.length === 0 && (
+                    <tr>
+                      <td colSpan={visibleColumnCount} className="text-center text-muted py-4">
+                        Nessun prodotto rispetta la ricerca o i filtri.
                       </td>
                     </tr>
-                  ))}
+                  )}
+                  {pagination.items.map((product) => {
+                    const isSelected = selectedIds.includes(product.id)
+                    const rowClass = isSelected ? 'table-active' : product.stock === 0 ? 'table-warning' : ''
+
+                    return (
+                      <tr key={product.id} className={rowClass}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            className="form-check-input"
+                            checked={isSelected}
+                            onChange={() => handleToggleRow(product.id)}
+                            aria-label={`Seleziona ${product.name}`}
+                          />
+                        </td>
+                        <td className="fw-bold">#{product.id}</td>
+                        {isVisible('image') && (
+                          <td>
+                            <ProductImage
+                              image={productImages(product)[0]}
+                              size="thumbnail"
+                              alt={product.name}
+                              width="60"
+                              height="60"
+                              loading="lazy"
+                            />
+                          </td>
+                        )}
+                        {isVisible('name') && (
+                          <td>
+                            <div>
+                              <div className="fw-bold">{product.name}</div>
+                              <small className="text-muted">{(product.description || '').substring(0, 50)}...</small>
+                            </div>
+                          </td>
+                        )}
+                        {isVisible('category') && (
+                          <td>
+                            <span className={`badge bg-primary text-capitalize`}>
+                              {categoryName(product.category)}
+                            </span>
+                          </td>
+                        )}
+                        {isVisible('price') && (
+                          <td className="fw-bold text-success">{Number(product.price).toFixed(2)} €</td>
+                        )}
+                        {isVisible('stock') && (
+                          <td>
+                            <span className={`badge ${product.stock > LOW_STOCK_THRESHOLD ? 'bg-success' : product.stock > 0 ? 'bg-warning text-dark' : 'bg-danger'}`}>
+                              {product.stock} pz
+                            </span>
+                            {product.variants?.length > 0 && (
+                              <small className="d-block text-muted">{product.variants.length} varianti</small>
+                            )}
+                          </td>
+                        )}
+                        {isVisible('updatedAt') && (
+                          <td className="text-nowrap">
+                            {product.updatedAt
+                              ? new Date(product.updatedAt).toLocaleDateString('it-IT')
+                              : <span className="text-muted">—</span>}
+                          </td>
+                        )}
+                        {isVisible('status') && (
+                          <td>
+                            {product.stock > 0 ? (
+                              <span className="badge bg-success">Disponibile</span>
+                            ) : (
+                              <span className="badge bg-danger">Esaurito</span>
+                            )}
+                            {!isPublished(product) && (
+                              <ProductStatusBadge product={product} className="d-block mt-1" />
+                            )}
+                          </td>
+                        )}
+                        <td>
+                          <div className="btn-group btn-group-sm" role="group">
+                            <Link
+                              to={`/admin/products/${product.id}`}
+                              className="btn btn-outline-primary"
+                              title="Modifica prodotto"
+                            >
+                              <span aria-hidden="true">✏️</span>
+                              <span className="d-none d-md-inline ms-1">Modifica</span>
+                            </Link>
+                            <Link
+                              to={`/product/${product.id}`}
+                              className="btn btn-outline-secondary"
+                              title="Anteprima come cliente"
+                              target="_blank"
+                              rel="noopener"
+                            >
+                              <span aria-hidden="true">👁️</span>
+                              <span className="visually-hidden">Anteprima come cliente</span>
+                            </Link>
+                            <button
+                              type="button"
+                              className="btn btn-outline-danger"
+                              onClick={() => handleDelete(product.id)}
+                              title="Elimina prodotto"
+                            >
+                              <span aria-hidden="true">🗑️</span>
+                              <span className="d-none d-md-inline ms-1">Elimina</span>
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    )
+                  })}
                 </tbody>
               </table>
             </div>
           )}
         </div>
+
+        {/* ===== PAGINAZIONE ===== */}
+        {status !== 'loading' && !error && products.length > 0 && (
+          <div className="card-footer d-flex flex-wrap align-items-center justify-content-between gap-2">
+            <div className="d-flex align-items-center gap-2 small text-muted">
+              <span>
+                {pagination.start}–{pagination.end} di {filteredProducts.length}
+              </span>
+              <label htmlFor="admin-page-size" className="visually-hidden">Righe per pagina</label>
+              <select
+                id="admin-page-size"
+                className="form-select form-select-sm w-auto"
+                value={params.pageSize}
+                onChange={(e) => updateParams({ size: e.target.value === String(PAGE_SIZES[0]) ? null : e.target.value })}
+              >
+                {PAGE_SIZES.map(size => (
+                  <option key={size} value={size}>{size} per pagina</option>
+                ))}
+              </select>
+            </div>
+
+            {pagination.pageCount > 1 && (
+              <nav aria-label="Pagine prodotti">
+                <ul className="pagination pagination-sm mb-0">
+                  <li className={`page-item ${pagination.page === 1 ? 'disabled' : ''}`}>
+                    <button
+                      type="button"
+                      className="page-link"
+                      onClick={() => updateParams({ page: String(pagination.page - 1) })}
+                      disabled={pagination.page === 1}
+                    >
+                      ‹ Precedente
+                    </button>
+                  </li>
+                  {pageNumbers(pagination.page, pagination.pageCount).map((number, index) => (
+                    number === null ? (
+                      <li key={`gap-${index}`} className="page-item disabled">
+                        <span className="page-link">…</span>
+                      </li>
+                    ) : (
+                      <li key={number} className={`page-item ${number === pagination.page ? 'active' : ''}`}>
+                        <button
+                          type="button"
+                          className="page-link"
+                          onClick={() => updateParams({ page: number > 1 ? String(number) : null })}
+                          aria-current={number === pagination.page ? 'page' : undefined}
+                        >
+                          {number}
+                        </button>
+                      </li>
+                    )
+                  ))}
+                  <li className={`page-item ${pagination.page === pagination.pageCount ? 'disabled' : ''}`}>
+                    <button
+                      type="button"
+                      className="page-link"
+                      onClick={() => updateParams({ page: String(pagination.page + 1) })}
+                      disabled={pagination.page === pagination.pageCount}
+                    >
+                      Successiva ›
+                    </button>
+                  </li>
+                </ul>
+              </nav>
+            )}
+          </div>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,393 @@
+/**
+ * ADMIN IMPORT PAGE - IMPORTAZIONE DEL CATALOGO
+ *
+ * Pagina admin per aggiornare il catalogo da un foglio di calcolo:
+ * 1. Scelta del file CSV o JSON (anche l'esportazione della dashboard)
+ * 2. Abbinamento delle colonne del file ai campi prodotto,
+ *    proposto in automatico dalle intestazioni
+ * 3. Prova senza salvare: elenco delle righe da creare, aggiornare,
+ *    invariate o con errori, con i valori prima e dopo
+ * 4. Importazione delle righe valide e report degli errori scaricabile
+ *
+ * I prodotti si riconoscono per ID o per SKU (vedi server/import.js).
+ *
+ * PATTERN UTILIZZATI:
+ * - Wizard a passi con stato locale
+ * - Dry run lato server prima della scrittura
+ * - Shared Module: productTransfer.js legge i file come il server legge le celle
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { importProducts } from '../store/products/productsSlice'
+import {
+  TRANSFER_FIELDS,
+  applyMapping,
+  guessMapping,
+  readImportFile,
+  toCsv
+} from '../utils/productTransfer'
+import { datedFilename, downloadFile } from '../utils/download'
+
+// ===== COSTANTI =====
+
+/**
+ * Esito di ogni riga
+ */
+const STATUS_BADGES = {
+  created: { className: 'bg-primary', label: 'Nuovo' },
+  updated: { className: 'bg-success', label: 'Aggiornato' },
+  unchanged: { className: 'bg-secondary', label: 'Invariato' },
+  failed: { className: 'bg-danger', label: 'Errore' }
+}
+
+/**
+ * Filtri della tabella esiti
+ */
+const RESULT_FILTERS = [
+  { value: 'changes', label: 'Con modifiche' },
+  { value: 'failed', label: 'Errori' },
+  { value: 'all', label: 'Tutte' }
+]
+
+// ===== HELPERS =====
+
+/**
+ * Valore leggibile nel diff
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'boolean') return value ? 'sì' : 'no'
+  if (Array.isArray(value)) return value.join(', ') || '—'
+  return String(value)
+}
+
+/**
+ * ADMIN IMPORT PAGE COMPONENT
+ */
+function AdminImportPage() {
+  const dispatch = useDispatch()
+
+  // ===== STATO LOCALE =====
+  const [file, setFile] = useState(null)            // { name, headers, records }
+  const [fileError, setFileError] = useState(null)
+  const [mapping, setMapping] = useState({})         // { campo: intestazione }
+  const [matchBy, setMatchBy] = useState('id')
+  const [preview, setPreview] = useState(null)       // Esito della prova (dryRun)
+  const [results, setResults] = useState(null)       // Esito dell'importazione
+  const [requestError, setRequestError] = useState(null)
+  const [isWorking, setIsWorking] = useState(false)
+  const [resultFilter, setResultFilter] = useState('changes')
+
+  // La prova vale solo per il file e l'abbinamento con cui è stata fatta
+  useEffect(() => {
+    setPreview(null)
+    setRequestError(null)
+  }, [file, mapping, matchBy])
+
+  const outcome = results || preview
+  const identifierMapped = Boolean(mapping[matchBy])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * HANDLER SCELTA FILE
+   *
+   * Legge il file nel browser e propone l'abbinamento delle colonne.
+   */
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0]
+    setFile(null)
+    setResults(null)
+    setFileError(null)
+    if (!selected) return
+
+    try {
+      const format = /\.json$/i.test(selected.name) || selected.type === 'application/json' ? 'json' : 'csv'
+      const { headers, records } = readImportFile(await selected.text(), format)
+      const guessed = guessMapping(headers)
+
+      setFile({ name: selected.name, headers, records })
+      setMapping(guessed)
+      setMatchBy(guessed.id ? 'id' : guessed.sku ? 'sku' : 'id')
+    } catch (error) {
+      setFileError(error.message)
+    }
+  }
+
+  const handleMappingChange = (field) => (e) => {
+    setMapping(previous => ({ ...previous, [field]: e.target.value }))
+  }
+
+  /**
+   * Invia le righe al server, come prova o per salvarle
+   */
+  const runImport = async (dryRun) => {
+    setIsWorking(true)
+    setRequestError(null)
+
+    try {
+      const payload = await dispatch(importProducts({
+        rows: applyMapping(file.records, mapping),
+        matchBy,
+        dryRun
+      })).unwrap()
+
+      if (dryRun) {
+        setPreview(payload)
+        setResults(null)
+      } else {
+        const { created, updated, failed } = payload.summary
+        const message = `Importazione completata: ${created} nuovi, ${updated} aggiornati`
+        if (failed > 0) {
+          toast.warning(`${message}, ${failed} righe con errori`)
+        } else {
+          toast.success(message)
+        }
+        setResults(payload)
+        setPreview(null)
+      }
+      setResultFilter(payload.summary.failed > 0 && payload.summary.created + payload.summary.updated === 0 ? 'failed' : 'changes')
+    } catch (error) {
+      setRequestError(error)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  /**
+   * HANDLER REPORT ERRORI
+   *
+   * CSV con le righe scartate così come erano nel file,
+   * più il numero di riga e il motivo.
+   */
+  const handleDownloadErrors = () => {
+    const failed = outcome.results.filter(result => result.status === 'failed')
+    const recordsByLine = new Map(file.records.map(record => [record.line, record.values]))
+    const rows = failed.map(result => ({
+      riga: result.line,
+      errori: result.errors.join(' | '),
+      ...recordsByLine.get(result.line)
+    }))
+
+    downloadFile(
+      datedFilename('errori-importazione', 'csv'),
+      toCsv(rows, ['riga', 'errori', ...file.headers]),
+      'text/csv;charset=utf-8'
+    )
+  }
+
+  const visibleResults = outcome
+    ? outcome.results.filter(result =>
+      resultFilter === 'all' ||
+      (resultFilter === 'failed' && result.status === 'failed') ||
+      (resultFilter === 'changes' && (result.status === 'created' || result.status === 'updated')))
+    : []
+  const applicableCount = preview ? preview.summary.created + preview.summary.updated : 0
+
+  return (
+    <div className="container py-5">
+
+      {/* ===== HEADER ===== */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="mb-2">Importa catalogo</h1>
+          <p className="text-muted mb-0">Aggiorna o crea prodotti da un file CSV o JSON</p>
+        </div>
+        <Link to="/admin" className="btn btn-outline-secondary btn-sm">← Torna alla dashboard</Link>
+      </div>
+
+      {/* ===== 1. FILE ===== */}
+      <div className="card shadow-sm mb-4">
+        <div className="card-header fw-bold">1. Scegli il file</div>
+        <div className="card-body">
+          <input
+            type="file"
+            className="form-control"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            aria-describedby="import-file-help"
+          />
+          <div id="import-file-help" className="form-text">
+            Il modo più semplice è partire dall&apos;esportazione CSV della dashboard:
+            modifica il file nel foglio di calcolo e reimportalo. Celle vuote = valore invariato.
+          </div>
+          {fileError && <div className="alert alert-danger mt-3 mb-0" role="alert">{fileError}</div>}
+          {file && (
+            <p className="mt-3 mb-0">
+              <strong>{file.name}</strong>: {file.records.length} righe, {file.headers.length} colonne
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* ===== 2. ABBINAMENTO COLONNE ===== */}
+      {file && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-header fw-bold">2. Abbina le colonne</div>
+          <div className="card-body">
+            <div className="row g-3 mb-3">
+              {TRANSFER_FIELDS.map(field => (
+                <div className="col-sm-6 col-lg-3" key={field.key}>
+                  <label htmlFor={`map-${field.key}`} className="form-label small mb-1">{field.label}</label>
+                  <select
+                    id={`map-${field.key}`}
+                    className="form-select form-select-sm"
+                    value={mapping[field.key] || ''}
+                    onChange={handleMappingChange(field.key)}
+                  >
+                    <option value="">— non importare —</option>
+                    {file.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <fieldset>
+              <legend className="form-label fw-bold fs-6">Riconosci i prodotti esistenti per</legend>
+              <div className="form-check form-check-inline">
+                <input className="form-check-input" type="radio" id="match-id" name="matchBy" checked={matchBy === 'id'} onChange={() => setMatchBy('id')} />
+                <label className="form-check-label" htmlFor="match-id">ID (righe senza ID = prodotti nuovi)</label>
+              </div>
+              <div className="form-check form-check-inline">
+                <input className="form-check-input" type="radio" id="match-sku" name="matchBy" checked={matchBy === 'sku'} onChange={() => setMatchBy('sku')} />
+                <label className="form-check-label" htmlFor="match-sku">SKU (SKU sconosciuto = prodotto nuovo)</label>
+              </div>
+            </fieldset>
+
+            {!identifierMapped && (
+              <div className="alert alert-warning mt-3 mb-0">
+                {matchBy === 'id'
+                  ? 'Nessuna colonna abbinata all\'ID: ogni riga creerà un prodotto nuovo.'
+                  : 'Abbina la colonna SKU per riconoscere i prodotti.'}
+              </div>
+            )}
+
+            <button
+              type="button"
+              className="btn btn-outline-primary mt-3"
+              onClick={() => runImport(true)}
+              disabled={isWorking || (matchBy === 'sku' && !identifierMapped)}
+            >
+              {isWorking && !preview ? 'Verifica in corso...' : '🔍 Verifica senza salvare'}
+            </button>
+            {requestError && <div className="alert alert-danger mt-3 mb-0" role="alert">{requestError}</div>}
+          </div>
+        </div>
+      )}
+
+      {/* ===== 3. ESITO ===== */}
+      {outcome && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-header d-flex flex-wrap justify-content-between align-items-center gap-2">
+            <span className="fw-bold">{results ? '4. Esito importazione' : '3. Anteprima (nulla è stato ancora salvato)'}</span>
+            <div className="d-flex flex-wrap gap-1">
+              {Object.entries(STATUS_BADGES).map(([status, badge]) => (
+                <span key={status} className={`badge ${badge.className}`}>
+                  {badge.label}: {outcome.summary[status]}
+                </span>
+              ))}
+            </div>
+          </div>
+          <div className="card-body">
+            <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+              <div className="btn-group btn-group-sm" role="group" aria-label="Filtra righe">
+                {RESULT_FILTERS.map(filter => (
+                  <button
+                    key={filter.value}
+                    type="button"
+                    className={`btn ${resultFilter === filter.value ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                    onClick={() => setResultFilter(filter.value)}
+                  >
+                    {filter.label}
+                  </button>
+                ))}
+              </div>
+              <div className="d-flex gap-2">
+                {outcome.summary.failed > 0 && (
+                  <button type="button" className="btn btn-outline-danger btn-sm" onClick={handleDownloadErrors}>
+                    ⬇️ Scarica report errori
+                  </button>
+                )}
+                {preview && (
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-sm"
+                    onClick={() => runImport(false)}
+                    disabled={isWorking || applicableCount === 0}
+                  >
+                    {isWorking ? 'Importazione...' : `✔️ Importa ${applicableCount} righe`}
+                  </button>
+                )}
+                {results && (
+                  <Link to="/admin" className="btn btn-primary btn-sm">Vai alla dashboard</Link>
+                )}
+              </div>
+            </div>
+
+            {visibleResults.length === 0 ? (
+              <p className="text-muted mb-0">Nessuna riga da mostrare con questo filtro.</p>
+            ) : (
+              <div className="table-responsive">
+                <table className="table table-sm align-middle mb-0">
+                  <thead>
+                    <tr>
+                      <th scope="col">Riga</th>
+                      <th scope="col">Esito</th>
+                      <th scope="col">Prodotto</th>
+                      <th scope="col">Dettaglio</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleResults.map(result => (
+                      <tr key={result.line}>
+                        <td>{result.line}</td>
+                        <td>
+                          <span className={`badge ${STATUS_BADGES[result.status].className}`}>
+                            {STATUS_BADGES[result.status].label}
+                          </span>
+                        </td>
+                        <td>
+                          <span className="fw-bold">{result.name || '—'}</span>
+                          <small className="text-muted d-block">
+                            {result.id ? `#${result.id}` : result.status === 'created' ? 'nuovo' : ''}
+                            {result.sku && ` · ${result.sku}`}
+                          </small>
+                        </td>
+                        <td className="small">
+                          {result.errors?.map(message => (
+                            <div key={message} className="text-danger">{message}</div>
+                          ))}
+                          {result.changes.map(change => (
+                            <div key={change.field}>
+                              {change.field}:{' '}
+                              {result.status === 'updated' && (
+                                <>
+                                  <span className="text-muted text-decoration-line-through">{formatValue(change.before)}</span>
+                                  {' → '}
+                                </>
+                              )}
+                              <strong>{formatValue(change.after)}</strong>
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default AdminImportPage
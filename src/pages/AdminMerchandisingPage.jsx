@@ -0,0 +1,347 @@
+/**
+ * ADMIN MERCHANDISING PAGE - PRODOTTI IN EVIDENZA E SEZIONI DELLA HOME
+ *
+ * Pagina admin che decide cosa mostra la home:
+ * - Prodotti in evidenza scelti a mano, riordinabili trascinandoli
+ *   (o con i pulsanti su/giù), con una finestra facoltativa di date
+ * - Sezioni della home: quali mostrare, in che ordine, con che titolo
+ *   e quanti prodotti (vedi HOMEPAGE_SECTIONS in utils/merchandising)
+ * - Anteprima delle sezioni come le vedranno i clienti adesso
+ *
+ * Le modifiche restano nella pagina finché non si salva.
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { fetchProducts } from '../store/products/productsSlice'
+import { fetchMerchandising, saveMerchandising } from '../store/merchandising/merchandisingSlice'
+import {
+  HOMEPAGE_SECTIONS,
+  MAX_SECTION_PRODUCTS,
+  isFeaturedWindowOpen,
+  resolveHomepageSections
+} from '../utils/merchandising'
+import { formatPublishAt, toDateTimeLocal } from '../utils/visibility'
+import ProductPicker from '../components/ProductPicker'
+
+// ===== CONVERSIONI FORM ↔ CONFIGURAZIONE =====
+
+/**
+ * Configurazione → valori del form (date in ora locale)
+ */
+const configToForm = (config) => ({
+  productIds: config.featured.productIds,
+  startsAt: toDateTimeLocal(config.featured.startsAt),
+  endsAt: toDateTimeLocal(config.featured.endsAt),
+  sections: config.sections.map(section => ({ ...section }))
+})
+
+/**
+ * Valori del form → configurazione da salvare (date ISO o null)
+ */
+const formToConfig = (form) => ({
+  featured: {
+    productIds: form.productIds,
+    startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+    endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null
+  },
+  sections: form.sections.map(section => ({ ...section, limit: Number(section.limit) }))
+})
+
+/**
+ * Sposta un elemento di un array in un'altra posizione
+ */
+const moveItem = (items, from, to) => {
+  const next = [...items]
+  const [moved] = next.splice(from, 1)
+  next.splice(to, 0, moved)
+  return next
+}
+
+/**
+ * ADMIN MERCHANDISING PAGE COMPONENT
+ */
+function AdminMerchandisingPage() {
+  // ===== REDUX HOOKS =====
+  const dispatch = useDispatch()
+  const { status, error } = useSelector((state) => state.merchandising)
+  const { products } = useSelector((state) => state.products)
+
+  // ===== STATE LOCALE =====
+  const [form, setForm] = useState(null)       // null finché la configurazione non è caricata
+  const [savedForm, setSavedForm] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * DATA FETCHING AL MOUNT
+   *
+   * Ricarica sempre la configurazione: un altro admin potrebbe averla cambiata.
+   */
+  useEffect(() => {
+    dispatch(fetchProducts())
+    dispatch(fetchMerchandising())
+      .unwrap()
+      .then((loaded) => {
+        const initial = configToForm(loaded)
+        setForm(initial)
+        setSavedForm(initial)
+      })
+      .catch(() => {})
+  }, [dispatch])
+
+  // ===== VALORI DERIVATI =====
+  const productsById = new Map(products.map(product => [product.id, product]))
+  // I prodotti finiti nel cestino spariscono dall'elenco (e al salvataggio)
+  const featuredProducts = (form?.productIds || []).map(id => productsById.get(id)).filter(Boolean)
+  const isDirty = JSON.stringify(form) !== JSON.stringify(savedForm)
+
+  // ===== EVENT HANDLERS =====
+
+  const setProductIds = (productIds) => setForm(previous => ({ ...previous, productIds }))
+
+  /**
+   * Aggiorna un campo di una sezione
+   */
+  const handleSectionChange = (index, field, value) => {
+    setForm(previous => ({
+      ...previous,
+      sections: previous.sections.map((section, i) => (i === index ? { ...section, [field]: value } : section))
+    }))
+  }
+
+  const handleMoveSection = (index, direction) => {
+    setForm(previous => ({ ...previous, sections: moveItem(previous.sections, index, index + direction) }))
+  }
+
+  /**
+   * HANDLER SALVATAGGIO
+   */
+  const handleSave = async () => {
+    const data = formToConfig({ ...form, productIds: featuredProducts.map(product => product.id) })
+
+    setIsSaving(true)
+    try {
+      const saved = await dispatch(saveMerchandising(data)).unwrap()
+      const next = configToForm(saved)
+      setForm(next)
+      setSavedForm(next)
+      toast.success('Home aggiornata')
+    } catch (saveError) {
+      toast.error(`Errore salvataggio: ${saveError}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // ===== EARLY RETURNS PER STATI SPECIALI =====
+
+  if (status === 'failed' && !form) {
+    return (
+      <div className="container py-5">
+        <div className="alert alert-danger" role="alert">{error}</div>
+        <Link to="/admin" className="btn btn-outline-secondary">← Torna alla dashboard</Link>
+      </div>
+    )
+  }
+
+  if (!form) {
+    return (
+      <div className="container py-5 text-center">
+        <div className="spinner-border text-primary" role="status">
+          <span className="visually-hidden">Caricamento configurazione home...</span>
+        </div>
+      </div>
+    )
+  }
+
+  // ===== ANTEPRIMA =====
+  const draftConfig = formToConfig(form)
+  const previewSections = resolveHomepageSections(draftConfig, products)
+  const windowOpen = isFeaturedWindowOpen(draftConfig.featured)
+
+  return (
+    <div className="container py-5">
+
+      {/* ===== HEADER ===== */}
+      <div className="d-flex justify-content-between align-items-center mb-4 flex-wrap gap-2">
+        <div>
+          <h1 className="mb-2">Home e prodotti in evidenza</h1>
+          <p className="text-muted mb-0">Scegli cosa vedono i clienti appena arrivano nel negozio</p>
+        </div>
+        <div className="d-flex gap-2 align-items-center">
+          {isDirty && <span className="badge bg-warning text-dark">Modifiche non salvate</span>}
+          <Link to="/admin" className="btn btn-outline-secondary btn-sm">← Torna alla dashboard</Link>
+        </div>
+      </div>
+
+      <div className="row g-4">
+        <div className="col-lg-7">
+
+          {/* ===== PRODOTTI IN EVIDENZA ===== */}
+          <div className="card shadow-sm mb-4">
+            <div className="card-header fw-bold">⭐ Prodotti in evidenza</div>
+            <div className="card-body">
+              <p className="small text-muted">
+                Trascina i prodotti per cambiarne l&apos;ordine. Quelli non ancora nel negozio
+                compariranno da soli quando saranno pubblicati.
+              </p>
+
+              <ProductPicker
+                id="featured"
+                products={products}
+                productIds={form.productIds}
+                onChange={setProductIds}
+                max={MAX_SECTION_PRODUCTS}
+                emptyText="Nessun prodotto scelto: la sezione mostra i prodotti più recenti."
+              />
+
+              {/* Finestra di date */}
+              <div className="row g-3 mt-2">
+                <div className="col-sm-6">
+                  <label htmlFor="featured-starts" className="form-label small fw-bold">In evidenza dal</label>
+                  <input
+                    type="datetime-local"
+                    id="featured-starts"
+                    className="form-control"
+                    value={form.startsAt}
+                    onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                  />
+                </div>
+                <div className="col-sm-6">
+                  <label htmlFor="featured-ends" className="form-label small fw-bold">Fino al</label>
+                  <input
+                    type="datetime-local"
+                    id="featured-ends"
+                    className="form-control"
+                    value={form.endsAt}
+                    onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="form-text">
+                {!form.startsAt && !form.endsAt
+                  ? 'Senza date la scelta vale sempre.'
+                  : windowOpen
+                    ? `Scelta attiva ora${draftConfig.featured.endsAt ? `, fino al ${formatPublishAt(draftConfig.featured.endsAt)}` : ''}.`
+                    : 'Fuori da queste date la sezione mostra i prodotti più recenti.'}
+              </div>
+            </div>
+          </div>
+
+          {/* ===== SEZIONI DELLA HOME ===== */}
+          <div className="card shadow-sm mb-4">
+            <div className="card-header fw-bold">🏠 Sezioni della home</div>
+            <ul className="list-group list-group-flush">
+              {form.sections.map((section, index) => (
+                <li key={section.key} className="list-group-item">
+                  <div className="d-flex align-items-center gap-2 mb-2">
+                    <div className="form-check form-switch mb-0 flex-grow-1">
+                      <input
+                        type="checkbox"
+                        className="form-check-input"
+                        role="switch"
+                        id={`section-${section.key}`}
+                        checked={section.enabled}
+                        onChange={(e) => handleSectionChange(index, 'enabled', e.target.checked)}
+                      />
+                      <label className="form-check-label fw-bold" htmlFor={`section-${section.key}`}>
+                        {HOMEPAGE_SECTIONS[section.key].label}
+                      </label>
+                      <div className="small text-muted">{HOMEPAGE_SECTIONS[section.key].rule}</div>
+                    </div>
+                    <div className="btn-group btn-group-sm">
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary"
+                        onClick={() => handleMoveSection(index, -1)}
+                        disabled={index === 0}
+                        aria-label={`Sposta ${HOMEPAGE_SECTIONS[section.key].label} in alto`}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary"
+                        onClick={() => handleMoveSection(index, 1)}
+                        disabled={index === form.sections.length - 1}
+                        aria-label={`Sposta ${HOMEPAGE_SECTIONS[section.key].label} in basso`}
+                      >
+                        ↓
+                      </button>
+                    </div>
+                  </div>
+                  <div className="row g-2">
+                    <div className="col-sm-8">
+                      <label htmlFor={`section-title-${section.key}`} className="form-label small mb-1">Titolo</label>
+                      <input
+                        type="text"
+                        id={`section-title-${section.key}`}
+                        className="form-control form-control-sm"
+                        value={section.title}
+                        maxLength={60}
+                        onChange={(e) => handleSectionChange(index, 'title', e.target.value)}
+                      />
+                    </div>
+                    <div className="col-sm-4">
+                      <label htmlFor={`section-limit-${section.key}`} className="form-label small mb-1">Prodotti</label>
+                      <input
+                        type="number"
+                        id={`section-limit-${section.key}`}
+                        className="form-control form-control-sm"
+                        min="1"
+                        max={MAX_SECTION_PRODUCTS}
+                        value={section.limit}
+                        onChange={(e) => handleSectionChange(index, 'limit', e.target.value)}
+                      />
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <button type="button" className="btn btn-primary btn-lg" onClick={handleSave} disabled={isSaving || !isDirty}>
+            {isSaving ? 'Salvataggio...' : '💾 Salva'}
+          </button>
+        </div>
+
+        {/* ===== ANTEPRIMA ===== */}
+        <div className="col-lg-5">
+          <div className="card shadow-sm">
+            <div className="card-header fw-bold">👁️ La home adesso</div>
+            <div className="card-body">
+              {previewSections.length === 0 ? (
+                <p className="text-muted mb-0">Nessuna sezione con prodotti da mostrare.</p>
+              ) : (
+                previewSections.map(section => (
+                  <div key={section.key} className="mb-3">
+                    <h6 className="mb-1">
+                      {section.title}{' '}
+                      <span className="badge bg-light text-dark border">
+                        {section.automatic ? 'automatica' : 'scelta a mano'}
+                      </span>
+                    </h6>
+                    <ol className="small mb-0">
+                      {section.products.map(product => <li key={product.id}>{product.name}</li>)}
+                    </ol>
+                  </div>
+                ))
+              )}
+              <p className="small text-muted mb-0 mt-3">
+                Anteprima delle modifiche non ancora salvate, con i soli prodotti già nel negozio.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default AdminMerchandisingPage
@@ -0,0 +1,1318 @@
+/**
+ * ADMIN PRODUCT EDITOR PAGE - CREAZIONE E MODIFICA PRODOTTO
+ *
+ * Editor completo di un prodotto, su due route:
+ * - /admin/products/new: nuovo prodotto
+ * - /admin/products/:id: modifica di un prodotto esistente
+ *
+ * Gestisce:
+ * - Dati base (nome, categoria, descrizione, prezzo, disponibilità, tag)
+ * - Galleria immagini con upload, trascinamento e testo alternativo
+ * - Varianti (misura, lunghezza catena, finitura) con SKU, stock e prezzo
+ * - Errori di validazione mostrati sotto ogni campo
+ * - Protezione delle modifiche non salvate (navigazione interna e chiusura pagina)
+ * - Anteprima dal vivo della card del negozio e della pagina prodotto
+ * - "Salva" torna alla dashboard, "Salva e continua" resta nell'editor
+ * - Scheda "Cronologia" con le modifiche registrate e il ritorno a una versione precedente
+ *
+ * PATTERN UTILIZZATI:
+ * - Controlled Form: formData è l'unica fonte dei valori dei campi
+ * - Dirty Checking: confronto tra formData e l'ultima versione salvata
+ * - Navigation Blocking: useBlocker di React Router (richiede il data router, vedi main.jsx)
+ * - Shared Presentational Components: ProductCard e ProductDetails per l'anteprima
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useRef, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useBlocker, useNavigate, useParams } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import {
+  fetchProductById,
+  clearCurrentProduct,
+  createProduct,
+  updateProduct,
+  uploadProductImage
+} from '../store/products/productsSlice'
+import { selectActiveCategories, selectCategories } from '../store/categories/categoriesSlice'
+import { VARIANT_OPTIONS, totalVariantStock } from '../utils/variants'
+import { productImages, UPLOAD_TYPES, MAX_UPLOAD_MB } from '../utils/images'
+import { PRODUCT_STATUSES, productStatus, isPublished, toDateTimeLocal } from '../utils/visibility'
+import ProductCard from '../components/ProductCard'
+import ProductDetails from '../components/ProductDetails'
+import ProductImage from '../components/ProductImage'
+import ProductHistory from '../components/ProductHistory'
+import ProductConflict from '../components/ProductConflict'
+import ProductStatusBadge from '../components/ProductStatusBadge'
+
+// ===== COSTANTI =====
+
+/**
+ * Riga vuota dell'editor varianti: una colonna per ogni opzione
+ */
+const EMPTY_VARIANT = {
+  id: '',
+  sku: '',
+  ...Object.fromEntries(VARIANT_OPTIONS.map(option => [option.key, ''])),
+  stock: 0,
+  priceAdjustment: 0
+}
+
+/**
+ * Form di un prodotto nuovo
+ */
+const EMPTY_FORM = {
+  id: '',                          // ID prodotto (solo per la modifica)
+  version: '',                     // Versione da cui parte la modifica (vedi server/concurrency.js)
+  name: '',
+  description: '',
+  price: '',                       // Prezzo in euro
+  category: '',                    // Slug categoria (scelto dal select)
+  images: [{ url: '', alt: '' }],  // Galleria ordinata, la prima è la principale
+  stock: '',                       // Quantità disponibile (senza varianti)
+  sku: '',                         // Codice articolo (senza varianti)
+  tags: '',                        // Tag separati da virgola (usati dalla ricerca)
+  status: 'draft',                 // 'draft' | 'published' | 'archived' (vedi utils/visibility)
+  publishAt: '',                   // Pubblicazione programmata, ora locale "AAAA-MM-GGTHH:mm"
+  variants: []                     // Righe dell'editor varianti (vedi EMPTY_VARIANT)
+}
+
+// ===== CONVERSIONI FORM ↔ PRODOTTO =====
+
+/**
+ * PRODUCT TO FORM
+ *
+ * @param {Object} product - Prodotto ricevuto dal backend
+ * @returns {Object} - Valori del form
+ */
+const productToForm = (product) => ({
+  id: product.id,
+  version: product.version || 1,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  category: product.category,
+  images: productImages(product).map(image => ({ ...image, alt: image.alt || '' })),
+  stock: product.stock,
+  sku: product.sku || '',
+  tags: (product.tags || []).join(', '),
+  status: productStatus(product),
+  publishAt: toDateTimeLocal(product.publishAt),
+  variants: (product.variants || []).map(variant => ({
+    ...EMPTY_VARIANT,
+    id: variant.id,
+    sku: variant.sku,
+    ...variant.options,
+    stock: variant.stock,
+    priceAdjustment: variant.priceAdjustment || 0
+  }))
+})
+
+/**
+ * FORM TO PRODUCT
+ *
+ * Dati da inviare al backend (e da mostrare nell'anteprima):
+ * - I tag diventano un array, senza duplicati né voci vuote
+ * - Le righe varianti tornano nel formato { id, sku, options, stock, priceAdjustment }
+ * - La prima immagine compilata diventa la principale (imageUrl);
+ *   le foto caricate conservano gli URL dei formati (sizes, webp)
+ * - La data di pubblicazione vale solo per lo stato "Pubblicato"
+ *
+ * @param {Object} formData - Valori del form
+ * @returns {Object} - Dati prodotto
+ */
+const formToProduct = (formData) => {
+  const images = formData.images
+    .map(image => ({ ...image, url: image.url.trim(), alt: image.alt.trim() }))
+    .filter(image => image.url)
+  const variants = formData.variants.map(variant => ({
+    ...(variant.id && { id: variant.id }),
+    sku: variant.sku.trim().toUpperCase(),
+    options: Object.fromEntries(VARIANT_OPTIONS
+      .filter(option => variant[option.key].trim())
+      .map(option => [option.key, variant[option.key].trim()])),
+    stock: Number(variant.stock),
+    priceAdjustment: Number(variant.priceAdjustment) || 0
+  }))
+
+  return {
+    ...formData,
+    name: formData.name.trim(),
+    description: formData.description.trim(),
+    images,
+    imageUrl: images[0]?.url || '',
+    stock: variants.length > 0 ? totalVariantStock(variants) : formData.stock,
+    sku: variants.length > 0 ? '' : formData.sku.trim().toUpperCase(),
+    tags: [...new Set(formData.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))],
+    publishAt: formData.status === 'published' && formData.publishAt
+      ? new Date(formData.publishAt).toISOString()
+      : null,
+    variants
+  }
+}
+
+/**
+ * VALIDATE PRODUCT FORM
+ *
+ * Controlla i campi e restituisce un errore per ognuno di quelli non validi.
+ * SKU già usati da altri prodotti li segnala il backend.
+ *
+ * @param {Object} formData - Valori del form
+ * @returns {Object} - { campo: messaggio }, con variants: { indice: { campo: messaggio } }; vuoto se valido
+ */
+const validateProductForm = (formData) => {
+  const errors = {}
+
+  if (!formData.name.trim()) {
+    errors.name = 'Il nome è obbligatorio'
+  }
+  if (!formData.category) {
+    errors.category = 'Seleziona una categoria'
+  }
+  if (!formData.description.trim()) {
+    errors.description = 'La descrizione è obbligatoria'
+  }
+  if (!formData.price || formData.price <= 0) {
+    errors.price = 'Il prezzo deve essere maggiore di 0'
+  }
+  if (!formData.images.some(image => image.url.trim())) {
+    errors.images = 'Aggiungi almeno un\'immagine'
+  }
+
+  // 0 è valido: i pezzi venduti restano a catalogo come esauriti
+  if (formData.variants.length === 0 && (formData.stock === '' || formData.stock < 0)) {
+    errors.stock = 'La disponibilità deve essere almeno 0'
+  }
+
+  const variantErrors = {}
+  const skus = formData.variants.map(variant => variant.sku.trim().toUpperCase())
+
+  formData.variants.forEach((variant, index) => {
+    const rowErrors = {}
+
+    if (!skus[index]) {
+      rowErrors.sku = 'SKU obbligatorio'
+    } else if (skus.indexOf(skus[index]) !== index) {
+      rowErrors.sku = 'SKU ripetuto'
+    }
+    if (!VARIANT_OPTIONS.some(option => variant[option.key].trim())) {
+      rowErrors.options = 'Indica almeno misura, lunghezza o finitura'
+    }
+    if (!Number.isInteger(Number(variant.stock)) || Number(variant.stock) < 0 || variant.stock === '') {
+      rowErrors.stock = 'Intero non negativo'
+    }
+    if (formData.price > 0 && !(Number(formData.price) + (Number(variant.priceAdjustment) || 0) > 0)) {
+      rowErrors.priceAdjustment = 'Il prezzo finale deve restare sopra 0'
+    }
+
+    if (Object.keys(rowErrors).length > 0) variantErrors[index] = rowErrors
+  })
+
+  if (Object.keys(variantErrors).length > 0) errors.variants = variantErrors
+
+  return errors
+}
+
+/**
+ * Messaggio di errore sotto un campo
+ */
+// eslint-disable-next-line react/prop-types
+const FieldError = ({ message }) =>
+  message ? <div className="invalid-feedback d-block">{message}</div> : null
+
+/**
+ * ADMIN PRODUCT EDITOR PAGE COMPONENT
+ */
+function AdminProductEditorPage() {
+  // ===== ROUTER HOOKS =====
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const isEditing = Boolean(id)
+
+  // ===== REDUX HOOKS =====
+  const dispatch = useDispatch()
+  const token = useSelector((state) => state.auth.token)
+  const categories = useSelector(selectCategories)
+  const activeCategories = useSelector(selectActiveCategories)
+
+  // ===== STATE LOCALE =====
+
+  /**
+   * STATO FORM
+   *
+   * formData contiene i valori correnti, savedData l'ultima versione
+   * salvata (o caricata): se differiscono ci sono modifiche non salvate.
+   */
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [savedData, setSavedData] = useState(EMPTY_FORM)
+  const [errors, setErrors] = useState({})
+  const [loadStatus, setLoadStatus] = useState(isEditing ? 'loading' : 'ready') // 'loading' | 'ready' | 'failed'
+  const [loadError, setLoadError] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [showDetailPreview, setShowDetailPreview] = useState(false)
+  const [activeTab, setActiveTab] = useState('details') // 'details' | 'history'
+
+  /**
+   * CONFLITTO DI SALVATAGGIO
+   *
+   * { original, mine, theirs } quando il server rifiuta il salvataggio
+   * perché il prodotto è cambiato dopo il caricamento (vedi ProductConflict)
+   */
+  const [conflict, setConflict] = useState(null)
+
+  /**
+   * STATO UPLOAD FOTO
+   *
+   * Upload in corso: { id, name, progress }. Il salvataggio del
+   * prodotto resta disabilitato finché l'elenco non è vuoto.
+   */
+  const [uploads, setUploads] = useState([])
+  const [isDragOver, setIsDragOver] = useState(false)
+  const draggedImage = useRef(null) // Indice dell'immagine trascinata per il riordino
+
+  /**
+   * Messo a true subito prima di una navigazione voluta (dopo il salvataggio),
+   * che non deve chiedere conferma
+   */
+  const allowNavigation = useRef(false)
+
+  const isDirty = JSON.stringify(formData) !== JSON.stringify(savedData)
+  const hasVariantsRows = formData.variants.length > 0
+
+  /**
+   * Nome visualizzato di una categoria a partire dallo slug del prodotto
+   */
+  const categoryName = (slug) => categories.find(c => c.slug === slug)?.name || slug
+
+  // Ultima versione salvata, per lo stato mostrato nell'intestazione
+  const savedProduct = formToProduct(savedData)
+
+  // ===== ANTEPRIMA =====
+  // Il prodotto come apparirà nel negozio, aggiornato a ogni modifica
+  const previewData = formToProduct(formData)
+  const previewProduct = {
+    ...previewData,
+    id: formData.id || 'anteprima',
+    name: previewData.name || 'Nome del prodotto',
+    description: previewData.description || 'La descrizione del prodotto comparirà qui.',
+    price: Number(formData.price) || 0,
+    stock: Number(previewData.stock) || 0
+  }
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * CARICAMENTO PRODOTTO
+   *
+   * In modifica carica il prodotto dal backend e lo usa come versione
+   * salvata; su /admin/products/new parte dal form vuoto.
+   */
+  useEffect(() => {
+    allowNavigation.current = false
+    setErrors({})
+    setConflict(null)
+    setActiveTab('details')
+
+    if (!id) {
+      setFormData(EMPTY_FORM)
+      setSavedData(EMPTY_FORM)
+      setLoadStatus('ready')
+      return undefined
+    }
+
+    setLoadStatus('loading')
+    dispatch(fetchProductById(Number(id)))
+      .unwrap()
+      .then((product) => {
+        const form = productToForm(product)
+        setFormData(form)
+        setSavedData(form)
+        setLoadStatus('ready')
+      })
+      .catch((error) => {
+        setLoadError(error)
+        setLoadStatus('failed')
+      })
+
+    return () => {
+      dispatch(clearCurrentProduct())
+    }
+  }, [dispatch, id])
+
+  /**
+   * PROTEZIONE MODIFICHE NON SALVATE
+   *
+   * - Link e navigazioni interne: useBlocker chiede conferma
+   * - Chiusura o ricarica della scheda: avviso standard del browser
+   */
+  const blocker = useBlocker(({ currentLocation, nextLocation }) =>
+    isDirty &&
+    !allowNavigation.current &&
+    currentLocation.pathname !== nextLocation.pathname
+  )
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return
+
+    if (window.confirm('Ci sono modifiche non salvate. Vuoi uscire senza salvarle?')) {
+      blocker.proceed()
+    } else {
+      blocker.reset()
+    }
+  }, [blocker])
+
+  useEffect(() => {
+    if (!isDirty) return undefined
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault()
+      e.returnValue = ''
+    }
+
+    window.addEventListener('beforeunload', handleBeforeUnload)
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload)
+  }, [isDirty])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * HANDLER CAMBIO INPUT FORM
+   *
+   * Aggiorna il campo (price e stock come numeri) e toglie il suo errore.
+   *
+   * @param {Event} e - Evento change dell'input
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target
+
+    setFormData({
+      ...formData,
+      [name]: name === 'price' || name === 'stock' ?
+        (value === '' ? '' : parseFloat(value)) :  // Parse numerico per price/stock
+        value                                       // Stringa per altri campi
+    })
+    setErrors({ ...errors, [name]: undefined })
+  }
+
+  /**
+   * Aggiorna la galleria e toglie l'errore "nessuna immagine"
+   */
+  const setImages = (images) => {
+    setFormData({ ...formData, images })
+    setErrors({ ...errors, images: undefined })
+  }
+
+  /**
+   * HANDLER IMMAGINI
+   *
+   * Modifica, aggiunta, rimozione e spostamento delle immagini della galleria.
+   * Spostare un'immagine in cima la rende la principale.
+   */
+  const handleImageChange = (index, field, value) => {
+    setImages(formData.images.map((image, i) => {
+      if (i !== index) return image
+      // Un URL scritto a mano sostituisce la foto caricata e i suoi formati
+      if (field === 'url') return { url: value, alt: image.alt }
+      return { ...image, [field]: value }
+    }))
+  }
+
+  const handleAddImage = () => {
+    setImages([...formData.images, { url: '', alt: '' }])
+  }
+
+  const handleRemoveImage = (index) => {
+    const images = formData.images.filter((_, i) => i !== index)
+    setImages(images.length > 0 ? images : [{ url: '', alt: '' }])
+  }
+
+  /**
+   * @param {number} index - Posizione attuale
+   * @param {number} target - Nuova posizione (0 = immagine principale)
+   */
+  const handleMoveImage = (index, target) => {
+    const images = [...formData.images]
+    const [moved] = images.splice(index, 1)
+    images.splice(target, 0, moved)
+    setImages(images)
+  }
+
+  /**
+   * RIORDINO DRAG & DROP
+   *
+   * L'anteprima di ogni riga si trascina sopra un'altra riga.
+   * I file trascinati dal computer vanno invece all'area di upload.
+   */
+  const handleImageDragStart = (e, index) => {
+    draggedImage.current = index
+    e.dataTransfer.effectAllowed = 'move'
+  }
+
+  const handleImageDrop = (e, index) => {
+    if (draggedImage.current === null) return
+    e.preventDefault()
+    e.stopPropagation()
+    if (draggedImage.current !== index) handleMoveImage(draggedImage.current, index)
+    draggedImage.current = null
+  }
+
+  /**
+   * HANDLER UPLOAD FOTO
+   *
+   * Carica i file scelti o trascinati, uno per volta in parallelo.
+   * Ogni foto caricata si aggiunge in fondo alla galleria (o sostituisce
+   * la riga vuota iniziale). Lo stato è aggiornato in forma funzionale
+   * perché gli upload finiscono mentre l'admin continua a compilare il form.
+   *
+   * @param {FileList} files - File selezionati
+   */
+  const handleUploadFiles = (files) => {
+    Array.from(files).forEach((file) => {
+      // ===== VALIDAZIONE FILE =====
+      // Lo stesso controllo lo ripete il server sul contenuto del file
+      if (!UPLOAD_TYPES.includes(file.type)) {
+        toast.error(`${file.name}: formato non supportato (JPEG, PNG o WebP)`)
+        return
+      }
+      if (file.size > MAX_UPLOAD_MB * 1024 * 1024) {
+        toast.error(`${file.name}: l'immagine supera ${MAX_UPLOAD_MB} MB`)
+        return
+      }
+
+      const uploadId = `${Date.now()}-${Math.random()}`
+      setUploads(prev => [...prev, { id: uploadId, name: file.name, progress: 0 }])
+
+      uploadProductImage({
+        file,
+        token,
+        onProgress: (progress) => setUploads(prev =>
+          prev.map(upload => upload.id === uploadId ? { ...upload, progress } : upload)
+        )
+      })
+        .then((image) => {
+          setFormData(prev => {
+            const current = prev.images.filter(existing => existing.url.trim())
+            return { ...prev, images: [...current, image] }
+          })
+          setErrors(prev => ({ ...prev, images: undefined }))
+        })
+        .catch((error) => {
+          toast.error(`${file.name}: ${error.message}`)
+        })
+        .finally(() => {
+          setUploads(prev => prev.filter(upload => upload.id !== uploadId))
+        })
+    })
+  }
+
+  const handleDropFiles = (e) => {
+    e.preventDefault()
+    setIsDragOver(false)
+    if (e.dataTransfer.files.length > 0) handleUploadFiles(e.dataTransfer.files)
+  }
+
+  /**
+   * HANDLER VARIANTI
+   *
+   * Modifica, aggiunta e rimozione delle righe dell'editor varianti.
+   * Con almeno una variante lo stock del prodotto è la loro somma.
+   */
+  const setVariants = (variants, extra = {}) => {
+    setFormData({ ...formData, variants, ...extra })
+    // Gli indici delle righe cambiano: gli errori delle varianti vengono ricalcolati al salvataggio
+    setErrors({ ...errors, variants: undefined, stock: undefined })
+  }
+
+  const handleVariantChange = (index, field, value) => {
+    setFormData({
+      ...formData,
+      variants: formData.variants.map((variant, i) =>
+        i === index ? { ...variant, [field]: value } : variant
+      )
+    })
+
+    // Toglie solo l'errore del campo modificato (le opzioni hanno un errore comune)
+    const errorField = VARIANT_OPTIONS.some(option => option.key === field) ? 'options' : field
+    if (errors.variants?.[index]?.[errorField]) {
+      setErrors({
+        ...errors,
+        variants: { ...errors.variants, [index]: { ...errors.variants[index], [errorField]: undefined } }
+      })
+    }
+  }
+
+  const handleAddVariant = () => {
+    setVariants([...formData.variants, { ...EMPTY_VARIANT }])
+  }
+
+  const handleRemoveVariant = (index) => {
+    const variants = formData.variants.filter((_, i) => i !== index)
+    // Tolta l'ultima variante, lo stock torna modificabile partendo dalla somma
+    setVariants(variants, {
+      stock: variants.length === 0 ? totalVariantStock(formData.variants) : formData.stock
+    })
+  }
+
+  /**
+   * SALVATAGGIO
+   *
+   * Valida il form, crea o aggiorna il prodotto e poi:
+   * - continueEditing = false: torna alla dashboard
+   * - continueEditing = true: resta nell'editor (un prodotto nuovo
+   *   passa al suo indirizzo /admin/products/:id)
+   *
+   * Gli errori del backend (es. SKU già usato da un altro prodotto)
+   * compaiono in cima al form. Se un altro admin ha salvato il prodotto
+   * nel frattempo (409 con il prodotto attuale) si apre il confronto
+   * tra le due versioni.
+   *
+   * @param {boolean} continueEditing - Resta nell'editor dopo il salvataggio
+   * @param {Object} data - Valori da salvare (default: il form)
+   */
+  const saveProduct = (continueEditing, data = formData) => {
+    // ===== VALIDAZIONE FORM =====
+    const validationErrors = validateProductForm(data)
+    setErrors(validationErrors)
+
+    if (Object.keys(validationErrors).length > 0) {
+      toast.error('Correggi i campi evidenziati')
+      // Porta l'admin al primo campo da correggere, dopo il render degli errori
+      requestAnimationFrame(() => {
+        document.querySelector('.admin-product-editor .is-invalid')?.focus()
+      })
+      return
+    }
+
+    const productData = formToProduct(data)
+    const request = isEditing
+      ? dispatch(updateProduct({ id: data.id, productData }))
+      : dispatch(createProduct(productData))
+
+    setIsSaving(true)
+    request
+      .then((action) => {
+        if (!action.error) return action.payload
+
+        // Versione superata: le SKU duplicate rispondono 409 senza "current"
+        const current = action.meta?.details?.current
+        if (action.meta?.status === 409 && current) {
+          setConflict({ original: savedData, mine: data, theirs: productToForm(current) })
+          toast.warning('Il prodotto è stato modificato da qualcun altro: confronta le versioni')
+          return null
+        }
+        throw action.payload
+      })
+      .then((product) => {
+        if (!product) return
+
+        const form = productToForm(product)
+        setFormData(form)
+        setSavedData(form)
+        toast.success(isEditing ? 'Prodotto aggiornato con successo' : 'Prodotto creato con successo')
+
+        if (!continueEditing) {
+          allowNavigation.current = true
+          navigate('/admin')
+        } else if (!isEditing) {
+          allowNavigation.current = true
+          navigate(`/admin/products/${product.id}`, { replace: true })
+        }
+      })
+      .catch((error) => {
+        setErrors({ form: error })
+        toast.error(`Errore salvataggio: ${error}`)
+      })
+      .finally(() => {
+        setIsSaving(false)
+      })
+  }
+
+  /**
+   * CONFLITTO RISOLTO
+   *
+   * La versione attuale del server diventa quella salvata e il form
+   * prende l'unione scelta (o la versione attuale, se l'admin scarta
+   * le sue modifiche).
+   *
+   * @param {Object} form - Valori del form risultanti
+   * @param {boolean} save - Salva subito l'unione
+   */
+  const handleConflictResolved = (form, save) => {
+    setSavedData(conflict.theirs)
+    setFormData(form)
+    setConflict(null)
+
+    if (save) {
+      saveProduct(true, form)
+    }
+  }
+
+  /**
+   * Versione ripristinata dalla cronologia: diventa la versione salvata
+   */
+  const handleReverted = (product) => {
+    const form = productToForm(product)
+    setFormData(form)
+    setSavedData(form)
+    setErrors({})
+    setConflict(null)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    saveProduct(false)
+  }
+
+  // ===== EARLY RETURNS PER STATI SPECIALI =====
+
+  if (loadStatus === 'loading') {
+    return (
+      <div className="container py-5 text-center">
+        <div className="spinner-border text-primary" role="status" style={{ width: '3rem', height: '3rem' }}>
+          <span className="visually-hidden">Caricamento prodotto...</span>
+        </div>
+        <p className="mt-3 text-muted">Caricamento prodotto...</p>
+      </div>
+    )
+  }
+
+  if (loadStatus === 'failed') {
+    return (
+      <div className="container py-5">
+        <div className="alert alert-danger" role="alert">
+          <h4 className="alert-heading">Impossibile aprire il prodotto</h4>
+          <p className="mb-0">{loadError}</p>
+        </div>
+        <Link to="/admin" className="btn btn-outline-secondary">← Torna alla dashboard</Link>
+      </div>
+    )
+  }
+
+  // Con un conflitto aperto si salva solo dal riquadro di confronto
+  const isBusy = isSaving || uploads.length > 0 || conflict !== null
+
+  return (
+    <div className="container py-5 admin-product-editor">
+
+      {/* ===== HEADER ===== */}
+      <nav aria-label="breadcrumb" className="mb-3">
+        <ol className="breadcrumb">
+          <li className="breadcrumb-item"><Link to="/admin">Dashboard Admin</Link></li>
+          <li className="breadcrumb-item active" aria-current="page">
+            {isEditing ? savedData.name : 'Nuovo prodotto'}
+          </li>
+        </ol>
+      </nav>
+
+      <div className="d-flex justify-content-between align-items-center mb-4 flex-wrap gap-2">
+        <h1 className="mb-0">
+          <span className="me-2">{isEditing ? '✏️' : '➕'}</span>
+          {isEditing ? 'Modifica prodotto' : 'Nuovo prodotto'}
+          {isEditing && <small className="text-muted fs-5 ms-2">#{formData.id}</small>}
+        </h1>
+        <div className="d-flex align-items-center gap-2 flex-wrap">
+          {isDirty && <span className="badge bg-warning text-dark fs-6">Modifiche non salvate</span>}
+          {isEditing && (
+            <>
+              {/* Stato salvato: è quello che vedono i clienti */}
+              <ProductStatusBadge product={savedProduct} className="fs-6" />
+              <Link
+                to={`/product/${formData.id}`}
+                className="btn btn-outline-secondary btn-sm"
+                target="_blank"
+                rel="noopener"
+                title={isPublished(savedProduct) ? undefined : 'I clienti non vedono ancora questa pagina'}
+              >
+                👁️ Anteprima come cliente
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* ===== SCHEDE ===== */}
+      {isEditing && (
+        <ul className="nav nav-tabs mb-4">
+          <li className="nav-item">
+            <button
+              type="button"
+              className={`nav-link ${activeTab === 'details' ? 'active' : ''}`}
+              aria-current={activeTab === 'details' ? 'page' : undefined}
+              onClick={() => setActiveTab('details')}
+            >
+              Dettagli
+            </button>
+          </li>
+          <li className="nav-item">
+            <button
+              type="button"
+              className={`nav-link ${activeTab === 'history' ? 'active' : ''}`}
+              aria-current={activeTab === 'history' ? 'page' : undefined}
+              onClick={() => setActiveTab('history')}
+            >
+              🕘 Cronologia
+            </button>
+          </li>
+        </ul>
+      )}
+
+      {/* ===== CRONOLOGIA ===== */}
+      {/* Il form resta montato (nascosto) per non perdere modifiche e upload in corso */}
+      {activeTab === 'history' && (
+        <ProductHistory productId={formData.id} isDirty={isDirty} onReverted={handleReverted} />
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className={activeTab === 'history' ? 'd-none' : undefined}>
+        <div className="row g-4">
+
+          {/* ===== COLONNA FORM ===== */}
+          <div className="col-lg-8">
+
+            {conflict && (
+              <ProductConflict
+                original={conflict.original}
+                mine={conflict.mine}
+                theirs={conflict.theirs}
+                categoryName={categoryName}
+                onResolve={handleConflictResolved}
+              />
+            )}
+
+            {errors.form && (
+              <div className="alert alert-danger" role="alert">
+                <strong>Il prodotto non è stato salvato:</strong> {errors.form}
+              </div>
+            )}
+
+            {/* ===== DATI PRINCIPALI ===== */}
+            <div className="card shadow-sm mb-4">
+              <div className="card-header fw-bold">Dati principali</div>
+              <div className="card-body">
+
+                {/* Nome e Categoria */}
+                <div className="row mb-3">
+                  <div className="col-md-6">
+                    <label htmlFor="name" className="form-label fw-bold">
+                      <span className="me-1">🏷️</span>
+                      Nome Prodotto
+                    </label>
+                    <input
+                      type="text"
+                      className={`form-control form-control-lg ${errors.name ? 'is-invalid' : ''}`}
+                      id="name"
+                      name="name"
+                      value={formData.name}
+                      onChange={handleChange}
+                      placeholder="Inserisci il nome del prodotto"
+                      aria-invalid={Boolean(errors.name)}
+                    />
+                    <FieldError message={errors.name} />
+                  </div>
+                  <div className="col-md-6">
+                    <label htmlFor="category" className="form-label fw-bold">
+                      <span className="me-1">📂</span>
+                      Categoria
+                    </label>
+                    <select
+                      className={`form-select form-select-lg ${errors.category ? 'is-invalid' : ''}`}
+                      id="category"
+                      name="category"
+                      value={formData.category}
+                      onChange={handleChange}
+                      aria-invalid={Boolean(errors.category)}
+                    >
+                      <option value="" disabled>Seleziona una categoria</option>
+                      {activeCategories.map((category) => (
+                        <option key={category.id} value={category.slug}>
+                          {category.icon} {category.name}
+                        </option>
+                      ))}
+                      {/* Un prodotto già in una categoria archiviata la mantiene finché non viene spostato */}
+                      {formData.category && !activeCategories.some(c => c.slug === formData.category) && (
+                        <option value={formData.category}>
+                          {categoryName(formData.category)} (archiviata)
+                        </option>
+                      )}
+                    </select>
+                    <FieldError message={errors.category} />
+                  </div>
+                </div>
+
+                {/* Descrizione */}
+                <div className="mb-3">
+                  <label htmlFor="description" className="form-label fw-bold">
+                    <span className="me-1">📝</span>
+                    Descrizione
+                  </label>
+                  <textarea
+                    className={`form-control form-control-lg ${errors.description ? 'is-invalid' : ''}`}
+                    id="description"
+                    name="description"
+                    rows="4"
+                    value={formData.description}
+                    onChange={handleChange}
+                    placeholder="Descrivi il prodotto in dettaglio"
+                    aria-invalid={Boolean(errors.description)}
+                  ></textarea>
+                  <FieldError message={errors.description} />
+                </div>
+
+                {/* Prezzo e Stock */}
+                <div className="row mb-3">
+                  <div className="col-md-6">
+                    <label htmlFor="price" className="form-label fw-bold">
+                      <span className="me-1">💰</span>
+                      Prezzo (€)
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      className={`form-control form-control-lg ${errors.price ? 'is-invalid' : ''}`}
+                      id="price"
+                      name="price"
+                      value={formData.price}
+                      onChange={handleChange}
+                      placeholder="0.00"
+                      aria-invalid={Boolean(errors.price)}
+                    />
+                    <FieldError message={errors.price} />
+                  </div>
+                  <div className="col-md-6">
+                    <label htmlFor="stock" className="form-label fw-bold">
+                      <span className="me-1">📦</span>
+                      Disponibilità
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      className={`form-control form-control-lg ${errors.stock ? 'is-invalid' : ''}`}
+                      id="stock"
+                      name="stock"
+                      value={hasVariantsRows ? totalVariantStock(formData.variants) : formData.stock}
+                      onChange={handleChange}
+                      placeholder="Quantità disponibile"
+                      disabled={hasVariantsRows}
+                      aria-invalid={Boolean(errors.stock)}
+                    />
+                    <FieldError message={errors.stock} />
+                    {hasVariantsRows && (
+                      <div className="form-text">Somma delle varianti</div>
+                    )}
+                  </div>
+                </div>
+
+                {/* SKU del prodotto: con le varianti ognuna ha il suo */}
+                {!hasVariantsRows && (
+                  <div className="mb-3">
+                    <label htmlFor="sku" className="form-label fw-bold">
+                      <span className="me-1">🏷️</span>
+                      SKU
+                    </label>
+                    <input
+                      type="text"
+                      className="form-control form-control-lg text-uppercase"
+                      id="sku"
+                      name="sku"
+                      value={formData.sku}
+                      onChange={handleChange}
+                      placeholder="Es. ORE-003"
+                    />
+                    <div className="form-text">Facoltativo: serve a riconoscere il prodotto quando importi il catalogo da un foglio di calcolo.</div>
+                  </div>
+                )}
+
+                {/* Tag per la ricerca */}
+                <div>
+                  <label htmlFor="tags" className="form-label fw-bold">
+                    <span className="me-1">🔖</span>
+                    Tag
+                  </label>
+                  <input
+                    type="text"
+                    className="form-control form-control-lg"
+                    id="tags"
+                    name="tags"
+                    value={formData.tags}
+                    onChange={handleChange}
+                    placeholder="Es. porcellana, blu, floreale"
+                  />
+                  <div className="form-text">Separati da virgola: aiutano i clienti a trovare il prodotto con la ricerca.</div>
+                </div>
+
+                {/* Visibilità nel negozio */}
+                <div className="row g-3 mt-1">
+                  <div className="col-md-6">
+                    <label htmlFor="status" className="form-label fw-bold">Stato</label>
+                    <select
+                      className="form-select form-select-lg"
+                      id="status"
+                      name="status"
+                      value={formData.status}
+                      onChange={handleChange}
+                    >
+                      {Object.entries(PRODUCT_STATUSES).map(([value, option]) => (
+                        <option key={value} value={value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <div className="form-text">
+                      Bozze e prodotti archiviati restano qui, ma i clienti non li vedono e non possono ordinarli.
+                    </div>
+                  </div>
+                  {formData.status === 'published' && (
+                    <div className="col-md-6">
+                      <label htmlFor="publishAt" className="form-label fw-bold">Pubblica dal</label>
+                      <input
+                        type="datetime-local"
+                        className="form-control form-control-lg"
+                        id="publishAt"
+                        name="publishAt"
+                        value={formData.publishAt}
+                        onChange={handleChange}
+                      />
+                      <div className="form-text">
+                        Vuoto: subito. Con una data il prodotto compare nel negozio da solo a quell&apos;ora.
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {/* ===== GALLERIA IMMAGINI ===== */}
+            {/* La prima immagine è la principale */}
+            <div className="card shadow-sm mb-4">
+              <div className="card-header d-flex justify-content-between align-items-center">
+                <span className="fw-bold">
+                  <span className="me-1">🖼️</span>
+                  Immagini
+                </span>
+                <button type="button" className="btn btn-outline-primary btn-sm" onClick={handleAddImage}>
+                  ➕ Aggiungi URL
+                </button>
+              </div>
+              <div className="card-body">
+
+                {/* Area upload: trascina le foto o sceglile dal computer */}
+                <div
+                  className={`admin-upload-zone rounded p-4 mb-3 text-center ${isDragOver ? 'drag-over' : ''} ${errors.images ? 'border-danger' : ''}`}
+                  onDragOver={(e) => { e.preventDefault(); if (draggedImage.current === null) setIsDragOver(true) }}
+                  onDragLeave={() => setIsDragOver(false)}
+                  onDrop={handleDropFiles}
+                >
+                  <p className="mb-2">📤 Trascina qui le foto oppure</p>
+                  <label className="btn btn-outline-primary btn-sm mb-2">
+                    Scegli dal computer
+                    <input
+                      type="file"
+                      accept={UPLOAD_TYPES.join(',')}
+                      multiple
+                      hidden
+                      onChange={(e) => { handleUploadFiles(e.target.files); e.target.value = '' }}
+                    />
+                  </label>
+                  <div className="form-text">
+                    JPEG, PNG o WebP fino a {MAX_UPLOAD_MB} MB. I dati di posizione vengono rimossi.
+                  </div>
+
+                  {uploads.map(upload => (
+                    <div key={upload.id} className="mt-2 text-start">
+                      <div className="small text-muted">{upload.name}</div>
+                      <div className="progress" role="progressbar" aria-label={`Caricamento ${upload.name}`} aria-valuenow={upload.progress} aria-valuemin="0" aria-valuemax="100">
+                        <div className="progress-bar progress-bar-striped progress-bar-animated" style={{ width: `${upload.progress}%` }}>
+                          {upload.progress}%
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <FieldError message={errors.images} />
+
+                {formData.images.map((image, index) => (
+                  <div
+                    key={index}
+                    className="row g-2 align-items-center mb-2"
+                    onDragOver={(e) => { if (draggedImage.current !== null) e.preventDefault() }}
+                    onDrop={(e) => handleImageDrop(e, index)}
+                  >
+                    <div
+                      className="col-auto admin-image-handle"
+                      draggable={Boolean(image.url)}
+                      onDragStart={(e) => handleImageDragStart(e, index)}
+                      onDragEnd={() => { draggedImage.current = null }}
+                      title="Trascina per riordinare"
+                    >
+                      {image.url ? (
+                        <ProductImage
+                          image={image}
+                          size="thumbnail"
+                          alt=""
+                          width="48"
+                          height="48"
+                          className="rounded"
+                          style={{ objectFit: 'cover' }}
+                          draggable={false}
+                        />
+                      ) : (
+                        <div className="rounded bg-light border" style={{ width: 48, height: 48 }} />
+                      )}
+                    </div>
+                    <div className="col-md-5">
+                      <input
+                        type="url"
+                        className="form-control"
+                        value={image.url}
+                        onChange={(e) => handleImageChange(index, 'url', e.target.value)}
+                        placeholder="https://esempio.com/immagine.jpg"
+                        aria-label={`URL immagine ${index + 1}`}
+                      />
+                    </div>
+                    <div className="col">
+                      <input
+                        type="text"
+                        className="form-control"
+                        value={image.alt}
+                        onChange={(e) => handleImageChange(index, 'alt', e.target.value)}
+                        placeholder="Testo alternativo (es. retro del ciondolo)"
+                        aria-label={`Testo alternativo immagine ${index + 1}`}
+                      />
+                    </div>
+                    <div className="col-auto">
+                      <div className="btn-group btn-group-sm">
+                        {index === 0 ? (
+                          <span className="btn btn-success disabled">★ Principale</span>
+                        ) : (
+                          <button
+                            type="button"
+                            className="btn btn-outline-success"
+                            onClick={() => handleMoveImage(index, 0)}
+                            title="Imposta come immagine principale"
+                          >
+                            ☆
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          className="btn btn-outline-secondary"
+                          onClick={() => handleMoveImage(index, index - 1)}
+                          disabled={index === 0}
+                          aria-label={`Sposta immagine ${index + 1} in alto`}
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-outline-secondary"
+                          onClick={() => handleMoveImage(index, index + 1)}
+                          disabled={index === formData.images.length - 1}
+                          aria-label={`Sposta immagine ${index + 1} in basso`}
+                        >
+                          ↓
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-outline-danger"
+                          onClick={() => handleRemoveImage(index)}
+                          aria-label={`Rimuovi immagine ${index + 1}`}
+                        >
+                          🗑️
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+                <div className="form-text">
+                  Trascina le anteprime per cambiare ordine.
+                  Primi piani della decorazione, retro e pezzo indossato. La seconda immagine compare
+                  al passaggio del mouse sulla card del negozio.
+                </div>
+              </div>
+            </div>
+
+            {/* ===== VARIANTI ===== */}
+            {/* Misure, lunghezze catena, finiture */}
+            <div className="card shadow-sm mb-4">
+              <div className="card-header d-flex justify-content-between align-items-center">
+                <span className="fw-bold">
+                  <span className="me-1">📏</span>
+                  Varianti
+                </span>
+                <button type="button" className="btn btn-outline-primary btn-sm" onClick={handleAddVariant}>
+                  ➕ Aggiungi variante
+                </button>
+              </div>
+              <div className="card-body">
+                {!hasVariantsRows ? (
+                  <div className="form-text mt-0">
+                    Nessuna variante: il prodotto si vende con prezzo e disponibilità unici.
+                    Aggiungile per misure degli anelli, lunghezze delle catene o finiture.
+                  </div>
+                ) : (
+                  <div className="table-responsive">
+                    <table className="table table-sm align-top mb-1">
+                      <thead>
+                        <tr>
+                          <th scope="col">SKU</th>
+                          {VARIANT_OPTIONS.map(option => (
+                            <th key={option.key} scope="col">{option.label}</th>
+                          ))}
+                          <th scope="col">Stock</th>
+                          <th scope="col">Δ Prezzo (€)</th>
+                          <th scope="col"></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {formData.variants.map((variant, index) => {
+                          const rowErrors = errors.variants?.[index] || {}
+
+                          return (
+                            <tr key={variant.id || `new-${index}`}>
+                              <td>
+                                <input
+                                  type="text"
+                                  className={`form-control form-control-sm text-uppercase ${rowErrors.sku ? 'is-invalid' : ''}`}
+                                  value={variant.sku}
+                                  onChange={(e) => handleVariantChange(index, 'sku', e.target.value)}
+                                  placeholder="ANE-001-16"
+                                  aria-label={`SKU variante ${index + 1}`}
+                                  aria-invalid={Boolean(rowErrors.sku)}
+                                />
+                                <FieldError message={rowErrors.sku} />
+                              </td>
+                              {VARIANT_OPTIONS.map((option, optionIndex) => (
+                                <td key={option.key}>
+                                  <input
+                                    type="text"
+                                    className={`form-control form-control-sm ${rowErrors.options ? 'is-invalid' : ''}`}
+                                    value={variant[option.key]}
+                                    onChange={(e) => handleVariantChange(index, option.key, e.target.value)}
+                                    aria-label={`${option.label} variante ${index + 1}`}
+                                    aria-invalid={Boolean(rowErrors.options)}
+                                  />
+                                  {/* Un solo messaggio per le tre opzioni */}
+                                  {optionIndex === 0 && <FieldError message={rowErrors.options} />}
+                                </td>
+                              ))}
+                              <td style={{ width: '90px' }}>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="1"
+                                  className={`form-control form-control-sm ${rowErrors.stock ? 'is-invalid' : ''}`}
+                                  value={variant.stock}
+                                  onChange={(e) => handleVariantChange(index, 'stock', e.target.value)}
+                                  aria-label={`Stock variante ${index + 1}`}
+                                  aria-invalid={Boolean(rowErrors.stock)}
+                                />
+                                <FieldError message={rowErrors.stock} />
+                              </td>
+                              <td style={{ width: '110px' }}>
+                                <input
+                                  type="number"
+                                  step="0.01"
+                                  className={`form-control form-control-sm ${rowErrors.priceAdjustment ? 'is-invalid' : ''}`}
+                                  value={variant.priceAdjustment}
+                                  onChange={(e) => handleVariantChange(index, 'priceAdjustment', e.target.value)}
+                                  aria-label={`Variazione prezzo variante ${index + 1}`}
+                                  aria-invalid={Boolean(rowErrors.priceAdjustment)}
+                                />
+                                <FieldError message={rowErrors.priceAdjustment} />
+                              </td>
+                              <td>
+                                <button
+                                  type="button"
+                                  className="btn btn-outline-danger btn-sm"
+                                  onClick={() => handleRemoveVariant(index)}
+                                  aria-label={`Rimuovi variante ${index + 1}`}
+                                >
+                                  🗑️
+                                </button>
+                              </td>
+                            </tr>
+                          )
+                        })}
+                      </tbody>
+                    </table>
+                    <div className="form-text">
+                      Il prezzo di ogni variante è il prezzo base più la variazione (anche negativa).
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* ===== COLONNA ANTEPRIMA ===== */}
+          {/**
+           * ANTEPRIMA DAL VIVO
+           *
+           * La card usa lo stesso componente del negozio. È solo da guardare:
+           * link e pulsante del carrello non rispondono.
+           */}
+          <div className="col-lg-4">
+            <div className="admin-editor-preview">
+              <h2 className="h5 fw-bold mb-3">👁️ Anteprima nel negozio</h2>
+              <div className="row row-cols-1 admin-preview-frame" aria-hidden="true">
+                <ProductCard product={previewProduct} />
+              </div>
+              <button
+                type="button"
+                className="btn btn-outline-secondary btn-sm w-100 mt-3"
+                onClick={() => setShowDetailPreview(!showDetailPreview)}
+                aria-expanded={showDetailPreview}
+                aria-controls="product-detail-preview"
+              >
+                {showDetailPreview ? 'Nascondi anteprima pagina prodotto' : 'Mostra anteprima pagina prodotto'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* ===== PULSANTI AZIONE ===== */}
+        <div className="admin-editor-actions d-flex gap-2 flex-wrap py-3 mt-2 border-top bg-white">
+          <button type="submit" className="btn btn-primary btn-lg" disabled={isBusy}>
+            {isSaving ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                Salvataggio...
+              </>
+            ) : (
+              <>
+                <span className="me-2">💾</span>
+                Salva
+              </>
+            )}
+          </button>
+          <button
+            type="button"
+            className="btn btn-outline-primary btn-lg"
+            onClick={() => saveProduct(true)}
+            disabled={isBusy}
+          >
+            Salva e continua
+          </button>
+          <Link to="/admin" className="btn btn-outline-secondary btn-lg">
+            Annulla
+          </Link>
+          {uploads.length > 0 && (
+            <span className="align-self-center text-muted small">Attendi la fine degli upload per salvare</span>
+          )}
+        </div>
+      </form>
+
+      {/* ===== ANTEPRIMA PAGINA PRODOTTO ===== */}
+      {/* Stesso layout di ProductDetailPage: si possono provare le varianti, non acquistare */}
+      {showDetailPreview && activeTab === 'details' && (
+        <section id="product-detail-preview" className="card shadow-sm mt-4" aria-label="Anteprima pagina prodotto">
+          <div className="card-header fw-bold">Anteprima pagina prodotto</div>
+          <div className="card-body">
+            <ProductDetails product={previewProduct} preview />
+          </div>
+        </section>
+      )}
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default AdminProductEditorPage
@@ -0,0 +1,171 @@
+/**
+ * ADMIN TRASH PAGE - CESTINO DEI PRODOTTI
+ *
+ * Prodotti eliminati dalla dashboard: non compaiono più nel negozio
+ * né in dashboard, ma restano per lo storico degli ordini.
+ * - Ripristino: il prodotto torna in catalogo com'era
+ * - Eliminazione definitiva: bloccata dal server finché il prodotto
+ *   è in ordini non ancora consegnati o annullati (vedi server/trash.js)
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { fetchTrash, restoreProduct, purgeProduct } from '../store/products/productsSlice'
+import { selectCategories } from '../store/categories/categoriesSlice'
+import { productImages } from '../utils/images'
+import ProductImage from '../components/ProductImage'
+
+/**
+ * ADMIN TRASH PAGE COMPONENT
+ */
+function AdminTrashPage() {
+  // ===== REDUX HOOKS =====
+  const dispatch = useDispatch()
+  const { items, status, error } = useSelector((state) => state.products.trash)
+  const categories = useSelector(selectCategories)
+
+  // ===== STATE LOCALE =====
+  const [workingId, setWorkingId] = useState(null) // Prodotto in ripristino/eliminazione
+
+  // ===== SIDE EFFECTS =====
+  useEffect(() => {
+    dispatch(fetchTrash())
+  }, [dispatch])
+
+  // ===== HELPERS =====
+  const categoryName = (slug) => categories.find(c => c.slug === slug)?.name || slug
+
+  // ===== EVENT HANDLERS =====
+
+  const handleRestore = async (product) => {
+    setWorkingId(product.id)
+    try {
+      await dispatch(restoreProduct(product.id)).unwrap()
+      toast.success(`"${product.name}" è tornato nel catalogo`)
+    } catch (restoreError) {
+      toast.error(`Errore ripristino: ${restoreError}`)
+    } finally {
+      setWorkingId(null)
+    }
+  }
+
+  /**
+   * HANDLER ELIMINAZIONE DEFINITIVA
+   *
+   * Il messaggio di errore del server elenca gli ordini aperti
+   * che impediscono l'eliminazione.
+   */
+  const handlePurge = async (product) => {
+    if (!window.confirm(`Eliminare definitivamente "${product.name}"? Questa azione non può essere annullata.`)) {
+      return
+    }
+
+    setWorkingId(product.id)
+    try {
+      await dispatch(purgeProduct(product.id)).unwrap()
+      toast.success(`"${product.name}" eliminato definitivamente`)
+    } catch (purgeError) {
+      toast.error(purgeError)
+    } finally {
+      setWorkingId(null)
+    }
+  }
+
+  return (
+    <div className="container py-5">
+
+      {/* ===== HEADER ===== */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="mb-2">Cestino</h1>
+          <p className="text-muted mb-0">
+            Prodotti eliminati: i clienti non li vedono, ma restano negli ordini passati
+          </p>
+        </div>
+        <Link to="/admin" className="btn btn-outline-secondary btn-sm">← Torna alla dashboard</Link>
+      </div>
+
+      {/* ===== CONTENUTO ===== */}
+      {status === 'loading' && items.length === 0 ? (
+        <div className="text-center py-5">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Caricamento...</span>
+          </div>
+        </div>
+      ) : status === 'failed' ? (
+        <div className="alert alert-danger" role="alert">{error}</div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-5">
+          <h5 className="text-muted">Il cestino è vuoto</h5>
+          <p className="text-muted">I prodotti eliminati dalla dashboard compariranno qui</p>
+        </div>
+      ) : (
+        <div className="card shadow-sm">
+          <div className="table-responsive">
+            <table className="table admin-table align-middle mb-0">
+              <thead>
+                <tr>
+                  <th scope="col">Immagine</th>
+                  <th scope="col">Nome</th>
+                  <th scope="col">Categoria</th>
+                  <th scope="col">Prezzo</th>
+                  <th scope="col">Eliminato il</th>
+                  <th scope="col" className="text-end">Azioni</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(product => (
+                  <tr key={product.id}>
+                    <td>
+                      <ProductImage
+                        image={productImages(product)[0]}
+                        size="thumbnail"
+                        alt={product.name}
+                        width="60"
+                        height="60"
+                        loading="lazy"
+                      />
+                    </td>
+                    <td>
+                      <span className="fw-bold">{product.name}</span>
+                      <small className="text-muted d-block">#{product.id}</small>
+                    </td>
+                    <td>{categoryName(product.category)}</td>
+                    <td>€{Number(product.price).toFixed(2)}</td>
+                    <td>{new Date(product.deletedAt).toLocaleString('it-IT')}</td>
+                    <td className="text-end">
+                      <div className="btn-group btn-group-sm">
+                        <button
+                          type="button"
+                          className="btn btn-outline-primary"
+                          onClick={() => handleRestore(product)}
+                          disabled={workingId === product.id}
+                        >
+                          ↩️ Ripristina
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-outline-danger"
+                          onClick={() => handlePurge(product)}
+                          disabled={workingId === product.id}
+                        >
+                          Elimina definitivamente
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default AdminTrashPage
@@ -6,8 +6,9 @@
  * - Modifica quantità prodotti nel carrello
  * - Rimozione items dal carrello
  * - Calcolo totali con spese spedizione
- * - Processo di checkout con validazione utente
- * - Integrazione con sistema ordini
+ * - Quantità limitate allo stock e segnalazione articoli cambiati
+ * - Prenotazione dei pezzi all'avvio del checkout con countdown
+ * - Accesso al checkout guidato con validazione utente
  *
  * PATTERN UTILIZZATI:
  * - Container Component: Gestisce stato carrello e operazioni
@@ -27,11 +28,23 @@
 
 /* eslint-disable no-unused-vars */
 // ===== IMPORTAZIONI =====
-import { useState } from 'react'                        // React hooks
+import { useEffect, useState } from 'react'             // React hooks
 import { Link, useNavigate } from 'react-router-dom'   // Router hooks
 import { useSelector, useDispatch } from 'react-redux' // Redux hooks
-import { removeFromCart, updateQuantity, clearCart } from '../store/cart/cartSlice' // Cart actions
-import { addOrder } from '../store/orders/ordersSlice' // Orders actions
+import {
+  removeFromCart,
+  updateQuantity,
+  clearCart,
+  acknowledgeCartChanges,
+  reserveCartItems,
+  releaseCartReservation,
+  selectUnavailableCartItems,
+  BLOCKING_ISSUES
+} from '../store/cart/cartSlice' // Cart actions e selectors
+import ReservationCountdown from '../components/ReservationCountdown' // Tempo prenotazione
+import { fetchProducts } from '../store/products/productsSlice' // Riverifica carrello
+import { getShippingCost, FREE_SHIPPING_THRESHOLD } from '../utils/shipping' // Costi spedizione
+import { resolveImageUrl } from '../utils/images'         // Foto caricate sul backend
 import { toast } from 'react-toastify'                 // Toast notifications
 
 /**
@@ -42,73 +55,73 @@ import { toast } from 'react-toastify'                 // Toast notifications
  */
 function CartPage() {
   // ===== REDUX STATE =====
-  const { items, total } = useSelector((state) => state.cart) // Stato carrello
+  const { items, total, reservation } = useSelector((state) => state.cart) // Stato carrello
   const { user } = useSelector((state) => state.auth)         // Stato autenticazione
+  const { pendingOrder } = useSelector((state) => state.checkout) // Ordine in attesa di pagamento
   const dispatch = useDispatch()
 
+  const unavailableItems = useSelector(selectUnavailableCartItems)
+  const hasChanges = items.some(item => item.issue === 'price_changed' || item.issue === 'quantity_reduced')
+
   // ===== ROUTER HOOKS =====
   const navigate = useNavigate()
 
   // ===== STATE LOCALE =====
+  const [isReserving, setIsReserving] = useState(false) // Prenotazione in corso
+
+  // ===== SIDE EFFECTS =====
+
   /**
-   * STATO CHECKOUT
+   * RIVERIFICA CARRELLO
    *
-   * Gestisce lo stato del processo di checkout per:
-   * - Disabilitare pulsanti durante elaborazione
-   * - Mostrare feedback loading
-   * - Prevenire doppi submit
+   * Ricarica il catalogo all'apertura del carrello: cartSlice confronta
+   * gli articoli salvati con prezzi e stock aggiornati.
    */
-  const [isCheckingOut, setIsCheckingOut] = useState(false)
+  useEffect(() => {
+    dispatch(fetchProducts())
+  }, [dispatch])
 
   // ===== EVENT HANDLERS =====
 
   /**
    * HANDLER RIMOZIONE ITEM
    *
-   * Rimuove completamente un prodotto dal carrello.
+   * Rimuove completamente una riga dal carrello.
    * Fornisce feedback immediato all'utente.
    *
-   * @param {number|string} id - ID del prodotto da rimuovere
+   * @param {string} lineId - Riga da rimuovere (prodotto + variante)
    */
-  const handleRemoveItem = (id) => {
-    dispatch(removeFromCart(id))
+  const handleRemoveItem = (lineId) => {
+    dispatch(removeFromCart(lineId))
     toast.info('Prodotto rimosso dal carrello')
   }
 
   /**
    * HANDLER AGGIORNAMENTO QUANTITÀ
    *
-   * Aggiorna la quantità di un prodotto nel carrello.
+   * Aggiorna la quantità di una riga del carrello.
    * Include validazione per quantità positive.
    *
-   * @param {number|string} id - ID del prodotto
+   * @param {string} lineId - Riga del carrello (prodotto + variante)
    * @param {number} quantity - Nuova quantità
    */
-  const handleUpdateQuantity = (id, quantity) => {
+  const handleUpdateQuantity = (lineId, quantity) => {
     if (quantity > 0) {
-      dispatch(updateQuantity({ id, quantity }))
+      dispatch(updateQuantity({ lineId, quantity }))
     } else {
       // Se quantità = 0, rimuove il prodotto
-      handleRemoveItem(id)
+      handleRemoveItem(lineId)
     }
   }
 
   /**
    * HANDLER CHECKOUT
    *
-   * Gestisce il processo di checkout completo:
-   * 1. Validazione autenticazione utente
-   * 2. Creazione ordine con metadati
-   * 3. Pulizia carrello
-   * 4. Navigazione a pagina conferma
-   * 5. Feedback utente con toast
-   *
-   * BUSINESS LOGIC:
-   * - Calcolo totale con spese spedizione (€5)
-   * - Generazione ID ordine univoco
-   * - Stato ordine iniziale 'pending'
+   * Prenota i pezzi del carrello e avvia il checkout guidato
+   * (indirizzo, spedizione, pagamento, riepilogo).
+   * L'ordine viene creato solo all'ultimo step della CheckoutPage.
    */
-  const handleCheckout = () => {
+  const handleCheckout = async () => {
     // ===== VALIDAZIONE AUTENTICAZIONE =====
     if (!user) {
       toast.info('Effettua il login per procedere con l\'acquisto')
@@ -122,39 +135,29 @@ function CartPage() {
       return
     }
 
-    // ===== INIZIO PROCESSO CHECKOUT =====
-    setIsCheckingOut(true)
+    if (unavailableItems.length > 0) {
+      toast.error('Rimuovi gli articoli non più disponibili prima di procedere')
+      return
+    }
 
-    try {
-      // ===== CREAZIONE ORDINE =====
-      const shippingCost = 5 // Costo spedizione fisso
-      const subtotal = items.reduce((acc, item) => acc + (item.price * item.quantity), 0)
-
-      const order = {
-        id: Date.now(),                    // ID temporaneo (in produzione usare UUID)
-        userId: user.id,                   // ID utente che ordina
-        items: [...items],                 // Copia items carrello
-        subtotal: subtotal,                // Subtotale prodotti
-        shippingCost: shippingCost,        // Costo spedizione
-        total: subtotal + shippingCost,    // Totale finale
-        createdAt: new Date().toISOString(), // Timestamp ordine
-        status: 'pending'                  // Stato iniziale
-      }
-
-      // ===== DISPATCH AZIONI =====
-      dispatch(addOrder(order))  // Aggiunge ordine al sistema
-      dispatch(clearCart())      // Pulisce carrello
-
-      // ===== FEEDBACK E NAVIGAZIONE =====
-      toast.success('Ordine completato con successo! Grazie per il tuo acquisto.')
-      navigate('/profile')       // Naviga a pagina profilo con ordini
+    // Un ordine già creato trattiene i pezzi: si riprende il pagamento
+    if (pendingOrder) {
+      navigate('/checkout')
+      return
+    }
 
+    // ===== PRENOTAZIONE PEZZI =====
+    setIsReserving(true)
+
+    try {
+      await dispatch(reserveCartItems()).unwrap()
+      navigate('/checkout')
     } catch (error) {
-      // ===== ERROR HANDLING =====
-      console.error('Errore durante checkout:', error)
-      toast.error('Errore durante il checkout. Riprova.')
+      toast.error(error)
+      // Aggiorna le segnalazioni sugli articoli non più disponibili
+      dispatch(fetchProducts())
     } finally {
-      setIsCheckingOut(false)
+      setIsReserving(false)
     }
   }
 
@@ -164,11 +167,11 @@ function CartPage() {
    *
    * Calcola valori derivati per il carrello:
    * - Subtotale prodotti
-   * - Costi spedizione
+   * - Costi spedizione (stima con spedizione standard, scelta nel checkout)
    * - Totale finale
    */
   const subtotal = items.reduce((acc, item) => acc + (item.price * item.quantity), 0)
-  const shippingCost = items.length > 0 ? 5 : 0 // Spedizione solo se ci sono items
+  const shippingCost = items.length > 0 ? getShippingCost('standard', subtotal) : 0
   const finalTotal = subtotal + shippingCost
 
   return (
@@ -217,6 +220,30 @@ function CartPage() {
 
           {/* ===== COLONNA ITEMS ===== */}
           <div className="col-lg-8">
+
+            {/* ===== PRENOTAZIONE ATTIVA ===== */}
+            <ReservationCountdown />
+
+            {/* ===== AVVISI RIVERIFICA ===== */}
+            {unavailableItems.length > 0 && (
+              <div className="alert alert-danger" role="alert">
+                {unavailableItems.length === 1
+                  ? 'Un articolo non è più disponibile: rimuovilo per procedere al checkout.'
+                  : `${unavailableItems.length} articoli non sono più disponibili: rimuovili per procedere al checkout.`}
+              </div>
+            )}
+            {hasChanges && (
+              <div className="alert alert-warning d-flex justify-content-between align-items-center" role="alert">
+                <span>Prezzi o disponibilità di alcuni articoli sono cambiati dall&apos;ultima visita.</span>
+                <button
+                  className="btn btn-sm btn-outline-dark ms-2"
+                  onClick={() => dispatch(acknowledgeCartChanges())}
+                >
+                  Ho capito
+                </button>
+              </div>
+            )}
+
             <div className="card">
               <div className="card-header">
                 <h5 className="mb-0">Prodotti nel carrello</h5>
@@ -233,13 +260,13 @@ function CartPage() {
                    * - Prezzo totale item
                    * - Pulsante rimozione
                    */
-                  <div key={item.id} className="cart-item border-bottom p-3">
+                  <div key={item.lineId} className="cart-item border-bottom p-3">
                     <div className="row align-items-center">
 
                       {/* Immagine Prodotto */}
                       <div className="col-md-2 col-4 mb-2 mb-md-0">
                         <img
-                          src={item.imageUrl}
+                          src={resolveImageUrl(item.imageUrl)}
                           alt={item.name}
                           className="img-fluid rounded"
                           style={{ maxHeight: '80px', objectFit: 'cover' }}
@@ -249,7 +276,34 @@ function CartPage() {
                       {/* Informazioni Prodotto */}
                       <div className="col-md-4 col-8 mb-2 mb-md-0">
                         <h6 className="mb-1">{item.name}</h6>
+                        {item.variantLabel && (
+                          <p className="small mb-0">{item.variantLabel}</p>
+                        )}
                         <p className="text-muted small mb-0 text-capitalize">{item.category}</p>
+
+                        {/* Segnalazioni dalla riverifica del carrello */}
+                        {item.issue === 'deleted' && (
+                          <span className="badge bg-danger mt-1">Non più in catalogo</span>
+                        )}
+                        {item.issue === 'sold_out' && (
+                          <span className="badge bg-danger mt-1">Esaurito</span>
+                        )}
+                        {item.issue === 'reserved' && (
+                          <span className="badge bg-secondary mt-1">Riservato da un altro cliente</span>
+                        )}
+                        {item.issue === 'variant_unavailable' && (
+                          <span className="badge bg-danger mt-1">Variante non più disponibile: scegline un&apos;altra</span>
+                        )}
+                        {item.issue === 'price_changed' && (
+                          <span className="badge bg-warning text-dark mt-1">
+                            Prezzo cambiato da {item.previousPrice.toFixed(2)} €
+                          </span>
+                        )}
+                        {item.issue === 'quantity_reduced' && (
+                          <span className="badge bg-warning text-dark mt-1">
+                            Quantità ridotta: disponibili {item.quantity} pezzi
+                          </span>
+                        )}
                       </div>
 
                       {/* Prezzo Unitario */}
@@ -264,7 +318,7 @@ function CartPage() {
                           <button
                             className="btn btn-outline-secondary"
                             type="button"
-                            onClick={() => handleUpdateQuantity(item.id, item.quantity - 1)}
+                            onClick={() => handleUpdateQuantity(item.lineId, item.quantity - 1)}
                             disabled={item.quantity <= 1}
                             aria-label="Diminuisci quantità"
                           >
@@ -274,14 +328,18 @@ function CartPage() {
                             type="number"
                             className="form-control text-center"
                             value={item.quantity}
-                            onChange={(e) => handleUpdateQuantity(item.id, parseInt(e.target.value) || 1)}
+                            onChange={(e) => handleUpdateQuantity(item.lineId, parseInt(e.target.value) || 1)}
                             min="1"
+                            max={item.stock}
+                            disabled={BLOCKING_ISSUES.includes(item.issue)}
                             style={{ maxWidth: '60px' }}
                           />
                           <button
                             className="btn btn-outline-secondary"
                             type="button"
-                            onClick={() => handleUpdateQuantity(item.id, item.quantity + 1)}
+                            onClick={() => handleUpdateQuantity(item.lineId, item.quantity + 1)}
+                            disabled={typeof item.stock === 'number' && item.quantity >= item.stock}
+                            title={typeof item.stock === 'number' && item.quantity >= item.stock ? 'Hai raggiunto i pezzi disponibili' : undefined}
                             aria-label="Aumenta quantità"
                           >
                             +
@@ -295,7 +353,7 @@ function CartPage() {
                           <span className="fw-bold">{(item.price * item.quantity).toFixed(2)} €</span>
                           <button
                             className="btn btn-sm btn-outline-danger"
-                            onClick={() => handleRemoveItem(item.id)}
+                            onClick={() => handleRemoveItem(item.lineId)}
                             aria-label={`Rimuovi ${item.name} dal carrello`}
                           >
                             <span aria-hidden="true">🗑️</span>
@@ -340,6 +398,13 @@ function CartPage() {
                   </span>
                 </div>
 
+                {/* Quanto manca alla spedizione gratuita */}
+                {subtotal < FREE_SHIPPING_THRESHOLD && (
+                  <small className="d-block text-muted mb-2">
+                    Aggiungi {(FREE_SHIPPING_THRESHOLD - subtotal).toFixed(2)} € per la spedizione standard gratuita
+                  </small>
+                )}
+
                 {/* Eventuale sconto futuro */}
                 {/* <div className="d-flex justify-content-between mb-2 text-success">
                   <span>Sconto:</span>
@@ -358,21 +423,19 @@ function CartPage() {
                 {/**
                  * CALL-TO-ACTION PRINCIPALE
                  *
-                 * Pulsante checkout con:
-                 * - Stato loading durante elaborazione
-                 * - Disabilitazione per prevenire doppi click
-                 * - Feedback visivo con spinner
+                 * Prenota i pezzi e porta al checkout guidato (/checkout),
+                 * dove l'utente sceglie indirizzo, spedizione e pagamento
                  */}
                 <button
                   className="btn btn-primary btn-lg w-100 mb-3"
                   onClick={handleCheckout}
-                  disabled={isCheckingOut}
+                  disabled={isReserving}
                   aria-label="Procedi al checkout"
                 >
-                  {isCheckingOut ? (
+                  {isReserving ? (
                     <>
                       <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                      Elaborazione...
+                      Prenotazione articoli...
                     </>
                   ) : (
                     <>
@@ -397,6 +460,8 @@ function CartPage() {
                     className="btn btn-outline-danger btn-sm"
                     onClick={() => {
                       if (window.confirm('Sei sicuro di voler svuotare il carrello?')) {
+                        // Libera subito i pezzi per gli altri clienti
+                        if (reservation) dispatch(releaseCartReservation())
                         dispatch(clearCart())
                         toast.info('Carrello svuotato')
                       }
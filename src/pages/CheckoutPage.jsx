@@ -0,0 +1,768 @@
+/**
+ * CHECKOUT PAGE COMPONENT - CHECKOUT GUIDATO MULTI-STEP
+ *
+ * Pagina dedicata al completamento dell'acquisto che gestisce:
+ * - Step 1: Contatti e indirizzo di spedizione (precompilato dal profilo)
+ * - Step 2: Scelta del metodo di spedizione
+ * - Step 3: Scelta del metodo di pagamento e dati carta
+ * - Step 4: Riepilogo finale, conferma ordine e pagamento
+ *   (con eventuale verifica 3-D Secure richiesta dalla banca)
+ *
+ * Si accede dopo aver prenotato i pezzi dal carrello: allo scadere
+ * della prenotazione l'utente torna al carrello.
+ *
+ * PATTERN UTILIZZATI:
+ * - Wizard Pattern: Avanzamento step per step con validazione
+ * - State Persistence: Progresso salvato in localStorage (checkoutSlice)
+ * - Controlled Components: Form indirizzo controllato da Redux
+ * - Derived State: Totali calcolati da carrello e spedizione
+ *
+ * RESPONSABILITÀ:
+ * - Raccogliere i dati necessari alla spedizione
+ * - Calcolare costi di spedizione in base al metodo scelto
+ * - Creare l'ordine sul backend con indirizzo e metodo
+ * - Pagare l'ordine tramite il gateway (vedi server/payments)
+ * - Pulire carrello e checkout solo a pagamento riuscito
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect, useState } from 'react'                  // React hooks
+import { Link, Navigate, useNavigate } from 'react-router-dom' // Router
+import { useDispatch, useSelector } from 'react-redux'        // Redux hooks
+import { toast } from 'react-toastify'                        // Toast notifications
+import { clearCart, reserveCartItems, selectUnavailableCartItems } from '../store/cart/cartSlice' // Cart actions
+import ReservationCountdown from '../components/ReservationCountdown' // Tempo prenotazione
+import { createOrder, cancelUnpaidOrder, payOrder, confirmPaymentChallenge } from '../store/orders/ordersSlice' // Orders thunks
+import { fetchProducts } from '../store/products/productsSlice' // Riverifica stock
+import {
+  CHECKOUT_STEPS,
+  PAYMENT_METHODS,
+  getItemsKey,
+  prefillShippingAddress,
+  updateShippingAddress,
+  setShippingMethod,
+  setPaymentMethod,
+  setCheckoutStep,
+  setPendingOrder,
+  resetCheckout
+} from '../store/checkout/checkoutSlice'                      // Checkout actions
+import { SHIPPING_METHODS, getShippingCost } from '../utils/shipping' // Costi spedizione
+
+/**
+ * ETICHETTE STEP
+ *
+ * Titoli mostrati nell'indicatore di avanzamento.
+ */
+const STEP_LABELS = {
+  address: { icon: '🏠', label: 'Indirizzo' },
+  shipping: { icon: '🚚', label: 'Spedizione' },
+  payment: { icon: '💳', label: 'Pagamento' },
+  review: { icon: '✅', label: 'Riepilogo' }
+}
+
+/**
+ * CARTE DI TEST DEL GATEWAY SIMULATO
+ *
+ * Mostrate nello step pagamento finché il backend usa il provider mock.
+ */
+const TEST_CARDS = [
+  { number: '4242 4242 4242 4242', outcome: 'pagamento autorizzato' },
+  { number: '4000 0000 0000 0002', outcome: 'pagamento rifiutato' },
+  { number: '4000 0000 0000 3220', outcome: 'verifica 3-D Secure' }
+]
+
+/**
+ * Dati carta vuoti (mai salvati in localStorage)
+ */
+const emptyCard = { holder: '', number: '', expiry: '', cvc: '' }
+
+/**
+ * VALIDAZIONE INDIRIZZO
+ *
+ * @param {Object} address - Indirizzo di spedizione
+ * @returns {Object} - Errori per campo (vuoto se valido)
+ */
+const validateAddress = (address) => {
+  const errors = {}
+
+  if (!address.fullName.trim()) {
+    errors.fullName = 'Il nome del destinatario è obbligatorio'
+  }
+
+  if (!address.email.trim()) {
+    errors.email = 'L\'email è obbligatoria'
+  } else if (!/\S+@\S+\.\S+/.test(address.email)) {
+    errors.email = 'Formato email non valido'
+  }
+
+  if (!address.phone.trim()) {
+    errors.phone = 'Il telefono è obbligatorio per il corriere'
+  }
+
+  if (!address.address.trim()) {
+    errors.address = 'L\'indirizzo è obbligatorio'
+  }
+
+  if (!address.city.trim()) {
+    errors.city = 'La città è obbligatoria'
+  }
+
+  if (!/^[0-9]{5}$/.test(address.postalCode.trim())) {
+    errors.postalCode = 'Il CAP deve essere di 5 cifre'
+  }
+
+  return errors
+}
+
+/**
+ * VALIDAZIONE CARTA
+ *
+ * Controlli di formato: l'esito vero lo decide il gateway.
+ *
+ * @param {Object} card - Dati carta
+ * @returns {Object} - Errori per campo (vuoto se valido)
+ */
+const validateCard = (card) => {
+  const errors = {}
+
+  if (!card.holder.trim()) {
+    errors.holder = 'Il titolare della carta è obbligatorio'
+  }
+
+  if (!/^[0-9]{13,19}$/.test(card.number.replace(/\s/g, ''))) {
+    errors.number = 'Numero di carta non valido'
+  }
+
+  if (!/^(0[1-9]|1[0-2])\/[0-9]{2}$/.test(card.expiry.trim())) {
+    errors.expiry = 'Formato scadenza MM/AA'
+  }
+
+  if (!/^[0-9]{3,4}$/.test(card.cvc.trim())) {
+    errors.cvc = 'CVC di 3 o 4 cifre'
+  }
+
+  return errors
+}
+
+/**
+ * CHECKOUT PAGE COMPONENT
+ *
+ * Componente principale del checkout guidato.
+ */
+function CheckoutPage() {
+  // ===== REDUX STATE =====
+  const { items, reservation } = useSelector((state) => state.cart)
+  const { user } = useSelector((state) => state.auth)
+  const unavailableItems = useSelector(selectUnavailableCartItems)
+  const { step, shippingAddress, shippingMethod, paymentMethod, pendingOrder } = useSelector((state) => state.checkout)
+  const dispatch = useDispatch()
+
+  // ===== ROUTER HOOKS =====
+  const navigate = useNavigate()
+
+  // ===== STATE LOCALE =====
+  const [addressErrors, setAddressErrors] = useState({}) // Errori form indirizzo
+  const [card, setCard] = useState(emptyCard)           // Dati carta (solo in memoria)
+  const [cardErrors, setCardErrors] = useState({})       // Errori form carta
+  const [challengeOrderId, setChallengeOrderId] = useState(null) // Ordine in verifica 3-D Secure
+  const [isPlacingOrder, setIsPlacingOrder] = useState(false)
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * PRECOMPILAZIONE INDIRIZZO
+   *
+   * Riempie i campi ancora vuoti con i dati salvati nel profilo.
+   */
+  useEffect(() => {
+    if (user) {
+      dispatch(prefillShippingAddress(user))
+    }
+  }, [dispatch, user])
+
+  // ===== COMPUTED VALUES =====
+  const currentStep = CHECKOUT_STEPS[step]
+  const subtotal = items.reduce((acc, item) => acc + (item.price * item.quantity), 0)
+  const shippingCost = getShippingCost(shippingMethod, subtotal)
+  const finalTotal = subtotal + shippingCost
+  const selectedShipping = SHIPPING_METHODS.find(m => m.id === shippingMethod)
+  const selectedPayment = PAYMENT_METHODS.find(m => m.id === paymentMethod)
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * HANDLER CAMBIO CAMPO INDIRIZZO
+   *
+   * @param {Event} e - Evento change dell'input
+   */
+  const handleAddressChange = (e) => {
+    const { name, value } = e.target
+    dispatch(updateShippingAddress({ [name]: value }))
+
+    // Pulisce l'errore del campo modificato
+    if (addressErrors[name]) {
+      setAddressErrors({ ...addressErrors, [name]: '' })
+    }
+  }
+
+  /**
+   * HANDLER CAMBIO CAMPO CARTA
+   *
+   * @param {Event} e - Evento change dell'input
+   */
+  const handleCardChange = (e) => {
+    const { name, value } = e.target
+    setCard({ ...card, [name]: value })
+
+    if (cardErrors[name]) {
+      setCardErrors({ ...cardErrors, [name]: '' })
+    }
+  }
+
+  /**
+   * HANDLER STEP SUCCESSIVO
+   *
+   * Valida lo step corrente prima di avanzare.
+   */
+  const handleNext = () => {
+    if (currentStep === 'address') {
+      const errors = validateAddress(shippingAddress)
+      setAddressErrors(errors)
+
+      if (Object.keys(errors).length > 0) {
+        toast.error('Controlla i dati di spedizione')
+        return
+      }
+    }
+
+    if (currentStep === 'payment' && paymentMethod === 'card') {
+      const errors = validateCard(card)
+      setCardErrors(errors)
+
+      if (Object.keys(errors).length > 0) {
+        toast.error('Controlla i dati della carta')
+        return
+      }
+    }
+
+    dispatch(setCheckoutStep(step + 1))
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  /**
+   * HANDLER CAMBIO STEP
+   *
+   * Tornando indietro si abbandona l'eventuale verifica 3-D Secure:
+   * il nuovo tentativo di pagamento ne avvierà una nuova.
+   *
+   * @param {number} index - Step di destinazione
+   */
+  const goToStep = (index) => {
+    setChallengeOrderId(null)
+    dispatch(setCheckoutStep(index))
+  }
+
+  /**
+   * HANDLER STEP PRECEDENTE
+   */
+  const handleBack = () => {
+    goToStep(step - 1)
+  }
+
+  /**
+   * COMPLETA CHECKOUT
+   *
+   * Pulisce carrello e checkout e porta l'utente ai suoi ordini.
+   *
+   * @param {string} message - Messaggio di conferma
+   */
+  const completeCheckout = (message) => {
+    dispatch(clearCart())
+    dispatch(resetCheckout())
+    setCard(emptyCard)
+    setChallengeOrderId(null)
+
+    toast.success(message)
+    navigate('/profile')
+  }
+
+  /**
+   * GESTIONE ESITO PAGAMENTO
+   *
+   * Con la carta rifiutata l'ordine viene annullato e i pezzi tornano
+   * prenotati dal carrello, pronti per un altro tentativo.
+   *
+   * @param {Object} result - { order, outcome, message } dalle route /payments
+   */
+  const handlePaymentResult = async (result) => {
+    if (result.outcome === 'requires_action') {
+      setChallengeOrderId(result.order.id)
+      toast.info(result.message || 'Conferma il pagamento con la tua banca')
+      return
+    }
+
+    setChallengeOrderId(null)
+
+    if (result.outcome === 'declined') {
+      toast.error(result.message || 'Pagamento rifiutato')
+      await dispatch(cancelUnpaidOrder(result.order.id))
+      await dispatch(reserveCartItems())
+      dispatch(setPendingOrder(null))
+      return
+    }
+
+    completeCheckout('Pagamento riuscito! Grazie per il tuo acquisto.')
+  }
+
+  /**
+   * HANDLER CONFERMA ORDINE
+   *
+   * Crea l'ordine sul backend con indirizzo, spedizione e pagamento,
+   * poi lo paga con la carta inserita. Se il pagamento si interrompe
+   * (es. errore di rete) l'ordine resta in attesa e un nuovo tentativo
+   * con lo stesso carrello riusa lo stesso ordine; se il carrello è
+   * cambiato l'ordine precedente viene annullato prima di crearne uno nuovo.
+   * Carrello e checkout vengono puliti solo se tutto riesce.
+   */
+  const handlePlaceOrder = async () => {
+    // L'indirizzo potrebbe essere stato modificato in un'altra scheda
+    if (Object.keys(validateAddress(shippingAddress)).length > 0) {
+      toast.error('L\'indirizzo di spedizione non è completo')
+      dispatch(setCheckoutStep(0))
+      return
+    }
+
+    // I dati carta non sopravvivono al refresh: vanno reinseriti
+    if (paymentMethod === 'card' && Object.keys(validateCard(card)).length > 0) {
+      toast.error('Inserisci i dati della carta')
+      dispatch(setCheckoutStep(CHECKOUT_STEPS.indexOf('payment')))
+      return
+    }
+
+    setIsPlacingOrder(true)
+
+    try {
+      // ===== CREAZIONE ORDINE =====
+      // Riusa l'ordine di un tentativo interrotto se il carrello non è cambiato
+      const itemsKey = getItemsKey(items, shippingMethod)
+      let orderId = pendingOrder?.itemsKey === itemsKey ? pendingOrder.id : null
+
+      if (!orderId) {
+        // L'ordine superato tratterrebbe i pezzi: annullarlo li rimette in stock
+        if (pendingOrder) {
+          await dispatch(cancelUnpaidOrder(pendingOrder.id))
+          dispatch(setPendingOrder(null))
+        }
+
+        const order = await dispatch(createOrder({
+          userId: user.id,
+          items: [...items],
+          subtotal,
+          shippingCost,
+          total: finalTotal,
+          shippingAddress,
+          shippingMethod,
+          paymentMethod,
+          status: 'pending'
+        })).unwrap()
+
+        orderId = order.id
+        dispatch(setPendingOrder({ id: order.id, itemsKey }))
+      }
+
+      // ===== PAGAMENTO =====
+      if (paymentMethod === 'bank_transfer') {
+        completeCheckout('Ordine registrato! Riceverai via email le coordinate per il bonifico.')
+        return
+      }
+
+      const result = await dispatch(payOrder({ orderId, card })).unwrap()
+      await handlePaymentResult(result)
+    } catch (error) {
+      console.error('Errore durante checkout:', error)
+      toast.error(`Errore durante il checkout: ${error}`)
+
+      // Se lo stock è cambiato, la riverifica segnala gli articoli nel carrello
+      dispatch(fetchProducts())
+    } finally {
+      setIsPlacingOrder(false)
+    }
+  }
+
+  /**
+   * HANDLER VERIFICA 3-D SECURE
+   *
+   * Simula la conferma (o il rifiuto) del pagamento nell'app della banca.
+   *
+   * @param {boolean} approved - Esito scelto dal cliente
+   */
+  const handleChallenge = async (approved) => {
+    setIsPlacingOrder(true)
+
+    try {
+      const result = await dispatch(confirmPaymentChallenge({ orderId: challengeOrderId, approved })).unwrap()
+      await handlePaymentResult(result)
+    } catch (error) {
+      setChallengeOrderId(null)
+      toast.error(`Errore verifica pagamento: ${error}`)
+    } finally {
+      setIsPlacingOrder(false)
+    }
+  }
+
+  // ===== EARLY RETURN: CARRELLO VUOTO, NON DISPONIBILE O NON PRENOTATO =====
+  // Un ordine già creato (pendingOrder) trattiene i pezzi anche senza prenotazione
+  const isHeld = Boolean(reservation || pendingOrder)
+  if ((items.length === 0 || unavailableItems.length > 0 || !isHeld) && !isPlacingOrder) {
+    return <Navigate to="/cart" replace />
+  }
+
+  // ===== RENDER HELPERS =====
+
+  /**
+   * Campo del form carta con feedback di validazione
+   */
+  const renderCardField = (name, label, props = {}) => (
+    <div className="mb-3">
+      <label htmlFor={`card-${name}`} className="form-label fw-bold">{label}</label>
+      <input
+        className={`form-control ${cardErrors[name] ? 'is-invalid' : ''}`}
+        id={`card-${name}`}
+        name={name}
+        value={card[name]}
+        onChange={handleCardChange}
+        {...props}
+      />
+      {cardErrors[name] && (
+        <div className="invalid-feedback">{cardErrors[name]}</div>
+      )}
+    </div>
+  )
+
+  /**
+   * Campo del form indirizzo con feedback di validazione
+   */
+  const renderAddressField = (name, label, props = {}) => (
+    <div className="mb-3">
+      <label htmlFor={name} className="form-label fw-bold">{label}</label>
+      <input
+        className={`form-control ${addressErrors[name] ? 'is-invalid' : ''}`}
+        id={name}
+        name={name}
+        value={shippingAddress[name]}
+        onChange={handleAddressChange}
+        {...props}
+      />
+      {addressErrors[name] && (
+        <div className="invalid-feedback">{addressErrors[name]}</div>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="container py-5">
+
+      {/* ===== HEADER PAGINA ===== */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="mb-0">Checkout</h1>
+        <Link to="/cart" className="btn btn-outline-secondary btn-sm">
+          <span className="me-1">←</span>
+          Torna al carrello
+        </Link>
+      </div>
+
+      {/* ===== PRENOTAZIONE ATTIVA ===== */}
+      <ReservationCountdown />
+
+      {/* ===== INDICATORE STEP ===== */}
+      <ol className="nav nav-pills nav-fill mb-4" aria-label="Avanzamento checkout">
+        {CHECKOUT_STEPS.map((stepId, index) => (
+          <li key={stepId} className="nav-item">
+            <button
+              type="button"
+              className={`nav-link w-100 ${index === step ? 'active' : ''}`}
+              onClick={() => goToStep(index)}
+              disabled={index > step} // Si torna indietro liberamente, avanti solo validando
+              aria-current={index === step ? 'step' : undefined}
+            >
+              <span className="me-1">{STEP_LABELS[stepId].icon}</span>
+              {index + 1}. {STEP_LABELS[stepId].label}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="row">
+
+        {/* ===== COLONNA STEP ===== */}
+        <div className="col-lg-8 mb-4">
+          <div className="card shadow-sm">
+            <div className="card-body p-4">
+
+              {/* ===== STEP 1: INDIRIZZO ===== */}
+              {currentStep === 'address' && (
+                <>
+                  <h4 className="mb-4">Contatti e indirizzo di spedizione</h4>
+                  {renderAddressField('fullName', 'Nome e cognome', { type: 'text', autoComplete: 'name' })}
+                  <div className="row">
+                    <div className="col-md-6">
+                      {renderAddressField('email', 'Email', { type: 'email', autoComplete: 'email' })}
+                    </div>
+                    <div className="col-md-6">
+                      {renderAddressField('phone', 'Telefono', { type: 'tel', autoComplete: 'tel', placeholder: '+39 123 456 7890' })}
+                    </div>
+                  </div>
+                  {renderAddressField('address', 'Indirizzo', { type: 'text', autoComplete: 'street-address', placeholder: 'Via, numero civico' })}
+                  <div className="row">
+                    <div className="col-md-8">
+                      {renderAddressField('city', 'Città', { type: 'text', autoComplete: 'address-level2' })}
+                    </div>
+                    <div className="col-md-4">
+                      {renderAddressField('postalCode', 'CAP', { type: 'text', autoComplete: 'postal-code', placeholder: '00000', inputMode: 'numeric' })}
+                    </div>
+                  </div>
+                  <small className="text-muted">
+                    Puoi salvare l&apos;indirizzo nel tuo <Link to="/profile">profilo</Link> per ritrovarlo al prossimo acquisto.
+                  </small>
+                </>
+              )}
+
+              {/* ===== STEP 2: SPEDIZIONE ===== */}
+              {currentStep === 'shipping' && (
+                <>
+                  <h4 className="mb-4">Metodo di spedizione</h4>
+                  {SHIPPING_METHODS.map((method) => {
+                    const cost = getShippingCost(method.id, subtotal)
+                    return (
+                      <label
+                        key={method.id}
+                        className={`d-flex align-items-center border rounded p-3 mb-3 ${shippingMethod === method.id ? 'border-primary bg-light' : ''}`}
+                        style={{ cursor: 'pointer' }}
+                      >
+                        <input
+                          type="radio"
+                          className="form-check-input me-3 mt-0"
+                          name="shippingMethod"
+                          value={method.id}
+                          checked={shippingMethod === method.id}
+                          onChange={() => dispatch(setShippingMethod(method.id))}
+                        />
+                        <div className="flex-grow-1">
+                          <div className="fw-bold">{method.label}</div>
+                          <small className="text-muted">{method.description}</small>
+                        </div>
+                        <span className="fw-bold">
+                          {cost > 0 ? `${cost.toFixed(2)} €` : 'Gratuita'}
+                        </span>
+                      </label>
+                    )
+                  })}
+                </>
+              )}
+
+              {/* ===== STEP 3: PAGAMENTO ===== */}
+              {currentStep === 'payment' && (
+                <>
+                  <h4 className="mb-4">Metodo di pagamento</h4>
+                  {PAYMENT_METHODS.map((method) => (
+                    <label
+                      key={method.id}
+                      className={`d-flex align-items-center border rounded p-3 mb-3 ${paymentMethod === method.id ? 'border-primary bg-light' : ''}`}
+                      style={{ cursor: 'pointer' }}
+                    >
+                      <input
+                        type="radio"
+                        className="form-check-input me-3 mt-0"
+                        name="paymentMethod"
+                        value={method.id}
+                        checked={paymentMethod === method.id}
+                        onChange={() => dispatch(setPaymentMethod(method.id))}
+                      />
+                      <span className="me-2">{method.icon}</span>
+                      <span className="fw-bold">{method.label}</span>
+                    </label>
+                  ))}
+
+                  {/* Dati carta: inviati solo al gateway, mai salvati */}
+                  {paymentMethod === 'card' && (
+                    <div className="mt-4">
+                      {renderCardField('holder', 'Titolare della carta', { type: 'text', autoComplete: 'cc-name' })}
+                      {renderCardField('number', 'Numero carta', { type: 'text', autoComplete: 'cc-number', inputMode: 'numeric', placeholder: '1234 5678 9012 3456' })}
+                      <div className="row">
+                        <div className="col-6">
+                          {renderCardField('expiry', 'Scadenza', { type: 'text', autoComplete: 'cc-exp', placeholder: 'MM/AA' })}
+                        </div>
+                        <div className="col-6">
+                          {renderCardField('cvc', 'CVC', { type: 'text', autoComplete: 'cc-csc', inputMode: 'numeric', placeholder: '123' })}
+                        </div>
+                      </div>
+
+                      <div className="alert alert-info small mb-0">
+                        <strong>Ambiente di test:</strong> nessun addebito reale. Usa una scadenza futura e un CVC qualsiasi.
+                        <ul className="mb-0 mt-1">
+                          {TEST_CARDS.map((testCard) => (
+                            <li key={testCard.number}>
+                              <code>{testCard.number}</code> → {testCard.outcome}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    </div>
+                  )}
+
+                  {paymentMethod === 'bank_transfer' && (
+                    <div className="alert alert-secondary small mt-3 mb-0">
+                      Dopo la conferma riceverai le coordinate bancarie: spediamo l&apos;ordine all&apos;arrivo del bonifico.
+                    </div>
+                  )}
+                </>
+              )}
+
+              {/* ===== STEP 4: RIEPILOGO ===== */}
+              {currentStep === 'review' && (
+                <>
+                  <h4 className="mb-4">Riepilogo ordine</h4>
+
+                  <div className="row mb-4">
+                    <div className="col-md-6 mb-3">
+                      <h6 className="fw-bold">Spedizione a</h6>
+                      <div className="bg-light p-3 rounded">
+                        <div className="fw-bold">{shippingAddress.fullName}</div>
+                        <div>{shippingAddress.address}</div>
+                        <div>{shippingAddress.postalCode} {shippingAddress.city}</div>
+                        <div className="text-muted small mt-1">📧 {shippingAddress.email}</div>
+                        <div className="text-muted small">📱 {shippingAddress.phone}</div>
+                      </div>
+                      <button type="button" className="btn btn-link btn-sm px-0" onClick={() => goToStep(0)}>
+                        Modifica indirizzo
+                      </button>
+                    </div>
+                    <div className="col-md-6 mb-3">
+                      <h6 className="fw-bold">Spedizione e pagamento</h6>
+                      <div className="bg-light p-3 rounded">
+                        <div>🚚 {selectedShipping?.label}</div>
+                        <small className="text-muted d-block mb-2">{selectedShipping?.description}</small>
+                        <div>
+                          {selectedPayment?.icon} {selectedPayment?.label}
+                          {paymentMethod === 'card' && card.number && ` •••• ${card.number.replace(/\s/g, '').slice(-4)}`}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+
+                  <h6 className="fw-bold">Prodotti</h6>
+                  <ul className="list-group mb-3">
+                    {items.map((item) => (
+                      <li key={item.lineId} className="list-group-item d-flex justify-content-between align-items-center">
+                        <span>
+                          {item.name} x{item.quantity}
+                          {item.variantLabel && <small className="d-block text-muted">{item.variantLabel}</small>}
+                        </span>
+                        <span className="fw-bold">{(item.price * item.quantity).toFixed(2)} €</span>
+                      </li>
+                    ))}
+                  </ul>
+
+                  {/* ===== VERIFICA 3-D SECURE ===== */}
+                  {challengeOrderId && (
+                    <div className="alert alert-warning">
+                      <h6 className="fw-bold">🔐 Verifica 3-D Secure</h6>
+                      <p className="small mb-2">
+                        La tua banca chiede di confermare il pagamento di {finalTotal.toFixed(2)} €.
+                        In questo ambiente di test puoi simulare entrambe le risposte.
+                      </p>
+                      <div className="d-flex gap-2">
+                        <button
+                          type="button"
+                          className="btn btn-success btn-sm"
+                          onClick={() => handleChallenge(true)}
+                          disabled={isPlacingOrder}
+                        >
+                          Conferma pagamento
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-outline-danger btn-sm"
+                          onClick={() => handleChallenge(false)}
+                          disabled={isPlacingOrder}
+                        >
+                          Rifiuta
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+
+              {/* ===== NAVIGAZIONE STEP ===== */}
+              <div className="d-flex justify-content-between mt-4">
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary"
+                  onClick={handleBack}
+                  disabled={step === 0 || isPlacingOrder}
+                >
+                  ← Indietro
+                </button>
+
+                {currentStep === 'review' ? (
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-lg"
+                    onClick={handlePlaceOrder}
+                    disabled={isPlacingOrder || Boolean(challengeOrderId)}
+                  >
+                    {isPlacingOrder ? (
+                      <>
+                        <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                        Elaborazione...
+                      </>
+                    ) : (
+                      <>
+                        <span className="me-2">✅</span>
+                        {paymentMethod === 'card' ? 'Conferma e Paga' : 'Conferma Ordine'}
+                      </>
+                    )}
+                  </button>
+                ) : (
+                  <button type="button" className="btn btn-primary" onClick={handleNext}>
+                    Continua →
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* ===== COLONNA RIEPILOGO ===== */}
+        <div className="col-lg-4">
+          <div className="card sticky-top" style={{ top: '20px' }}>
+            <div className="card-header">
+              <h5 className="mb-0">Totale</h5>
+            </div>
+            <div className="card-body">
+              <div className="d-flex justify-content-between mb-2">
+                <span>Subtotale ({items.length} {items.length === 1 ? 'articolo' : 'articoli'}):</span>
+                <span className="fw-bold">{subtotal.toFixed(2)} €</span>
+              </div>
+              <div className="d-flex justify-content-between mb-2">
+                <span>Spedizione:</span>
+                <span className="fw-bold">
+                  {shippingCost > 0 ? `${shippingCost.toFixed(2)} €` : 'Gratuita'}
+                </span>
+              </div>
+              <hr />
+              <div className="d-flex justify-content-between">
+                <strong className="fs-5">Totale:</strong>
+                <strong className="fs-5 text-primary">{finalTotal.toFixed(2)} €</strong>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default CheckoutPage
@@ -0,0 +1,164 @@
+/**
+ * COLLECTION PAGE - PAGINA DI UNA COLLEZIONE
+ *
+ * Racconta una collezione (es. i pezzi nati da un servizio di piatti):
+ * - Copertina e titolo
+ * - Racconto, diviso in paragrafi dalle righe vuote
+ * - Prodotti nell'ordine scelto dagli admin
+ *
+ * La collezione si trova tramite lo slug dell'URL (/collections/:slug).
+ * Compaiono solo i prodotti visibili nel negozio: bozze, archiviati
+ * e prodotti nel cestino restano fuori anche per gli admin.
+ */
+
+// ===== IMPORTAZIONI =====
+import { useEffect } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useDispatch, useSelector } from 'react-redux'
+import { fetchProducts } from '../store/products/productsSlice'
+import { fetchCollections, selectCollectionBySlug } from '../store/collections/collectionsSlice'
+import ProductCard from '../components/ProductCard'
+import ProductImage from '../components/ProductImage'
+import { isPublished } from '../utils/visibility'
+
+/**
+ * COLLECTION PAGE COMPONENT
+ */
+function CollectionPage() {
+  // ===== ROUTER HOOKS =====
+  const { slug } = useParams()
+
+  // ===== REDUX HOOKS =====
+  const dispatch = useDispatch()
+  const collection = useSelector((state) => selectCollectionBySlug(state, slug))
+  const { status, error } = useSelector((state) => state.collections)
+  const { products, status: productsStatus } = useSelector((state) => state.products)
+  const isAdmin = useSelector((state) => state.auth.user?.role === 'admin')
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * DATA FETCHING
+   *
+   * Collezioni e prodotti vengono caricati una volta sola
+   * e riusati navigando tra le collezioni.
+   */
+  useEffect(() => {
+    if (status === 'idle') {
+      dispatch(fetchCollections())
+    }
+  }, [dispatch, status])
+
+  useEffect(() => {
+    if (productsStatus === 'idle') {
+      dispatch(fetchProducts())
+    }
+  }, [dispatch, productsStatus])
+
+  // ===== EARLY RETURNS PER STATI SPECIALI =====
+
+  if (status === 'idle' || status === 'loading') {
+    return (
+      <div className="container py-5 text-center">
+        <div className="spinner-border text-primary" role="status" style={{ width: '3rem', height: '3rem' }}>
+          <span className="visually-hidden">Caricamento collezione...</span>
+        </div>
+      </div>
+    )
+  }
+
+  if (error || !collection) {
+    return (
+      <div className="container py-5">
+        <div className="row justify-content-center">
+          <div className="col-md-6 text-center">
+            <div className="alert alert-danger" role="alert">
+              <h4 className="alert-heading">Collezione non trovata</h4>
+              <p className="mb-0">
+                {error || 'La collezione che stai cercando non esiste o non è più disponibile.'}
+              </p>
+            </div>
+            <Link to="/shop" className="btn btn-primary">Torna al negozio</Link>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  // ===== VALORI DERIVATI =====
+  const productsById = new Map(products.filter(isPublished).map(product => [product.id, product]))
+  const collectionProducts = collection.productIds
+    .map(id => productsById.get(id))
+    .filter(Boolean)
+  const paragraphs = (collection.story || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+
+  return (
+    <div className="container py-5">
+
+      {/* ===== BREADCRUMB NAVIGATION ===== */}
+      <nav aria-label="breadcrumb" className="mb-4">
+        <ol className="breadcrumb">
+          <li className="breadcrumb-item"><Link to="/" className="text-decoration-none">Home</Link></li>
+          <li className="breadcrumb-item"><Link to="/shop" className="text-decoration-none">Articoli</Link></li>
+          <li className="breadcrumb-item active" aria-current="page">{collection.title}</li>
+        </ol>
+      </nav>
+
+      {/* ===== RACCONTO ===== */}
+      <div className="row g-5 align-items-center mb-5">
+        {collection.coverImage && (
+          <div className="col-lg-6">
+            <ProductImage
+              image={collection.coverImage}
+              size="zoom"
+              alt={collection.coverImage.alt || collection.title}
+              className="img-fluid rounded shadow"
+            />
+          </div>
+        )}
+        <div className={collection.coverImage ? 'col-lg-6' : 'col-lg-8 mx-auto text-center'}>
+          <p className="text-uppercase text-muted small mb-2" style={{ letterSpacing: '2px' }}>Collezione</p>
+          <h1 className="display-5 fw-bold mb-4" style={{ fontFamily: "'Cormorant Garamond', serif" }}>
+            {collection.title}
+          </h1>
+          {paragraphs.map((paragraph, index) => (
+            <p key={index} className="fs-5 text-muted" style={{ whiteSpace: 'pre-line', lineHeight: '1.7' }}>
+              {paragraph}
+            </p>
+          ))}
+          {isAdmin && (
+            <Link to={`/admin/collections?edit=${collection.id}`} className="btn btn-outline-primary btn-sm">
+              ✏️ Modifica collezione
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {/* ===== PRODOTTI DELLA COLLEZIONE ===== */}
+      <h2 className="h3 fw-bold mb-4">I pezzi della collezione</h2>
+      {productsStatus === 'loading' && collectionProducts.length === 0 ? (
+        <div className="text-center py-5">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Caricamento prodotti...</span>
+          </div>
+        </div>
+      ) : collectionProducts.length === 0 ? (
+        <p className="text-muted">
+          Nessun pezzo di questa collezione è disponibile al momento: <Link to="/shop">scopri le altre creazioni</Link>.
+        </p>
+      ) : (
+        <div className="row row-cols-1 row-cols-md-2 row-cols-lg-3 g-4">
+          {collectionProducts.map((product) => (
+            <ProductCard key={product.id} product={product} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ===== EXPORT DEFAULT =====
+export default CollectionPage
@@ -3,7 +3,7 @@
  *
  * Pagina principale dell'e-commerce Coccibelli che presenta:
  * - Hero section con brand identity
- * - Sezione prodotti in evidenza
+ * - Sezioni prodotti configurate dagli admin (in evidenza, nuovi arrivi, ultimi pezzi)
  * - Anteprima "Chi Siamo"
  * - Sezione categorie prodotti
  *
@@ -25,7 +25,22 @@ import { useEffect } from 'react'                    // Hook per side effects
 import { Link } from 'react-router-dom'              // Navigazione React Router
 import { useDispatch, useSelector } from 'react-redux' // Redux hooks
 import { fetchProducts } from '../store/products/productsSlice' // Async thunk
+import { selectActiveCategories } from '../store/categories/categoriesSlice' // Categorie attive
 import ProductCard from '../components/ProductCard'   // Componente card prodotto
+import { isPublished } from '../utils/visibility'           // Prodotti visibili nel negozio
+import { fetchMerchandising } from '../store/merchandising/merchandisingSlice' // Sezioni della home
+import { HOMEPAGE_SECTIONS, resolveHomepageSections } from '../utils/merchandising' // Regole sezioni
+
+// ===== COSTANTI =====
+
+/**
+ * Sottotitolo di ogni sezione prodotti
+ */
+const SECTION_SUBTITLES = {
+  featured: 'Scopri alcune delle nostre creazioni, realizzate con passione e maestria artigianale',
+  newArrivals: 'Le ultime creazioni uscite dal laboratorio',
+  lastPieces: 'Pezzi unici quasi esauriti: quando finiscono non tornano'
+}
 
 /**
  * HOME PAGE COMPONENT
@@ -39,6 +54,8 @@ function HomePage() {
 
   // Estrae stato prodotti da Redux store
   const { products, status, error } = useSelector((state) => state.products)
+  const categories = useSelector(selectActiveCategories)
+  const { config: merchandising, status: merchandisingStatus } = useSelector((state) => state.merchandising)
 
   // ===== SIDE EFFECTS =====
   /**
@@ -53,17 +70,48 @@ function HomePage() {
     }
   }, [dispatch, status])
 
+  /**
+   * CONFIGURAZIONE HOME
+   *
+   * Senza configurazione (o se il caricamento fallisce)
+   * valgono le sezioni di default.
+   */
+  useEffect(() => {
+    if (merchandisingStatus === 'idle') {
+      dispatch(fetchMerchandising())
+    }
+  }, [dispatch, merchandisingStatus])
+
   // ===== COMPUTED VALUES =====
+  // Gli admin caricano anche bozze, archiviati e prodotti programmati:
+  // la home mostra solo quelli che i clienti possono già vedere
+  const shopProducts = products.filter(isPublished)
+
   /**
-   * PRODOTTI IN EVIDENZA
+   * RANGE DI PREZZO PER CATEGORIA
+   *
+   * Calcolato dai prodotti a catalogo (es. "23–30 €").
+   * Stringa vuota se la categoria non ha ancora prodotti.
    *
-   * Seleziona i primi 3 prodotti per la sezione featured.
-   * In una versione più avanzata potrebbe essere basato su:
-   * - Flag "featured" nel database
-   * - Algoritmo di raccomandazione
-   * - Prodotti più venduti
+   * @param {string} slug - Slug della categoria
+   * @returns {string} - Range formattato
    */
-  const featuredProducts = products.slice(0, 3)
+  const getPriceRange = (slug) => {
+    const prices = shopProducts.filter(p => p.category === slug).map(p => Number(p.price))
+    if (prices.length === 0) return ''
+
+    const min = Math.floor(Math.min(...prices))
+    const max = Math.ceil(Math.max(...prices))
+    return min === max ? `${min} €` : `${min}–${max} €`
+  }
+
+  /**
+   * SEZIONI PRODOTTI
+   *
+   * Configurazione della home risolta con i prodotti visibili:
+   * prodotti in evidenza scelti dagli admin e regole automatiche
+   */
+  const sections = resolveHomepageSections(merchandising, shopProducts)
 
   return (
     <div>
@@ -150,99 +198,111 @@ function HomePage() {
         </div>
       </section>
 
-      {/* ===== FEATURED PRODUCTS SECTION ===== */}
+      {/* ===== SEZIONI PRODOTTI ===== */}
       {/**
-       * SEZIONE PRODOTTI IN EVIDENZA
+       * SEZIONI PRODOTTI DELLA HOME
        *
-       * Mostra una selezione curata di prodotti per:
-       * - Dare un'anteprima del catalogo
-       * - Invogliare all'esplorazione
-       * - Dimostrare la qualità dei prodotti
-       * - Guidare verso la pagina shop
+       * Scelte dagli admin in /admin/merchandising (vedi utils/merchandising):
+       * - In evidenza: prodotti scelti a mano, o i più recenti
+       * - Nuovi arrivi e Ultimi pezzi: regole automatiche
+       * Le sezioni senza prodotti visibili non compaiono; il pulsante
+       * verso il negozio chiude l'ultima.
        */}
-      <section className="py-6 bg-light" style={{ paddingTop: '5rem', paddingBottom: '5rem' }}>
-        <div className="container">
-
-          {/* Header sezione */}
-          <div className="row mb-5">
-            <div className="col-12 text-center">
-              <h2 className="display-6 fw-bold mb-3">Le Nostre Creazioni</h2>
-              <p className="text-muted fs-5">
-                Scopri alcune delle nostre creazioni più recenti,
-                realizzate con passione e maestria artigianale
-              </p>
+      {status === 'loading' || error || sections.length === 0 ? (
+        <section className="py-6 bg-light" style={{ paddingTop: '5rem', paddingBottom: '5rem' }}>
+          <div className="container">
+            <div className="row mb-5">
+              <div className="col-12 text-center">
+                <h2 className="display-6 fw-bold mb-3">{HOMEPAGE_SECTIONS.featured.defaultTitle}</h2>
+              </div>
             </div>
-          </div>
 
-          {/* Grid prodotti con gestione stati asincroni */}
-          <div className="row row-cols-1 row-cols-md-2 row-cols-lg-3 g-4">
-            {/* ===== LOADING STATE ===== */}
-            {status === 'loading' ? (
-              <div className="col-12 text-center py-5">
-                <div className="spinner-border text-primary" role="status" style={{ width: '3rem', height: '3rem' }}>
-                  <span className="visually-hidden">Caricamento prodotti...</span>
+            <div className="row">
+              {/* ===== LOADING STATE ===== */}
+              {status === 'loading' ? (
+                <div className="col-12 text-center py-5">
+                  <div className="spinner-border text-primary" role="status" style={{ width: '3rem', height: '3rem' }}>
+                    <span className="visually-hidden">Caricamento prodotti...</span>
+                  </div>
+                  <p className="mt-3 text-muted">Caricamento prodotti in corso...</p>
                 </div>
-                <p className="mt-3 text-muted">Caricamento prodotti in corso...</p>
-              </div>
-            ) :
-
-            /* ===== ERROR STATE ===== */
-            error ? (
-              <div className="col-12">
-                <div className="alert alert-danger d-flex align-items-center" role="alert">
-                  <svg className="bi flex-shrink-0 me-2" width="24" height="24" role="img" aria-label="Danger:">
-                    <use xlinkHref="#exclamation-triangle-fill"/>
-                  </svg>
-                  <div>
-                    <strong>Errore nel caricamento:</strong> {error}
-                    <br />
-                    <button
-                      className="btn btn-outline-danger btn-sm mt-2"
-                      onClick={() => dispatch(fetchProducts())}
-                    >
-                      Riprova
-                    </button>
+              ) :
+
+              /* ===== ERROR STATE ===== */
+              error ? (
+                <div className="col-12">
+                  <div className="alert alert-danger d-flex align-items-center" role="alert">
+                    <svg className="bi flex-shrink-0 me-2" width="24" height="24" role="img" aria-label="Danger:">
+                      <use xlinkHref="#exclamation-triangle-fill"/>
+                    </svg>
+                    <div>
+                      <strong>Errore nel caricamento:</strong> {error}
+                      <br />
+                      <button
+                        className="btn btn-outline-danger btn-sm mt-2"
+                        onClick={() => dispatch(fetchProducts())}
+                      >
+                        Riprova
+                      </button>
+                    </div>
                   </div>
                 </div>
+              ) : (
+                // Stato vuoto (nessun prodotto)
+                <div className="col-12 text-center py-5">
+                  <h4 className="text-muted">Nessun prodotto disponibile</h4>
+                  <p className="text-muted">I nostri artigiani stanno lavorando a nuove creazioni!</p>
+                </div>
+              )}
+            </div>
+          </div>
+        </section>
+      ) : (
+        sections.map((section, index) => (
+          <section
+            key={section.key}
+            className={`py-6 ${index % 2 === 0 ? 'bg-light' : ''}`}
+            style={{ paddingTop: '5rem', paddingBottom: '5rem' }}
+          >
+            <div className="container">
+
+              {/* Header sezione */}
+              <div className="row mb-5">
+                <div className="col-12 text-center">
+                  <h2 className="display-6 fw-bold mb-3">{section.title}</h2>
+                  <p className="text-muted fs-5">{SECTION_SUBTITLES[section.key]}</p>
+                </div>
               </div>
-            ) :
-
-            /* ===== SUCCESS STATE ===== */
-            featuredProducts.length > 0 ? (
-              // Render prodotti in evidenza
-              featuredProducts.map((product) => (
-                <ProductCard
-                  key={product.id}
-                  product={product}
-                />
-              ))
-            ) : (
-              // Stato vuoto (nessun prodotto)
-              <div className="col-12 text-center py-5">
-                <h4 className="text-muted">Nessun prodotto disponibile</h4>
-                <p className="text-muted">I nostri artigiani stanno lavorando a nuove creazioni!</p>
+
+              {/* Grid prodotti della sezione */}
+              <div className="row row-cols-1 row-cols-md-2 row-cols-lg-3 g-4">
+                {section.products.map((product) => (
+                  <ProductCard
+                    key={product.id}
+                    product={product}
+                  />
+                ))}
               </div>
-            )}
-          </div>
 
-          {/* Call-to-action verso shop completo */}
-          {featuredProducts.length > 0 && (
-            <div className="text-center mt-5">
-              <Link
-                to="/shop"
-                className="btn btn-primary btn-lg"
-                aria-label="Visualizza tutti i prodotti nel negozio"
-              >
-                Vedi Tutti i Prodotti
-                <svg className="ms-2" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
-                  <path fillRule="evenodd" d="M1 8a.5.5 0 0 1 .5-.5h11.793l-3.147-3.146a.5.5 0 0 1 .708-.708l4 4a.5.5 0 0 1 0 .708l-4 4a.5.5 0 0 1-.708-.708L13.293 8.5H1.5A.5.5 0 0 1 1 8z"/>
-                </svg>
-              </Link>
+              {/* Call-to-action verso shop completo */}
+              {index === sections.length - 1 && (
+                <div className="text-center mt-5">
+                  <Link
+                    to="/shop"
+                    className="btn btn-primary btn-lg"
+                    aria-label="Visualizza tutti i prodotti nel negozio"
+                  >
+                    Vedi Tutti i Prodotti
+                    <svg className="ms-2" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
+                      <path fillRule="evenodd" d="M1 8a.5.5 0 0 1 .5-.5h11.793l-3.147-3.146a.5.5 0 0 1 .708-.708l4 4a.5.5 0 0 1 0 .708l-4 4a.5.5 0 0 1-.708-.708L13.293 8.5H1.5A.5.5 0 0 1 1 8z"/>
+                    </svg>
+                  </Link>
+                </div>
+              )}
             </div>
-          )}
-        </div>
-      </section>
-
+          </section>
+        ))
+      )}
       {/* ===== ABOUT US PREVIEW SECTION ===== */}
       {/**
        * ANTEPRIMA "CHI SIAMO"
@@ -349,86 +409,39 @@ function HomePage() {
           {/* Grid categorie responsive */}
           <div className="row g-4">
 
-            {/* Categoria Collane */}
-            <div className="col-6 col-md-3">
-              <Link
-                to="/shop?category=collane"
-                className="text-decoration-none category-card"
-                aria-label="Esplora la categoria Collane"
-              >
-                <div className="card h-100 border-0 shadow-sm hover-lift">
-                  <div className="card-body text-center p-4">
-                    {/* Icona categoria */}
-                    <div className="category-icon mb-3">
-                      <span className="fs-1">📿</span>
+            {categories.map((category) => (
+              <div className="col-6 col-md-3" key={category.id}>
+                <Link
+                  to={`/shop?category=${category.slug}`}
+                  className="text-decoration-none category-card"
+                  aria-label={`Esplora la categoria ${category.name}`}
+                >
+                  <div className="card h-100 border-0 shadow-sm hover-lift">
+                    {category.imageUrl && (
+                      <img
+                        src={category.imageUrl}
+                        alt={category.name}
+                        className="card-img-top"
+                        style={{ height: '140px', objectFit: 'cover' }}
+                      />
+                    )}
+                    <div className="card-body text-center p-4">
+                      {/* Icona categoria */}
+                      {!category.imageUrl && category.icon && (
+                        <div className="category-icon mb-3">
+                          <span className="fs-1">{category.icon}</span>
+                        </div>
+                      )}
+                      <h3 className="h5 fw-bold mb-2">{category.name}</h3>
+                      {getPriceRange(category.slug) && (
+                        <p className="text-muted small mb-0">{getPriceRange(category.slug)}</p>
+                      )}
+                      <small className="text-primary">Scopri →</small>
                     </div>
-                    <h3 className="h5 fw-bold mb-2">Collane</h3>
-                    <p className="text-muted small mb-0">23–30 €</p>
-                    <small className="text-primary">Scopri →</small>
                   </div>
-                </div>
-              </Link>
-            </div>
-
-            {/* Categoria Anelli */}
-            <div className="col-6 col-md-3">
-              <Link
-                to="/shop?category=anelli"
-                className="text-decoration-none category-card"
-                aria-label="Esplora la categoria Anelli"
-              >
-                <div className="card h-100 border-0 shadow-sm hover-lift">
-                  <div className="card-body text-center p-4">
-                    <div className="category-icon mb-3">
-                      <span className="fs-1">💍</span>
-                    </div>
-                    <h3 className="h5 fw-bold mb-2">Anelli</h3>
-                    <p className="text-muted small mb-0">15–18 €</p>
-                    <small className="text-primary">Scopri →</small>
-                  </div>
-                </div>
-              </Link>
-            </div>
-
-            {/* Categoria Orecchini */}
-            <div className="col-6 col-md-3">
-              <Link
-                to="/shop?category=orecchini"
-                className="text-decoration-none category-card"
-                aria-label="Esplora la categoria Orecchini"
-              >
-                <div className="card h-100 border-0 shadow-sm hover-lift">
-                  <div className="card-body text-center p-4">
-                    <div className="category-icon mb-3">
-                      <span className="fs-1">👂</span>
-                    </div>
-                    <h3 className="h5 fw-bold mb-2">Orecchini</h3>
-                    <p className="text-muted small mb-0">17–20 €</p>
-                    <small className="text-primary">Scopri →</small>
-                  </div>
-                </div>
-              </Link>
-            </div>
-
-            {/* Categoria Accessori */}
-            <div className="col-6 col-md-3">
-              <Link
-                to="/shop?category=accessori"
-                className="text-decoration-none category-card"
-                aria-label="Esplora la categoria Accessori"
-              >
-                <div className="card h-100 border-0 shadow-sm hover-lift">
-                  <div className="card-body text-center p-4">
-                    <div className="category-icon mb-3">
-                      <span className="fs-1">✨</span>
-                    </div>
-                    <h3 className="h5 fw-bold mb-2">Accessori</h3>
-                    <p className="text-muted small mb-0">13–18 €</p>
-                    <small className="text-primary">Scopri →</small>
-                  </div>
-                </div>
-              </Link>
-            </div>
+                </Link>
+              </div>
+            ))}
           </div>
 
           {/* Call-to-action generale */}
@@ -3,10 +3,15 @@
  *
  * Pagina dedicata alla visualizzazione dettagliata di un singolo prodotto che gestisce:
  * - Caricamento dati prodotto tramite ID da URL
- * - Visualizzazione completa informazioni prodotto
+ * - Visualizzazione completa informazioni prodotto (scheda in ProductDetails,
+ *   condivisa con l'anteprima dell'editor admin)
+ * - Galleria immagini con miniature, zoom e swipe
+ * - Selezione della variante (misura, lunghezza catena, finitura)
  * - Selezione quantità con controlli validazione
  * - Aggiunta al carrello con quantità personalizzata
  * - Gestione stati loading/error per UX ottimale
+ * - Anteprima come cliente per gli admin sui prodotti non ancora nel negozio
+ * - Collegamenti alle collezioni che contengono il prodotto
  * - Cleanup automatico al dismount
  *
  * PATTERN UTILIZZATI:
@@ -25,13 +30,15 @@
  * - Ottimizzare SEO con contenuto ricco
  */
 
-/* eslint-disable react/no-unescaped-entities */
 // ===== IMPORTAZIONI =====
-import { useEffect, useState } from 'react'              // React hooks
-import { useParams, useNavigate } from 'react-router-dom' // Router hooks
+import { useEffect } from 'react'                        // React hooks
+import { Link, useParams, useNavigate } from 'react-router-dom' // Router hooks
 import { useDispatch, useSelector } from 'react-redux'   // Redux hooks
 import { fetchProductById, clearCurrentProduct } from '../store/products/productsSlice' // Product actions
-import { addToCart } from '../store/cart/cartSlice'      // Cart actions
+import ProductDetails from '../components/ProductDetails' // Galleria, varianti e carrello
+import ProductStatusBadge from '../components/ProductStatusBadge' // Stato per l'anteprima admin
+import { isPublished } from '../utils/visibility'           // Prodotti visibili ai clienti
+import { fetchCollections, productCollections } from '../store/collections/collectionsSlice' // Collezioni del prodotto
 
 /**
  * PRODUCT DETAIL PAGE COMPONENT
@@ -47,15 +54,8 @@ function ProductDetailPage() {
   // ===== REDUX HOOKS =====
   const dispatch = useDispatch()
   const { currentProduct, status, error } = useSelector((state) => state.products)
-
-  // ===== STATE LOCALE =====
-  /**
-   * STATO QUANTITÀ
-   *
-   * Gestisce la quantità selezionata dall'utente per l'aggiunta al carrello.
-   * Validata contro stock disponibile del prodotto.
-   */
-  const [quantity, setQuantity] = useState(1)
+  const isAdmin = useSelector((state) => state.auth.user?.role === 'admin')
+  const { collections, status: collectionsStatus } = useSelector((state) => state.collections)
 
   // ===== SIDE EFFECTS =====
 
@@ -81,69 +81,19 @@ function ProductDetailPage() {
     }
   }, [dispatch, id])
 
-  // ===== EVENT HANDLERS =====
-
-  /**
-   * HANDLER CAMBIO QUANTITÀ
-   *
-   * Gestisce input diretto nel campo quantità con validazione:
-   * - Valore minimo: 1
-   * - Valore massimo: stock disponibile
-   * - Solo numeri interi positivi
-   *
-   * @param {Event} e - Evento change dell'input
-   */
-  const handleQuantityChange = (e) => {
-    const value = parseInt(e.target.value)
-
-    // ===== VALIDAZIONE INPUT =====
-    if (value > 0 && value <= (currentProduct?.stock || 1)) {
-      setQuantity(value)
-    }
-    // Se valore non valido, mantiene quantità precedente
-  }
-
   /**
-   * HANDLER INCREMENTO QUANTITÀ
+   * COLLEZIONI
    *
-   * Incrementa quantità di 1 se non supera stock disponibile.
-   * Utilizzato dal pulsante "+" nell'interfaccia.
+   * Caricate una volta sola: servono solo per i collegamenti.
    */
-  const handleIncrement = () => {
-    if (quantity < (currentProduct?.stock || 1)) {
-      setQuantity(quantity + 1)
-    }
-  }
-
-  /**
-   * HANDLER DECREMENTO QUANTITÀ
-   *
-   * Decrementa quantità di 1 se maggiore di 1.
-   * Utilizzato dal pulsante "-" nell'interfaccia.
-   */
-  const handleDecrement = () => {
-    if (quantity > 1) {
-      setQuantity(quantity - 1)
+  useEffect(() => {
+    if (collectionsStatus === 'idle') {
+      dispatch(fetchCollections())
     }
-  }
+  }, [dispatch, collectionsStatus])
 
-  /**
-   * HANDLER AGGIUNTA AL CARRELLO
-   *
-   * Aggiunge il prodotto corrente al carrello con la quantità selezionata.
-   * Include validazione esistenza prodotto prima dell'aggiunta.
-   */
-  const handleAddToCart = () => {
-    if (currentProduct) {
-      dispatch(addToCart({
-        ...currentProduct,  // Spread tutti i dati prodotto
-        quantity           // Sovrascrive con quantità selezionata
-      }))
-
-      // Opzionale: Reset quantità dopo aggiunta
-      // setQuantity(1)
-    }
-  }
+  // ===== COMPUTED VALUES =====
+  const inCollections = productCollections(collections, Number(id))
 
   // ===== EARLY RETURNS PER STATI SPECIALI =====
 
@@ -170,7 +120,11 @@ function ProductDetailPage() {
    * Gestisce errori di caricamento o prodotto non trovato.
    * Fornisce azione di recovery per tornare al catalogo.
    */
-  if (error || !currentProduct) {
+  // Il server non restituisce ai clienti i prodotti non pubblicati;
+  // il controllo copre un prodotto rimasto nello stato dopo il logout
+  const isPreview = Boolean(currentProduct) && !isPublished(currentProduct)
+
+  if (error || !currentProduct || (isPreview && !isAdmin)) {
     return (
       <div className="container py-5">
         <div className="row justify-content-center">
@@ -241,252 +195,44 @@ function ProductDetailPage() {
       </nav>
 
       {/* ===== LAYOUT PRINCIPALE ===== */}
-      <div className="row">
-
-        {/* ===== SEZIONE IMMAGINE ===== */}
-        {/**
-         * IMMAGINE PRODOTTO
-         *
-         * Immagine principale del prodotto con:
-         * - Responsive design (img-fluid)
-         * - Alt text per accessibilità
-         * - Styling custom per dettaglio
-         */}
-        <div className="col-md-6 mb-4 mb-md-0">
-          <div className="position-relative">
-            <img
-              src={currentProduct.imageUrl}
-              alt={`${currentProduct.name} - Bijoux artigianale Coccibelli`}
-              className="product-detail-img img-fluid rounded shadow-lg"
-              loading="lazy"
-            />
-
-            {/* Badge stock status */}
-            {currentProduct.stock === 0 && (
-              <div className="position-absolute top-0 end-0 m-3">
-                <span className="badge bg-danger fs-6">Esaurito</span>
-              </div>
-            )}
-          </div>
-        </div>
-
-        {/* ===== SEZIONE INFORMAZIONI ===== */}
-        {/**
-         * DETTAGLI E CONTROLLI PRODOTTO
-         *
-         * Pannello destro con tutte le informazioni e controlli:
-         * - Metadati prodotto (categoria, nome, prezzo)
-         * - Descrizione dettagliata
-         * - Controlli quantità
-         * - Pulsante aggiunta carrello
-         */}
-        <div className="col-md-6">
-
-          {/* Badge Categoria */}
-          <span className={`badge mb-3 badge-${currentProduct.category} fs-6`}>
-            {currentProduct.category}
+      {/**
+       * SCHEDA PRODOTTO
+       *
+       * Galleria, scelta della variante e aggiunta al carrello
+       * (vedi ProductDetails). La key riparte dalla prima immagine,
+       * senza variante scelta, quando si passa a un altro prodotto.
+       */}
+      {/* ===== ANTEPRIMA COME CLIENTE ===== */}
+      {/* Solo admin: il prodotto non è ancora (o non è più) nel negozio */}
+      {isPreview && (
+        <div className="alert alert-info d-flex flex-wrap align-items-center gap-2" role="status">
+          <ProductStatusBadge product={currentProduct} />
+          <span className="flex-grow-1">
+            Anteprima come cliente: questa pagina non è visibile nel negozio e l&apos;acquisto è disattivato.
           </span>
-
-          {/* Nome Prodotto */}
-          <h1 className="mb-3 fw-bold">{currentProduct.name}</h1>
-
-          {/* Prezzo */}
-          <p className="fs-3 fw-bold text-primary mb-4">
-            {currentProduct.price.toFixed(2)} €
-          </p>
-
-          {/* Descrizione */}
-          <div className="mb-4">
-            <h5 className="fw-bold mb-2">Descrizione</h5>
-            <p className="text-muted">{currentProduct.description}</p>
-          </div>
-
-          {/* Caratteristiche Prodotto */}
-          <div className="mb-4">
-            <h6 className="fw-bold mb-2">Caratteristiche</h6>
-            <ul className="list-unstyled">
-              <li className="mb-1">
-                <span className="me-2">✋</span>
-                <strong>Fatto a mano</strong> - Lavorazione artigianale
-              </li>
-              <li className="mb-1">
-                <span className="me-2">♻️</span>
-                <strong>Sostenibile</strong> - Materiali vintage recuperati
-              </li>
-              <li className="mb-1">
-                <span className="me-2">⭐</span>
-                <strong>Unico</strong> - Pezzo irripetibile
-              </li>
-            </ul>
-          </div>
-
-          {/* ===== CONTROLLI QUANTITÀ ===== */}
-          {/**
-           * SELETTORE QUANTITÀ
-           *
-           * Input group con controlli per quantità:
-           * - Pulsanti +/- per incremento/decremento
-           * - Input numerico per inserimento diretto
-           * - Validazione contro stock disponibile
-           * - Feedback visivo per limiti
-           */}
-          <div className="mb-4">
-            <label htmlFor="quantity" className="form-label fw-bold">Quantità</label>
-            <div className="input-group" style={{ width: '150px' }}>
-
-              {/* Pulsante Decremento */}
-              <button
-                className="btn btn-outline-secondary"
-                type="button"
-                onClick={handleDecrement}
-                disabled={quantity <= 1}
-                aria-label="Diminuisci quantità"
-              >
-                <span aria-hidden="true">−</span>
-              </button>
-
-              {/* Input Quantità */}
-              <input
-                type="number"
-                className="form-control text-center"
-                id="quantity"
-                value={quantity}
-                onChange={handleQuantityChange}
-                min="1"
-                max={currentProduct.stock}
-                aria-label="Quantità prodotto"
-              />
-
-              {/* Pulsante Incremento */}
-              <button
-                className="btn btn-outline-secondary"
-                type="button"
-                onClick={handleIncrement}
-                disabled={quantity >= currentProduct.stock}
-                aria-label="Aumenta quantità"
-              >
-                <span aria-hidden="true">+</span>
-              </button>
-            </div>
-
-            {/* Indicatore Stock */}
-            <small className="text-muted d-block mt-1">
-              {currentProduct.stock > 0 ? (
-                <>
-                  <span className="text-success">✓</span> Disponibilità: {currentProduct.stock} pezzi
-                </>
-              ) : (
-                <>
-                  <span className="text-danger">✗</span> Prodotto esaurito
-                </>
-              )}
-            </small>
-          </div>
-
-          {/* ===== PULSANTE AGGIUNTA CARRELLO ===== */}
-          {/**
-           * CALL-TO-ACTION PRINCIPALE
-           *
-           * Pulsante per aggiungere prodotto al carrello con:
-           * - Stato disabilitato se stock = 0
-           * - Styling prominente per conversioni
-           * - Feedback accessibilità
-           */}
-          <button
-            className="btn btn-primary btn-lg w-100 mb-3"
-            onClick={handleAddToCart}
-            disabled={currentProduct.stock === 0}
-            aria-label={`Aggiungi ${quantity} ${currentProduct.name} al carrello`}
-          >
-            {currentProduct.stock === 0 ? (
-              <>
-                <span className="me-2">😞</span>
-                Prodotto Esaurito
-              </>
-            ) : (
-              <>
-                <span className="me-2">🛒</span>
-                Aggiungi al Carrello
-              </>
-            )}
-          </button>
-
-          {/* ===== PULSANTE NAVIGAZIONE ===== */}
-          {/**
-           * SECONDARY ACTION
-           *
-           * Pulsante secondario per tornare al catalogo.
-           * Fornisce via di fuga se prodotto non interessante.
-           */}
-          <button
-            className="btn btn-outline-secondary w-100 mb-4"
-            onClick={() => navigate('/shop')}
-            aria-label="Torna al catalogo prodotti"
-          >
-            <span className="me-2">←</span>
-            Torna al Negozio
-          </button>
-
-          {/* ===== SEPARATORE ===== */}
-          <hr className="my-4" />
-
-          {/* ===== DETTAGLI TECNICI ===== */}
-          {/**
-           * INFORMAZIONI DETTAGLIATE
-           *
-           * Sezione con specifiche tecniche e informazioni aggiuntive:
-           * - Materiali utilizzati
-           * - Processo di lavorazione
-           * - Caratteristiche uniche
-           * - Disclaimer variazioni artigianali
-           */}
-          <div>
-            <h5 className="fw-bold mb-3">Dettagli Tecnici</h5>
-            <ul className="list-unstyled">
-              <li className="mb-2">
-                <strong>Categoria:</strong>
-                <span className="ms-2 text-capitalize">{currentProduct.category}</span>
-              </li>
-              <li className="mb-2">
-                <strong>Materiali:</strong>
-                <span className="ms-2">Frammento di porcellana vintage, metallo anallergico</span>
-              </li>
-              <li className="mb-2">
-                <strong>Lavorazione:</strong>
-                <span className="ms-2">Completamente artigianale</span>
-              </li>
-              <li className="mb-2">
-                <strong>Unicità:</strong>
-                <span className="ms-2">Pezzo unico e irripetibile</span>
-              </li>
-              <li className="mb-2">
-                <strong>Origine:</strong>
-                <span className="ms-2">Made in Italy</span>
-              </li>
-            </ul>
-
-            {/* ===== DISCLAIMER ARTIGIANALE ===== */}
-            {/**
-             * NOTA IMPORTANTE
-             *
-             * Disclaimer che spiega la natura artigianale e le possibili
-             * variazioni rispetto all'immagine mostrata.
-             */}
-            <div className="alert alert-info mt-4" role="note">
-              <h6 className="alert-heading">
-                <span className="me-2">ℹ️</span>
-                Nota importante
-              </h6>
-              <p className="mb-0 fst-italic">
-                Ogni bijoux è un <strong>pezzo unico</strong> realizzato a mano con frammenti
-                di porcellana vintage. Potrebbero esserci piccole differenze di colore,
-                forma o decorazione rispetto all'immagine mostrata, rendendo il tuo acquisto
-                ancora più speciale e irripetibile.
-              </p>
-            </div>
-          </div>
+          <Link to={`/admin/products/${currentProduct.id}`} className="btn btn-outline-primary btn-sm">
+            ✏️ Modifica
+          </Link>
         </div>
-      </div>
+      )}
+
+      <ProductDetails key={currentProduct.id} product={currentProduct} preview={isPreview} />
+
+      {/* ===== COLLEZIONI DEL PRODOTTO ===== */}
+      {inCollections.length > 0 && (
+        <div className="d-flex flex-wrap align-items-center gap-2 mt-4">
+          <span className="text-muted">Fa parte della collezione</span>
+          {inCollections.map(collection => (
+            <Link
+              key={collection.id}
+              to={`/collections/${collection.slug}`}
+              className="btn btn-outline-secondary btn-sm rounded-pill"
+            >
+              📖 {collection.title}
+            </Link>
+          ))}
+        </div>
+      )}
 
       {/* ===== SEZIONE INFORMAZIONI AGGIUNTIVE ===== */}
       {/**
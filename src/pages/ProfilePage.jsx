@@ -20,16 +20,26 @@
  * - Fornire interfaccia gestione profilo completa
  * - Mostrare cronologia ordini personalizzata
  * - Permettere aggiornamento dati utente
- * - Gestire ordini (admin) con cambio stato
+ * - Gestire ordini (admin) con cambio stato, incasso e rimborsi
  * - Mantenere sicurezza e autorizzazioni
  */
 
 /* eslint-disable react/no-unescaped-entities */
 // ===== IMPORTAZIONI =====
-import { useState } from 'react'                        // React hooks
+import { useEffect, useState } from 'react'             // React hooks
 import { useSelector, useDispatch } from 'react-redux' // Redux hooks
 import { toast } from 'react-toastify'                 // Toast notifications
-import { selectUserOrders, selectAllOrders, updateOrderStatus } from '../store/orders/ordersSlice' // Orders selectors
+import {
+  selectUserOrders,
+  selectAllOrders,
+  fetchUserOrders,
+  fetchAllOrders,
+  updateOrderStatus,
+  capturePayment,
+  refundPayment
+} from '../store/orders/ordersSlice' // Orders thunks e selectors
+import { updateProfile } from '../store/auth/authSlice' // Auth thunks
+import { SHIPPING_METHODS } from '../utils/shipping' // Metodi spedizione
 
 /**
  * PROFILE PAGE COMPONENT
@@ -54,6 +64,24 @@ function ProfilePage() {
   const orders = useSelector((state) =>
     user.role === 'admin' ? selectAllOrders(state) : selectUserOrders(state, user.id)
   )
+  const { status: ordersStatus, error: ordersError } = useSelector((state) => state.orders)
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * CARICAMENTO ORDINI DAL BACKEND
+   *
+   * Recupera la cronologia ordini al mount:
+   * - Admin: tutti gli ordini del sistema
+   * - Utente: solo i propri ordini
+   */
+  useEffect(() => {
+    if (user.role === 'admin') {
+      dispatch(fetchAllOrders())
+    } else {
+      dispatch(fetchUserOrders(user.id))
+    }
+  }, [dispatch, user.id, user.role])
 
   // ===== STATE LOCALE =====
 
@@ -61,15 +89,16 @@ function ProfilePage() {
    * STATO FORM PROFILO
    *
    * Gestisce dati del form per aggiornamento profilo utente.
-   * Include informazioni personali e di spedizione.
+   * Include informazioni personali e di spedizione, salvate sul backend
+   * e usate per precompilare il checkout.
    */
   const [formData, setFormData] = useState({
-    name: user.name || '',        // Nome completo
-    email: user.email || '',      // Email (readonly)
-    address: '',                  // Indirizzo spedizione
-    city: '',                     // Città
-    postalCode: '',              // CAP
-    phone: ''                    // Telefono
+    name: user.name || '',             // Nome completo
+    email: user.email || '',           // Email (readonly)
+    address: user.address || '',       // Indirizzo spedizione
+    city: user.city || '',             // Città
+    postalCode: user.postalCode || '', // CAP
+    phone: user.phone || ''            // Telefono
   })
 
   /**
@@ -100,39 +129,95 @@ function ProfilePage() {
   /**
    * HANDLER SUBMIT FORM PROFILO
    *
-   * Gestisce salvataggio modifiche profilo.
-   * Attualmente simula aggiornamento con toast.
-   *
-   * TODO: Implementare aggiornamento reale con backend
+   * Gestisce salvataggio modifiche profilo sul backend.
+   * I dati salvati vengono usati per precompilare il checkout.
    *
    * @param {Event} e - Evento submit del form
    */
   const handleSubmit = (e) => {
     e.preventDefault()
 
-    // ===== PLACEHOLDER IMPLEMENTAZIONE =====
-    // In produzione implementare:
-    // 1. Validazione dati
-    // 2. Chiamata API aggiornamento
-    // 3. Aggiornamento stato Redux
-    // 4. Gestione errori
-
-    toast.success('Profilo aggiornato con successo')
-    setIsEditing(false)
+    dispatch(updateProfile(formData))
+      .unwrap()
+      .then(() => {
+        toast.success('Profilo aggiornato con successo')
+        setIsEditing(false)
+      })
+      .catch((error) => {
+        toast.error(`Errore aggiornamento profilo: ${error}`)
+      })
   }
 
   /**
    * HANDLER CAMBIO STATO ORDINE
    *
    * Gestisce aggiornamento stato ordine (solo admin).
-   * Dispatcha azione Redux e mostra feedback.
+   * Salva il nuovo stato sul backend e mostra feedback.
    *
    * @param {string} orderId - ID dell'ordine da aggiornare
    * @param {string} newStatus - Nuovo stato ordine
    */
   const handleStatusChange = (orderId, newStatus) => {
     dispatch(updateOrderStatus({ orderId, status: newStatus }))
-    toast.success(`Stato dell'ordine aggiornato a: ${newStatus}`)
+      .unwrap()
+      .then(() => {
+        toast.success(`Stato dell'ordine aggiornato a: ${newStatus}`)
+      })
+      .catch((error) => {
+        toast.error(`Errore aggiornamento ordine: ${error}`)
+      })
+  }
+
+  /**
+   * HANDLER INCASSO PAGAMENTO
+   *
+   * Incassa un pagamento solo autorizzato (solo admin, cattura manuale).
+   *
+   * @param {number} orderId - ID dell'ordine
+   */
+  const handleCapture = (orderId) => {
+    dispatch(capturePayment(orderId))
+      .unwrap()
+      .then(() => {
+        toast.success(`Pagamento dell'ordine #${orderId} incassato`)
+      })
+      .catch((error) => {
+        toast.error(`Errore incasso: ${error}`)
+      })
+  }
+
+  /**
+   * HANDLER RIMBORSO
+   *
+   * Chiede l'importo da rimborsare (default: tutto il residuo)
+   * e avvia il rimborso tramite il gateway (solo admin).
+   *
+   * @param {Object} order - Ordine da rimborsare
+   */
+  const handleRefund = (order) => {
+    const refundable = order.payment.capturedAmount - (order.payment.refundedAmount || 0)
+    const input = window.prompt(
+      `Importo da rimborsare per l'ordine #${order.id} (max ${refundable.toFixed(2)} €):`,
+      refundable.toFixed(2)
+    )
+
+    // Annullato dall'utente
+    if (input === null) return
+
+    const amount = Number(input.replace(',', '.'))
+    if (!(amount > 0) || amount > refundable + 0.001) {
+      toast.error('Importo di rimborso non valido')
+      return
+    }
+
+    dispatch(refundPayment({ orderId: order.id, amount }))
+      .unwrap()
+      .then(() => {
+        toast.success(`Rimborsati ${amount.toFixed(2)} € per l'ordine #${order.id}`)
+      })
+      .catch((error) => {
+        toast.error(`Errore rimborso: ${error}`)
+      })
   }
 
   /**
@@ -161,6 +246,36 @@ function ProfilePage() {
     }
   }
 
+  /**
+   * HELPER BADGE STATO PAGAMENTO
+   *
+   * Etichetta e classe Bootstrap per order.paymentStatus,
+   * separato dallo stato di evasione dell'ordine.
+   *
+   * @param {string} paymentStatus - Stato pagamento
+   * @returns {Object} - { label, className }
+   */
+  const getPaymentBadge = (paymentStatus) => {
+    switch (paymentStatus) {
+      case 'paid':
+        return { label: 'Pagato', className: 'bg-success' }
+      case 'authorized':
+        return { label: 'Autorizzato', className: 'bg-info' }
+      case 'requires_action':
+        return { label: 'Verifica 3-D Secure', className: 'bg-warning text-dark' }
+      case 'awaiting_transfer':
+        return { label: 'Attesa bonifico', className: 'bg-warning text-dark' }
+      case 'failed':
+        return { label: 'Pagamento fallito', className: 'bg-danger' }
+      case 'partially_refunded':
+        return { label: 'Rimborsato in parte', className: 'bg-secondary' }
+      case 'refunded':
+        return { label: 'Rimborsato', className: 'bg-dark' }
+      default:
+        return { label: 'Non pagato', className: 'bg-light text-dark border' }
+    }
+  }
+
   return (
     <div className="container py-5">
 
@@ -401,7 +516,27 @@ function ProfilePage() {
             <div className="card-body">
 
               {/* ===== LISTA ORDINI ===== */}
-              {orders.length === 0 ? (
+              {ordersStatus === 'loading' && orders.length === 0 ? (
+                /* ===== LOADING STATE ===== */
+                <div className="text-center py-5">
+                  <div className="spinner-border text-success" role="status">
+                    <span className="visually-hidden">Caricamento ordini...</span>
+                  </div>
+                  <p className="mt-3 text-muted">Caricamento ordini...</p>
+                </div>
+              ) : ordersStatus === 'failed' && orders.length === 0 ? (
+                /* ===== ERROR STATE ===== */
+                <div className="alert alert-danger" role="alert">
+                  <strong>Errore nel caricamento ordini:</strong> {ordersError}
+                  <br />
+                  <button
+                    className="btn btn-outline-danger btn-sm mt-2"
+                    onClick={() => dispatch(user.role === 'admin' ? fetchAllOrders() : fetchUserOrders(user.id))}
+                  >
+                    Riprova
+                  </button>
+                </div>
+              ) : orders.length === 0 ? (
                 /* ===== EMPTY STATE ===== */
                 <div className="text-center py-5">
                   <span style={{ fontSize: '4rem' }}>📋</span>
@@ -431,6 +566,11 @@ function ProfilePage() {
                           <span className={`badge ${getStatusBadgeClass(order.status)}`}>
                             {order.status}
                           </span>
+                          {order.paymentStatus && (
+                            <span className={`badge ms-1 ${getPaymentBadge(order.paymentStatus).className}`}>
+                              {getPaymentBadge(order.paymentStatus).label}
+                            </span>
+                          )}
                           <div className="fw-bold text-success mt-1">
                             {order.total.toFixed(2)} €
                           </div>
@@ -443,13 +583,41 @@ function ProfilePage() {
                         <div className="mt-1">
                           {order.items.map((item, index) => (
                             <div key={index} className="d-flex justify-content-between align-items-center py-1">
-                              <span className="small">{item.name} x{item.quantity}</span>
+                              <span className="small">
+                                {item.name}{item.variantLabel && ` (${item.variantLabel})`} x{item.quantity}
+                              </span>
                               <span className="small text-muted">{(item.price * item.quantity).toFixed(2)} €</span>
                             </div>
                           ))}
                         </div>
                       </div>
 
+                      {/* Spedizione Ordine (ordini creati dal checkout guidato) */}
+                      {order.shippingAddress && (
+                        <div className="mb-3 small">
+                          <span className="text-muted fw-bold">Spedizione: </span>
+                          {SHIPPING_METHODS.find(m => m.id === order.shippingMethod)?.label || order.shippingMethod}
+                          {' — '}
+                          {order.shippingAddress.fullName}, {order.shippingAddress.address}, {order.shippingAddress.postalCode} {order.shippingAddress.city}
+                        </div>
+                      )}
+
+                      {/* Pagamento Ordine */}
+                      {order.payment && (
+                        <div className="mb-3 small">
+                          <span className="text-muted fw-bold">Pagamento: </span>
+                          {order.payment.card?.last4 && `${order.payment.card.brand} •••• ${order.payment.card.last4}`}
+                          {order.payment.refundedAmount > 0 && (
+                            <span className="text-danger ms-2">
+                              (rimborsati {order.payment.refundedAmount.toFixed(2)} €)
+                            </span>
+                          )}
+                          {order.paymentStatus === 'failed' && order.payment.lastError && (
+                            <span className="text-danger ms-2">{order.payment.lastError}</span>
+                          )}
+                        </div>
+                      )}
+
                       {/* Admin Controls */}
                       {user.role === 'admin' && (
                         <div className="border-top pt-3">
@@ -466,6 +634,30 @@ function ProfilePage() {
                               </button>
                             ))}
                           </div>
+
+                          {/* Azioni sul pagamento */}
+                          {(order.paymentStatus === 'authorized' ||
+                            order.paymentStatus === 'paid' ||
+                            order.paymentStatus === 'partially_refunded') && (
+                            <div className="d-flex gap-1 flex-wrap mt-2">
+                              {order.paymentStatus === 'authorized' && (
+                                <button
+                                  className="btn btn-sm btn-outline-success"
+                                  onClick={() => handleCapture(order.id)}
+                                >
+                                  💶 Incassa
+                                </button>
+                              )}
+                              {order.paymentStatus !== 'authorized' && (
+                                <button
+                                  className="btn btn-sm btn-outline-danger"
+                                  onClick={() => handleRefund(order)}
+                                >
+                                  ↩️ Rimborsa
+                                </button>
+                              )}
+                            </div>
+                          )}
                         </div>
                       )}
                     </div>
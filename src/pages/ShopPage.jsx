@@ -4,6 +4,9 @@
  * Pagina principale del catalogo e-commerce che gestisce:
  * - Visualizzazione completa catalogo prodotti
  * - Filtri per categoria con URL sync
+ * - Ricerca full-text con risultati ordinati per rilevanza (?q=)
+ * - Filtri per prezzo, disponibilità e novità, ordinamento (vedi utils/catalog.js)
+ * - Pagine caricate dal server con scroll infinito e pulsante "Carica altri"
  * - Stati di loading e error handling
  * - Layout responsive con grid Bootstrap
  * - Integrazione con Redux per dati prodotti
@@ -24,12 +27,32 @@
  */
 
 // ===== IMPORTAZIONI =====
-import { useEffect, useState } from 'react'           // React hooks
+import { useEffect, useMemo, useRef, useState } from 'react' // React hooks
 import { useDispatch, useSelector } from 'react-redux' // Redux hooks
 import { useSearchParams } from 'react-router-dom'     // URL query params
-import { fetchProducts } from '../store/products/productsSlice' // Async thunk
+import { fetchCatalogPage } from '../store/products/productsSlice' // Catalogo paginato
+import { selectActiveCategories, selectCategoryBySlug } from '../store/categories/categoriesSlice'
+import {
+  FILTER_PARAMS,
+  NEW_ARRIVAL_DAYS,
+  SORT_OPTIONS,
+  hasActiveFilters,
+  readCatalogFilters
+} from '../utils/catalog' // Filtri e ordinamento
 import ProductCard from '../components/ProductCard'    // Componente card prodotto
 
+// ===== COSTANTI =====
+
+/**
+ * Parametri URL inviati a GET /catalog
+ */
+const CATALOG_PARAMS = ['q', 'category', ...FILTER_PARAMS]
+
+/**
+ * Attesa prima di interrogare il server dopo un cambio di filtri
+ */
+const FETCH_DEBOUNCE_MS = 250
+
 /**
  * SHOP PAGE COMPONENT
  *
@@ -39,93 +62,285 @@ import ProductCard from '../components/ProductCard'    // Componente card prodot
 function ShopPage() {
   // ===== REDUX HOOKS =====
   const dispatch = useDispatch()
-  const { products, status, error } = useSelector((state) => state.products)
+  const { catalog } = useSelector((state) => state.products)
+  const categories = useSelector(selectActiveCategories)
 
   // ===== ROUTER HOOKS =====
-  const [searchParams] = useSearchParams() // Per leggere query parameters
+  const [searchParams, setSearchParams] = useSearchParams() // Filtri nei query parameters
+
+  // ===== FILTRI DA URL =====
+  /**
+   * CATEGORIA E RICERCA DA URL
+   *
+   * L'URL è l'unica fonte dei filtri, così ricerche e categorie
+   * si possono condividere e seguono back/forward del browser.
+   * Esempio: /shop?category=anelli&q=bianco&max=20&available=1&sort=price-asc
+   */
+  const activeCategory = searchParams.get('category') || 'all'
+  const query = searchParams.get('q') || ''
+  const filters = readCatalogFilters(searchParams) // Prezzo, disponibilità, novità, ordinamento
+
+  /**
+   * CATEGORIA ATTIVA
+   *
+   * Dati della categoria selezionata (anche se archiviata, per i link vecchi).
+   * Se lo slug non corrisponde a nessuna categoria si mostra lo slug stesso.
+   */
+  const activeCategoryData = useSelector((state) => selectCategoryBySlug(state, activeCategory))
+  const activeCategoryName = activeCategoryData?.name || activeCategory
 
   // ===== STATE LOCALE =====
   /**
-   * STATO FILTRI E PRODOTTI
+   * TESTO NEL CAMPO DI RICERCA
+   *
+   * Separato da ?q= per non perdere il cursore mentre si digita;
+   * si riallinea quando la ricerca cambia da fuori (Navbar, back).
+   */
+  const [searchText, setSearchText] = useState(query)
+
+  /**
+   * RANGE DI PREZZO IN MODIFICA
    *
-   * - filteredProducts: Array prodotti dopo applicazione filtri
-   * - activeCategory: Categoria attualmente selezionata
+   * Applicato all'URL solo con "Applica" (o Invio),
+   * così ogni range provato è un passo della cronologia.
    */
-  const [filteredProducts, setFilteredProducts] = useState([])
-  const [activeCategory, setActiveCategory] = useState('all')
+  const [priceDraft, setPriceDraft] = useState({ min: '', max: '' })
+
+  // ===== REFS SCROLL INFINITO =====
+  const sentinelRef = useRef(null)   // Segnaposto in fondo alla griglia
+  const loadMoreRef = useRef(() => {}) // Handler corrente per l'observer
 
   // ===== COMPUTED VALUES =====
+
   /**
-   * CATEGORIA DA URL
+   * CHIAVE DEI FILTRI
    *
-   * Legge parametro 'category' dall'URL per deep linking.
-   * Esempio: /shop?category=anelli
+   * Query string normalizzata dei soli parametri che cambiano i risultati:
+   * identifica la lista caricata in catalog e viene inviata a GET /catalog.
    */
-  const categoryParam = searchParams.get('category')
+  const queryKey = useMemo(() => {
+    const params = new URLSearchParams()
+    CATALOG_PARAMS.forEach((param) => {
+      const value = searchParams.get(param)
+      if (value) params.set(param, value)
+    })
+    return params.toString()
+  }, [searchParams])
 
-  // ===== SIDE EFFECTS =====
+  /**
+   * PRODOTTI FILTRATI
+   *
+   * Pagine caricate finora: ricerca, filtri e ordinamento
+   * sono già applicati dal server.
+   */
+  const filteredProducts = catalog.items
 
   /**
-   * DATA FETCHING AL MOUNT
+   * STATI DI CARICAMENTO
    *
-   * Carica prodotti solo se stato è 'idle' per evitare
-   * chiamate API duplicate e ottimizzare performance.
+   * - isRefreshing: la lista mostrata è di filtri precedenti
+   * - isLoadingMore: si sta accodando la pagina successiva
    */
-  useEffect(() => {
-    if (status === 'idle') {
-      dispatch(fetchProducts())
-    }
-  }, [dispatch, status])
+  const isRefreshing = catalog.loadedQueryKey !== queryKey
+  const isLoadingMore = catalog.status === 'loading' && !isRefreshing
 
   /**
-   * SINCRONIZZAZIONE URL → STATE
+   * CONTEGGI PER CATEGORIA
    *
-   * Aggiorna categoria attiva quando cambia il parametro URL.
-   * Permette deep linking e navigazione con browser back/forward.
+   * Calcolati dal server con gli stessi filtri e la stessa ricerca,
+   * così ogni pulsante mostra quanti prodotti troverebbe.
    */
-  useEffect(() => {
-    if (categoryParam) {
-      setActiveCategory(categoryParam)
-    } else {
-      setActiveCategory('all') // Default se nessun parametro
+  const countFor = (slug) => catalog.categoryCounts[slug] || 0
+
+  const isFiltered = activeCategory !== 'all' || query !== '' || hasActiveFilters(filters)
+
+  /**
+   * MESSAGGIO NESSUN RISULTATO
+   *
+   * Spiega quale filtro ha svuotato la lista.
+   */
+  const getEmptyMessage = () => {
+    const inCategory = activeCategory === 'all' ? '' : ` nella categoria "${activeCategoryName}"`
+
+    if (hasActiveFilters(filters)) {
+      return `Nessun articolo${inCategory} corrisponde ai filtri selezionati.`
     }
-  }, [categoryParam])
+    if (query) {
+      return `Nessun articolo corrisponde a "${query}"${inCategory}. Prova con parole diverse.`
+    }
+    return activeCategory === 'all'
+      ? 'Non ci sono prodotti disponibili al momento.'
+      : `Non ci sono prodotti nella categoria "${activeCategoryName}".`
+  }
+
+  // ===== SIDE EFFECTS =====
 
   /**
-   * FILTERING PRODOTTI
+   * CARICAMENTO PRIMA PAGINA
    *
-   * Ricalcola prodotti filtrati quando cambiano:
-   * - Lista prodotti (dopo fetch)
-   * - Categoria attiva (dopo selezione filtro)
+   * A ogni cambio di filtri ricarica dalla pagina 1. L'attesa evita
+   * una richiesta per ogni tasto premuto nella ricerca.
+   * Tornando dal dettaglio prodotto con gli stessi filtri si tengono
+   * le pagine già caricate (e la posizione nella lista).
+   */
+  useEffect(() => {
+    if (catalog.loadedQueryKey === queryKey) return undefined
+
+    const timer = setTimeout(() => {
+      dispatch(fetchCatalogPage({ queryKey, page: 1 }))
+    }, FETCH_DEBOUNCE_MS)
+
+    return () => clearTimeout(timer)
+  }, [dispatch, queryKey, catalog.loadedQueryKey])
+
+  /**
+   * SCROLL INFINITO
    *
-   * PATTERN: Derived State per performance ottimale
+   * Quando il segnaposto in fondo alla griglia entra nella viewport
+   * carica la pagina successiva. Senza IntersectionObserver resta
+   * il pulsante "Carica altri".
+   * L'observer viene ricreato a ogni pagina: se il segnaposto è ancora
+   * visibile (pagina corta, schermo alto) scatta di nuovo subito.
    */
   useEffect(() => {
-    if (products.length > 0) {
-      if (activeCategory === 'all') {
-        setFilteredProducts(products)
-      } else {
-        setFilteredProducts(
-          products.filter(product => product.category === activeCategory)
-        )
+    const sentinel = sentinelRef.current
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return undefined
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreRef.current()
       }
-    }
-  }, [products, activeCategory])
+    }, { rootMargin: '400px 0px' })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [catalog.page, catalog.loadedQueryKey])
+
+  /**
+   * SINCRONIZZAZIONE URL → CAMPO RICERCA
+   */
+  useEffect(() => {
+    setSearchText(query)
+  }, [query])
+
+  /**
+   * SINCRONIZZAZIONE URL → RANGE DI PREZZO
+   */
+  useEffect(() => {
+    setPriceDraft({
+      min: filters.minPrice ?? '',
+      max: filters.maxPrice ?? ''
+    })
+  }, [filters.minPrice, filters.maxPrice])
 
   // ===== EVENT HANDLERS =====
 
+  /**
+   * AGGIORNA PARAMETRI URL
+   *
+   * Imposta o rimuove i parametri indicati mantenendo gli altri.
+   *
+   * @param {Object} changes - Es. { category: 'anelli' } o { q: null }
+   * @param {Object} options - Opzioni di navigazione (es. { replace: true })
+   */
+  const updateParams = (changes, options) => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous)
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) {
+          next.set(key, value)
+        } else {
+          next.delete(key)
+        }
+      })
+      return next
+    }, options)
+  }
+
+  /**
+   * HANDLER CARICA ALTRI
+   *
+   * Carica la pagina successiva, se c'è e nessun'altra richiesta è in corso.
+   */
+  const handleLoadMore = () => {
+    if (!catalog.hasMore || catalog.status === 'loading' || isRefreshing) return
+    dispatch(fetchCatalogPage({ queryKey, page: catalog.page + 1 }))
+  }
+
+  // L'observer è creato una volta sola: legge sempre l'handler aggiornato
+  loadMoreRef.current = handleLoadMore
+
   /**
    * HANDLER CLICK CATEGORIA
    *
-   * Gestisce selezione categoria dai filtri.
-   * Aggiorna solo stato locale; URL viene gestito dai link.
+   * Salva la categoria nell'URL ('all' la rimuove).
    *
-   * @param {string} category - Categoria selezionata
+   * @param {string} category - Slug della categoria selezionata
    */
   const handleCategoryClick = (category) => {
-    setActiveCategory(category)
+    updateParams({ category: category === 'all' ? null : category })
+  }
+
+  /**
+   * HANDLER DIGITAZIONE RICERCA
+   *
+   * Aggiorna ?q= a ogni tasto sostituendo la voce di cronologia,
+   * così il tasto indietro non ripercorre ogni lettera.
+   */
+  const handleSearchChange = (e) => {
+    setSearchText(e.target.value)
+    updateParams({ q: e.target.value.trim() }, { replace: true })
+  }
+
+  /**
+   * HANDLER RANGE DI PREZZO
+   *
+   * Applica min e max all'URL, scambiandoli se invertiti.
+   */
+  const handlePriceSubmit = (e) => {
+    e.preventDefault()
+
+    let min = priceDraft.min === '' ? null : Number(priceDraft.min)
+    let max = priceDraft.max === '' ? null : Number(priceDraft.max)
+    if (min !== null && max !== null && min > max) {
+      [min, max] = [max, min]
+    }
+
+    updateParams({
+      min: min !== null ? String(min) : null,
+      max: max !== null ? String(max) : null
+    })
+  }
+
+  /**
+   * HANDLER FILTRI A SCELTA (checkbox) E ORDINAMENTO
+   */
+  const handleToggleFilter = (param) => (e) => {
+    updateParams({ [param]: e.target.checked ? '1' : null })
+  }
+
+  const handleSortChange = (e) => {
+    updateParams({ sort: e.target.value })
+  }
+
+  /**
+   * HANDLER AZZERA FILTRI
+   *
+   * Rimuove prezzo, disponibilità, novità e ordinamento
+   * (categoria e ricerca restano).
+   */
+  const handleResetFilters = () => {
+    updateParams(Object.fromEntries(FILTER_PARAMS.map(param => [param, null])))
   }
-  
+
+  /**
+   * HANDLER CANCELLA RICERCA
+   */
+  const handleClearSearch = () => {
+    setSearchText('')
+    updateParams({ q: null })
+  }
+
   return (
     <div className="container py-5">
 
@@ -165,6 +380,31 @@ function ShopPage() {
        */}
       <div className="row mb-5">
         <div className="col-12">
+          {/* Ricerca full-text: nome, descrizione, categoria e tag */}
+          <form
+            className="mx-auto mb-4"
+            style={{ maxWidth: '560px' }}
+            role="search"
+            onSubmit={(e) => e.preventDefault()}
+          >
+            <div className="input-group input-group-lg">
+              <span className="input-group-text" aria-hidden="true">🔎</span>
+              <input
+                type="search"
+                className="form-control"
+                placeholder="Cerca tra gli articoli (es. tazzina blu)"
+                value={searchText}
+                onChange={handleSearchChange}
+                aria-label="Cerca prodotti"
+              />
+              {searchText && (
+                <button type="button" className="btn btn-outline-secondary" onClick={handleClearSearch}>
+                  Cancella
+                </button>
+              )}
+            </div>
+          </form>
+
           <div className="d-flex flex-wrap justify-content-center gap-2" role="group" aria-label="Filtri categoria prodotti">
 
             {/* Filtro "Tutti" */}
@@ -176,64 +416,140 @@ function ShopPage() {
               aria-label="Mostra tutti i prodotti"
             >
               <span className="me-1">🔍</span>
-              Tutti ({products.length})
+              Tutti ({catalog.matchingTotal})
             </button>
 
-            {/* Filtro Collane */}
-            <button
-              type="button"
-              className={`btn ${activeCategory === 'collane' ? 'btn-primary' : 'btn-outline-primary'}`}
-              onClick={() => handleCategoryClick('collane')}
-              aria-pressed={activeCategory === 'collane'}
-              aria-label="Filtra per collane"
-            >
-              <span className="me-1">📿</span>
-              Collane ({products.filter(p => p.category === 'collane').length})
-            </button>
+            {/* Un filtro per ogni categoria attiva, nell'ordine scelto dall'admin */}
+            {categories.map((category) => (
+              <button
+                key={category.id}
+                type="button"
+                className={`btn ${activeCategory === category.slug ? 'btn-primary' : 'btn-outline-primary'}`}
+                onClick={() => handleCategoryClick(category.slug)}
+                aria-pressed={activeCategory === category.slug}
+                aria-label={`Filtra per ${category.name.toLowerCase()}`}
+              >
+                {category.icon && <span className="me-1">{category.icon}</span>}
+                {category.name} ({countFor(category.slug)})
+              </button>
+            ))}
+          </div>
 
-            {/* Filtro Anelli */}
-            <button
-              type="button"
-              className={`btn ${activeCategory === 'anelli' ? 'btn-primary' : 'btn-outline-primary'}`}
-              onClick={() => handleCategoryClick('anelli')}
-              aria-pressed={activeCategory === 'anelli'}
-              aria-label="Filtra per anelli"
-            >
-              <span className="me-1">💍</span>
-              Anelli ({products.filter(p => p.category === 'anelli').length})
-            </button>
+          {/* ===== FILTRI AVANZATI E ORDINAMENTO ===== */}
+          <div className="card border-0 bg-light mt-4">
+            <div className="card-body">
+              <div className="row g-3 align-items-end">
 
-            {/* Filtro Orecchini */}
-            <button
-              type="button"
-              className={`btn ${activeCategory === 'orecchini' ? 'btn-primary' : 'btn-outline-primary'}`}
-              onClick={() => handleCategoryClick('orecchini')}
-              aria-pressed={activeCategory === 'orecchini'}
-              aria-label="Filtra per orecchini"
-            >
-              <span className="me-1">👂</span>
-              Orecchini ({products.filter(p => p.category === 'orecchini').length})
-            </button>
+                {/* Range di prezzo */}
+                <form className="col-12 col-lg-5" onSubmit={handlePriceSubmit}>
+                  <label className="form-label small fw-bold mb-1" htmlFor="price-min">Prezzo (€)</label>
+                  <div className="input-group input-group-sm">
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      className="form-control"
+                      id="price-min"
+                      placeholder="Min"
+                      value={priceDraft.min}
+                      onChange={(e) => setPriceDraft({ ...priceDraft, min: e.target.value })}
+                      aria-label="Prezzo minimo"
+                    />
+                    <span className="input-group-text">–</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      className="form-control"
+                      placeholder="Max"
+                      value={priceDraft.max}
+                      onChange={(e) => setPriceDraft({ ...priceDraft, max: e.target.value })}
+                      aria-label="Prezzo massimo"
+                    />
+                    <button type="submit" className="btn btn-outline-primary">Applica</button>
+                  </div>
+                </form>
 
-            {/* Filtro Accessori */}
-            <button
-              type="button"
-              className={`btn ${activeCategory === 'accessori' ? 'btn-primary' : 'btn-outline-primary'}`}
-              onClick={() => handleCategoryClick('accessori')}
-              aria-pressed={activeCategory === 'accessori'}
-              aria-label="Filtra per accessori"
-            >
-              <span className="me-1">✨</span>
-              Accessori ({products.filter(p => p.category === 'accessori').length})
-            </button>
+                {/* Disponibilità e novità */}
+                <div className="col-6 col-lg-2">
+                  <div className="form-check">
+                    <input
+                      type="checkbox"
+                      className="form-check-input"
+                      id="filter-available"
+                      checked={filters.onlyAvailable}
+                      onChange={handleToggleFilter('available')}
+                    />
+                    <label className="form-check-label small" htmlFor="filter-available">
+                      Solo disponibili
+                    </label>
+                  </div>
+                  <div className="form-check">
+                    <input
+                      type="checkbox"
+                      className="form-check-input"
+                      id="filter-new"
+                      checked={filters.onlyNew}
+                      onChange={handleToggleFilter('new')}
+                    />
+                    <label
+                      className="form-check-label small"
+                      htmlFor="filter-new"
+                      title={`Aggiunti negli ultimi ${NEW_ARRIVAL_DAYS} giorni`}
+                    >
+                      Novità
+                    </label>
+                  </div>
+                </div>
+
+                {/* Ordinamento */}
+                <div className="col-6 col-lg-3">
+                  <label className="form-label small fw-bold mb-1" htmlFor="sort">Ordina per</label>
+                  <select
+                    className="form-select form-select-sm"
+                    id="sort"
+                    value={filters.sort}
+                    onChange={handleSortChange}
+                  >
+                    {SORT_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.value === '' && query ? 'Pertinenza' : option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Azzera */}
+                <div className="col-12 col-lg-2 text-lg-end">
+                  {(hasActiveFilters(filters) || filters.sort) && (
+                    <button type="button" className="btn btn-link btn-sm" onClick={handleResetFilters}>
+                      Azzera filtri
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
           </div>
 
+          {/* Indicatore ricerca attiva */}
+          {query && (
+            <div className="text-center mt-3">
+              <small className="text-muted">
+                {catalog.total} {catalog.total === 1 ? 'risultato' : 'risultati'} per
+                {' '}<strong className="text-primary">&ldquo;{query}&rdquo;</strong>, dal più pertinente
+              </small>
+            </div>
+          )}
+
           {/* Indicatore categoria attiva */}
           {activeCategory !== 'all' && (
             <div className="text-center mt-3">
               <small className="text-muted">
-                Mostrando prodotti della categoria: <strong className="text-primary">{activeCategory}</strong>
+                Mostrando prodotti della categoria: <strong className="text-primary">{activeCategoryName}</strong>
               </small>
+              {activeCategoryData?.description && (
+                <p className="text-muted small mb-0 mt-1">{activeCategoryData.description}</p>
+              )}
             </div>
           )}
         </div>
@@ -250,15 +566,19 @@ function ShopPage() {
        * - Gap uniforme tra elementi (g-4)
        *
        * GESTIONE STATI:
-       * - Loading: Spinner centrato
+       * - Loading: Spinner centrato (solo se non c'è nulla da mostrare)
        * - Error: Alert con messaggio errore
        * - Empty: Messaggio nessun prodotto
-       * - Success: Grid con ProductCard
+       * - Success: Grid con ProductCard, attenuata mentre arrivano nuovi filtri
        */}
-      <div className="row row-cols-1 row-cols-md-2 row-cols-lg-3 g-4">
+      <div
+        className="row row-cols-1 row-cols-md-2 row-cols-lg-3 g-4"
+        style={{ opacity: isRefreshing && filteredProducts.length > 0 ? 0.5 : 1, transition: 'opacity 0.2s' }}
+        aria-busy={catalog.status === 'loading'}
+      >
 
         {/* ===== LOADING STATE ===== */}
-        {status === 'loading' ? (
+        {isRefreshing && filteredProducts.length === 0 && catalog.status !== 'failed' ? (
           <div className="col-12 text-center py-5">
             <div className="spinner-border text-primary" role="status" style={{ width: '3rem', height: '3rem' }}>
               <span className="visually-hidden">Caricamento prodotti...</span>
@@ -268,18 +588,18 @@ function ShopPage() {
         ) :
 
         /* ===== ERROR STATE ===== */
-        error ? (
+        catalog.status === 'failed' && (isRefreshing || filteredProducts.length === 0) ? (
           <div className="col-12">
             <div className="alert alert-danger d-flex align-items-center" role="alert">
               <svg className="bi flex-shrink-0 me-2" width="24" height="24" role="img" aria-label="Errore:">
                 <use xlinkHref="#exclamation-triangle-fill"/>
               </svg>
               <div>
-                <strong>Errore nel caricamento prodotti:</strong> {error}
+                <strong>Errore nel caricamento prodotti:</strong> {catalog.error}
                 <br />
                 <button
                   className="btn btn-outline-danger btn-sm mt-2"
-                  onClick={() => dispatch(fetchProducts())}
+                  onClick={() => dispatch(fetchCatalogPage({ queryKey, page: 1 }))}
                 >
                   Riprova
                 </button>
@@ -289,22 +609,19 @@ function ShopPage() {
         ) :
 
         /* ===== EMPTY STATE ===== */
-        filteredProducts.length === 0 ? (
+        filteredProducts.length === 0 && !isRefreshing ? (
           <div className="col-12 text-center py-5">
             <div className="mb-4">
               <span style={{ fontSize: '4rem' }}>🔍</span>
             </div>
             <h4 className="text-muted mb-3">Nessun prodotto trovato</h4>
             <p className="text-muted mb-4">
-              {activeCategory === 'all'
-                ? 'Non ci sono prodotti disponibili al momento.'
-                : `Non ci sono prodotti nella categoria "${activeCategory}".`
-              }
+              {getEmptyMessage()}
             </p>
-            {activeCategory !== 'all' && (
+            {isFiltered && (
               <button
                 className="btn btn-primary"
-                onClick={() => handleCategoryClick('all')}
+                onClick={() => setSearchParams({})}
               >
                 Mostra tutti i prodotti
               </button>
@@ -329,6 +646,48 @@ function ShopPage() {
         )}
       </div>
 
+      {/* ===== PAGINE SUCCESSIVE ===== */}
+      {/**
+       * SCROLL INFINITO + FALLBACK
+       *
+       * Il segnaposto resta sempre nel DOM perché l'observer lo osserva
+       * dal mount. "Carica altri" serve a chi naviga da tastiera e
+       * ai browser senza IntersectionObserver.
+       */}
+      <div ref={sentinelRef} aria-hidden="true" />
+      {!isRefreshing && filteredProducts.length > 0 && (
+        <div className="text-center mt-4">
+          {catalog.status === 'failed' ? (
+            <div className="alert alert-danger d-inline-block" role="alert">
+              {catalog.error}
+              <button type="button" className="btn btn-outline-danger btn-sm ms-3" onClick={handleLoadMore}>
+                Riprova
+              </button>
+            </div>
+          ) : catalog.hasMore ? (
+            <button
+              type="button"
+              className="btn btn-outline-primary"
+              onClick={handleLoadMore}
+              disabled={isLoadingMore}
+            >
+              {isLoadingMore ? (
+                <>
+                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                  Caricamento...
+                </>
+              ) : (
+                `Carica altri (${filteredProducts.length} di ${catalog.total})`
+              )}
+            </button>
+          ) : (
+            <small className="text-muted">
+              {catalog.total === 1 ? 'Hai visto l\'unico articolo' : `Hai visto tutti i ${catalog.total} articoli`}
+            </small>
+          )}
+        </div>
+      )}
+
       {/* ===== FOOTER INFORMATIVO ===== */}
       {/**
        * SEZIONE INFORMATIVA FINALE
@@ -0,0 +1,112 @@
+/**
+ * API.JS - HELPER CONDIVISI PER LE CHIAMATE AL BACKEND
+ *
+ * Raccoglie ciò che tutti gli slice usano per parlare con il backend:
+ * - URL base delle API
+ * - Header Authorization con il bearer token della sessione
+ * - Lettura dei messaggi di errore { message } restituiti dal server
+ * - Traduzione di 401/403 in messaggi chiari per l'utente
+ *
+ * PATTERN:
+ * - I thunk lanciano ApiError e nel catch chiamano
+ *   rejectWithValue(error.message, errorMeta(error))
+ * - Il meta sessionExpired viene intercettato da authSlice,
+ *   che chiude la sessione su qualsiasi 401
+ */
+
+// ===== CONFIGURAZIONE API =====
+/**
+ * URL base per le chiamate API
+ * In produzione dovrebbe essere configurato tramite variabili d'ambiente
+ */
+export const API_URL = 'http://localhost:3001'
+
+// ===== ERRORI =====
+
+/**
+ * API ERROR
+ *
+ * Errore con lo status HTTP della risposta che lo ha generato
+ * e, se servono alla pagina, altri dati del body (es. il prodotto
+ * attuale in un conflitto di versione).
+ */
+export class ApiError extends Error {
+  constructor(message, status, details = null) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.details = details
+  }
+}
+
+/**
+ * READ ERROR MESSAGE
+ *
+ * Estrae il messaggio di errore { message } restituito dal backend.
+ * Se il body non è JSON usa il messaggio di fallback.
+ *
+ * @param {Response} response - Risposta fetch non ok
+ * @param {string} fallback - Messaggio di default
+ * @returns {Promise<string>} - Messaggio da mostrare all'utente
+ */
+export const readErrorMessage = async (response, fallback) => {
+  try {
+    const data = await response.json()
+    return data.message || fallback
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * ASSERT AUTHORIZED
+ *
+ * Lancia ApiError se il backend ha risposto 401 o 403.
+ * Da chiamare subito dopo ogni fetch verso una route protetta.
+ *
+ * @param {Response} response - Risposta fetch
+ */
+export const assertAuthorized = async (response) => {
+  if (response.status === 401) {
+    throw new ApiError(
+      await readErrorMessage(response, 'Sessione scaduta: effettua di nuovo il login'),
+      401
+    )
+  }
+
+  if (response.status === 403) {
+    throw new ApiError(
+      await readErrorMessage(response, 'Non hai i permessi per questa operazione'),
+      403
+    )
+  }
+}
+
+/**
+ * ERROR META
+ *
+ * Meta da passare a rejectWithValue: espone lo status HTTP e gli
+ * eventuali dettagli dell'errore, e segnala ad authSlice le sessioni scadute.
+ *
+ * @param {Error} error - Errore catturato nel thunk
+ * @returns {Object} - { status, details, sessionExpired }
+ */
+export const errorMeta = (error) => ({
+  status: error.status || null,
+  details: error.details || null,
+  sessionExpired: error.status === 401
+})
+
+// ===== HEADERS =====
+
+/**
+ * AUTH HEADERS
+ *
+ * Aggiunge l'header Authorization se è presente un token.
+ *
+ * @param {string|null} token - Bearer token della sessione
+ * @param {Object} headers - Header aggiuntivi (es. Content-Type)
+ * @returns {Object} - Header completi per fetch
+ */
+export const authHeaders = (token, headers = {}) =>
+  token ? { ...headers, 'Authorization': `Bearer ${token}` } : headers
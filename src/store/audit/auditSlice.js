@@ -0,0 +1,143 @@
+/**
+ * AUDIT SLICE - REGISTRO DELLE MODIFICHE
+ *
+ * Legge il registro servito da GET /audit (vedi server/audit.js):
+ * - log: pagina attività admin, filtrabile per entità, utente e azione
+ * - productHistory: cronologia di un singolo prodotto nell'editor
+ *
+ * Le voci le scrive solo il server, a ogni modifica riuscita:
+ * qui si leggono e basta.
+ */
+
+// ===== IMPORTAZIONI =====
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import { API_URL, authHeaders, assertAuthorized, errorMeta, readErrorMessage, ApiError } from '../api'
+
+// ===== HELPERS =====
+
+/**
+ * Richiesta GET /audit con i filtri non vuoti
+ */
+const requestAudit = async (filters, token) => {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  )
+  const response = await fetch(`${API_URL}/audit?${params}`, {
+    headers: authHeaders(token),
+  })
+
+  await assertAuthorized(response)
+
+  if (!response.ok) {
+    throw new ApiError(
+      await readErrorMessage(response, `Errore caricamento attività: ${response.status}`),
+      response.status
+    )
+  }
+
+  return response.json()
+}
+
+// ===== ASYNC THUNKS =====
+
+/**
+ * FETCH AUDIT LOG THUNK
+ *
+ * @param {Object} filters - { entity?, entityId?, actorId?, action?, page? }
+ * @returns {Object} - { items, total, page, pageCount, actors }
+ */
+export const fetchAuditLog = createAsyncThunk(
+  'audit/fetchAuditLog',
+  async (filters = {}, { getState, rejectWithValue }) => {
+    try {
+      return await requestAudit(filters, getState().auth.token)
+    } catch (error) {
+      console.error('Fetch audit log error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * FETCH PRODUCT HISTORY THUNK
+ *
+ * @param {number} productId - Prodotto aperto nell'editor
+ * @returns {Object} - Ultime 200 voci del prodotto
+ */
+export const fetchProductHistory = createAsyncThunk(
+  'audit/fetchProductHistory',
+  async (productId, { getState, rejectWithValue }) => {
+    try {
+      return await requestAudit({ entity: 'products', entityId: productId, limit: 200 }, getState().auth.token)
+    } catch (error) {
+      console.error('Fetch product history error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+// ===== STATO INIZIALE =====
+const initialState = {
+  log: {
+    items: [],        // Voci della pagina corrente, le più recenti prima
+    total: 0,
+    page: 1,
+    pageCount: 1,
+    actors: [],       // [{ id, name }] per il filtro per utente
+    status: 'idle',   // 'idle' | 'loading' | 'succeeded' | 'failed'
+    error: null,
+  },
+  productHistory: {
+    productId: null,  // Prodotto a cui si riferiscono le voci
+    items: [],
+    total: 0,
+    status: 'idle',
+    error: null,
+  },
+}
+
+// ===== SLICE DEFINITION =====
+const auditSlice = createSlice({
+  name: 'audit',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // ===== ATTIVITÀ =====
+      .addCase(fetchAuditLog.pending, (state) => {
+        state.log.status = 'loading'
+        state.log.error = null
+      })
+      .addCase(fetchAuditLog.fulfilled, (state, action) => {
+        state.log = { ...action.payload, status: 'succeeded', error: null }
+      })
+      .addCase(fetchAuditLog.rejected, (state, action) => {
+        state.log.status = 'failed'
+        state.log.error = action.payload
+      })
+
+      // ===== CRONOLOGIA PRODOTTO =====
+      .addCase(fetchProductHistory.pending, (state, action) => {
+        // Un altro prodotto: non mostrare le voci del precedente
+        if (state.productHistory.productId !== action.meta.arg) {
+          state.productHistory.items = []
+          state.productHistory.total = 0
+        }
+        state.productHistory.productId = action.meta.arg
+        state.productHistory.status = 'loading'
+        state.productHistory.error = null
+      })
+      .addCase(fetchProductHistory.fulfilled, (state, action) => {
+        state.productHistory.items = action.payload.items
+        state.productHistory.total = action.payload.total
+        state.productHistory.status = 'succeeded'
+      })
+      .addCase(fetchProductHistory.rejected, (state, action) => {
+        state.productHistory.status = 'failed'
+        state.productHistory.error = action.payload
+      })
+  }
+})
+
+// ===== EXPORT REDUCER =====
+export default auditSlice.reducer
@@ -13,19 +13,13 @@
  * - State persistence con localStorage
  * - Error handling centralizzato
  * - User feedback con toast notifications
- * - Security best practices (password sanitization)
+ * - Verifica credenziali e firma token delegate all'auth server (server/auth.js)
  */
 
 // ===== IMPORTAZIONI =====
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
 import { toast } from 'react-toastify'
-
-// ===== CONFIGURAZIONE API =====
-/**
- * URL base per le chiamate API
- * In produzione questo dovrebbe essere configurato tramite variabili d'ambiente
- */
-const API_URL = 'http://localhost:3001'
+import { API_URL, readErrorMessage, authHeaders, assertAuthorized, errorMeta } from '../api'
 
 // ===== ASYNC THUNKS =====
 /**
@@ -37,10 +31,9 @@ const API_URL = 'http://localhost:3001'
  * LOGIN USER THUNK
  *
  * Gestisce il processo di autenticazione utente:
- * 1. Valida le credenziali contro il database
- * 2. Genera un token di sessione
- * 3. Sanitizza i dati utente (rimuove password)
- * 4. Restituisce user + token per il frontend
+ * 1. Invia le credenziali a POST /auth/login
+ * 2. Il server verifica l'hash della password
+ * 3. Il server restituisce l'utente (senza password) e un token firmato
  *
  * @param {Object} credentials - Email e password dell'utente
  * @param {string} credentials.email - Email utente
@@ -51,40 +44,23 @@ export const loginUser = createAsyncThunk(
   'auth/loginUser', // Prefisso per le azioni generate automaticamente
   async ({ email, password }, { rejectWithValue }) => {
     try {
-      // ===== STEP 1: CHIAMATA API PER VERIFICA EMAIL =====
-      const response = await fetch(`${API_URL}/users?email=${email}`)
+      // ===== CHIAMATA API =====
+      const response = await fetch(`${API_URL}/auth/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email, password }),
+      })
 
-      // Controllo status HTTP della risposta
+      // ===== CONTROLLO RISPOSTA =====
       if (!response.ok) {
-        throw new Error('Authentication failed')
-      }
-
-      // ===== STEP 2: PARSING E VALIDAZIONE CREDENZIALI =====
-      const users = await response.json()
-      // Trova utente con email e password corrispondenti
-      // NOTA: In produzione la password dovrebbe essere hashata
-      const user = users.find(u => u.email === email && u.password === password)
-
-      if (!user) {
-        throw new Error('Email o password non validi')
+        throw new Error(await readErrorMessage(response, 'Autenticazione fallita'))
       }
 
-      // ===== STEP 3: SANITIZZAZIONE DATI UTENTE =====
-      // Rimuove la password dall'oggetto utente per sicurezza
-      const authenticatedUser = {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-        // IMPORTANTE: password esclusa per sicurezza
-      }
-
-      // ===== STEP 4: GENERAZIONE TOKEN =====
-      // In produzione questo sarebbe un JWT reale generato dal backend
-      return {
-        user: authenticatedUser,
-        token: `fake-jwt-token-${Math.random().toString(36).substring(2)}`
-      }
+      // Il server non restituisce mai campi password
+      const { user, token } = await response.json()
+      return { user, token }
     } catch (error) {
       // ===== GESTIONE ERRORI =====
       // rejectWithValue permette di passare un payload personalizzato all'azione rejected
@@ -96,11 +72,9 @@ export const loginUser = createAsyncThunk(
 /**
  * REGISTER USER THUNK
  *
- * Gestisce la registrazione di nuovi utenti:
- * 1. Verifica che l'email non sia già in uso
- * 2. Aggiunge ruolo di default 'user'
- * 3. Crea il nuovo utente nel database
- * 4. Restituisce user + token per login automatico
+ * Gestisce la registrazione di nuovi utenti tramite POST /auth/register.
+ * Il server verifica l'unicità dell'email, assegna il ruolo 'user',
+ * salva l'hash della password e restituisce user + token per il login automatico.
  *
  * @param {Object} userData - Dati del nuovo utente
  * @param {string} userData.email - Email utente
@@ -112,56 +86,129 @@ export const registerUser = createAsyncThunk(
   'auth/registerUser',
   async (userData, { rejectWithValue }) => {
     try {
-      // ===== STEP 1: CONTROLLO EMAIL ESISTENTE =====
-      const checkResponse = await fetch(`${API_URL}/users?email=${userData.email}`)
-      const existingUsers = await checkResponse.json()
+      // ===== CHIAMATA API =====
+      const response = await fetch(`${API_URL}/auth/register`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json', // Header necessario per JSON
+        },
+        body: JSON.stringify({
+          name: userData.name,
+          email: userData.email,
+          password: userData.password
+        }),
+      })
 
-      // Verifica unicità email
-      if (existingUsers.length > 0) {
-        throw new Error('Questa email è già registrata')
+      // ===== CONTROLLO RISPOSTA =====
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response, 'Registrazione fallita'))
       }
 
-      // ===== STEP 2: PREPARAZIONE DATI UTENTE =====
-      // Aggiunge ruolo di default e metadati di sistema
-      const newUser = {
-        ...userData,
-        role: 'user', // Ruolo di default per nuovi utenti
-        createdAt: new Date().toISOString(), // Timestamp creazione
-        // In produzione: hash della password, validazione email, etc.
+      const { user, token } = await response.json()
+      return { user, token }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+/**
+ * FETCH CURRENT USER THUNK
+ *
+ * Verifica il token salvato con GET /auth/me.
+ * Chiamato all'avvio dell'app dopo checkAuth: se il server risponde 401
+ * (token scaduto o non valido) la sessione locale viene chiusa.
+ *
+ * @returns {Object} - Utente associato al token
+ */
+export const fetchCurrentUser = createAsyncThunk(
+  'auth/fetchCurrentUser',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const { token } = getState().auth
+
+      if (!token) {
+        throw new Error('Nessuna sessione attiva')
       }
 
-      // ===== STEP 3: CREAZIONE UTENTE =====
-      const response = await fetch(`${API_URL}/users`, {
-        method: 'POST',
+      // ===== CHIAMATA API =====
+      const response = await fetch(`${API_URL}/auth/me`, {
         headers: {
-          'Content-Type': 'application/json', // Header necessario per JSON
+          'Authorization': `Bearer ${token}`,
         },
-        body: JSON.stringify(newUser), // Serializzazione dati
       })
 
+      // ===== CONTROLLO RISPOSTA =====
+      // Solo un 401 indica token scaduto/non valido; altri errori
+      // (es. server non raggiungibile) non chiudono la sessione
+      if (response.status === 401) {
+        return rejectWithValue(
+          await readErrorMessage(response, 'Sessione non valida'),
+          { sessionExpired: true }
+        )
+      }
+
       if (!response.ok) {
-        throw new Error('Registrazione fallita')
+        throw new Error(`Errore verifica sessione: ${response.status}`)
       }
 
-      const user = await response.json()
+      const { user } = await response.json()
+      return user
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
 
-      // ===== STEP 4: SANITIZZAZIONE E RISPOSTA =====
-      // Rimuove password dall'oggetto di risposta
-      const registeredUser = {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-        // IMPORTANTE: password esclusa per sicurezza
+/**
+ * UPDATE PROFILE THUNK
+ *
+ * Salva i dati del profilo (nome e indirizzo di spedizione) sul backend
+ * con PATCH /users/:id. Il server permette all'utente di modificare solo
+ * il proprio profilo e ignora ruolo e password.
+ *
+ * @param {Object} profileData - Campi profilo da aggiornare
+ * @param {string} profileData.name - Nome completo
+ * @param {string} profileData.address - Indirizzo di spedizione
+ * @param {string} profileData.city - Città
+ * @param {string} profileData.postalCode - CAP
+ * @param {string} profileData.phone - Telefono
+ * @returns {Object} - Utente aggiornato
+ */
+export const updateProfile = createAsyncThunk(
+  'auth/updateProfile',
+  async (profileData, { getState, rejectWithValue }) => {
+    try {
+      const { user, token } = getState().auth
+
+      if (!user) {
+        throw new Error('Nessun utente autenticato')
       }
 
-      // Restituisce user + token per login automatico post-registrazione
-      return {
-        user: registeredUser,
-        token: `fake-jwt-token-${Math.random().toString(36).substring(2)}`
+      // ===== PREPARAZIONE DATI =====
+      // Solo i campi del profilo: email, ruolo e password non passano da qui
+      const { name, address, city, postalCode, phone } = profileData
+      const changes = { name, address, city, postalCode, phone, updatedAt: new Date().toISOString() }
+
+      // ===== CHIAMATA API =====
+      const response = await fetch(`${API_URL}/users/${user.id}`, {
+        method: 'PATCH',
+        headers: authHeaders(token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(changes),
+      })
+
+      // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response, `Errore aggiornamento profilo: ${response.status}`))
       }
+
+      return await response.json()
     } catch (error) {
-      return rejectWithValue(error.message)
+      return rejectWithValue(error.message, errorMeta(error))
     }
   }
 )
@@ -355,6 +402,51 @@ const authSlice = createSlice({
         // ===== FEEDBACK ERRORE =====
         toast.error(action.payload || 'Errore durante la registrazione')
       })
+
+      // ===== GESTIONE FETCH CURRENT USER =====
+
+      /**
+       * CURRENT USER FULFILLED
+       * Token valido: aggiorna i dati utente con quelli del server
+       */
+      .addCase(fetchCurrentUser.fulfilled, (state, action) => {
+        state.user = action.payload
+        localStorage.setItem('user', JSON.stringify(action.payload))
+      })
+
+      // ===== GESTIONE UPDATE PROFILE =====
+
+      /**
+       * PROFILE FULFILLED
+       * Aggiorna utente in stato e localStorage
+       */
+      .addCase(updateProfile.fulfilled, (state, action) => {
+        state.user = action.payload
+        localStorage.setItem('user', JSON.stringify(action.payload))
+      })
+
+      // ===== SESSIONE SCADUTA =====
+
+      /**
+       * QUALSIASI THUNK REJECTED CON 401
+       *
+       * fetchCurrentUser e tutti i thunk che chiamano route protette
+       * (vedi errorMeta in api.js) segnalano con meta.sessionExpired
+       * che il server ha rifiutato il token: chiude la sessione locale.
+       * AdminRoute/PrivateRoute reindirizzano poi al login.
+       */
+      .addMatcher(
+        (action) => action.type.endsWith('/rejected') && action.meta?.sessionExpired,
+        (state) => {
+          if (!state.token) return
+
+          state.user = null
+          state.token = null
+          localStorage.removeItem('token')
+          localStorage.removeItem('user')
+          toast.info('Sessione scaduta, effettua di nuovo il login')
+        }
+      )
   },
 })
 
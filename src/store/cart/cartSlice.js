@@ -3,7 +3,11 @@
  *
  * Questo slice gestisce tutto il sistema del carrello acquisti:
  * - Aggiunta e rimozione prodotti
+ * - Righe identificate da prodotto + variante (due misure dello stesso anello sono righe distinte)
  * - Gestione quantità e calcolo totali
+ * - Quantità limitate dallo stock (ogni pezzo è unico)
+ * - Riverifica del carrello salvato quando arrivano prodotti aggiornati
+ * - Prenotazione temporanea dei pezzi all'avvio del checkout
  * - Persistenza con localStorage
  * - Feedback utente con notifiche
  * - Sincronizzazione stato Redux <-> localStorage
@@ -13,13 +17,46 @@
  * - Computed Values: Totali calcolati automaticamente
  * - Optimistic Updates: UI aggiornata immediatamente
  * - User Feedback: Toast notifications per ogni azione
+ * - Revalidation: fetchProducts segnala prezzi cambiati, esauriti, eliminati
  */
 
 // ===== IMPORTAZIONI =====
-import { createSlice } from '@reduxjs/toolkit'
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
 import { toast } from 'react-toastify'
+import { fetchProducts, fetchProductById } from '../products/productsSlice'
+import { createOrder } from '../orders/ordersSlice'
+import { API_URL, ApiError, authHeaders, assertAuthorized, errorMeta, readErrorMessage } from '../api'
+import { findVariant, hasVariants, variantPrice, variantLabel, cartLineId } from '../../utils/variants'
 
 // ===== STATO INIZIALE =====
+/**
+ * CARICA CARRELLO DA LOCALSTORAGE
+ *
+ * I carrelli salvati prima delle varianti non hanno lineId:
+ * la chiave viene ricavata dall'id del prodotto.
+ *
+ * @returns {Array} - Items del carrello
+ */
+const loadCartItems = () => {
+  const items = JSON.parse(localStorage.getItem('cart')) || []
+  return items.map(item => ({ ...item, lineId: item.lineId || cartLineId(item.id, item.variantId) }))
+}
+
+/**
+ * CARICA PRENOTAZIONE DA LOCALSTORAGE
+ *
+ * @returns {Object|null} - { expiresAt } salvato, null se assente o illeggibile
+ */
+const loadReservation = () => {
+  try {
+    const reservation = JSON.parse(localStorage.getItem('cartReservation'))
+    return reservation?.expiresAt ? reservation : null
+  } catch (error) {
+    console.error('Errore lettura prenotazione da localStorage:', error)
+    return null
+  }
+}
+
 /**
  * INITIAL STATE con persistenza localStorage
  *
@@ -29,15 +66,128 @@ import { toast } from 'react-toastify'
 const initialState = {
   // ===== ITEMS CARRELLO =====
   // Carica items da localStorage o array vuoto se non presente
-  items: JSON.parse(localStorage.getItem('cart')) || [],
+  items: loadCartItems(),
 
   // ===== TOTALE CARRELLO =====
   // Calcolato dinamicamente ad ogni modifica
-  total: 0
+  total: 0,
+
+  // ===== PRENOTAZIONE CHECKOUT =====
+  // { expiresAt } mentre i pezzi sono bloccati per l'utente, altrimenti null
+  reservation: loadReservation()
 }
 
 // ===== UTILITY FUNCTIONS =====
 
+/**
+ * PROBLEMI DI UN ITEM
+ *
+ * Valori possibili di item.issue dopo la riverifica:
+ * - 'deleted': il prodotto non esiste più nel catalogo
+ * - 'sold_out': il prodotto è esaurito
+ * - 'price_changed': il prezzo è cambiato (item.previousPrice contiene il vecchio)
+ * - 'quantity_reduced': la quantità è stata ridotta ai pezzi disponibili
+ *   (stock meno quelli riservati da altri clienti)
+ * - 'reserved': il pezzo è temporaneamente riservato da un altro cliente
+ * - 'variant_unavailable': la variante scelta non esiste più (o il prodotto
+ *   ora richiede di sceglierne una)
+ *
+ * Gli item 'deleted', 'sold_out', 'reserved' e 'variant_unavailable' bloccano il checkout.
+ */
+export const BLOCKING_ISSUES = ['deleted', 'sold_out', 'reserved', 'variant_unavailable']
+
+/**
+ * LIMITA QUANTITÀ ALLO STOCK
+ *
+ * Gli item salvati prima della gestione stock non hanno item.stock:
+ * in quel caso la quantità non viene limitata fino alla riverifica.
+ *
+ * @param {number} quantity - Quantità richiesta
+ * @param {number|undefined} stock - Pezzi disponibili
+ * @returns {number} - Quantità consentita
+ */
+const capToStock = (quantity, stock) =>
+  typeof stock === 'number' ? Math.min(quantity, stock) : quantity
+
+/**
+ * RIVERIFICA ITEM
+ *
+ * Confronta un item del carrello con i dati aggiornati del prodotto
+ * e ne aggiorna stock, prezzo, quantità e flag issue.
+ * Per le righe con variante stock, prezzo e pezzi riservati sono quelli della variante.
+ *
+ * @param {Object} item - Item del carrello (draft Immer)
+ * @param {Object|undefined} product - Prodotto dal backend, undefined se eliminato
+ * @returns {boolean} - true se è comparso un nuovo problema
+ */
+const revalidateItem = (item, product) => {
+  const previousIssue = item.issue
+
+  if (!product) {
+    item.issue = 'deleted'
+    return previousIssue !== 'deleted'
+  }
+
+  const variant = findVariant(product, item.variantId)
+
+  if (item.variantId ? !variant : hasVariants(product)) {
+    item.issue = 'variant_unavailable'
+    return previousIssue !== 'variant_unavailable'
+  }
+
+  // Dati anagrafici sempre allineati al catalogo
+  const source = variant || product
+  const price = variantPrice(product, variant)
+  item.name = product.name
+  item.imageUrl = product.imageUrl
+  item.category = product.category
+  item.stock = source.stock
+  if (variant) {
+    item.variantLabel = variantLabel(variant)
+    item.sku = variant.sku
+  }
+
+  if (source.stock <= 0) {
+    item.issue = 'sold_out'
+    return previousIssue !== 'sold_out'
+  }
+
+  // Tutti i pezzi rimasti sono nel checkout di qualcun altro
+  if (source.stock - (source.reservedByOthers || 0) <= 0) {
+    item.issue = 'reserved'
+    return previousIssue !== 'reserved'
+  }
+
+  let issue = null
+
+  // Al checkout contano solo i pezzi non riservati da altri clienti
+  const available = source.stock - (source.reservedByOthers || 0)
+  if (item.quantity > available) {
+    item.quantity = available
+    issue = 'quantity_reduced'
+  }
+
+  // Il cambio di prezzo ha la precedenza nella segnalazione
+  if (price !== item.price) {
+    // Conserva il prezzo visto dal cliente al momento dell'aggiunta
+    item.previousPrice = item.previousPrice ?? item.price
+    item.price = price
+    issue = 'price_changed'
+  }
+
+  if (issue) {
+    item.issue = issue
+    return true
+  }
+
+  // Il prodotto è tornato disponibile: le segnalazioni da confermare restano
+  if (BLOCKING_ISSUES.includes(item.issue)) {
+    item.issue = null
+  }
+
+  return false
+}
+
 /**
  * CALCOLA TOTALE CARRELLO
  *
@@ -53,6 +203,19 @@ const calculateTotal = (items) => {
   }, 0)
 }
 
+/**
+ * SALVA PRENOTAZIONE IN LOCALSTORAGE
+ *
+ * @param {Object|null} reservation - { expiresAt } o null per rimuoverla
+ */
+const saveReservationToStorage = (reservation) => {
+  if (reservation) {
+    localStorage.setItem('cartReservation', JSON.stringify(reservation))
+  } else {
+    localStorage.removeItem('cartReservation')
+  }
+}
+
 /**
  * SALVA CARRELLO IN LOCALSTORAGE
  *
@@ -71,6 +234,82 @@ const saveCartToStorage = (items) => {
   }
 }
 
+// ===== ASYNC THUNKS =====
+
+/**
+ * RESERVE CART ITEMS THUNK
+ *
+ * Blocca sul backend i pezzi del carrello per la durata del checkout.
+ * Ripetere la richiesta aggiorna gli articoli ma non allunga la scadenza.
+ *
+ * @returns {Object} - { reservations, expiresAt }
+ */
+export const reserveCartItems = createAsyncThunk(
+  'cart/reserveCartItems',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const items = getState().cart.items.map(item => ({
+        id: item.id,
+        variantId: item.variantId || null,
+        quantity: item.quantity
+      }))
+
+      // ===== CHIAMATA API =====
+      const response = await fetch(`${API_URL}/checkout/reservations`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({ items }),
+      })
+
+      // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response)
+
+      // 409: qualche pezzo è esaurito o riservato da un altro cliente
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore prenotazione articoli: ${response.status}`),
+          response.status
+        )
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Reserve cart error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * RELEASE CART RESERVATION THUNK
+ *
+ * Libera i pezzi prenotati, ad esempio quando il carrello viene svuotato.
+ */
+export const releaseCartReservation = createAsyncThunk(
+  'cart/releaseCartReservation',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/checkout/reservations`, {
+        method: 'DELETE',
+        headers: authHeaders(getState().auth.token),
+      })
+
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new Error(`Errore rilascio prenotazione: ${response.status}`)
+      }
+
+      return null
+    } catch (error) {
+      console.error('Release reservation error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
 // ===== SLICE DEFINITION =====
 /**
  * CART SLICE - Definizione slice carrello
@@ -88,34 +327,59 @@ const cartSlice = createSlice({
      * ADD TO CART REDUCER
      *
      * Aggiunge un prodotto al carrello o incrementa la quantità se già presente.
-     * Implementa logica di merge intelligente per evitare duplicati.
+     * Implementa logica di merge intelligente per evitare duplicati:
+     * la stessa variante si somma, varianti diverse sono righe separate.
      *
      * @param {Object} state - Stato corrente del carrello
      * @param {Object} action - Azione con payload del prodotto
+     *   (per le varianti: variantId, variantLabel, sku, prezzo e stock della variante)
      */
     addToCart: (state, action) => {
       // ===== DESTRUCTURING PAYLOAD =====
-      const { id, name, price, imageUrl } = action.payload
+      const { id, name, price, imageUrl, category, stock, variantId = null, variantLabel: label = '', sku = null } = action.payload
       const quantity = action.payload.quantity || 1 // Default quantità = 1
+      const lineId = cartLineId(id, variantId)
+      const displayName = label ? `${name} (${label})` : name
 
-      // ===== CONTROLLO ESISTENZA PRODOTTO =====
-      const existingItem = state.items.find(item => item.id === id)
+      // ===== CONTROLLO DISPONIBILITÀ =====
+      if (typeof stock === 'number' && stock <= 0) {
+        toast.error(`${displayName} è esaurito`)
+        return
+      }
+
+      // ===== CONTROLLO ESISTENZA RIGA =====
+      const existingItem = state.items.find(item => item.lineId === lineId)
 
       if (existingItem) {
         // ===== AGGIORNAMENTO QUANTITÀ ESISTENTE =====
-        existingItem.quantity += quantity
-        toast.info(`Quantità aggiornata: ${name} (${existingItem.quantity})`)
+        if (typeof stock === 'number') existingItem.stock = stock
+        const newQuantity = capToStock(existingItem.quantity + quantity, existingItem.stock)
+
+        if (newQuantity === existingItem.quantity) {
+          toast.warning(`Hai già nel carrello tutti i pezzi disponibili di ${displayName}`)
+          return
+        }
+
+        existingItem.quantity = newQuantity
+        toast.info(`Quantità aggiornata: ${displayName} (${existingItem.quantity})`)
       } else {
         // ===== AGGIUNTA NUOVO PRODOTTO =====
         state.items.push({
+          lineId,                           // Chiave della riga: prodotto + variante
           id,
+          variantId,
+          variantLabel: label,              // Es. "Misura: 16"
+          sku,
           name,
           price,
-          quantity,
+          quantity: capToStock(quantity, stock),
           imageUrl,
+          category,
+          stock,                            // Pezzi disponibili, limite della quantità
+          issue: null,                      // Problema rilevato dalla riverifica
           addedAt: new Date().toISOString() // Timestamp aggiunta
         })
-        toast.success(`Aggiunto al carrello: ${name}`)
+        toast.success(`Aggiunto al carrello: ${displayName}`)
       }
 
       // ===== RICALCOLO TOTALE E PERSISTENZA =====
@@ -126,21 +390,21 @@ const cartSlice = createSlice({
     /**
      * REMOVE FROM CART REDUCER
      *
-     * Rimuove completamente un prodotto dal carrello.
-     * Trova l'item per ID e lo elimina dall'array.
+     * Rimuove completamente una riga dal carrello.
+     * Trova l'item per lineId e lo elimina dall'array.
      *
      * @param {Object} state - Stato corrente del carrello
-     * @param {Object} action - Azione con ID del prodotto da rimuovere
+     * @param {Object} action - Azione con lineId della riga da rimuovere
      */
     removeFromCart: (state, action) => {
-      const id = action.payload
+      const lineId = action.payload
 
       // ===== TROVA ITEM DA RIMUOVERE =====
-      const itemToRemove = state.items.find(item => item.id === id)
+      const itemToRemove = state.items.find(item => item.lineId === lineId)
 
       if (itemToRemove) {
         // ===== RIMOZIONE ITEM =====
-        state.items = state.items.filter(item => item.id !== id)
+        state.items = state.items.filter(item => item.lineId !== lineId)
         toast.info(`Rimosso dal carrello: ${itemToRemove.name}`)
       } else {
         // ===== GESTIONE ERRORE =====
@@ -155,28 +419,36 @@ const cartSlice = createSlice({
     /**
      * UPDATE QUANTITY REDUCER
      *
-     * Aggiorna la quantità di un prodotto specifico nel carrello.
-     * Se quantità <= 0, rimuove il prodotto completamente.
+     * Aggiorna la quantità di una riga specifica del carrello.
+     * Se quantità <= 0, rimuove la riga completamente.
      *
      * @param {Object} state - Stato corrente del carrello
-     * @param {Object} action - Azione con id e nuova quantità
+     * @param {Object} action - Azione con lineId e nuova quantità
      */
     updateQuantity: (state, action) => {
-      const { id, quantity } = action.payload
+      const { lineId, quantity } = action.payload
 
       // ===== VALIDAZIONE QUANTITÀ =====
       if (quantity <= 0) {
         // ===== RIMOZIONE SE QUANTITÀ ZERO =====
-        const itemToRemove = state.items.find(item => item.id === id)
-        state.items = state.items.filter(item => item.id !== id)
+        const itemToRemove = state.items.find(item => item.lineId === lineId)
+        state.items = state.items.filter(item => item.lineId !== lineId)
         toast.info(`Articolo rimosso dal carrello: ${itemToRemove?.name || 'Prodotto'}`)
       } else {
         // ===== AGGIORNAMENTO QUANTITÀ =====
-        const item = state.items.find(item => item.id === id)
+        const item = state.items.find(item => item.lineId === lineId)
         if (item) {
           const oldQuantity = item.quantity
-          item.quantity = quantity
-          toast.info(`Quantità aggiornata: ${item.name} (${oldQuantity} → ${quantity})`)
+          const allowedQuantity = capToStock(quantity, item.stock)
+
+          if (allowedQuantity < quantity) {
+            toast.warning(`Disponibili solo ${item.stock} pezzi di ${item.name}`)
+          }
+
+          if (allowedQuantity !== oldQuantity) {
+            item.quantity = allowedQuantity
+            toast.info(`Quantità aggiornata: ${item.name} (${oldQuantity} → ${allowedQuantity})`)
+          }
         } else {
           toast.error('Prodotto non trovato nel carrello')
         }
@@ -187,6 +459,37 @@ const cartSlice = createSlice({
       saveCartToStorage(state.items)
     },
 
+    /**
+     * ACKNOWLEDGE CART CHANGES REDUCER
+     *
+     * Il cliente ha preso visione di prezzi cambiati e quantità ridotte:
+     * le segnalazioni non bloccanti vengono rimosse.
+     */
+    acknowledgeCartChanges: (state) => {
+      state.items.forEach((item) => {
+        if (!BLOCKING_ISSUES.includes(item.issue)) {
+          item.issue = null
+          delete item.previousPrice
+        }
+      })
+
+      saveCartToStorage(state.items)
+    },
+
+    /**
+     * RESERVATION EXPIRED REDUCER
+     *
+     * La finestra di prenotazione è scaduta: il backend ha già
+     * liberato i pezzi, qui si aggiorna lo stato locale.
+     */
+    reservationExpired: (state) => {
+      if (state.reservation) {
+        state.reservation = null
+        saveReservationToStorage(null)
+        toast.warning('La prenotazione dei tuoi articoli è scaduta')
+      }
+    },
+
     /**
      * CLEAR CART REDUCER
      *
@@ -199,15 +502,69 @@ const cartSlice = createSlice({
       // ===== RESET COMPLETO STATO =====
       state.items = []
       state.total = 0
+      state.reservation = null // Dopo l'ordine le prenotazioni sono già chiuse dal backend
 
       // ===== PULIZIA PERSISTENZA =====
       saveCartToStorage([])
+      saveReservationToStorage(null)
 
       // ===== FEEDBACK UTENTE =====
       if (itemCount > 0) {
         toast.info(`Carrello svuotato (${itemCount} articoli rimossi)`)
       }
     }
+  },
+
+  // ===== EXTRA REDUCERS =====
+  /**
+   * RIVERIFICA CARRELLO
+   *
+   * Ogni volta che arrivano dati prodotto aggiornati dal backend,
+   * il carrello salvato viene confrontato con il catalogo.
+   */
+  extraReducers: (builder) => {
+    builder
+      // ===== PRENOTAZIONE CHECKOUT =====
+      .addCase(reserveCartItems.fulfilled, (state, action) => {
+        state.reservation = { expiresAt: action.payload.expiresAt }
+        saveReservationToStorage(state.reservation)
+      })
+      .addCase(releaseCartReservation.fulfilled, (state) => {
+        state.reservation = null
+        saveReservationToStorage(null)
+      })
+      // Creato l'ordine, i pezzi sono trattenuti dall'ordine stesso
+      .addCase(createOrder.fulfilled, (state) => {
+        state.reservation = null
+        saveReservationToStorage(null)
+      })
+
+      .addCase(fetchProducts.fulfilled, (state, action) => {
+        const products = action.payload
+        let changed = false
+
+        state.items.forEach((item) => {
+          const product = products.find(p => p.id === item.id)
+          changed = revalidateItem(item, product) || changed
+        })
+
+        state.total = calculateTotal(state.items)
+        saveCartToStorage(state.items)
+
+        if (changed) {
+          toast.warning('Alcuni articoli del carrello sono cambiati: controlla il carrello')
+        }
+      })
+      .addCase(fetchProductById.fulfilled, (state, action) => {
+        // Tutte le righe del prodotto, una per variante
+        const items = state.items.filter(item => item.id === action.payload.id)
+
+        if (items.length > 0) {
+          items.forEach(item => revalidateItem(item, action.payload))
+          state.total = calculateTotal(state.items)
+          saveCartToStorage(state.items)
+        }
+      })
   }
 })
 
@@ -223,9 +580,24 @@ export const {
   addToCart,      // Aggiunge prodotto al carrello
   removeFromCart, // Rimuove prodotto dal carrello
   updateQuantity, // Aggiorna quantità prodotto
+  acknowledgeCartChanges, // Conferma prezzi cambiati e quantità ridotte
+  reservationExpired, // Prenotazione checkout scaduta
   clearCart       // Svuota carrello completamente
 } = cartSlice.actions
 
+// ===== SELECTORS =====
+
+/**
+ * SELECT UNAVAILABLE CART ITEMS
+ *
+ * Item eliminati o esauriti che impediscono il checkout.
+ *
+ * @param {Object} state - Stato Redux completo
+ * @returns {Array} - Item da rimuovere prima di procedere
+ */
+export const selectUnavailableCartItems = (state) =>
+  state.cart.items.filter(item => BLOCKING_ISSUES.includes(item.issue))
+
 /**
  * EXPORT DEL REDUCER
  *
@@ -0,0 +1,257 @@
+/**
+ * CATEGORIES SLICE - GESTIONE CATEGORIE DEL CATALOGO
+ *
+ * Questo slice gestisce le categorie servite dalla collezione /categories:
+ * - Caricamento delle categorie ordinate per sortOrder
+ * - Creazione, rinomina e archiviazione dalla pagina admin
+ * - Riordinamento con salvataggio in un'unica chiamata
+ *
+ * Navbar, Footer, HomePage, ShopPage e dashboard admin leggono
+ * le categorie da qui invece di averle scritte nel codice.
+ * I prodotti referenziano la categoria tramite lo slug.
+ *
+ * Le categorie archiviate restano nello stato (servono per mostrare
+ * i prodotti esistenti) ma non compaiono nella navigazione:
+ * usare selectActiveCategories per i menu.
+ */
+
+// ===== IMPORTAZIONI =====
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit'
+import { API_URL, authHeaders, assertAuthorized, errorMeta, readErrorMessage, ApiError } from '../api'
+import { fetchProducts } from '../products/productsSlice'
+
+// ===== HELPERS =====
+
+/**
+ * Ordina le categorie per sortOrder (poi per nome a parità)
+ */
+const sortCategories = (categories) =>
+  [...categories].sort((a, b) =>
+    (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name)
+  )
+
+/**
+ * Lancia ApiError con il messaggio del backend se la risposta non è ok
+ */
+const assertOk = async (response, fallback) => {
+  await assertAuthorized(response)
+
+  if (!response.ok) {
+    throw new ApiError(await readErrorMessage(response, fallback), response.status)
+  }
+}
+
+// ===== ASYNC THUNKS =====
+
+/**
+ * FETCH CATEGORIES THUNK
+ *
+ * Carica tutte le categorie, archiviate comprese.
+ * Viene lanciato da App all'avvio perché Navbar e Footer ne hanno bisogno ovunque.
+ *
+ * @returns {Array} - Categorie ordinate
+ */
+export const fetchCategories = createAsyncThunk(
+  'categories/fetchCategories',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/categories?_sort=sortOrder`)
+
+      if (!response.ok) {
+        throw new Error(`Errore nel caricamento delle categorie: ${response.status}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Fetch categories error:', error)
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+/**
+ * CREATE CATEGORY THUNK
+ *
+ * Crea una categoria in fondo all'elenco.
+ * Se lo slug non è indicato il backend lo ricava dal nome.
+ *
+ * @param {Object} categoryData - { name, slug?, description, imageUrl, icon }
+ * @returns {Object} - Categoria creata
+ */
+export const createCategory = createAsyncThunk(
+  'categories/createCategory',
+  async (categoryData, { getState, rejectWithValue }) => {
+    try {
+      if (!categoryData?.name?.trim()) {
+        throw new Error('Il nome della categoria è obbligatorio')
+      }
+
+      const response = await fetch(`${API_URL}/categories`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(categoryData),
+      })
+
+      await assertOk(response, 'Errore nella creazione della categoria')
+
+      return await response.json()
+    } catch (error) {
+      console.error('Create category error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * UPDATE CATEGORY THUNK
+ *
+ * Rinomina, modifica o archivia una categoria.
+ * Se cambia lo slug il backend aggiorna anche i prodotti,
+ * quindi il catalogo viene ricaricato.
+ *
+ * @param {Object} params
+ * @param {number} params.id - ID categoria
+ * @param {Object} params.changes - Campi da aggiornare (es. { archived: true })
+ * @returns {Object} - Categoria aggiornata
+ */
+export const updateCategory = createAsyncThunk(
+  'categories/updateCategory',
+  async ({ id, changes }, { getState, dispatch, rejectWithValue }) => {
+    try {
+      const previous = getState().categories.categories.find(c => c.id === id)
+
+      const response = await fetch(`${API_URL}/categories/${id}`, {
+        method: 'PATCH',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(changes),
+      })
+
+      await assertOk(response, 'Errore nell\'aggiornamento della categoria')
+
+      const category = await response.json()
+
+      if (previous && previous.slug !== category.slug) {
+        dispatch(fetchProducts())
+      }
+
+      return category
+    } catch (error) {
+      console.error('Update category error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * REORDER CATEGORIES THUNK
+ *
+ * Salva il nuovo ordine delle categorie.
+ *
+ * @param {Array<number>} ids - ID delle categorie nell'ordine desiderato
+ * @returns {Array} - Categorie con sortOrder aggiornato
+ */
+export const reorderCategories = createAsyncThunk(
+  'categories/reorderCategories',
+  async (ids, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/categories/reorder`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({ ids }),
+      })
+
+      await assertOk(response, 'Errore nel riordinamento delle categorie')
+
+      return await response.json()
+    } catch (error) {
+      console.error('Reorder categories error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+// ===== STATO INIZIALE =====
+const initialState = {
+  categories: [],  // Tutte le categorie, ordinate per sortOrder
+  status: 'idle',  // 'idle' | 'loading' | 'succeeded' | 'failed'
+  error: null,
+}
+
+// ===== SLICE DEFINITION =====
+const categoriesSlice = createSlice({
+  name: 'categories',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // ===== FETCH =====
+      .addCase(fetchCategories.pending, (state) => {
+        state.status = 'loading'
+        state.error = null
+      })
+      .addCase(fetchCategories.fulfilled, (state, action) => {
+        state.status = 'succeeded'
+        state.categories = sortCategories(action.payload)
+      })
+      .addCase(fetchCategories.rejected, (state, action) => {
+        state.status = 'failed'
+        state.error = action.payload
+      })
+
+      // ===== CREATE =====
+      .addCase(createCategory.fulfilled, (state, action) => {
+        state.categories = sortCategories([...state.categories, action.payload])
+      })
+
+      // ===== UPDATE =====
+      .addCase(updateCategory.fulfilled, (state, action) => {
+        const index = state.categories.findIndex(c => c.id === action.payload.id)
+        if (index !== -1) {
+          state.categories[index] = action.payload
+        }
+      })
+
+      // ===== REORDER =====
+      .addCase(reorderCategories.fulfilled, (state, action) => {
+        state.categories = sortCategories(action.payload)
+      })
+  }
+})
+
+// ===== SELECTORS =====
+
+/**
+ * SELECT CATEGORIES
+ *
+ * Tutte le categorie (archiviate comprese), in ordine.
+ */
+export const selectCategories = (state) => state.categories.categories
+
+/**
+ * SELECT ACTIVE CATEGORIES
+ *
+ * Categorie visibili in navigazione e selezionabili per i nuovi prodotti.
+ */
+export const selectActiveCategories = createSelector(
+  [selectCategories],
+  (categories) => categories.filter(c => !c.archived)
+)
+
+/**
+ * SELECT CATEGORY BY SLUG
+ *
+ * @param {Object} state - Stato Redux
+ * @param {string} slug - Slug della categoria (product.category)
+ * @returns {Object|undefined} - Categoria corrispondente
+ */
+export const selectCategoryBySlug = (state, slug) =>
+  state.categories.categories.find(c => c.slug === slug)
+
+// ===== EXPORT REDUCER =====
+export default categoriesSlice.reducer
@@ -0,0 +1,240 @@
+/**
+ * CHECKOUT SLICE - GESTIONE PROCESSO DI CHECKOUT MULTI-STEP
+ *
+ * Questo slice gestisce lo stato del checkout guidato:
+ * - Step corrente (indirizzo, spedizione, pagamento, riepilogo)
+ * - Indirizzo di spedizione e contatti
+ * - Metodo di spedizione scelto e relativo costo
+ * - Metodo di pagamento scelto
+ * - Ordine già creato in attesa di pagamento (per ritentare senza duplicarlo)
+ * - Persistenza con localStorage per sopravvivere al refresh
+ *
+ * PATTERN IMPLEMENTATI:
+ * - State Persistence: Progresso salvato in localStorage
+ * - Wizard State Machine: Avanzamento step per step
+ * - Pre-fill: Indirizzo precompilato dai dati profilo
+ */
+
+// ===== IMPORTAZIONI =====
+import { createSlice } from '@reduxjs/toolkit'
+import { SHIPPING_METHODS } from '../../utils/shipping'
+
+// ===== COSTANTI =====
+
+/**
+ * STEP DEL CHECKOUT
+ *
+ * Ordine degli step mostrati nella CheckoutPage.
+ */
+export const CHECKOUT_STEPS = ['address', 'shipping', 'payment', 'review']
+
+/**
+ * METODI DI PAGAMENTO DISPONIBILI
+ */
+export const PAYMENT_METHODS = [
+  { id: 'card', label: 'Carta di credito / debito', icon: '💳' },
+  { id: 'bank_transfer', label: 'Bonifico bancario', icon: '🏦' }
+]
+
+// ===== UTILITY FUNCTIONS =====
+
+/**
+ * ITEMS KEY
+ *
+ * Identifica il contenuto del carrello (righe, quantità e spedizione):
+ * un ordine in attesa si riusa solo se la chiave non è cambiata.
+ *
+ * @param {Array} items - Articoli del carrello
+ * @param {string} shippingMethod - ID metodo di spedizione
+ * @returns {string} - Es. "3x1,5:v2x2|standard"
+ */
+export const getItemsKey = (items, shippingMethod) =>
+  `${items.map(item => `${item.lineId}x${item.quantity}`).join(',')}|${shippingMethod}`
+
+/**
+ * Indirizzo vuoto di partenza
+ */
+const emptyAddress = {
+  fullName: '',
+  email: '',
+  phone: '',
+  address: '',
+  city: '',
+  postalCode: ''
+}
+
+/**
+ * Stato di default del checkout
+ */
+const defaultCheckout = {
+  step: 0,                      // Indice in CHECKOUT_STEPS
+  shippingAddress: emptyAddress,
+  shippingMethod: 'standard',
+  paymentMethod: 'card',
+  pendingOrder: null            // { id, itemsKey } ordine creato ma non ancora pagato
+}
+
+/**
+ * CARICA CHECKOUT DA LOCALSTORAGE
+ *
+ * @returns {Object} - Stato salvato o default
+ */
+const loadCheckoutFromStorage = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem('checkout'))
+    return saved
+      ? { ...defaultCheckout, ...saved, shippingAddress: { ...emptyAddress, ...saved.shippingAddress } }
+      : defaultCheckout
+  } catch (error) {
+    console.error('Errore lettura checkout da localStorage:', error)
+    return defaultCheckout
+  }
+}
+
+/**
+ * SALVA CHECKOUT IN LOCALSTORAGE
+ *
+ * @param {Object} state - Stato checkout da salvare
+ */
+const saveCheckoutToStorage = (state) => {
+  try {
+    localStorage.setItem('checkout', JSON.stringify({
+      step: state.step,
+      shippingAddress: state.shippingAddress,
+      shippingMethod: state.shippingMethod,
+      paymentMethod: state.paymentMethod,
+      pendingOrder: state.pendingOrder
+    }))
+  } catch (error) {
+    console.error('Errore salvataggio checkout in localStorage:', error)
+  }
+}
+
+// ===== STATO INIZIALE =====
+const initialState = loadCheckoutFromStorage()
+
+// ===== SLICE DEFINITION =====
+/**
+ * CHECKOUT SLICE - Definizione slice checkout
+ *
+ * Ogni reducer aggiorna lo stato e lo sincronizza con localStorage.
+ */
+const checkoutSlice = createSlice({
+  name: 'checkout',
+  initialState,
+
+  reducers: {
+    /**
+     * PREFILL SHIPPING ADDRESS
+     *
+     * Precompila l'indirizzo con i dati del profilo utente.
+     * Sovrascrive solo i campi ancora vuoti, per non perdere
+     * ciò che l'utente ha già inserito.
+     *
+     * @param {Object} action.payload - Utente autenticato
+     */
+    prefillShippingAddress: (state, action) => {
+      const user = action.payload || {}
+      const fromProfile = {
+        fullName: user.name,
+        email: user.email,
+        phone: user.phone,
+        address: user.address,
+        city: user.city,
+        postalCode: user.postalCode
+      }
+
+      Object.entries(fromProfile).forEach(([field, value]) => {
+        if (!state.shippingAddress[field] && value) {
+          state.shippingAddress[field] = value
+        }
+      })
+
+      saveCheckoutToStorage(state)
+    },
+
+    /**
+     * UPDATE SHIPPING ADDRESS
+     *
+     * @param {Object} action.payload - Campi indirizzo da aggiornare
+     */
+    updateShippingAddress: (state, action) => {
+      state.shippingAddress = { ...state.shippingAddress, ...action.payload }
+      saveCheckoutToStorage(state)
+    },
+
+    /**
+     * SET SHIPPING METHOD
+     *
+     * @param {string} action.payload - ID metodo di spedizione
+     */
+    setShippingMethod: (state, action) => {
+      if (SHIPPING_METHODS.some(m => m.id === action.payload)) {
+        state.shippingMethod = action.payload
+        saveCheckoutToStorage(state)
+      }
+    },
+
+    /**
+     * SET PAYMENT METHOD
+     *
+     * @param {string} action.payload - ID metodo di pagamento
+     */
+    setPaymentMethod: (state, action) => {
+      if (PAYMENT_METHODS.some(m => m.id === action.payload)) {
+        state.paymentMethod = action.payload
+        saveCheckoutToStorage(state)
+      }
+    },
+
+    /**
+     * SET CHECKOUT STEP
+     *
+     * Porta il wizard allo step indicato (limitato agli step esistenti).
+     *
+     * @param {number} action.payload - Indice step
+     */
+    setCheckoutStep: (state, action) => {
+      state.step = Math.min(Math.max(action.payload, 0), CHECKOUT_STEPS.length - 1)
+      saveCheckoutToStorage(state)
+    },
+
+    /**
+     * SET PENDING ORDER
+     *
+     * Ricorda l'ordine creato finché non viene pagato, così un nuovo
+     * tentativo con lo stesso carrello paga lo stesso ordine invece di
+     * crearne un altro.
+     *
+     * @param {Object|null} action.payload - { id, itemsKey } oppure null
+     */
+    setPendingOrder: (state, action) => {
+      state.pendingOrder = action.payload
+      saveCheckoutToStorage(state)
+    },
+
+    /**
+     * RESET CHECKOUT
+     *
+     * Riporta il checkout allo stato iniziale.
+     * Utilizzato dopo la conferma dell'ordine.
+     */
+    resetCheckout: () => {
+      localStorage.removeItem('checkout')
+      return defaultCheckout
+    }
+  }
+})
+
+// ===== EXPORT ACTIONS E REDUCER =====
+export const {
+  prefillShippingAddress, // Precompila indirizzo dal profilo
+  updateShippingAddress,  // Aggiorna campi indirizzo
+  setShippingMethod,      // Seleziona metodo spedizione
+  setPaymentMethod,       // Seleziona metodo pagamento
+  setCheckoutStep,        // Cambia step wizard
+  setPendingOrder,        // Ordine in attesa di pagamento
+  resetCheckout           // Reset dopo ordine completato
+} = checkoutSlice.actions
+
+export default checkoutSlice.reducer
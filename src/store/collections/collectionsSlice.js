@@ -0,0 +1,223 @@
+/**
+ * COLLECTIONS SLICE - COLLEZIONI DI PRODOTTI
+ *
+ * Questo slice gestisce le collezioni servite da /collections
+ * (vedi server/collections.js per la struttura):
+ * - Caricamento di tutte le collezioni (sono poche e leggere)
+ * - Creazione, modifica ed eliminazione dalla pagina admin
+ *
+ * CollectionPage cerca la collezione per slug, ProductDetailPage
+ * le collezioni che contengono il prodotto mostrato.
+ */
+
+// ===== IMPORTAZIONI =====
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import { API_URL, authHeaders, assertAuthorized, errorMeta, readErrorMessage, ApiError } from '../api'
+
+// ===== HELPERS =====
+
+/**
+ * Ordina le collezioni per titolo
+ */
+const sortCollections = (collections) =>
+  [...collections].sort((a, b) => a.title.localeCompare(b.title, 'it'))
+
+/**
+ * Lancia ApiError con il messaggio del backend se la risposta non è ok
+ */
+const assertOk = async (response, fallback) => {
+  await assertAuthorized(response)
+
+  if (!response.ok) {
+    throw new ApiError(await readErrorMessage(response, fallback), response.status)
+  }
+}
+
+// ===== ASYNC THUNKS =====
+
+/**
+ * FETCH COLLECTIONS THUNK
+ *
+ * @returns {Array} - Tutte le collezioni
+ */
+export const fetchCollections = createAsyncThunk(
+  'collections/fetchCollections',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/collections`)
+
+      if (!response.ok) {
+        throw new Error(`Errore nel caricamento delle collezioni: ${response.status}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Fetch collections error:', error)
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+/**
+ * CREATE COLLECTION THUNK
+ *
+ * Se lo slug non è indicato il backend lo ricava dal titolo.
+ *
+ * @param {Object} collectionData - { title, slug?, story, coverImage, productIds }
+ * @returns {Object} - Collezione creata
+ */
+export const createCollection = createAsyncThunk(
+  'collections/createCollection',
+  async (collectionData, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/collections`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(collectionData),
+      })
+
+      await assertOk(response, 'Errore nella creazione della collezione')
+
+      return await response.json()
+    } catch (error) {
+      console.error('Create collection error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * UPDATE COLLECTION THUNK
+ *
+ * @param {Object} params
+ * @param {number} params.id - ID collezione
+ * @param {Object} params.changes - Campi da aggiornare
+ * @returns {Object} - Collezione aggiornata
+ */
+export const updateCollection = createAsyncThunk(
+  'collections/updateCollection',
+  async ({ id, changes }, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/collections/${id}`, {
+        method: 'PATCH',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(changes),
+      })
+
+      await assertOk(response, 'Errore nell\'aggiornamento della collezione')
+
+      return await response.json()
+    } catch (error) {
+      console.error('Update collection error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * DELETE COLLECTION THUNK
+ *
+ * I prodotti non vengono toccati: spariscono solo pagina e collegamenti.
+ *
+ * @param {number} id - ID collezione
+ * @returns {number} - ID della collezione eliminata
+ */
+export const deleteCollection = createAsyncThunk(
+  'collections/deleteCollection',
+  async (id, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/collections/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders(getState().auth.token),
+      })
+
+      await assertOk(response, 'Errore nell\'eliminazione della collezione')
+
+      return id
+    } catch (error) {
+      console.error('Delete collection error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+// ===== STATO INIZIALE =====
+const initialState = {
+  collections: [], // Tutte le collezioni, ordinate per titolo
+  status: 'idle',  // 'idle' | 'loading' | 'succeeded' | 'failed'
+  error: null,
+}
+
+// ===== SLICE DEFINITION =====
+const collectionsSlice = createSlice({
+  name: 'collections',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // ===== FETCH =====
+      .addCase(fetchCollections.pending, (state) => {
+        state.status = 'loading'
+        state.error = null
+      })
+      .addCase(fetchCollections.fulfilled, (state, action) => {
+        state.status = 'succeeded'
+        state.collections = sortCollections(action.payload)
+      })
+      .addCase(fetchCollections.rejected, (state, action) => {
+        state.status = 'failed'
+        state.error = action.payload
+      })
+
+      // ===== CREATE =====
+      .addCase(createCollection.fulfilled, (state, action) => {
+        state.collections = sortCollections([...state.collections, action.payload])
+      })
+
+      // ===== UPDATE =====
+      .addCase(updateCollection.fulfilled, (state, action) => {
+        state.collections = sortCollections(
+          state.collections.map(c => (c.id === action.payload.id ? action.payload : c))
+        )
+      })
+
+      // ===== DELETE =====
+      .addCase(deleteCollection.fulfilled, (state, action) => {
+        state.collections = state.collections.filter(c => c.id !== action.payload)
+      })
+  }
+})
+
+// ===== SELECTORS =====
+
+/**
+ * SELECT COLLECTION BY SLUG
+ *
+ * @param {Object} state - Stato Redux
+ * @param {string} slug - Slug dall'URL
+ * @returns {Object|undefined} - Collezione corrispondente
+ */
+export const selectCollectionBySlug = (state, slug) =>
+  state.collections.collections.find(c => c.slug === slug)
+
+// ===== HELPERS PUBBLICI =====
+
+/**
+ * PRODUCT COLLECTIONS
+ *
+ * Non è un selettore: filter() crea un array nuovo a ogni chiamata,
+ * quindi il componente legge le collezioni e filtra durante il render.
+ *
+ * @param {Array} collections - Collezioni dello stato
+ * @param {number} productId - ID del prodotto
+ * @returns {Array} - Collezioni che contengono il prodotto
+ */
+export const productCollections = (collections, productId) =>
+  collections.filter(c => c.productIds.includes(productId))
+
+// ===== EXPORT REDUCER =====
+export default collectionsSlice.reducer
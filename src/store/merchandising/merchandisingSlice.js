@@ -0,0 +1,114 @@
+/**
+ * MERCHANDISING SLICE - CONFIGURAZIONE DELLA HOME
+ *
+ * Prodotti in evidenza e sezioni della home serviti da /merchandising
+ * (vedi server/merchandising.js e src/utils/merchandising.js):
+ * - HomePage la carica e la risolve con i prodotti del negozio
+ * - La pagina admin /admin/merchandising la modifica e la salva
+ *
+ * Finché la configurazione non arriva (o se la richiesta fallisce)
+ * la home usa DEFAULT_MERCHANDISING, così non resta mai vuota.
+ */
+
+// ===== IMPORTAZIONI =====
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import { API_URL, authHeaders, assertAuthorized, errorMeta, readErrorMessage, ApiError } from '../api'
+import { DEFAULT_MERCHANDISING, normalizeMerchandising } from '../../utils/merchandising'
+
+// ===== ASYNC THUNKS =====
+
+/**
+ * FETCH MERCHANDISING THUNK
+ *
+ * @returns {Object} - Configurazione completa
+ */
+export const fetchMerchandising = createAsyncThunk(
+  'merchandising/fetchMerchandising',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/merchandising`)
+
+      if (!response.ok) {
+        throw new Error(`Errore nel caricamento della home: ${response.status}`)
+      }
+
+      return normalizeMerchandising(await response.json())
+    } catch (error) {
+      console.error('Fetch merchandising error:', error)
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+/**
+ * SAVE MERCHANDISING THUNK
+ *
+ * @param {Object} config - { featured: { productIds, startsAt, endsAt }, sections }
+ * @returns {Object} - Configurazione salvata
+ */
+export const saveMerchandising = createAsyncThunk(
+  'merchandising/saveMerchandising',
+  async (config, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/merchandising`, {
+        method: 'PUT',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(config),
+      })
+
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore salvataggio home: ${response.status}`),
+          response.status
+        )
+      }
+
+      return normalizeMerchandising(await response.json())
+    } catch (error) {
+      console.error('Save merchandising error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+// ===== STATO INIZIALE =====
+const initialState = {
+  config: DEFAULT_MERCHANDISING, // Ultima configurazione caricata o salvata
+  status: 'idle',                // 'idle' | 'loading' | 'succeeded' | 'failed'
+  error: null,
+}
+
+// ===== SLICE DEFINITION =====
+const merchandisingSlice = createSlice({
+  name: 'merchandising',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // ===== FETCH =====
+      .addCase(fetchMerchandising.pending, (state) => {
+        state.status = 'loading'
+        state.error = null
+      })
+      .addCase(fetchMerchandising.fulfilled, (state, action) => {
+        state.status = 'succeeded'
+        state.config = action.payload
+      })
+      .addCase(fetchMerchandising.rejected, (state, action) => {
+        state.status = 'failed'
+        state.error = action.payload
+      })
+
+      // ===== SAVE =====
+      .addCase(saveMerchandising.fulfilled, (state, action) => {
+        state.config = action.payload
+      })
+  }
+})
+
+// ===== EXPORT REDUCER =====
+export default merchandisingSlice.reducer
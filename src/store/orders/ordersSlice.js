@@ -4,6 +4,7 @@
  * Questo slice gestisce tutto il sistema degli ordini:
  * - Creazione e gestione ordini utente
  * - Tracking stato ordini (pending, processing, shipped, delivered)
+ * - Stato pagamento separato (paymentStatus) gestito dalle route /payments
  * - Cronologia ordini per utenti e admin
  * - Integrazione con sistema di pagamento
  * - Analytics e reporting ordini
@@ -24,7 +25,391 @@
  */
 
 // ===== IMPORTAZIONI =====
-import { createSlice } from '@reduxjs/toolkit'
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit'
+import { API_URL, authHeaders, assertAuthorized, errorMeta, readErrorMessage, ApiError } from '../api'
+import { VALID_TRANSITIONS } from '../../utils/orderStatus'
+
+// ===== ASYNC THUNKS =====
+/**
+ * Gli Async Thunks sincronizzano gli ordini con la collezione /orders
+ * del backend, così la cronologia sopravvive al refresh della pagina.
+ */
+
+/**
+ * CREATE ORDER THUNK
+ *
+ * Salva un nuovo ordine sul backend al termine del checkout.
+ * L'ID viene assegnato dal server.
+ *
+ * @param {Object} orderData - Dati ordine
+ * @param {number} orderData.userId - ID utente che ha ordinato
+ * @param {Array} orderData.items - Items ordinati
+ * @param {number} orderData.total - Totale ordine
+ * @returns {Object} - Ordine creato con ID assegnato
+ */
+export const createOrder = createAsyncThunk(
+  'orders/createOrder',
+  async (orderData, { getState, rejectWithValue }) => {
+    try {
+      // ===== VALIDAZIONE INPUT =====
+      if (!orderData?.userId) {
+        throw new Error('Utente obbligatorio per creare un ordine')
+      }
+
+      if (!Array.isArray(orderData.items) || orderData.items.length === 0) {
+        throw new Error('L\'ordine non contiene prodotti')
+      }
+
+      // ===== PREPARAZIONE DATI =====
+      const orderToCreate = {
+        ...orderData,
+        status: orderData.status || 'pending', // Stato iniziale
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+
+      // ===== CHIAMATA API =====
+      const response = await fetch(`${API_URL}/orders`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(orderToCreate),
+      })
+
+      // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response)
+
+      // 409: stock insufficiente, il messaggio elenca gli articoli mancanti
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore creazione ordine: ${response.status}`),
+          response.status
+        )
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Create order error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * FETCH USER ORDERS THUNK
+ *
+ * Recupera la cronologia ordini di un singolo utente,
+ * dal più recente al più vecchio.
+ *
+ * @param {number} userId - ID utente
+ * @returns {Array} - Ordini dell'utente
+ */
+export const fetchUserOrders = createAsyncThunk(
+  'orders/fetchUserOrders',
+  async (userId, { getState, rejectWithValue }) => {
+    try {
+      // ===== VALIDAZIONE INPUT =====
+      if (!userId) {
+        throw new Error('User ID is required')
+      }
+
+      // ===== CHIAMATA API =====
+      // Il server restituisce a un cliente solo i propri ordini
+      const response = await fetch(
+        `${API_URL}/orders?userId=${userId}&_sort=createdAt&_order=desc`,
+        { headers: authHeaders(getState().auth.token) }
+      )
+
+      // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new Error(`Errore nel caricamento degli ordini: ${response.status}`)
+      }
+
+      const orders = await response.json()
+
+      if (!Array.isArray(orders)) {
+        throw new Error('Invalid data format: expected array of orders')
+      }
+
+      return orders
+    } catch (error) {
+      console.error('Fetch user orders error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * FETCH ALL ORDERS THUNK
+ *
+ * Recupera tutti gli ordini del sistema per la gestione admin.
+ *
+ * @returns {Array} - Tutti gli ordini, più recenti primi
+ */
+export const fetchAllOrders = createAsyncThunk(
+  'orders/fetchAllOrders',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      // ===== CHIAMATA API =====
+      const response = await fetch(`${API_URL}/orders?_sort=createdAt&_order=desc`, {
+        headers: authHeaders(getState().auth.token),
+      })
+
+      // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new Error(`Errore nel caricamento degli ordini: ${response.status}`)
+      }
+
+      const orders = await response.json()
+
+      if (!Array.isArray(orders)) {
+        throw new Error('Invalid data format: expected array of orders')
+      }
+
+      return orders
+    } catch (error) {
+      console.error('Fetch all orders error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * UPDATE ORDER STATUS THUNK
+ *
+ * Aggiorna lo stato di un ordine esistente sul backend.
+ * La transizione viene validata con VALID_TRANSITIONS prima della chiamata.
+ *
+ * @param {Object} params - Parametri aggiornamento
+ * @param {number|string} params.orderId - ID ordine da aggiornare
+ * @param {string} params.status - Nuovo stato ordine
+ * @returns {Object} - Ordine aggiornato
+ */
+export const updateOrderStatus = createAsyncThunk(
+  'orders/updateOrderStatus',
+  async ({ orderId, status }, { getState, rejectWithValue }) => {
+    try {
+      // ===== TROVA ORDINE =====
+      const order = getState().orders.orders.find(order => order.id === orderId)
+
+      if (!order) {
+        throw new Error(`Ordine non trovato: ${orderId}`)
+      }
+
+      // ===== VALIDAZIONE TRANSIZIONE STATO =====
+      const currentStatus = order.status
+      const isValidTransition = VALID_TRANSITIONS[currentStatus]?.includes(status)
+
+      if (!isValidTransition && VALID_TRANSITIONS[currentStatus]) {
+        throw new Error(`Transizione non valida: ${currentStatus} → ${status}`)
+      }
+
+      // ===== PREPARAZIONE DATI =====
+      const now = new Date().toISOString()
+      const changes = { status, updatedAt: now }
+
+      // Metadati aggiuntivi
+      if (status === 'shipped') {
+        changes.shippedAt = now
+      } else if (status === 'delivered') {
+        changes.deliveredAt = now
+      }
+
+      // ===== CHIAMATA API =====
+      const response = await fetch(`${API_URL}/orders/${orderId}`, {
+        method: 'PATCH',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(changes),
+      })
+
+      // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        if (response.status === 404) {
+          throw new Error('Ordine non trovato')
+        }
+        throw new Error(`Errore aggiornamento ordine: ${response.status}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Update order status error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * CANCEL UNPAID ORDER THUNK
+ *
+ * Annulla un ordine del cliente rimasto in attesa di pagamento
+ * (carrello cambiato o carta rifiutata durante il checkout).
+ * Il backend rimette in stock i pezzi dell'ordine.
+ *
+ * @param {number} orderId - ID ordine da annullare
+ * @returns {Object} - Ordine annullato
+ */
+export const cancelUnpaidOrder = createAsyncThunk(
+  'orders/cancelUnpaidOrder',
+  async (orderId, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/orders/${orderId}`, {
+        method: 'PATCH',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({ status: 'cancelled' }),
+      })
+
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore annullamento ordine: ${response.status}`),
+          response.status
+        )
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Cancel unpaid order error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+// ===== PAGAMENTI =====
+/**
+ * I thunk di pagamento chiamano le route /payments del backend, che
+ * parlano con il provider configurato e aggiornano order.paymentStatus.
+ * I dati della carta passano solo in questa chiamata e non vengono salvati.
+ */
+
+/**
+ * POST PAYMENT ACTION
+ *
+ * Esegue una POST su /payments/:orderId/:action e restituisce il body.
+ *
+ * @param {number} orderId - ID ordine
+ * @param {string} action - 'authorize' | 'challenge' | 'capture' | 'refund'
+ * @param {Object} body - Dati della richiesta
+ * @param {string|null} token - Bearer token della sessione
+ * @returns {Promise<Object>} - { order, outcome?, message? }
+ */
+const postPaymentAction = async (orderId, action, body, token) => {
+  const response = await fetch(`${API_URL}/payments/${orderId}/${action}`, {
+    method: 'POST',
+    headers: authHeaders(token, {
+      'Content-Type': 'application/json',
+    }),
+    body: JSON.stringify(body),
+  })
+
+  await assertAuthorized(response)
+
+  if (!response.ok) {
+    throw new ApiError(
+      await readErrorMessage(response, `Errore pagamento: ${response.status}`),
+      response.status
+    )
+  }
+
+  return await response.json()
+}
+
+/**
+ * PAY ORDER THUNK
+ *
+ * Autorizza (e con cattura automatica incassa) il pagamento con carta.
+ *
+ * @param {Object} params - Parametri pagamento
+ * @param {number} params.orderId - ID ordine da pagare
+ * @param {Object} params.card - { holder, number, expiry, cvc }
+ * @returns {Object} - { order, outcome: 'authorized'|'requires_action'|'declined', message }
+ */
+export const payOrder = createAsyncThunk(
+  'orders/payOrder',
+  async ({ orderId, card }, { getState, rejectWithValue }) => {
+    try {
+      return await postPaymentAction(orderId, 'authorize', { card }, getState().auth.token)
+    } catch (error) {
+      console.error('Pay order error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * CONFIRM PAYMENT CHALLENGE THUNK
+ *
+ * Invia l'esito della verifica 3-D Secure richiesta dalla banca.
+ *
+ * @param {Object} params - Parametri
+ * @param {number} params.orderId - ID ordine
+ * @param {boolean} params.approved - true se il cliente ha confermato
+ * @returns {Object} - { order, outcome: 'authorized'|'declined', message }
+ */
+export const confirmPaymentChallenge = createAsyncThunk(
+  'orders/confirmPaymentChallenge',
+  async ({ orderId, approved }, { getState, rejectWithValue }) => {
+    try {
+      return await postPaymentAction(orderId, 'challenge', { approved }, getState().auth.token)
+    } catch (error) {
+      console.error('Payment challenge error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * CAPTURE PAYMENT THUNK
+ *
+ * Incassa un pagamento autorizzato (solo admin, con PAYMENT_CAPTURE=manual).
+ *
+ * @param {number} orderId - ID ordine
+ * @returns {Object} - { order }
+ */
+export const capturePayment = createAsyncThunk(
+  'orders/capturePayment',
+  async (orderId, { getState, rejectWithValue }) => {
+    try {
+      return await postPaymentAction(orderId, 'capture', {}, getState().auth.token)
+    } catch (error) {
+      console.error('Capture payment error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * REFUND PAYMENT THUNK
+ *
+ * Rimborsa tutto o parte dell'importo incassato (solo admin).
+ *
+ * @param {Object} params - Parametri rimborso
+ * @param {number} params.orderId - ID ordine
+ * @param {number} [params.amount] - Importo; se assente rimborsa il residuo
+ * @returns {Object} - { order }
+ */
+export const refundPayment = createAsyncThunk(
+  'orders/refundPayment',
+  async ({ orderId, amount }, { getState, rejectWithValue }) => {
+    try {
+      return await postPaymentAction(orderId, 'refund', { amount }, getState().auth.token)
+    } catch (error) {
+      console.error('Refund payment error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
 
 // ===== STATO INIZIALE =====
 /**
@@ -37,7 +422,7 @@ import { createSlice } from '@reduxjs/toolkit'
  */
 const initialState = {
   // ===== DATI ORDINI =====
-  orders: [],              // Array di tutti gli ordini del sistema
+  orders: [],              // Ordini caricati dal backend (utente o tutti per admin)
 
   // ===== STATO OPERAZIONI =====
   status: 'idle',          // 'idle' | 'loading' | 'succeeded' | 'failed'
@@ -51,7 +436,8 @@ const initialState = {
  * ORDERS SLICE - Definizione slice ordini
  *
  * Gestisce tutte le operazioni degli ordini con Redux Toolkit.
- * Implementa state machine per stati ordini e role-based access.
+ * Le operazioni di scrittura passano dai thunk, i reducers
+ * si limitano a riflettere le risposte del backend.
  */
 const ordersSlice = createSlice({
   name: 'orders', // Nome slice (prefisso action types)
@@ -60,105 +446,115 @@ const ordersSlice = createSlice({
   // ===== REDUCERS =====
   reducers: {
     /**
-     * ADD ORDER REDUCER
-     *
-     * Aggiunge un nuovo ordine al sistema.
-     * Utilizzato dopo il completamento del checkout.
+     * CLEAR ORDERS REDUCER
      *
-     * @param {Object} state - Stato corrente ordini
-     * @param {Object} action - Azione con payload ordine
-     * @param {Object} action.payload - Dati completi ordine
-     * @param {string} action.payload.id - ID univoco ordine
-     * @param {number} action.payload.userId - ID utente che ha ordinato
-     * @param {Array} action.payload.items - Items ordinati
-     * @param {number} action.payload.total - Totale ordine
-     * @param {string} action.payload.status - Stato iniziale ordine
-     * @param {string} action.payload.createdAt - Timestamp creazione
+     * Pulisce gli ordini caricati nello stato locale.
+     * Utilizzato per reset o logout; non tocca il backend.
      */
-    addOrder: (state, action) => {
-      // ===== VALIDAZIONE PAYLOAD =====
-      const order = action.payload
-
-      // Aggiunge timestamp se non presente
-      if (!order.createdAt) {
-        order.createdAt = new Date().toISOString()
-      }
-
-      // Stato di default se non specificato
-      if (!order.status) {
-        order.status = 'pending'
-      }
+    clearOrders: (state) => {
+      state.orders = []
+      state.status = 'idle'
+      state.error = null
+    }
+  },
 
-      // ===== AGGIUNTA ORDINE =====
-      state.orders.push(order)
+  // ===== EXTRA REDUCERS =====
+  /**
+   * Gestiscono le azioni pending/fulfilled/rejected generate dai thunk.
+   */
+  extraReducers: (builder) => {
+    builder
+      // ===== GESTIONE CREATE ORDER =====
+      .addCase(createOrder.pending, (state) => {
+        state.status = 'loading'
+        state.error = null
+      })
+      .addCase(createOrder.fulfilled, (state, action) => {
+        state.status = 'succeeded'
+        state.orders.unshift(action.payload) // Più recente in cima
+        state.error = null
+      })
+      .addCase(createOrder.rejected, (state, action) => {
+        state.status = 'failed'
+        state.error = action.payload
+      })
 
-      // ===== ORDINAMENTO CRONOLOGICO =====
-      // Mantiene ordini ordinati per data (più recenti primi)
-      state.orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-    },
+      // ===== GESTIONE FETCH USER ORDERS =====
+      .addCase(fetchUserOrders.pending, (state) => {
+        state.status = 'loading'
+        state.error = null
+      })
+      .addCase(fetchUserOrders.fulfilled, (state, action) => {
+        state.status = 'succeeded'
+        state.orders = action.payload
+        state.error = null
+      })
+      .addCase(fetchUserOrders.rejected, (state, action) => {
+        state.status = 'failed'
+        state.error = action.payload
+      })
 
-    /**
-     * UPDATE ORDER STATUS REDUCER
-     *
-     * Aggiorna lo stato di un ordine esistente.
-     * Implementa state machine per transizioni valide.
-     *
-     * @param {Object} state - Stato corrente ordini
-     * @param {Object} action - Azione con dati aggiornamento
-     * @param {string} action.payload.orderId - ID ordine da aggiornare
-     * @param {string} action.payload.status - Nuovo stato ordine
-     */
-    updateOrderStatus: (state, action) => {
-      const { orderId, status } = action.payload
+      // ===== GESTIONE FETCH ALL ORDERS =====
+      .addCase(fetchAllOrders.pending, (state) => {
+        state.status = 'loading'
+        state.error = null
+      })
+      .addCase(fetchAllOrders.fulfilled, (state, action) => {
+        state.status = 'succeeded'
+        state.orders = action.payload
+        state.error = null
+      })
+      .addCase(fetchAllOrders.rejected, (state, action) => {
+        state.status = 'failed'
+        state.error = action.payload
+      })
 
-      // ===== TROVA ORDINE =====
-      const order = state.orders.find(order => order.id === orderId)
-
-      if (order) {
-        // ===== VALIDAZIONE TRANSIZIONE STATO =====
-        const validTransitions = {
-          'pending': ['processing', 'cancelled'],
-          'processing': ['shipped', 'cancelled'],
-          'shipped': ['delivered'],
-          'delivered': [], // Stato finale
-          'cancelled': []  // Stato finale
+      // ===== GESTIONE UPDATE ORDER STATUS =====
+      .addCase(updateOrderStatus.pending, (state) => {
+        state.status = 'loading'
+        state.error = null
+      })
+      .addCase(updateOrderStatus.fulfilled, (state, action) => {
+        const index = state.orders.findIndex(order => order.id === action.payload.id)
+        if (index !== -1) {
+          state.orders[index] = action.payload
         }
+        state.status = 'succeeded'
+        state.error = null
+      })
+      .addCase(updateOrderStatus.rejected, (state, action) => {
+        state.status = 'failed'
+        state.error = action.payload
+      })
 
-        const currentStatus = order.status
-        const isValidTransition = validTransitions[currentStatus]?.includes(status)
-
-        if (isValidTransition || !validTransitions[currentStatus]) {
-          // ===== AGGIORNAMENTO STATO =====
-          order.status = status
-          order.updatedAt = new Date().toISOString()
+      // ===== ANNULLAMENTO DAL CHECKOUT =====
+      // Come i pagamenti non tocca status/error globali: l'errore lo mostra il checkout
+      .addCase(cancelUnpaidOrder.fulfilled, (state, action) => {
+        const index = state.orders.findIndex(order => order.id === action.payload.id)
+        if (index !== -1) {
+          state.orders[index] = action.payload
+        }
+      })
 
-          // ===== METADATI AGGIUNTIVI =====
-          if (status === 'shipped') {
-            order.shippedAt = new Date().toISOString()
-          } else if (status === 'delivered') {
-            order.deliveredAt = new Date().toISOString()
+      // ===== GESTIONE PAGAMENTI =====
+      // Non toccano status/error globali: l'esito è mostrato da chi li chiama
+      .addMatcher(
+        isAnyOf(
+          payOrder.fulfilled,
+          confirmPaymentChallenge.fulfilled,
+          capturePayment.fulfilled,
+          refundPayment.fulfilled
+        ),
+        (state, action) => {
+          const updated = action.payload.order
+          const index = state.orders.findIndex(order => order.id === updated.id)
+          if (index !== -1) {
+            state.orders[index] = updated
+          } else {
+            state.orders.unshift(updated)
           }
-        } else {
-          console.warn(`Invalid status transition: ${currentStatus} → ${status}`)
         }
-      } else {
-        console.error(`Order not found: ${orderId}`)
-      }
-    },
-
-    /**
-     * CLEAR ORDERS REDUCER
-     *
-     * Pulisce tutti gli ordini dal sistema.
-     * Utilizzato per reset o logout admin.
-     *
-     * ATTENZIONE: Operazione irreversibile in questo contesto
-     */
-    clearOrders: (state) => {
-      state.orders = []
-      state.status = 'idle'
-      state.error = null
-    }
+      )
   }
 })
 
@@ -170,9 +566,7 @@ const ordersSlice = createSlice({
  * Redux Toolkit genera automaticamente action creators per ogni reducer.
  */
 export const {
-  addOrder,          // Aggiunge nuovo ordine
-  updateOrderStatus, // Aggiorna stato ordine
-  clearOrders        // Pulisce tutti gli ordini
+  clearOrders        // Pulisce gli ordini caricati
 } = ordersSlice.actions
 
 // ===== SELECTORS =====
@@ -262,7 +656,7 @@ export const selectOrderStats = (state) => {
     cancelled: orders.filter(o => o.status === 'cancelled').length,
     totalRevenue: orders
       .filter(o => o.status !== 'cancelled')
-      .reduce((sum, order) => sum + (order.total || 0), 0)
+      .reduce((sum, order) => sum + (order.total || 0) - (order.payment?.refundedAmount || 0), 0)
   }
 }
 
@@ -7,6 +7,12 @@
  * - Gestione cache e stato loading
  * - Error handling centralizzato
  * - Integrazione con dashboard admin
+ * - Stock allineato agli ordini creati e annullati
+ * - Catalogo paginato del negozio (GET /catalog) con conteggi per categoria
+ * - Operazioni su più prodotti dalla dashboard (POST /products/bulk)
+ * - Importazione del catalogo da CSV o JSON (POST /products/import)
+ * - Cestino: prodotti eliminati da ripristinare o eliminare definitivamente
+ * - Ritorno a una versione precedente dalla cronologia (POST /products/:id/revert)
  *
  * PATTERN UTILIZZATI:
  * - Async Thunks per operazioni API asincrone
@@ -23,14 +29,10 @@
  */
 
 // ===== IMPORTAZIONI =====
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
-
-// ===== CONFIGURAZIONE API =====
-/**
- * URL base per le chiamate API prodotti
- * In produzione dovrebbe essere configurato tramite variabili d'ambiente
- */
-const API_URL = 'http://localhost:3001'
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit'
+import { API_URL, ApiError, authHeaders, assertAuthorized, errorMeta, readErrorMessage } from '../api'
+import { createOrder, updateOrderStatus, cancelUnpaidOrder } from '../orders/ordersSlice'
+import { findVariant, totalVariantStock } from '../../utils/variants'
 
 // ===== ASYNC THUNKS =====
 /**
@@ -42,19 +44,24 @@ const API_URL = 'http://localhost:3001'
  * FETCH ALL PRODUCTS THUNK
  *
  * Recupera tutti i prodotti dal backend per:
- * - Popolare il catalogo nella ShopPage
  * - Mostrare prodotti featured nella HomePage
- * - Fornire dati per filtri e ricerche
+ * - Gestione prodotti nella dashboard admin
+ * - Revalidare il carrello contro il catalogo completo
  * - Cache centralizzata per performance
  *
+ * Il negozio (ShopPage) usa invece fetchCatalogPage, paginato.
+ *
  * @returns {Array} - Array di tutti i prodotti
  */
 export const fetchProducts = createAsyncThunk(
   'products/fetchProducts', // Action type prefix
-  async (_, { rejectWithValue }) => {
+  async (_, { getState, rejectWithValue }) => {
     try {
       // ===== CHIAMATA API =====
-      const response = await fetch(`${API_URL}/products`)
+      // Il token serve a non contare come "riservati da altri" i pezzi prenotati dall'utente
+      const response = await fetch(`${API_URL}/products`, {
+        headers: authHeaders(getState().auth.token),
+      })
 
       // ===== CONTROLLO RISPOSTA =====
       if (!response.ok) {
@@ -78,6 +85,50 @@ export const fetchProducts = createAsyncThunk(
   }
 )
 
+/**
+ * NUMERO DI PRODOTTI PER PAGINA DEL CATALOGO
+ */
+export const CATALOG_PAGE_SIZE = 12
+
+/**
+ * FETCH CATALOG PAGE THUNK
+ *
+ * Carica una pagina del catalogo del negozio da GET /catalog, che applica
+ * lato server ricerca, filtri e ordinamento (vedi server/catalog.js).
+ * La pagina 1 sostituisce i risultati, le successive si accodano.
+ *
+ * A differenza di fetchProducts non scarica l'intera collezione:
+ * lo usa ShopPage per lo scroll infinito.
+ *
+ * @param {Object} params
+ * @param {string} params.queryKey - Query string dei filtri (es. "category=anelli&q=blu")
+ * @param {number} params.page - Pagina da caricare (da 1)
+ * @returns {Object} - { items, total, page, hasMore, categoryCounts, matchingTotal }
+ */
+export const fetchCatalogPage = createAsyncThunk(
+  'products/fetchCatalogPage',
+  async ({ queryKey, page }, { getState, rejectWithValue }) => {
+    try {
+      const params = new URLSearchParams(queryKey)
+      params.set('_page', String(page))
+      params.set('_limit', String(CATALOG_PAGE_SIZE))
+
+      const response = await fetch(`${API_URL}/catalog?${params}`, {
+        headers: authHeaders(getState().auth.token),
+      })
+
+      if (!response.ok) {
+        throw new Error(`Errore nel caricamento del catalogo: ${response.status}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Fetch catalog page error:', error)
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
 /**
  * FETCH PRODUCT BY ID THUNK
  *
@@ -92,7 +143,7 @@ export const fetchProducts = createAsyncThunk(
  */
 export const fetchProductById = createAsyncThunk(
   'products/fetchProductById',
-  async (id, { rejectWithValue }) => {
+  async (id, { getState, rejectWithValue }) => {
     try {
       // ===== VALIDAZIONE INPUT =====
       if (!id) {
@@ -100,7 +151,9 @@ export const fetchProductById = createAsyncThunk(
       }
 
       // ===== CHIAMATA API =====
-      const response = await fetch(`${API_URL}/products/${id}`)
+      const response = await fetch(`${API_URL}/products/${id}`, {
+        headers: authHeaders(getState().auth.token),
+      })
 
       // ===== CONTROLLO RISPOSTA =====
       if (!response.ok) {
@@ -140,13 +193,15 @@ export const fetchProductById = createAsyncThunk(
  * @param {string} productData.description - Descrizione
  * @param {number} productData.price - Prezzo
  * @param {string} productData.category - Categoria
- * @param {string} productData.imageUrl - URL immagine
+ * @param {string} productData.imageUrl - URL immagine principale
+ * @param {Array} [productData.images] - Galleria { url, alt }, la prima è la principale
  * @param {number} productData.stock - Quantità disponibile
+ * @param {Array} [productData.variants] - Varianti (lo stock diventa la loro somma)
  * @returns {Object} - Prodotto creato con ID assegnato
  */
 export const createProduct = createAsyncThunk(
   'products/createProduct',
-  async (productData, { rejectWithValue }) => {
+  async (productData, { getState, rejectWithValue }) => {
     try {
       // ===== VALIDAZIONE DATI INPUT =====
       const requiredFields = ['name', 'price', 'category']
@@ -162,23 +217,29 @@ export const createProduct = createAsyncThunk(
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         // Valori di default se non specificati
-        stock: productData.stock || 1,
+        stock: productData.stock ?? 1, // 0 è valido: prodotto a catalogo ma esaurito
         imageUrl: productData.imageUrl || 'https://placehold.co/400x300?text=Prodotto'
       }
 
       // ===== CHIAMATA API =====
+      // Route riservata agli admin: invia il bearer token
       const response = await fetch(`${API_URL}/products`, {
         method: 'POST',
-        headers: {
+        headers: authHeaders(getState().auth.token, {
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify(productToCreate),
       })
 
       // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response) // 401/403 con messaggio chiaro
+
+      // 400/409: varianti non valide o SKU già in uso
       if (!response.ok) {
-        const errorData = await response.text()
-        throw new Error(`Errore creazione prodotto: ${response.status} - ${errorData}`)
+        throw new ApiError(
+          await readErrorMessage(response, `Errore creazione prodotto: ${response.status}`),
+          response.status
+        )
       }
 
       // ===== PARSING E RITORNO =====
@@ -186,7 +247,7 @@ export const createProduct = createAsyncThunk(
       return newProduct
     } catch (error) {
       console.error('Create product error:', error)
-      return rejectWithValue(error.message)
+      return rejectWithValue(error.message, errorMeta(error))
     }
   }
 )
@@ -200,14 +261,18 @@ export const createProduct = createAsyncThunk(
  * - Aggiornamento prezzi e stock
  * - Sincronizzazione con backend
  *
+ * productData.version è la versione da cui parte la modifica: se nel
+ * frattempo il prodotto è cambiato il thunk viene rifiutato con
+ * meta.status 409 e meta.details.current (il prodotto com'è ora).
+ *
  * @param {Object} params - Parametri per l'aggiornamento
  * @param {number|string} params.id - ID del prodotto da aggiornare
- * @param {Object} params.productData - Dati da aggiornare
+ * @param {Object} params.productData - Dati da aggiornare, con version
  * @returns {Object} - Prodotto aggiornato
  */
 export const updateProduct = createAsyncThunk(
   'products/updateProduct',
-  async ({ id, productData }, { rejectWithValue }) => {
+  async ({ id, productData }, { getState, rejectWithValue }) => {
     try {
       // ===== VALIDAZIONE INPUT =====
       if (!id) {
@@ -227,18 +292,35 @@ export const updateProduct = createAsyncThunk(
       // ===== CHIAMATA API =====
       const response = await fetch(`${API_URL}/products/${id}`, {
         method: 'PATCH', // PATCH per aggiornamenti parziali
-        headers: {
+        headers: authHeaders(getState().auth.token, {
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify(dataToUpdate),
       })
 
       // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response)
+
       if (!response.ok) {
         if (response.status === 404) {
           throw new Error('Prodotto non trovato')
         }
-        throw new Error(`Errore aggiornamento prodotto: ${response.status}`)
+
+        // 409 con current: qualcun altro ha salvato dopo il caricamento
+        // (vedi server/concurrency.js); il prodotto attuale va in meta.details
+        if (response.status === 409) {
+          const body = await response.json().catch(() => ({}))
+          throw new ApiError(
+            body.message || 'Il prodotto è stato modificato da qualcun altro',
+            409,
+            body.current ? { current: body.current } : null
+          )
+        }
+
+        throw new ApiError(
+          await readErrorMessage(response, `Errore aggiornamento prodotto: ${response.status}`),
+          response.status
+        )
       }
 
       // ===== PARSING E RITORNO =====
@@ -246,7 +328,7 @@ export const updateProduct = createAsyncThunk(
       return updatedProduct
     } catch (error) {
       console.error('Update product error:', error)
-      return rejectWithValue(error.message)
+      return rejectWithValue(error.message, errorMeta(error))
     }
   }
 )
@@ -254,18 +336,16 @@ export const updateProduct = createAsyncThunk(
 /**
  * DELETE PRODUCT THUNK
  *
- * Elimina un prodotto dal sistema per:
- * - Rimozione prodotti obsoleti
- * - Gestione inventario da dashboard admin
- * - Pulizia catalogo
- * - Sincronizzazione con backend
+ * Sposta un prodotto nel cestino (vedi server/trash.js):
+ * sparisce da negozio e dashboard ma resta per lo storico ordini
+ * e si può ripristinare con restoreProduct.
  *
  * @param {number|string} id - ID del prodotto da eliminare
  * @returns {number|string} - ID del prodotto eliminato
  */
 export const deleteProduct = createAsyncThunk(
   'products/deleteProduct',
-  async (id, { rejectWithValue }) => {
+  async (id, { getState, rejectWithValue }) => {
     try {
       // ===== VALIDAZIONE INPUT =====
       if (!id) {
@@ -275,9 +355,12 @@ export const deleteProduct = createAsyncThunk(
       // ===== CHIAMATA API =====
       const response = await fetch(`${API_URL}/products/${id}`, {
         method: 'DELETE',
+        headers: authHeaders(getState().auth.token),
       })
 
       // ===== CONTROLLO RISPOSTA =====
+      await assertAuthorized(response)
+
       if (!response.ok) {
         if (response.status === 404) {
           throw new Error('Prodotto non trovato')
@@ -291,11 +374,329 @@ export const deleteProduct = createAsyncThunk(
       return id
     } catch (error) {
       console.error('Delete product error:', error)
-      return rejectWithValue(error.message)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * REVERT PRODUCT THUNK
+ *
+ * Riporta il prodotto a una versione della sua cronologia
+ * (vedi server/audit.js). Lo stock resta quello attuale.
+ *
+ * @param {Object} params - Parametri
+ * @param {number} params.id - ID del prodotto
+ * @param {number} params.auditId - Voce del registro
+ * @param {string} [params.version] - 'after' (default) o 'before' la modifica
+ * @returns {Object} - Prodotto nella versione ripristinata
+ */
+export const revertProduct = createAsyncThunk(
+  'products/revertProduct',
+  async ({ id, auditId, version = 'after' }, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/products/${id}/revert`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({ auditId, version }),
+      })
+
+      await assertAuthorized(response)
+
+      // 409: SKU ora usato da un altro prodotto, categoria sparita, prodotto nel cestino
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore ripristino versione: ${response.status}`),
+          response.status
+        )
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Revert product error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * FETCH TRASH THUNK
+ *
+ * Prodotti nel cestino, eliminati più di recente per primi.
+ *
+ * @returns {Array} - Prodotti con deletedAt
+ */
+export const fetchTrash = createAsyncThunk(
+  'products/fetchTrash',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/products/trash`, {
+        headers: authHeaders(getState().auth.token),
+      })
+
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore caricamento cestino: ${response.status}`),
+          response.status
+        )
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Fetch trash error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * RESTORE PRODUCT THUNK
+ *
+ * Riporta in catalogo un prodotto del cestino.
+ *
+ * @param {number|string} id - ID del prodotto
+ * @returns {Object} - Prodotto ripristinato
+ */
+export const restoreProduct = createAsyncThunk(
+  'products/restoreProduct',
+  async (id, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/products/${id}/restore`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token),
+      })
+
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore ripristino prodotto: ${response.status}`),
+          response.status
+        )
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Restore product error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * PURGE PRODUCT THUNK
+ *
+ * Elimina definitivamente un prodotto del cestino.
+ * Il server risponde 409 finché il prodotto è in ordini aperti.
+ *
+ * @param {number|string} id - ID del prodotto
+ * @returns {number|string} - ID del prodotto eliminato
+ */
+export const purgeProduct = createAsyncThunk(
+  'products/purgeProduct',
+  async (id, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/products/${id}/purge`, {
+        method: 'DELETE',
+        headers: authHeaders(getState().auth.token),
+      })
+
+      await assertAuthorized(response)
+
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore eliminazione definitiva: ${response.status}`),
+          response.status
+        )
+      }
+
+      return id
+    } catch (error) {
+      console.error('Purge product error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
     }
   }
 )
 
+/**
+ * BULK UPDATE PRODUCTS THUNK
+ *
+ * Applica la stessa azione a più prodotti selezionati nella dashboard
+ * (POST /products/bulk, vedi server/bulk.js). Con dryRun il server
+ * calcola gli esiti senza salvare: è l'anteprima mostrata prima di confermare.
+ *
+ * Gli errori sui singoli prodotti non fanno fallire il thunk:
+ * arrivano in results con status 'failed'.
+ *
+ * @param {Object} params - Parametri dell'operazione
+ * @param {Array} params.ids - ID dei prodotti selezionati
+ * @param {Object} params.action - { type, mode?, value?, category? }
+ * @param {boolean} [params.dryRun] - true per la sola anteprima
+ * @returns {Object} - { dryRun, results, summary }
+ */
+export const bulkUpdateProducts = createAsyncThunk(
+  'products/bulkUpdateProducts',
+  async ({ ids, action, dryRun = false }, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/products/bulk`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({ ids, action, dryRun }),
+      })
+
+      await assertAuthorized(response)
+
+      // 400: azione non valida (es. categoria archiviata)
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore operazione multipla: ${response.status}`),
+          response.status
+        )
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Bulk update products error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+/**
+ * IMPORT PRODUCTS THUNK
+ *
+ * Importa le righe di un CSV o JSON già abbinate ai campi prodotto
+ * (POST /products/import, vedi server/import.js). Con dryRun il server
+ * restituisce le differenze senza salvare.
+ *
+ * Le righe non valide non fanno fallire il thunk: arrivano in
+ * results con status 'failed' e l'elenco degli errori.
+ *
+ * @param {Object} params - Parametri dell'importazione
+ * @param {Array} params.rows - Righe { line, ...campi } (vedi applyMapping)
+ * @param {string} params.matchBy - 'id' o 'sku'
+ * @param {boolean} [params.dryRun] - true per la sola anteprima
+ * @returns {Object} - { dryRun, results, summary, products }
+ */
+export const importProducts = createAsyncThunk(
+  'products/importProducts',
+  async ({ rows, matchBy, dryRun = false }, { getState, rejectWithValue }) => {
+    try {
+      const response = await fetch(`${API_URL}/products/import`, {
+        method: 'POST',
+        headers: authHeaders(getState().auth.token, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({ rows, matchBy, dryRun }),
+      })
+
+      await assertAuthorized(response)
+
+      // 400: file vuoto, troppe righe o modalità non valida
+      if (!response.ok) {
+        throw new ApiError(
+          await readErrorMessage(response, `Errore importazione: ${response.status}`),
+          response.status
+        )
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Import products error:', error)
+      return rejectWithValue(error.message, errorMeta(error))
+    }
+  }
+)
+
+// ===== UPLOAD IMMAGINI =====
+
+/**
+ * UPLOAD PRODUCT IMAGE
+ *
+ * Carica una foto su POST /uploads/images e restituisce l'immagine
+ * da aggiungere a product.images. Non è un thunk: il file e la callback
+ * di avanzamento non sono serializzabili, e l'immagine entra nello store
+ * solo al salvataggio del prodotto.
+ *
+ * Usa XMLHttpRequest perché fetch non espone l'avanzamento dell'upload.
+ *
+ * @param {Object} params - Parametri dell'upload
+ * @param {File} params.file - Foto JPEG, PNG o WebP
+ * @param {string} params.token - Bearer token dell'admin
+ * @param {Function} [params.onProgress] - Riceve la percentuale inviata (0-100)
+ * @returns {Promise<Object>} - Immagine { url, alt, sizes, webp }
+ */
+export const uploadProductImage = ({ file, token, onProgress }) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest()
+  xhr.open('POST', `${API_URL}/uploads/images`)
+
+  Object.entries(authHeaders(token, { 'Content-Type': file.type }))
+    .forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+  xhr.upload.onprogress = (e) => {
+    if (e.lengthComputable && onProgress) {
+      onProgress(Math.round((e.loaded / e.total) * 100))
+    }
+  }
+
+  xhr.onload = () => {
+    let data = null
+    try {
+      data = JSON.parse(xhr.responseText)
+    } catch {
+      // Risposta non JSON: resta il messaggio generico
+    }
+
+    if (xhr.status === 201 && data) {
+      resolve(data)
+    } else {
+      reject(new ApiError(data?.message || `Errore caricamento immagine: ${xhr.status}`, xhr.status))
+    }
+  }
+
+  xhr.onerror = () => reject(new ApiError('Impossibile contattare il server', null))
+  xhr.send(file)
+})
+
+// ===== PREFERENZE TABELLA ADMIN =====
+/**
+ * COLONNE NASCOSTE DELLA TABELLA ADMIN
+ *
+ * Le colonne che l'admin ha nascosto nella dashboard restano salvate
+ * in localStorage, così la tabella si riapre come era stata lasciata.
+ */
+const ADMIN_COLUMNS_STORAGE_KEY = 'adminProductColumns'
+
+/**
+ * Colonne nascoste salvate, [] se assenti o illeggibili
+ */
+const loadHiddenColumns = () => {
+  try {
+    const hidden = JSON.parse(localStorage.getItem(ADMIN_COLUMNS_STORAGE_KEY))
+    return Array.isArray(hidden) ? hidden : []
+  } catch (error) {
+    console.error('Errore lettura colonne admin da localStorage:', error)
+    return []
+  }
+}
+
+/**
+ * Salva le colonne nascoste
+ */
+const saveHiddenColumns = (hidden) => {
+  try {
+    localStorage.setItem(ADMIN_COLUMNS_STORAGE_KEY, JSON.stringify(hidden))
+  } catch (error) {
+    console.error('Errore salvataggio colonne admin in localStorage:', error)
+  }
+}
+
 // ===== STATO INIZIALE =====
 /**
  * INITIAL STATE DEL CATALOGO PRODOTTI
@@ -319,6 +720,93 @@ const initialState = {
 
   // ===== GESTIONE ERRORI =====
   error: null,            // Messaggio di errore per operazioni fallite
+
+  // ===== CATALOGO PAGINATO (ShopPage) =====
+  catalog: {
+    items: [],            // Prodotti delle pagine caricate finora
+    queryKey: null,       // Filtri dell'ultima richiesta
+    loadedQueryKey: null, // Filtri a cui si riferiscono gli items mostrati
+    page: 0,              // Ultima pagina caricata
+    total: 0,             // Prodotti che rispettano i filtri
+    hasMore: false,       // Ci sono altre pagine da caricare
+    categoryCounts: {},   // { slug: n } calcolati dal server
+    matchingTotal: 0,     // Prodotti di tutte le categorie con gli stessi filtri
+    status: 'idle',       // 'idle' | 'loading' | 'succeeded' | 'failed'
+    error: null,
+  },
+
+  // ===== CESTINO (AdminTrashPage) =====
+  trash: {
+    items: [],            // Prodotti eliminati, i più recenti prima
+    status: 'idle',       // 'idle' | 'loading' | 'succeeded' | 'failed'
+    error: null,
+  },
+
+  // ===== TABELLA ADMIN (AdminDashboardPage) =====
+  adminTable: {
+    hiddenColumns: loadHiddenColumns(), // Chiavi di ADMIN_COLUMNS nascoste dall'admin
+  },
+}
+
+// ===== UTILITY FUNCTIONS =====
+
+/**
+ * SOSTITUISCI PRODOTTO
+ *
+ * Mette la nuova versione del prodotto in lista, dettaglio e catalogo.
+ *
+ * @param {Object} state - Stato prodotti (draft Immer)
+ * @param {Object} product - Prodotto ricevuto dal backend
+ */
+const replaceProduct = (state, product) => {
+  const index = state.products.findIndex(p => p.id === product.id)
+  if (index !== -1) {
+    state.products[index] = product
+  }
+  if (state.currentProduct?.id === product.id) {
+    state.currentProduct = product
+  }
+  const catalogIndex = state.catalog.items.findIndex(p => p.id === product.id)
+  if (catalogIndex !== -1) {
+    state.catalog.items[catalogIndex] = product
+  }
+}
+
+/**
+ * APPLICA VARIAZIONE STOCK
+ *
+ * Rispecchia nello stato locale la variazione di stock fatta dal backend
+ * su ordini creati (-1) o annullati (+1), senza ricaricare il catalogo.
+ * Per le righe con variante si aggiorna la variante e lo stock del
+ * prodotto torna a essere la somma delle varianti.
+ *
+ * @param {Object} state - Stato prodotti (draft Immer)
+ * @param {Array} items - Articoli dell'ordine
+ * @param {number} sign - -1 per scalare, +1 per ripristinare
+ */
+const applyStockChange = (state, items, sign) => {
+  items.forEach((item) => {
+    const delta = sign * item.quantity
+
+    const adjust = (product) => {
+      const variant = findVariant(product, item.variantId)
+
+      if (variant) {
+        variant.stock = Math.max(0, variant.stock + delta)
+        product.stock = totalVariantStock(product.variants)
+      } else {
+        product.stock = Math.max(0, product.stock + delta)
+      }
+    }
+
+    const product = state.products.find(p => p.id === item.id)
+    if (product) adjust(product)
+
+    if (state.currentProduct?.id === item.id) adjust(state.currentProduct)
+
+    const catalogItem = state.catalog.items.find(p => p.id === item.id)
+    if (catalogItem) adjust(catalogItem)
+  })
 }
 
 // ===== SLICE DEFINITION =====
@@ -349,6 +837,32 @@ const productsSlice = createSlice({
         state.error = null
       }
     },
+
+    /**
+     * TOGGLE ADMIN COLUMN REDUCER
+     *
+     * Mostra o nasconde una colonna della tabella prodotti admin
+     * e salva la scelta in localStorage.
+     *
+     * @param {string} action.payload - Chiave della colonna
+     */
+    toggleAdminColumn: (state, action) => {
+      const hidden = state.adminTable.hiddenColumns
+      state.adminTable.hiddenColumns = hidden.includes(action.payload)
+        ? hidden.filter(key => key !== action.payload)
+        : [...hidden, action.payload]
+      saveHiddenColumns(state.adminTable.hiddenColumns)
+    },
+
+    /**
+     * RESET ADMIN COLUMNS REDUCER
+     *
+     * Torna a mostrare tutte le colonne della tabella prodotti admin.
+     */
+    resetAdminColumns: (state) => {
+      state.adminTable.hiddenColumns = []
+      saveHiddenColumns([])
+    },
   },
   // ===== EXTRA REDUCERS =====
   /**
@@ -390,6 +904,59 @@ const productsSlice = createSlice({
         // Mantiene prodotti esistenti in caso di errore refresh
       })
 
+      // ===== GESTIONE CATALOGO PAGINATO =====
+
+      /**
+       * FETCH CATALOG PAGE PENDING
+       * Con nuovi filtri i risultati precedenti restano visibili
+       * (senza flash) finché non arriva la prima pagina
+       */
+      .addCase(fetchCatalogPage.pending, (state, action) => {
+        const { queryKey, page } = action.meta.arg
+        if (page === 1) {
+          state.catalog.queryKey = queryKey
+        }
+        state.catalog.status = 'loading'
+        state.catalog.error = null
+      })
+
+      /**
+       * FETCH CATALOG PAGE FULFILLED
+       * Le risposte arrivate per filtri ormai cambiati vengono scartate
+       */
+      .addCase(fetchCatalogPage.fulfilled, (state, action) => {
+        const { queryKey } = action.meta.arg
+        if (queryKey !== state.catalog.queryKey) return
+
+        const { items, page, total, hasMore, categoryCounts, matchingTotal } = action.payload
+
+        if (page === 1) {
+          state.catalog.items = items
+          state.catalog.loadedQueryKey = queryKey
+        } else {
+          // Senza duplicati: il catalogo può cambiare tra una pagina e l'altra
+          const loadedIds = new Set(state.catalog.items.map(p => p.id))
+          state.catalog.items.push(...items.filter(p => !loadedIds.has(p.id)))
+        }
+
+        state.catalog.page = page
+        state.catalog.total = total
+        state.catalog.hasMore = hasMore
+        state.catalog.categoryCounts = categoryCounts
+        state.catalog.matchingTotal = matchingTotal
+        state.catalog.status = 'succeeded'
+      })
+
+      /**
+       * FETCH CATALOG PAGE REJECTED
+       */
+      .addCase(fetchCatalogPage.rejected, (state, action) => {
+        if (action.meta.arg.queryKey !== state.catalog.queryKey) return
+
+        state.catalog.status = 'failed'
+        state.catalog.error = action.payload
+      })
+
       // ===== GESTIONE FETCH SINGLE PRODUCT =====
 
       /**
@@ -473,6 +1040,12 @@ const productsSlice = createSlice({
           state.currentProduct = action.payload
         }
 
+        // ===== AGGIORNAMENTO CATALOGO PAGINATO =====
+        const catalogIndex = state.catalog.items.findIndex(p => p.id === action.payload.id)
+        if (catalogIndex !== -1) {
+          state.catalog.items[catalogIndex] = action.payload
+        }
+
         // ===== RESET STATO =====
         state.status = 'succeeded'
         state.error = null
@@ -498,10 +1071,128 @@ const productsSlice = createSlice({
           state.currentProduct = null
         }
 
+        state.catalog.items = state.catalog.items.filter(
+          (product) => product.id !== action.payload
+        )
+
         // ===== RESET STATO =====
         state.status = 'succeeded'
         state.error = null
       })
+
+      /**
+       * REVERT PRODUCT FULFILLED
+       * Versione precedente ripristinata dalla cronologia
+       */
+      .addCase(revertProduct.fulfilled, (state, action) => {
+        replaceProduct(state, action.payload)
+      })
+
+      // ===== GESTIONE CESTINO =====
+
+      .addCase(fetchTrash.pending, (state) => {
+        state.trash.status = 'loading'
+        state.trash.error = null
+      })
+
+      .addCase(fetchTrash.fulfilled, (state, action) => {
+        state.trash.status = 'succeeded'
+        state.trash.items = action.payload
+      })
+
+      .addCase(fetchTrash.rejected, (state, action) => {
+        state.trash.status = 'failed'
+        state.trash.error = action.payload || action.error.message
+      })
+
+      /**
+       * RESTORE PRODUCT FULFILLED
+       * Il prodotto esce dal cestino e torna nella lista
+       */
+      .addCase(restoreProduct.fulfilled, (state, action) => {
+        state.trash.items = state.trash.items.filter(p => p.id !== action.payload.id)
+        if (!state.products.some(p => p.id === action.payload.id)) {
+          state.products.push(action.payload)
+        }
+      })
+
+      .addCase(purgeProduct.fulfilled, (state, action) => {
+        state.trash.items = state.trash.items.filter(p => p.id !== action.payload)
+      })
+
+      // ===== GESTIONE OPERAZIONI MULTIPLE =====
+
+      /**
+       * BULK UPDATE PRODUCTS FULFILLED
+       * Riporta nello stato i prodotti modificati ed eliminati.
+       * L'anteprima (dryRun) non cambia nulla.
+       */
+      .addCase(bulkUpdateProducts.fulfilled, (state, action) => {
+        if (action.payload.dryRun) return
+
+        const deletedIds = new Set()
+
+        action.payload.results.forEach((result) => {
+          if (result.status === 'deleted') {
+            deletedIds.add(result.id)
+          }
+
+          if (result.status === 'updated' && result.product) {
+            const index = state.products.findIndex(p => p.id === result.product.id)
+            if (index !== -1) {
+              state.products[index] = result.product
+            }
+            const catalogIndex = state.catalog.items.findIndex(p => p.id === result.product.id)
+            if (catalogIndex !== -1) {
+              state.catalog.items[catalogIndex] = result.product
+            }
+          }
+        })
+
+        if (deletedIds.size > 0) {
+          state.products = state.products.filter(p => !deletedIds.has(p.id))
+          state.catalog.items = state.catalog.items.filter(p => !deletedIds.has(p.id))
+          if (state.currentProduct && deletedIds.has(state.currentProduct.id)) {
+            state.currentProduct = null
+          }
+        }
+      })
+
+      /**
+       * IMPORT PRODUCTS FULFILLED
+       * Aggiunge i prodotti creati e sostituisce quelli modificati.
+       */
+      .addCase(importProducts.fulfilled, (state, action) => {
+        action.payload.products.forEach((product) => {
+          const index = state.products.findIndex(p => p.id === product.id)
+          if (index !== -1) {
+            state.products[index] = product
+          } else {
+            state.products.push(product)
+          }
+        })
+      })
+
+      // ===== STOCK E ORDINI =====
+
+      /**
+       * ORDINE CREATO
+       * Il backend ha scalato lo stock degli articoli ordinati
+       */
+      .addCase(createOrder.fulfilled, (state, action) => {
+        applyStockChange(state, action.payload.items || [], -1)
+      })
+
+      /**
+       * ORDINE ANNULLATO
+       * Il backend ha rimesso in stock gli articoli (stockRestoredAt),
+       * sia per gli annullamenti admin sia per quelli del checkout
+       */
+      .addMatcher(isAnyOf(updateOrderStatus.fulfilled, cancelUnpaidOrder.fulfilled), (state, action) => {
+        if (action.payload.status === 'cancelled' && action.payload.stockRestoredAt) {
+          applyStockChange(state, action.payload.items || [], 1)
+        }
+      })
   },
 })
 
@@ -512,7 +1203,7 @@ const productsSlice = createSlice({
  *
  * Redux Toolkit genera automaticamente action creators per ogni reducer.
  */
-export const { clearCurrentProduct } = productsSlice.actions
+export const { clearCurrentProduct, toggleAdminColumn, resetAdminColumns } = productsSlice.actions
 
 /**
  * EXPORT DEL REDUCER
@@ -22,9 +22,14 @@ import { configureStore } from '@reduxjs/toolkit'
 
 // ===== IMPORTAZIONI SLICE REDUCERS =====
 import productsReducer from './products/productsSlice'  // Gestione catalogo prodotti
+import categoriesReducer from './categories/categoriesSlice' // Gestione categorie catalogo
 import cartReducer from './cart/cartSlice'              // Gestione carrello acquisti
 import authReducer from './auth/authSlice'              // Gestione autenticazione
 import ordersReducer from './orders/ordersSlice'        // Gestione ordini
+import checkoutReducer from './checkout/checkoutSlice'  // Gestione checkout multi-step
+import auditReducer from './audit/auditSlice'           // Registro modifiche (admin)
+import merchandisingReducer from './merchandising/merchandisingSlice' // Sezioni della home
+import collectionsReducer from './collections/collectionsSlice' // Collezioni di prodotti
 
 /**
  * CONFIGURAZIONE STORE REDUX
@@ -37,10 +42,15 @@ import ordersReducer from './orders/ordersSlice'        // Gestione ordini
  *
  * STRUTTURA STATO GLOBALE:
  * {
- *   products: { products: [], currentProduct: null, status: 'idle', error: null },
+ *   products: { products: [], currentProduct: null, status: 'idle', error: null, catalog: { items: [], total: 0, ... } },
+ *   categories: { categories: [], status: 'idle', error: null },
  *   cart: { items: [], total: 0 },
  *   auth: { user: null, token: null, status: 'idle', error: null },
- *   orders: { orders: [], currentOrder: null, status: 'idle', error: null }
+ *   orders: { orders: [], currentOrder: null, status: 'idle', error: null },
+ *   checkout: { step: 0, shippingAddress: {}, shippingMethod: 'standard', paymentMethod: 'card' },
+ *   audit: { log: { items: [], total: 0, ... }, productHistory: { productId: null, items: [], ... } },
+ *   merchandising: { config: { featured: {...}, sections: [] }, status: 'idle', error: null },
+ *   collections: { collections: [], status: 'idle', error: null }
  * }
  */
 export const store = configureStore({
@@ -49,6 +59,10 @@ export const store = configureStore({
     // Gestisce: catalogo, dettagli prodotto, operazioni CRUD admin
     products: productsReducer,
 
+    // ===== SLICE CATEGORIE =====
+    // Gestisce: categorie del catalogo, ordinamento, archiviazione
+    categories: categoriesReducer,
+
     // ===== SLICE CARRELLO =====
     // Gestisce: items carrello, quantità, totali, persistenza localStorage
     cart: cartReducer,
@@ -59,6 +73,22 @@ export const store = configureStore({
 
     // ===== SLICE ORDINI =====
     // Gestisce: cronologia ordini, stato ordini, tracking
-    orders: ordersReducer
+    orders: ordersReducer,
+
+    // ===== SLICE CHECKOUT =====
+    // Gestisce: step checkout, indirizzo, spedizione, pagamento, persistenza localStorage
+    checkout: checkoutReducer,
+
+    // ===== SLICE REGISTRO MODIFICHE =====
+    // Gestisce: pagina attività admin, cronologia del prodotto nell'editor
+    audit: auditReducer,
+
+    // ===== SLICE HOME =====
+    // Gestisce: prodotti in evidenza e sezioni della home
+    merchandising: merchandisingReducer,
+
+    // ===== SLICE COLLEZIONI =====
+    // Gestisce: collezioni di prodotti, pagine pubbliche e editor admin
+    collections: collectionsReducer
   },
 })
\ No newline at end of file
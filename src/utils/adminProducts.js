@@ -0,0 +1,269 @@
+/**
+ * ADMIN PRODUCTS.JS - TABELLA PRODOTTI DELLA DASHBOARD
+ *
+ * Traduce i query parameters di /admin in ricerca, filtri, ordinamento
+ * e paginazione della tabella prodotti:
+ * - q: testo cercato in nome, descrizione, tag, SKU, ID e categoria
+ * - category: slug della categoria
+ * - stock: disponibilità (vedi STOCK_FILTERS)
+ * - state: stato nel negozio (vedi STATE_FILTERS)
+ * - sort / dir: colonna di ordinamento (vedi SORTABLE_COLUMNS) e verso
+ * - page / size: pagina corrente e righe per pagina (vedi PAGE_SIZES)
+ *
+ * La dashboard lavora sull'elenco completo caricato con fetchProducts,
+ * quindi tutto avviene nel browser.
+ *
+ * UTILIZZO:
+ * const params = readAdminTableParams(searchParams)
+ * const rows = sortAdminProducts(filterAdminProducts(products, params, categoryName), params, categoryName)
+ * const { items, page, pageCount } = paginate(rows, params.page, params.pageSize)
+ */
+
+// ===== IMPORTAZIONI =====
+import { productStatus, isScheduled } from './visibility.js'
+
+// ===== COSTANTI =====
+
+/**
+ * Sotto questa soglia (inclusa) un prodotto disponibile ha "scorte basse"
+ */
+export const LOW_STOCK_THRESHOLD = 3
+
+/**
+ * Colonne che l'admin può mostrare o nascondere.
+ * ID, selezione e azioni sono sempre visibili.
+ */
+export const ADMIN_COLUMNS = [
+  { key: 'image', label: 'Immagine' },
+  { key: 'name', label: 'Nome' },
+  { key: 'category', label: 'Categoria' },
+  { key: 'price', label: 'Prezzo' },
+  { key: 'stock', label: 'Stock' },
+  { key: 'updatedAt', label: 'Aggiornato' },
+  { key: 'status', label: 'Stato' }
+]
+
+/**
+ * Colonne su cui si può ordinare
+ */
+export const SORTABLE_COLUMNS = ['name', 'price', 'stock', 'category', 'updatedAt']
+
+/**
+ * Filtri di disponibilità. '' mostra tutti i prodotti.
+ */
+export const STOCK_FILTERS = [
+  { value: '', label: 'Tutte le disponibilità' },
+  { value: 'available', label: 'Disponibili' },
+  { value: 'low', label: `Scorte basse (≤ ${LOW_STOCK_THRESHOLD})` },
+  { value: 'soldout', label: 'Esauriti' }
+]
+
+/**
+ * Filtri di stato. '' mostra tutti i prodotti; "published" solo quelli
+ * già nel negozio, "scheduled" quelli pubblicati con una data futura.
+ */
+export const STATE_FILTERS = [
+  { value: '', label: 'Tutti gli stati' },
+  { value: 'published', label: 'Nel negozio' },
+  { value: 'scheduled', label: 'Programmati' },
+  { value: 'draft', label: 'Bozze' },
+  { value: 'archived', label: 'Archiviati' }
+]
+
+/**
+ * Righe per pagina selezionabili; la prima è il default
+ */
+export const PAGE_SIZES = [10, 25, 50]
+
+// ===== HELPERS =====
+
+/**
+ * Testo in minuscolo e senza accenti, per una ricerca tollerante
+ */
+const normalizeText = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+
+/**
+ * Intero positivo dal parametro, altrimenti il default
+ */
+const readPositiveInt = (value, fallback) => {
+  const number = Number(value)
+  return Number.isInteger(number) && number > 0 ? number : fallback
+}
+
+// ===== LETTURA PARAMETRI =====
+
+/**
+ * READ ADMIN TABLE PARAMS
+ *
+ * @param {URLSearchParams} searchParams - Query parameters correnti
+ * @returns {Object} - { q, category, stock, state, sort, dir, page, pageSize }
+ */
+export const readAdminTableParams = (searchParams) => {
+  const sort = searchParams.get('sort') || ''
+  const stock = searchParams.get('stock') || ''
+  const state = searchParams.get('state') || ''
+  const pageSize = Number(searchParams.get('size'))
+
+  return {
+    q: searchParams.get('q') || '',
+    category: searchParams.get('category') || '',
+    stock: STOCK_FILTERS.some(filter => filter.value === stock) ? stock : '',
+    state: STATE_FILTERS.some(filter => filter.value === state) ? state : '',
+    sort: SORTABLE_COLUMNS.includes(sort) ? sort : '',
+    dir: searchParams.get('dir') === 'desc' ? 'desc' : 'asc',
+    page: readPositiveInt(searchParams.get('page'), 1),
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : PAGE_SIZES[0]
+  }
+}
+
+/**
+ * HAS ADMIN FILTERS
+ *
+ * @param {Object} params - Parametri letti con readAdminTableParams
+ * @returns {boolean} - true se ricerca o filtri restringono l'elenco
+ */
+export const hasAdminFilters = (params) =>
+  Boolean(params.q.trim() || params.category || params.stock || params.state)
+
+// ===== APPLICAZIONE =====
+
+/**
+ * MATCHES STOCK FILTER
+ *
+ * @param {Object} product - Prodotto
+ * @param {string} stock - Valore di STOCK_FILTERS
+ * @returns {boolean} - true se il prodotto rientra nel filtro
+ */
+export const matchesStockFilter = (product, stock) => {
+  const quantity = Number(product.stock) || 0
+
+  switch (stock) {
+    case 'available':
+      return quantity > 0
+    case 'low':
+      return quantity > 0 && quantity <= LOW_STOCK_THRESHOLD
+    case 'soldout':
+      return quantity <= 0
+    default:
+      return true
+  }
+}
+
+/**
+ * MATCHES STATE FILTER
+ *
+ * @param {Object} product - Prodotto
+ * @param {string} state - Valore di STATE_FILTERS
+ * @returns {boolean} - true se il prodotto rientra nel filtro
+ */
+export const matchesStateFilter = (product, state) => {
+  switch (state) {
+    case '':
+      return true
+    case 'published':
+      return productStatus(product) === 'published' && !isScheduled(product)
+    case 'scheduled':
+      return isScheduled(product)
+    default:
+      return productStatus(product) === state
+  }
+}
+
+/**
+ * FILTER ADMIN PRODUCTS
+ *
+ * @param {Array} products - Tutti i prodotti
+ * @param {Object} params - Parametri letti con readAdminTableParams
+ * @param {Function} categoryName - slug → nome visualizzato della categoria
+ * @returns {Array} - Prodotti che rispettano ricerca e filtri
+ */
+export const filterAdminProducts = (products, params, categoryName = (slug) => slug) => {
+  const query = normalizeText(params.q).trim()
+
+  return products.filter((product) => {
+    if (params.category && product.category !== params.category) return false
+    if (!matchesStockFilter(product, params.stock)) return false
+    if (!matchesStateFilter(product, params.state)) return false
+    if (!query) return true
+
+    const searchable = [
+      product.id,
+      product.name,
+      product.description,
+      product.category,
+      categoryName(product.category),
+      product.sku,
+      ...(product.tags || []),
+      ...(product.variants || []).map(variant => variant.sku)
+    ]
+
+    return searchable.some(value => normalizeText(value).includes(query))
+  })
+}
+
+/**
+ * SORT ADMIN PRODUCTS
+ *
+ * Restituisce una copia ordinata; senza colonna mantiene l'ordine ricevuto.
+ * I prodotti senza data di aggiornamento finiscono in fondo.
+ *
+ * @param {Array} products - Prodotti da ordinare
+ * @param {Object} params - { sort, dir }
+ * @param {Function} categoryName - slug → nome visualizzato della categoria
+ * @returns {Array} - Prodotti ordinati
+ */
+export const sortAdminProducts = (products, { sort, dir }, categoryName = (slug) => slug) => {
+  const sorted = [...products]
+  const direction = dir === 'desc' ? -1 : 1
+  const compareText = (a, b) => String(a ?? '').localeCompare(String(b ?? ''), 'it', { sensitivity: 'base' })
+
+  switch (sort) {
+    case 'name':
+      return sorted.sort((a, b) => direction * compareText(a.name, b.name))
+    case 'category':
+      return sorted.sort((a, b) => direction * compareText(categoryName(a.category), categoryName(b.category)))
+    case 'price':
+    case 'stock':
+      return sorted.sort((a, b) => direction * ((Number(a[sort]) || 0) - (Number(b[sort]) || 0)))
+    case 'updatedAt':
+      return sorted.sort((a, b) => {
+        const timeA = a.updatedAt ? new Date(a.updatedAt).getTime() : null
+        const timeB = b.updatedAt ? new Date(b.updatedAt).getTime() : null
+        if (timeA === timeB) return 0
+        if (timeA === null) return 1
+        if (timeB === null) return -1
+        return direction * (timeA - timeB)
+      })
+    default:
+      return sorted
+  }
+}
+
+/**
+ * PAGINATE
+ *
+ * La pagina richiesta viene riportata nell'intervallo valido, così un
+ * filtro che riduce i risultati non lascia la tabella vuota.
+ *
+ * @param {Array} items - Righe già filtrate e ordinate
+ * @param {number} page - Pagina richiesta (da 1)
+ * @param {number} pageSize - Righe per pagina
+ * @returns {Object} - { items, page, pageCount, start, end }
+ */
+export const paginate = (items, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize))
+  const currentPage = Math.min(Math.max(1, page), pageCount)
+  const start = (currentPage - 1) * pageSize
+  const pageItems = items.slice(start, start + pageSize)
+
+  return {
+    items: pageItems,
+    page: currentPage,
+    pageCount,
+    start: items.length === 0 ? 0 : start + 1,
+    end: start + pageItems.length
+  }
+}
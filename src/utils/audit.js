@@ -0,0 +1,100 @@
+/**
+ * AUDIT.JS - ETICHETTE DEL REGISTRO DELLE MODIFICHE
+ *
+ * Testi usati dalla pagina attività (AdminActivityPage) e dalla
+ * cronologia del prodotto (ProductHistory) per mostrare le voci
+ * registrate dal server (vedi server/audit.js).
+ */
+
+// ===== COSTANTI =====
+
+/**
+ * Entità registrate
+ */
+export const AUDIT_ENTITIES = [
+  { value: 'products', label: 'Prodotti' },
+  { value: 'orders', label: 'Ordini' },
+  { value: 'users', label: 'Utenti' }
+]
+
+/**
+ * Azioni, con il colore del badge
+ */
+export const AUDIT_ACTIONS = {
+  create: { label: 'Creazione', className: 'bg-primary' },
+  update: { label: 'Modifica', className: 'bg-success' },
+  delete: { label: 'Nel cestino', className: 'bg-danger' },
+  restore: { label: 'Ripristino', className: 'bg-info text-dark' },
+  purge: { label: 'Eliminazione definitiva', className: 'bg-dark' },
+  revert: { label: 'Versione precedente', className: 'bg-warning text-dark' }
+}
+
+/**
+ * Operazioni multiple da cui può arrivare una modifica
+ */
+export const AUDIT_SOURCES = {
+  bulk: 'operazione su più prodotti',
+  import: 'importazione',
+  category: 'slug della categoria cambiato'
+}
+
+/**
+ * Nomi leggibili dei campi più comuni
+ */
+const FIELD_LABELS = {
+  name: 'Nome',
+  description: 'Descrizione',
+  price: 'Prezzo',
+  category: 'Categoria',
+  stock: 'Stock',
+  tags: 'Tag',
+  imageUrl: 'Immagine',
+  images: 'Galleria',
+  variants: 'Varianti',
+  published: 'Pubblicato',
+  publishAt: 'Pubblica dal',
+  sku: 'SKU',
+  deletedAt: 'Eliminato il',
+  status: 'Stato',
+  paymentStatus: 'Pagamento',
+  items: 'Articoli',
+  total: 'Totale',
+  email: 'Email',
+  role: 'Ruolo',
+  passwordHash: 'Password'
+}
+
+// ===== HELPERS =====
+
+/**
+ * @param {string} field - Campo del record
+ * @returns {string} - Nome da mostrare
+ */
+export const fieldLabel = (field) => FIELD_LABELS[field] || field
+
+/**
+ * FORMAT AUDIT VALUE
+ *
+ * Valore compatto per il prima → dopo: gli elenchi (varianti,
+ * immagini, articoli) sono riassunti dal numero di elementi.
+ *
+ * @param {*} value - Valore registrato
+ * @returns {string} - Testo da mostrare
+ */
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'boolean') return value ? 'sì' : 'no'
+  if (Array.isArray(value)) {
+    if (value.every(item => typeof item !== 'object')) return value.join(', ') || '—'
+    return `${value.length} elementi`
+  }
+  if (typeof value === 'object') return JSON.stringify(value)
+  const text = String(value)
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text
+}
+
+/**
+ * @param {string} iso - Data ISO
+ * @returns {string} - Data e ora in italiano
+ */
+export const formatAuditDate = (iso) => new Date(iso).toLocaleString('it-IT')
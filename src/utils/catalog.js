@@ -0,0 +1,149 @@
+/**
+ * CATALOG.JS - FILTRI E ORDINAMENTO DEL CATALOGO
+ *
+ * Traduce i query parameters di /shop in filtri e li applica ai prodotti:
+ * - min / max: range di prezzo in euro
+ * - available=1: solo prodotti con stock > 0
+ * - new=1: solo novità (createdAt negli ultimi NEW_ARRIVAL_DAYS giorni)
+ * - sort: ordinamento (vedi SORT_OPTIONS)
+ *
+ * Categoria (?category=) e ricerca (?q=) sono gestite da server/catalog.js,
+ * perché servono anche per i conteggi dei filtri.
+ *
+ * Il modulo è condiviso: ShopPage lo usa per leggere i filtri dall'URL,
+ * il server per applicarli. Per questo non importa nulla.
+ *
+ * UTILIZZO:
+ * const filters = readCatalogFilters(searchParams)
+ * const visible = sortProducts(applyCatalogFilters(products, filters), filters.sort)
+ */
+
+// ===== COSTANTI =====
+
+/**
+ * Giorni per cui un prodotto appena creato è considerato una novità
+ */
+export const NEW_ARRIVAL_DAYS = 30
+
+/**
+ * Ordinamenti disponibili.
+ * '' mantiene l'ordine di partenza (rilevanza se c'è una ricerca).
+ */
+export const SORT_OPTIONS = [
+  { value: '', label: 'In evidenza' },
+  { value: 'price-asc', label: 'Prezzo crescente' },
+  { value: 'price-desc', label: 'Prezzo decrescente' },
+  { value: 'newest', label: 'Più recenti' },
+  { value: 'name', label: 'Nome (A-Z)' }
+]
+
+/**
+ * Parametri URL gestiti da questo modulo (per azzerarli insieme)
+ */
+export const FILTER_PARAMS = ['min', 'max', 'available', 'new', 'sort']
+
+// ===== HELPERS =====
+
+/**
+ * Numero positivo dal parametro, altrimenti null
+ */
+const readPrice = (value) => {
+  if (value === null || value === '') return null
+  const price = Number(value)
+  return Number.isFinite(price) && price >= 0 ? price : null
+}
+
+/**
+ * IS NEW ARRIVAL
+ *
+ * @param {Object} product - Prodotto
+ * @param {Date} now - Data di riferimento
+ * @returns {boolean} - true se creato negli ultimi NEW_ARRIVAL_DAYS giorni
+ */
+export const isNewArrival = (product, now = new Date()) => {
+  if (!product.createdAt) return false
+
+  const ageMs = now.getTime() - new Date(product.createdAt).getTime()
+  return ageMs >= 0 && ageMs <= NEW_ARRIVAL_DAYS * 24 * 60 * 60 * 1000
+}
+
+// ===== LETTURA FILTRI =====
+
+/**
+ * READ CATALOG FILTERS
+ *
+ * @param {URLSearchParams} searchParams - Query parameters correnti
+ * @returns {Object} - { minPrice, maxPrice, onlyAvailable, onlyNew, sort }
+ */
+export const readCatalogFilters = (searchParams) => {
+  const sort = searchParams.get('sort') || ''
+
+  return {
+    minPrice: readPrice(searchParams.get('min')),
+    maxPrice: readPrice(searchParams.get('max')),
+    onlyAvailable: searchParams.get('available') === '1',
+    onlyNew: searchParams.get('new') === '1',
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? sort : ''
+  }
+}
+
+/**
+ * HAS ACTIVE FILTERS
+ *
+ * @param {Object} filters - Filtri letti con readCatalogFilters
+ * @returns {boolean} - true se almeno un filtro (ordinamento escluso) è attivo
+ */
+export const hasActiveFilters = (filters) =>
+  filters.minPrice !== null || filters.maxPrice !== null ||
+  filters.onlyAvailable || filters.onlyNew
+
+// ===== APPLICAZIONE =====
+
+/**
+ * APPLY CATALOG FILTERS
+ *
+ * @param {Array} products - Prodotti di partenza
+ * @param {Object} filters - Filtri letti con readCatalogFilters
+ * @returns {Array} - Prodotti che rispettano tutti i filtri
+ */
+export const applyCatalogFilters = (products, filters) => {
+  const now = new Date()
+
+  return products.filter((product) => {
+    const price = Number(product.price)
+
+    if (filters.minPrice !== null && price < filters.minPrice) return false
+    if (filters.maxPrice !== null && price > filters.maxPrice) return false
+    if (filters.onlyAvailable && !(product.stock > 0)) return false
+    if (filters.onlyNew && !isNewArrival(product, now)) return false
+
+    return true
+  })
+}
+
+/**
+ * SORT PRODUCTS
+ *
+ * Restituisce una copia ordinata; con sort vuoto mantiene l'ordine ricevuto.
+ *
+ * @param {Array} products - Prodotti da ordinare
+ * @param {string} sort - Valore di SORT_OPTIONS
+ * @returns {Array} - Prodotti ordinati
+ */
+export const sortProducts = (products, sort) => {
+  const sorted = [...products]
+
+  switch (sort) {
+    case 'price-asc':
+      return sorted.sort((a, b) => a.price - b.price)
+    case 'price-desc':
+      return sorted.sort((a, b) => b.price - a.price)
+    case 'newest':
+      // I prodotti senza data di creazione vanno in fondo
+      return sorted.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+    case 'name':
+      return sorted.sort((a, b) => a.name.localeCompare(b.name, 'it'))
+    default:
+      return sorted
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * DOWNLOAD.JS - SALVATAGGIO DI FILE GENERATI NEL BROWSER
+ *
+ * Usato dalla dashboard admin per esportare il catalogo e per
+ * scaricare il report degli errori di importazione.
+ */
+
+/**
+ * DOWNLOAD FILE
+ *
+ * @param {string} filename - Nome proposto al salvataggio
+ * @param {string} content - Contenuto del file
+ * @param {string} type - MIME type (es. 'text/csv;charset=utf-8')
+ */
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * DATED FILENAME
+ *
+ * @param {string} prefix - Es. 'catalogo-coccibelli'
+ * @param {string} extension - Es. 'csv'
+ * @returns {string} - "catalogo-coccibelli-2025-03-14.csv"
+ */
+export const datedFilename = (prefix, extension) =>
+  `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`
@@ -0,0 +1,97 @@
+/**
+ * IMAGES.JS - GALLERIA IMMAGINI DEI PRODOTTI
+ *
+ * Ogni prodotto ha un elenco ordinato di immagini:
+ *
+ * "images": [
+ *   { "url": "https://...", "alt": "Anello visto dall'alto" },
+ *   { "url": "https://...", "alt": "Retro del ciondolo" }
+ * ]
+ *
+ * La prima immagine è la principale: il server la copia anche in
+ * product.imageUrl, che resta il campo usato da carrello e tabelle admin.
+ * I prodotti creati prima della galleria hanno solo imageUrl e
+ * vengono trattati come una galleria di un'immagine.
+ *
+ * Le foto caricate dall'admin (POST /uploads/images) hanno in più
+ * gli URL dei formati ridimensionati, anche in WebP:
+ *
+ * {
+ *   "url": "/uploads/...-card.jpg",
+ *   "alt": "",
+ *   "sizes": { "thumbnail": "...", "card": "...", "zoom": "..." },
+ *   "webp": { "thumbnail": "...", "card": "...", "zoom": "..." }
+ * }
+ *
+ * I loro percorsi sono relativi al backend: resolveImageUrl() li
+ * completa con l'indirizzo delle API prima di mostrarli.
+ */
+
+// ===== IMPORTAZIONI =====
+import { API_URL } from '../store/api'
+
+// ===== COSTANTI =====
+
+/**
+ * Formati accettati dall'upload (lo stesso controllo è fatto dal server)
+ */
+export const UPLOAD_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+export const MAX_UPLOAD_MB = 10
+
+/**
+ * PRODUCT IMAGES
+ *
+ * @param {Object} product - Prodotto
+ * @returns {Array} - Immagini { url, alt } in ordine, la principale per prima
+ */
+export const productImages = (product) => {
+  if (Array.isArray(product?.images) && product.images.length > 0) {
+    return product.images
+  }
+
+  return product?.imageUrl ? [{ url: product.imageUrl, alt: '' }] : []
+}
+
+/**
+ * IMAGE ALT
+ *
+ * Testo alternativo dell'immagine, con un default descrittivo
+ * quando l'admin non l'ha compilato.
+ *
+ * @param {Object} product - Prodotto
+ * @param {Object} image - Immagine { url, alt }
+ * @param {number} index - Posizione nella galleria
+ * @returns {string} - Alt text
+ */
+export const imageAlt = (product, image, index) =>
+  image?.alt || (index === 0
+    ? `${product.name} - Bijoux artigianale Coccibelli`
+    : `${product.name} - immagine ${index + 1}`)
+
+/**
+ * RESOLVE IMAGE URL
+ *
+ * @param {string} [url] - URL salvato nel prodotto
+ * @returns {string|undefined} - URL assoluto per le foto caricate (/uploads/...),
+ *   invariato per le immagini esterne e gli altri percorsi locali
+ */
+export const resolveImageUrl = (url) =>
+  url?.startsWith('/uploads/') ? `${API_URL}${url}` : url
+
+/**
+ * IMAGE SRC
+ *
+ * @param {Object} image - Immagine della galleria
+ * @param {string} size - 'thumbnail', 'card' o 'zoom'
+ * @returns {string} - URL del formato richiesto, url originale se non esiste
+ */
+export const imageSrc = (image, size) => resolveImageUrl(image?.sizes?.[size] || image?.url)
+
+/**
+ * IMAGE WEBP
+ *
+ * @param {Object} image - Immagine della galleria
+ * @param {string} size - 'thumbnail', 'card' o 'zoom'
+ * @returns {string|undefined} - URL WebP del formato, undefined per le immagini esterne
+ */
+export const imageWebp = (image, size) => resolveImageUrl(image?.webp?.[size])
@@ -0,0 +1,181 @@
+/**
+ * MERCHANDISING.JS - SEZIONI DELLA HOME E PRODOTTI IN EVIDENZA
+ *
+ * La configurazione della home vive in db.json (merchandising):
+ * {
+ *   featured: {
+ *     productIds: [3, 1, 5],  // Scelti dagli admin, nell'ordine di visualizzazione
+ *     startsAt: null,         // Finestra facoltativa (ISO): fuori dalla finestra
+ *     endsAt: null            // la sezione usa la regola automatica
+ *   },
+ *   sections: [{ key, enabled, title, limit }]  // Nell'ordine della home
+ * }
+ *
+ * SEZIONI (HOMEPAGE_SECTIONS):
+ * - featured: i prodotti scelti; senza scelte valide i più recenti
+ * - newArrivals: i più recenti (creazione o pubblicazione programmata, poi id)
+ * - lastPieces: disponibili con poche scorte, i più scarsi prima
+ *
+ * Contano solo i prodotti visibili nel negozio (vedi visibility.js), e
+ * le sezioni automatiche saltano i prodotti già mostrati più in alto.
+ *
+ * Il modulo è condiviso tra client e server (validazione in
+ * server/merchandising.js).
+ *
+ * UTILIZZO:
+ * const sections = resolveHomepageSections(config, products)
+ */
+
+// ===== IMPORTAZIONI =====
+import { isPublished } from './visibility.js'
+import { LOW_STOCK_THRESHOLD } from './adminProducts.js'
+
+// ===== COSTANTI =====
+
+/**
+ * Sezioni disponibili, con titolo di default e regola
+ */
+export const HOMEPAGE_SECTIONS = {
+  featured: {
+    label: 'In evidenza',
+    defaultTitle: 'Le Nostre Creazioni',
+    rule: 'Prodotti scelti qui sotto; senza scelte attive, i più recenti'
+  },
+  newArrivals: {
+    label: 'Nuovi arrivi',
+    defaultTitle: 'Nuovi arrivi',
+    rule: 'I prodotti aggiunti più di recente'
+  },
+  lastPieces: {
+    label: 'Ultimi pezzi',
+    defaultTitle: 'Ultimi pezzi',
+    rule: `Prodotti disponibili con ${LOW_STOCK_THRESHOLD} pezzi o meno`
+  }
+}
+
+/**
+ * Massimo di prodotti per sezione e di prodotti in evidenza
+ */
+export const MAX_SECTION_PRODUCTS = 12
+
+/**
+ * Configurazione iniziale: la home di sempre, con tre prodotti in evidenza
+ */
+export const DEFAULT_MERCHANDISING = {
+  featured: { productIds: [], startsAt: null, endsAt: null },
+  sections: [
+    { key: 'featured', enabled: true, title: HOMEPAGE_SECTIONS.featured.defaultTitle, limit: 3 },
+    { key: 'newArrivals', enabled: false, title: HOMEPAGE_SECTIONS.newArrivals.defaultTitle, limit: 3 },
+    { key: 'lastPieces', enabled: false, title: HOMEPAGE_SECTIONS.lastPieces.defaultTitle, limit: 3 }
+  ]
+}
+
+// ===== HELPERS =====
+
+/**
+ * NORMALIZE MERCHANDISING
+ *
+ * Completa una configurazione salvata con i default: le sezioni
+ * aggiunte in futuro compaiono in fondo, disattivate.
+ *
+ * @param {Object} config - Configurazione salvata (anche parziale o null)
+ * @returns {Object} - Configurazione completa
+ */
+export const normalizeMerchandising = (config) => {
+  const featured = { ...DEFAULT_MERCHANDISING.featured, ...config?.featured }
+  const saved = (config?.sections || []).filter(section => HOMEPAGE_SECTIONS[section.key])
+  const missing = DEFAULT_MERCHANDISING.sections
+    .filter(section => !saved.some(s => s.key === section.key))
+    .map(section => ({ ...section, enabled: false }))
+
+  return { ...config, featured, sections: [...saved, ...missing] }
+}
+
+/**
+ * IS FEATURED WINDOW OPEN
+ *
+ * @param {Object} featured - { startsAt, endsAt }
+ * @returns {boolean} - true se adesso è dentro la finestra (estremi facoltativi)
+ */
+export const isFeaturedWindowOpen = (featured) => {
+  const now = Date.now()
+  if (featured.startsAt && Date.parse(featured.startsAt) > now) return false
+  if (featured.endsAt && Date.parse(featured.endsAt) <= now) return false
+  return true
+}
+
+/**
+ * Arrivo nel negozio: la creazione, o la pubblicazione programmata se è successiva
+ */
+const arrivedAt = (product) =>
+  Math.max(Date.parse(product.createdAt) || 0, Date.parse(product.publishAt) || 0)
+
+/**
+ * Più recenti prima, poi per id (i prodotti storici non hanno date)
+ */
+const newestFirst = (a, b) => arrivedAt(b) - arrivedAt(a) || Number(b.id) - Number(a.id)
+
+/**
+ * PRODOTTI DI UNA SEZIONE
+ *
+ * @param {string} key - Chiave della sezione
+ * @param {Object} config - Configurazione completa
+ * @param {Array} products - Prodotti visibili nel negozio
+ * @returns {Object} - { products, automatic } prima del limite
+ */
+const sectionProducts = (key, config, products) => {
+  switch (key) {
+    case 'featured': {
+      const picked = isFeaturedWindowOpen(config.featured)
+        ? config.featured.productIds
+          .map(id => products.find(product => product.id === id))
+          .filter(Boolean)
+        : []
+      return picked.length > 0
+        ? { products: picked, automatic: false }
+        : { products: [...products].sort(newestFirst), automatic: true }
+    }
+    case 'newArrivals':
+      return { products: [...products].sort(newestFirst), automatic: true }
+    case 'lastPieces':
+      return {
+        products: products
+          .filter(product => product.stock > 0 && product.stock <= LOW_STOCK_THRESHOLD)
+          .sort((a, b) => a.stock - b.stock || newestFirst(a, b)),
+        automatic: true
+      }
+    default:
+      return { products: [], automatic: true }
+  }
+}
+
+/**
+ * RESOLVE HOMEPAGE SECTIONS
+ *
+ * @param {Object} config - Configurazione (anche parziale, vedi normalizeMerchandising)
+ * @param {Array} products - Prodotti caricati (quelli non visibili vengono scartati)
+ * @returns {Array} - [{ key, title, products, automatic }] delle sezioni attive e non vuote
+ */
+export const resolveHomepageSections = (config, products) => {
+  const normalized = normalizeMerchandising(config)
+  const visible = products.filter(isPublished)
+  const shown = new Set()
+
+  return normalized.sections
+    .filter(section => section.enabled)
+    .map((section) => {
+      const { products: candidates, automatic } = sectionProducts(section.key, normalized, visible)
+      // Le scelte degli admin restano com'erano; le regole evitano i doppioni
+      const items = (automatic ? candidates.filter(product => !shown.has(product.id)) : candidates)
+        .slice(0, section.limit)
+      items.forEach(product => shown.add(product.id))
+
+      return {
+        key: section.key,
+        title: section.title || HOMEPAGE_SECTIONS[section.key].defaultTitle,
+        products: items,
+        automatic
+      }
+    })
+    .filter(section => section.products.length > 0)
+}
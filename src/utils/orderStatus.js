@@ -0,0 +1,37 @@
+/**
+ * ORDER STATUS.JS - STATI DI EVASIONE DEGLI ORDINI
+ *
+ * La gestione ordini li usa per proporre solo i passaggi ammessi, il
+ * server (vedi server/inventory.js) per rifiutare gli altri: riaprire
+ * un ordine annullato rimetterebbe in vendita pezzi già tornati in stock.
+ *
+ * Il modulo è condiviso tra client e server, quindi non importa nulla.
+ */
+
+// ===== STATE MACHINE ORDINI =====
+/**
+ * TRANSIZIONI DI STATO VALIDE
+ *
+ * Per ogni stato elenca gli stati raggiungibili.
+ * 'delivered' e 'cancelled' sono stati finali.
+ */
+export const VALID_TRANSITIONS = {
+  'pending': ['processing', 'cancelled'],
+  'processing': ['shipped', 'cancelled'],
+  'shipped': ['delivered'],
+  'delivered': [], // Stato finale
+  'cancelled': []  // Stato finale
+}
+
+// ===== HELPERS =====
+
+/**
+ * Verifica un cambio di stato. Restare nello stesso stato è sempre
+ * ammesso; uno stato attuale sconosciuto non viene bloccato.
+ *
+ * @param {string} from - Stato attuale
+ * @param {string} to - Nuovo stato
+ * @returns {boolean}
+ */
+export const isValidTransition = (from, to) =>
+  from === to || !VALID_TRANSITIONS[from] || VALID_TRANSITIONS[from].includes(to)
@@ -0,0 +1,390 @@
+/**
+ * PRODUCT TRANSFER.JS - ESPORTAZIONE E IMPORTAZIONE DEL CATALOGO
+ *
+ * Formato a righe usato per CSV e import (una riga per prodotto,
+ * oppure una per variante se il prodotto ne ha):
+ *
+ * id, sku, name, description, price, category, stock, tags, imageUrl,
+ * status, publishAt, size, chainLength, finish, priceAdjustment
+ *
+ * Nelle righe di una variante i campi del prodotto si ripetono e
+ * sku, stock, opzioni e priceAdjustment sono quelli della variante.
+ *
+ * Il client usa il modulo per leggere i file, proporre l'abbinamento
+ * delle colonne e scrivere CSV; il server (server/import.js) per
+ * interpretare i valori delle celle nello stesso modo.
+ *
+ * UTILIZZO:
+ * const { headers, records } = readImportFile(text, 'csv')
+ * const rows = applyMapping(records, guessMapping(headers))
+ */
+
+// ===== IMPORTAZIONI =====
+import { VARIANT_OPTIONS, hasVariants } from './variants.js'
+import { PRODUCT_STATUSES, productStatus } from './visibility.js'
+
+// ===== COSTANTI =====
+
+/**
+ * Campi importabili, con le intestazioni riconosciute in automatico
+ * (confrontate in minuscolo e senza accenti)
+ */
+export const TRANSFER_FIELDS = [
+  { key: 'id', label: 'ID', aliases: ['id'] },
+  { key: 'sku', label: 'SKU', aliases: ['sku', 'codice', 'codice articolo'] },
+  { key: 'name', label: 'Nome', aliases: ['name', 'nome', 'prodotto'] },
+  { key: 'description', label: 'Descrizione', aliases: ['description', 'descrizione'] },
+  { key: 'price', label: 'Prezzo', aliases: ['price', 'prezzo', 'prezzo €', 'prezzo (€)'] },
+  { key: 'category', label: 'Categoria', aliases: ['category', 'categoria'] },
+  { key: 'stock', label: 'Stock', aliases: ['stock', 'disponibilità', 'quantità', 'pezzi', 'giacenza'] },
+  { key: 'tags', label: 'Tag', aliases: ['tags', 'tag'] },
+  { key: 'imageUrl', label: 'Immagine', aliases: ['imageurl', 'image', 'immagine', 'foto'] },
+  { key: 'status', label: 'Stato', aliases: ['status', 'stato', 'published', 'pubblicato'] },
+  { key: 'publishAt', label: 'Pubblica dal', aliases: ['publishat', 'pubblica dal', 'data pubblicazione'] },
+  ...VARIANT_OPTIONS.map(option => ({ key: option.key, label: option.label, aliases: [option.key, option.label] })),
+  { key: 'priceAdjustment', label: 'Variazione prezzo', aliases: ['priceadjustment', 'variazione prezzo'] }
+]
+
+/**
+ * Intestazioni del CSV esportato, nell'ordine delle colonne
+ */
+export const EXPORT_COLUMNS = TRANSFER_FIELDS.map(field => field.key)
+
+/**
+ * Primi caratteri con cui un foglio di calcolo riconosce una formula
+ * (tab e a capo iniziali vengono scartati e la cella rivalutata)
+ */
+const FORMULA_START = /^[=+\-@\t\r]/
+
+/**
+ * Numeri negativi scritti come testo (es. "-5" o "-2,50"): restano così
+ */
+const NEGATIVE_NUMBER = /^-\d+([.,]\d+)?$/
+
+// ===== HELPERS =====
+
+/**
+ * Intestazione confrontabile: minuscola, senza accenti né spazi doppi
+ */
+const normalizeHeader = (header) => String(header ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim()
+
+/**
+ * Cella CSV: tra virgolette se contiene separatori, virgolette o a capo.
+ * Le formule (=, +, -, @, tab, a capo) vengono neutralizzate con un
+ * apostrofo, così il foglio di calcolo non le esegue all'apertura.
+ */
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (typeof value === 'string' && FORMULA_START.test(text) && !NEGATIVE_NUMBER.test(text)) {
+    text = `'${text}`
+  }
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Separatore del CSV: Excel in italiano salva con il punto e virgola
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  const count = (char) => firstLine.split(char).length - 1
+  const candidates = [',', ';', '\t'].sort((a, b) => count(b) - count(a))
+  return count(candidates[0]) > 0 ? candidates[0] : ','
+}
+
+// ===== CSV =====
+
+/**
+ * PARSE CSV
+ *
+ * Gestisce virgolette, virgolette raddoppiate, a capo dentro le celle,
+ * BOM e separatore virgola, punto e virgola o tab.
+ *
+ * @param {string} text - Contenuto del file
+ * @returns {Array} - Righe come array di celle, con le righe vuote
+ */
+export const parseCsv = (text) => {
+  const source = String(text).replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(source)
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * TO CSV
+ *
+ * @param {Array} rows - Oggetti da scrivere
+ * @param {Array} columns - Chiavi da esportare, anche intestazioni
+ * @returns {string} - CSV con BOM UTF-8 (per Excel) e righe CRLF
+ */
+export const toCsv = (rows, columns) =>
+  '\uFEFF' + [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n')
+
+// ===== ESPORTAZIONE =====
+
+/**
+ * EXPORTABLE PRODUCT
+ *
+ * Prodotto senza i campi calcolati dal server per il singolo utente
+ * (pezzi riservati da altri clienti).
+ *
+ * @param {Object} product - Prodotto dello store
+ * @returns {Object} - Prodotto da salvare nel JSON
+ */
+export const exportableProduct = (product) => {
+  const copy = { ...product }
+  delete copy.reservedByOthers
+
+  if (hasVariants(product)) {
+    copy.variants = product.variants.map((variant) => {
+      const cleaned = { ...variant }
+      delete cleaned.reservedByOthers
+      return cleaned
+    })
+  }
+
+  return copy
+}
+
+/**
+ * PRODUCTS TO ROWS
+ *
+ * @param {Array} products - Prodotti
+ * @returns {Array} - Righe del formato di scambio (una per variante)
+ */
+export const productsToRows = (products) => products.flatMap((product) => {
+  const base = {
+    id: product.id,
+    sku: product.sku || '',
+    name: product.name,
+    description: product.description || '',
+    price: product.price,
+    category: product.category,
+    stock: product.stock,
+    tags: (product.tags || []).join(', '),
+    imageUrl: product.imageUrl || '',
+    status: PRODUCT_STATUSES[productStatus(product)].label.toLowerCase(),
+    publishAt: product.publishAt || '',
+    ...Object.fromEntries(VARIANT_OPTIONS.map(option => [option.key, ''])),
+    priceAdjustment: ''
+  }
+
+  if (!hasVariants(product)) {
+    return [base]
+  }
+
+  return product.variants.map(variant => ({
+    ...base,
+    sku: variant.sku,
+    stock: variant.stock,
+    ...Object.fromEntries(VARIANT_OPTIONS.map(option => [option.key, variant.options?.[option.key] || ''])),
+    priceAdjustment: Number(variant.priceAdjustment) || 0
+  }))
+})
+
+// ===== IMPORTAZIONE =====
+
+/**
+ * READ IMPORT FILE
+ *
+ * Il JSON può essere l'esportazione del catalogo (prodotti con varianti)
+ * o un elenco di righe già nel formato di scambio.
+ *
+ * @param {string} text - Contenuto del file
+ * @param {string} format - 'csv' o 'json'
+ * @returns {Object} - { headers, records: [{ line, values }] }
+ * @throws {Error} - File vuoto o non leggibile
+ */
+export const readImportFile = (text, format) => {
+  if (format === 'json') {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch {
+      throw new Error('Il file JSON non è valido')
+    }
+
+    const items = Array.isArray(data) ? data : data?.products
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Il file JSON non contiene prodotti')
+    }
+    if (items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      throw new Error('Ogni elemento del JSON deve essere un oggetto')
+    }
+
+    const rows = items.some(item => Array.isArray(item.variants)) ? productsToRows(items) : items
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))]
+    return {
+      headers,
+      records: rows.map((row, index) => ({ line: index + 1, values: row }))
+    }
+  }
+
+  const [headerRow, ...dataRows] = parseCsv(text)
+  const headers = (headerRow || []).map(header => header.trim())
+  if (headers.filter(Boolean).length === 0) {
+    throw new Error('Il file CSV è vuoto o non ha la riga di intestazione')
+  }
+
+  const records = dataRows
+    .map((cells, index) => ({
+      line: index + 2, // La riga 1 è l'intestazione
+      values: Object.fromEntries(headers.map((header, column) => [header, cells[column] ?? '']))
+    }))
+    .filter(record => Object.values(record.values).some(value => String(value).trim() !== ''))
+
+  if (records.length === 0) {
+    throw new Error('Il file CSV non contiene righe di prodotti')
+  }
+
+  return { headers, records }
+}
+
+/**
+ * GUESS MAPPING
+ *
+ * @param {Array} headers - Intestazioni del file
+ * @returns {Object} - { campo: intestazione } ('' se nessuna corrisponde)
+ */
+export const guessMapping = (headers) => Object.fromEntries(
+  TRANSFER_FIELDS.map((field) => {
+    const aliases = field.aliases.map(normalizeHeader)
+    const header = headers.find(candidate => aliases.includes(normalizeHeader(candidate)))
+    return [field.key, header || '']
+  })
+)
+
+/**
+ * APPLY MAPPING
+ *
+ * I campi senza colonna abbinata non compaiono nella riga:
+ * per il server significa "non modificare".
+ *
+ * @param {Array} records - Record letti con readImportFile
+ * @param {Object} mapping - { campo: intestazione }
+ * @returns {Array} - Righe { line, ...campi } da inviare a POST /products/import
+ */
+export const applyMapping = (records, mapping) => records.map(record => ({
+  line: record.line,
+  ...Object.fromEntries(
+    Object.entries(mapping)
+      .filter(([, header]) => header)
+      .map(([key, header]) => {
+        const value = record.values[header]
+        // Apostrofo aggiunto all'esportazione davanti alle formule
+        return [key, typeof value === 'string' && FORMULA_START.test(value.slice(1)) ? value.replace(/^'/, '') : value]
+      })
+  )
+}))
+
+// ===== VALORI DELLE CELLE =====
+
+/**
+ * PARSE DECIMAL
+ *
+ * Accetta "14.5", "14,50", "1.234,50", "€ 14" e numeri JSON.
+ *
+ * @param {*} value - Valore della cella
+ * @returns {number|null} - Numero, null se la cella è vuota, NaN se non valido
+ */
+export const parseDecimal = (value) => {
+  if (typeof value === 'number') return value
+  let text = String(value ?? '').replace(/[€\s]/g, '')
+  if (text === '') return null
+
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.')
+  }
+  return /^[-+]?\d*\.?\d+$/.test(text) ? Number(text) : NaN
+}
+
+/**
+ * PARSE BOOLEAN
+ *
+ * @param {*} value - Valore della cella (sì/no, true/false, 1/0)
+ * @returns {boolean|null|undefined} - null se vuota, undefined se non riconosciuto
+ */
+export const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value
+  const text = normalizeHeader(value)
+  if (text === '') return null
+  if (['si', 'true', '1', 'yes', 'x'].includes(text)) return true
+  if (['no', 'false', '0'].includes(text)) return false
+  return undefined
+}
+
+/**
+ * PARSE STATUS
+ *
+ * Accetta lo stato ('draft', 'bozza', 'Pubblicato'...) e, per i file
+ * esportati prima degli stati, il vecchio sì/no di "Pubblicato".
+ *
+ * @param {*} value - Valore della cella
+ * @returns {string|null|undefined} - Stato, null se vuota, undefined se non riconosciuto
+ */
+export const parseStatus = (value) => {
+  const text = normalizeHeader(value)
+  if (text === '') return null
+
+  const status = Object.entries(PRODUCT_STATUSES)
+    .find(([key, { label }]) => text === key || text === normalizeHeader(label))
+  if (status) return status[0]
+
+  const published = parseBoolean(value)
+  if (published === undefined) return undefined
+  return published ? 'published' : 'draft'
+}
+
+/**
+ * SPLIT TAGS
+ *
+ * @param {string|Array} value - "porcellana, blu" oppure un array
+ * @returns {Array} - Tag in minuscolo, senza duplicati né voci vuote
+ */
+export const splitTags = (value) => {
+  const tags = Array.isArray(value) ? value : String(value ?? '').split(',')
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))]
+}
@@ -0,0 +1,70 @@
+/**
+ * SHIPPING.JS - METODI E COSTI DI SPEDIZIONE
+ *
+ * Il checkout li usa per mostrare il riepilogo, il server
+ * (vedi server/orderPricing.js) per ricalcolare il totale degli ordini
+ * senza fidarsi di quello inviato dal browser.
+ *
+ * Il modulo è condiviso tra client e server, quindi non importa nulla.
+ */
+
+// ===== COSTANTI =====
+
+/**
+ * SOGLIA SPEDIZIONE GRATUITA
+ *
+ * Sopra questo subtotale la spedizione standard è gratuita.
+ */
+export const FREE_SHIPPING_THRESHOLD = 50
+
+/**
+ * METODI DI SPEDIZIONE DISPONIBILI
+ *
+ * @property {string} id - Identificativo salvato nell'ordine
+ * @property {string} label - Nome mostrato all'utente
+ * @property {string} description - Tempi di consegna
+ * @property {number} cost - Costo in euro
+ * @property {boolean} freeAboveThreshold - Gratuita sopra FREE_SHIPPING_THRESHOLD
+ */
+export const SHIPPING_METHODS = [
+  {
+    id: 'standard',
+    label: 'Spedizione standard',
+    description: 'Consegna in 3-5 giorni lavorativi',
+    cost: 5,
+    freeAboveThreshold: true
+  },
+  {
+    id: 'express',
+    label: 'Spedizione express',
+    description: 'Consegna in 24-48 ore',
+    cost: 9.9,
+    freeAboveThreshold: false
+  },
+  {
+    id: 'pickup',
+    label: 'Ritiro in laboratorio',
+    description: 'Ritiro su appuntamento, ti contatteremo noi',
+    cost: 0,
+    freeAboveThreshold: false
+  }
+]
+
+// ===== UTILITY FUNCTIONS =====
+
+/**
+ * CALCOLA COSTO SPEDIZIONE
+ *
+ * @param {string} methodId - ID metodo di spedizione
+ * @param {number} subtotal - Subtotale prodotti
+ * @returns {number} - Costo spedizione in euro
+ */
+export const getShippingCost = (methodId, subtotal) => {
+  const method = SHIPPING_METHODS.find(m => m.id === methodId) || SHIPPING_METHODS[0]
+
+  if (method.freeAboveThreshold && subtotal >= FREE_SHIPPING_THRESHOLD) {
+    return 0
+  }
+
+  return method.cost
+}
@@ -0,0 +1,120 @@
+/**
+ * VARIANTS.JS - VARIANTI DEI PRODOTTI
+ *
+ * Un prodotto può avere varianti facoltative (misura dell'anello,
+ * lunghezza della catena, finitura), ognuna con SKU, stock e
+ * variazione di prezzo propri:
+ *
+ * {
+ *   id: 'v1',
+ *   sku: 'ANE-001-16',
+ *   options: { size: '16', finish: 'Argento' },
+ *   stock: 2,
+ *   priceAdjustment: 3
+ * }
+ *
+ * I prodotti senza varianti possono avere uno SKU proprio (product.sku).
+ *
+ * Per i prodotti con varianti product.stock è sempre la somma dello
+ * stock delle varianti (lo mantiene il server), così badge "Esaurito"
+ * e filtri del catalogo continuano a funzionare senza conoscerle.
+ *
+ * Il modulo è condiviso tra client e server, come catalog.js.
+ */
+
+// ===== COSTANTI =====
+
+/**
+ * Opzioni disponibili per le varianti, nell'ordine in cui vengono mostrate
+ */
+export const VARIANT_OPTIONS = [
+  { key: 'size', label: 'Misura' },
+  { key: 'chainLength', label: 'Lunghezza catena' },
+  { key: 'finish', label: 'Finitura' }
+]
+
+// ===== LETTURA =====
+
+/**
+ * HAS VARIANTS
+ *
+ * @param {Object} product - Prodotto
+ * @returns {boolean} - true se il prodotto si acquista scegliendo una variante
+ */
+export const hasVariants = (product) =>
+  Array.isArray(product?.variants) && product.variants.length > 0
+
+/**
+ * FIND VARIANT
+ *
+ * @param {Object} product - Prodotto
+ * @param {string} variantId - ID della variante
+ * @returns {Object|undefined} - Variante, undefined se non esiste
+ */
+export const findVariant = (product, variantId) =>
+  hasVariants(product) ? product.variants.find(v => v.id === variantId) : undefined
+
+/**
+ * PRODUCT SKUS
+ *
+ * @param {Object} product - Prodotto
+ * @returns {Array} - SKU delle varianti, oppure lo SKU del prodotto se non ne ha
+ */
+export const productSkus = (product) => hasVariants(product)
+  ? product.variants.map(v => v.sku).filter(Boolean)
+  : [product?.sku].filter(Boolean)
+
+/**
+ * USED VARIANT OPTIONS
+ *
+ * @param {Array} variants - Varianti del prodotto
+ * @returns {Array} - Voci di VARIANT_OPTIONS valorizzate in almeno una variante
+ */
+export const usedVariantOptions = (variants = []) =>
+  VARIANT_OPTIONS.filter(option => variants.some(v => v.options?.[option.key]))
+
+/**
+ * VARIANT PRICE
+ *
+ * @param {Object} product - Prodotto
+ * @param {Object} [variant] - Variante scelta
+ * @returns {number} - Prezzo base più la variazione, arrotondato al centesimo
+ */
+export const variantPrice = (product, variant) =>
+  Math.round((Number(product.price) + (Number(variant?.priceAdjustment) || 0)) * 100) / 100
+
+/**
+ * VARIANT LABEL
+ *
+ * { size: '16', finish: 'Oro' } → "Misura: 16 · Finitura: Oro"
+ *
+ * @param {Object} [variant] - Variante
+ * @returns {string} - Descrizione leggibile, vuota senza variante
+ */
+export const variantLabel = (variant) =>
+  VARIANT_OPTIONS
+    .filter(option => variant?.options?.[option.key])
+    .map(option => `${option.label}: ${variant.options[option.key]}`)
+    .join(' · ')
+
+/**
+ * TOTAL VARIANT STOCK
+ *
+ * @param {Array} variants - Varianti del prodotto
+ * @returns {number} - Pezzi disponibili in tutte le varianti
+ */
+export const totalVariantStock = (variants = []) =>
+  variants.reduce((sum, variant) => sum + (Number(variant.stock) || 0), 0)
+
+/**
+ * CART LINE ID
+ *
+ * Chiave di una riga di carrello/ordine: due misure dello stesso
+ * anello sono righe distinte.
+ *
+ * @param {number} productId - ID prodotto
+ * @param {string|null} [variantId] - ID variante
+ * @returns {string} - "3" oppure "3:v2"
+ */
+export const cartLineId = (productId, variantId) =>
+  variantId ? `${productId}:${variantId}` : String(productId)
@@ -0,0 +1,97 @@
+/**
+ * VISIBILITY.JS - PRODOTTI VISIBILI NEL NEGOZIO
+ *
+ * Ogni prodotto ha uno stato ("status"):
+ * - draft: bozza in preparazione, la vedono solo gli admin
+ * - published: nel negozio; con "publishAt" (data ISO) compare solo da
+ *   quel momento, senza bisogno di ripassare dall'editor
+ * - archived: ritirato dal negozio, resta in dashboard e negli ordini passati
+ *
+ * I prodotti non pubblicati restano in dashboard ma spariscono dal
+ * negozio: catalogo, home, pagina prodotto e ordini.
+ * I prodotti creati prima del campo non ce l'hanno: vale il vecchio
+ * flag "published" (false = bozza), altrimenti sono pubblicati.
+ *
+ * Un prodotto eliminato resta in db.json con "deletedAt" (il cestino,
+ * vedi server/trash.js): sparisce anche dalla dashboard, ma gli ordini
+ * passati continuano a riferirsi al suo id finché non viene eliminato
+ * definitivamente.
+ *
+ * Il modulo è condiviso tra client e server, quindi non importa nulla.
+ */
+
+// ===== COSTANTI =====
+
+/**
+ * Stati di un prodotto, con etichetta e badge della dashboard
+ */
+export const PRODUCT_STATUSES = {
+  draft: { label: 'Bozza', className: 'bg-secondary' },
+  published: { label: 'Pubblicato', className: 'bg-success' },
+  archived: { label: 'Archiviato', className: 'bg-dark' }
+}
+
+// ===== HELPERS =====
+
+/**
+ * IS DELETED
+ *
+ * @param {Object} product - Prodotto
+ * @returns {boolean} - true se il prodotto è nel cestino
+ */
+export const isDeleted = (product) => Boolean(product?.deletedAt)
+
+/**
+ * PRODUCT STATUS
+ *
+ * @param {Object} product - Prodotto
+ * @returns {string} - 'draft' | 'published' | 'archived'
+ */
+export const productStatus = (product) => {
+  if (PRODUCT_STATUSES[product?.status]) return product.status
+  return product?.published === false ? 'draft' : 'published'
+}
+
+/**
+ * IS SCHEDULED
+ *
+ * @param {Object} product - Prodotto
+ * @returns {boolean} - true se è pubblicato ma la data di uscita non è ancora arrivata
+ */
+export const isScheduled = (product) =>
+  productStatus(product) === 'published' &&
+  Boolean(product.publishAt) &&
+  Date.parse(product.publishAt) > Date.now()
+
+/**
+ * IS PUBLISHED
+ *
+ * @param {Object} product - Prodotto
+ * @returns {boolean} - true se i clienti possono vederlo e ordinarlo
+ */
+export const isPublished = (product) =>
+  Boolean(product) &&
+  !isDeleted(product) &&
+  productStatus(product) === 'published' &&
+  !isScheduled(product)
+
+/**
+ * FORMAT PUBLISH AT
+ *
+ * @param {string} iso - Data di pubblicazione programmata
+ * @returns {string} - "31/10/26, 09:00"
+ */
+export const formatPublishAt = (iso) =>
+  new Date(iso).toLocaleString('it-IT', { dateStyle: 'short', timeStyle: 'short' })
+
+/**
+ * TO DATE TIME LOCAL
+ *
+ * @param {string|null} iso - Data ISO
+ * @returns {string} - Valore per un input datetime-local, in ora locale ('' se manca)
+ */
+export const toDateTimeLocal = (iso) => {
+  if (!iso) return ''
+  const date = new Date(iso)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}